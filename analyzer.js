@@ -8,63 +8,182 @@ const PromptAnalyzer = {
     /**
      * Main analysis function
      * Returns comprehensive analysis object
+     *
+     * Templates are scored with their placeholders filled in (see
+     * templates.js); pass options.sampleValues to choose the fill values.
+     * `annotations` locate findings in the text as written (see annotate).
+     * `compliance` scores the team style guide: options.styleGuide, or the
+     * active one (see PromptStyleGuides); null without a guide.
+     * options.scoringProfile picks the weights (see PromptScoring).
+     * `budget` checks the prompt plus options.expectedOutput tokens (or the
+     * length it asks for) against the model's budget (see PromptBudget).
+     * `caching` splits the template into static and dynamic sections and
+     * prices its cacheable prefix at options.costs (see PromptCaching).
+     * options.showThinking (Show Reasoning) turns on the reasoning fit checks
      */
-    analyze(text, model = 'claude') {
+    analyze(text, model = 'claude', options = {}) {
         if (!text || text.trim().length === 0) {
             return this.getEmptyAnalysis();
         }
 
+        const template = PromptTemplates.analyze(text, options.sampleValues);
+        const scored = template.filled;
+        const tokens = this.tokenize(scored, model);
+        const styleGuide = PromptStyleGuides.resolve(options.styleGuide);
+        const profile = PromptScoring.resolve(options.scoringProfile);
+        const components = this.analyzeComponents(scored, model);
+        const modelFit = this.analyzeModelFit(scored, model, { showThinking: options.showThinking });
+
         return {
-            tokenCount: this.countTokens(text),
-            components: this.analyzeComponents(text),
-            contextEngineering: this.analyzeContextEngineering(text),
-            modelFit: this.analyzeModelFit(text, model),
-            overallScore: this.calculateOverallScore(text, model)
+            tokenCount: tokens.count,
+            tokenizer: { encoding: tokens.encoding, label: tokens.label, method: tokens.method },
+            budget: PromptBudget.check(tokens.count, scored, model, options),
+            caching: PromptCaching.analyze(text, model, options.costs),
+            components,
+            contextEngineering: this.analyzeContextEngineering(scored, model),
+            modelFit,
+            compliance: styleGuide ? this.analyzeCompliance(scored, model, styleGuide) : null,
+            overallScore: this.calculateOverallScore(scored, model, components, styleGuide, profile, modelFit),
+            reasoning: this.analyzeReasoning(scored),
+            annotations: this.annotate(text, model, styleGuide),
+            template: {
+                isTemplate: template.isTemplate,
+                variables: template.variables,
+                placeholders: template.placeholders,
+                sampleValues: template.sampleValues
+            }
+        };
+    },
+
+    /**
+     * Conversation analysis
+     * Scores each role's messages on their own, then the whole conversation
+     * (the style guide applies to the whole conversation only).
+     * Returns the usual analysis object for the whole conversation, with
+     * per-role results and structure issues under `conversation`
+     */
+    analyzeConversation(messages, model = 'claude', options = {}) {
+        const turns = PromptConversations.normalize(messages);
+        if (turns.length === 0) {
+            return this.getEmptyAnalysis();
+        }
+
+        const roles = {};
+        Object.entries(PromptConversations.byRole(turns)).forEach(([role, list]) => {
+            const analysis = this.analyze(PromptConversations.flatten(list), model, { ...options, styleGuide: null });
+            roles[role] = {
+                messages: list.length,
+                tokenCount: analysis.tokenCount,
+                score: analysis.overallScore.score,
+                analysis
+            };
+        });
+
+        const analysis = this.analyze(PromptConversations.flatten(turns), model, options);
+        const scored = PromptTemplates.analyze(PromptConversations.flatten(turns), options.sampleValues).filled;
+
+        // Prefill only counts as a trailing assistant turn
+        const components = this.scoreComponents({
+            ...this.pickComponents(analysis.components),
+            prefill: PromptConversations.prefillOf(turns) !== null
+        }, model);
+
+        analysis.components = components;
+        analysis.overallScore = this.calculateOverallScore(scored, model, components,
+            PromptStyleGuides.resolve(options.styleGuide), PromptScoring.resolve(options.scoringProfile), analysis.modelFit);
+        analysis.conversation = {
+            messageCount: turns.length,
+            roles,
+            prefill: PromptConversations.prefillOf(turns),
+            issues: this.analyzeConversationStructure(turns)
         };
+
+        return analysis;
+    },
+
+    pickComponents(components) {
+        const picked = {};
+        PromptRules.list('component').map(rule => rule.key).forEach(key => {
+            picked[key] = components[key];
+        });
+        return picked;
+    },
+
+    analyzeConversationStructure(turns) {
+        const issues = [];
+        const system = turns.filter(m => m.role === 'system');
+        const users = turns.filter(m => m.role === 'user');
+
+        if (system.length === 0) {
+            issues.push('Add a system message for the role and standing instructions');
+        } else if (turns[0].role !== 'system') {
+            issues.push('Put the system message first');
+        }
+
+        if (users.some(m => this.hasRole(m.content)) && !system.some(m => this.hasRole(m.content))) {
+            issues.push('Move the role/persona from the user turn into the system message');
+        }
+
+        if (users.some(m => this.hasConstraints(m.content)) && !system.some(m => this.hasConstraints(m.content))) {
+            issues.push('Move standing constraints into the system message');
+        }
+
+        if (users.some(m => this.hasPrefill(m.content))) {
+            issues.push('Send the response prefill as a trailing assistant message');
+        }
+
+        if (users.length === 0) {
+            issues.push('Add a user message with the request');
+        }
+
+        for (let i = 1; i < turns.length; i++) {
+            if (turns[i].role === turns[i - 1].role && turns[i].role !== 'system') {
+                issues.push(`Merge consecutive ${turns[i].role} messages`);
+                break;
+            }
+        }
+
+        return issues;
     },
 
     /**
      * Token Counter
-     * Approximation: 1 token ≈ 3.5 characters for English
+     * Uses the model's tokenizer (see tokenizer.js); falls back to the
+     * chars/words heuristic when no encoding is registered for the model
      */
-    countTokens(text) {
-        // More accurate estimation
-        const words = text.trim().split(/\s+/).length;
-        const chars = text.length;
-        
-        // Average token count using multiple heuristics
-        const byChars = Math.ceil(chars / 3.5);
-        const byWords = Math.ceil(words / 0.75); // ~0.75 words per token
-        
-        return Math.round((byChars + byWords) / 2);
+    countTokens(text, model = 'claude') {
+        return this.tokenize(text, model).count;
+    },
+
+    tokenize(text, model = 'claude') {
+        return Tokenizers.countForModel(text, model);
     },
 
     /**
      * Anthropic 10-Component Framework Analysis
+     * One component rule per key (see PromptRules); a disabled rule's
+     * component is left out of the count rather than reported missing
      */
-    analyzeComponents(text) {
-        const components = {
-            role: this.hasRole(text),
-            tone: this.hasTone(text),
-            background: this.hasBackground(text),
-            task: this.hasTask(text),
-            examples: this.hasExamples(text),
-            chainOfThought: this.hasChainOfThought(text),
-            outputFormat: this.hasOutputFormat(text),
-            constraints: this.hasConstraints(text),
-            prefill: this.hasPrefill(text),
-            xmlStructure: this.hasXMLStructure(text)
-        };
+    analyzeComponents(text, model = null) {
+        const components = {};
+        PromptRules.select('component', { model }).forEach(rule => {
+            components[rule.key] = Boolean(rule.detect(text, { model }));
+        });
+
+        return this.scoreComponents(components, model);
+    },
 
-        const present = Object.values(components).filter(v => v).length;
-        const missing = 10 - present;
+    scoreComponents(components, model = null) {
+        const checked = Object.values(components).filter(v => typeof v === 'boolean');
+        const present = checked.filter(v => v).length;
 
         return {
             ...components,
             presentCount: present,
-            missingCount: missing,
-            score: (present / 10) * 100,
-            missing: this.listMissingComponents(components)
+            missingCount: checked.length - present,
+            total: checked.length,
+            score: checked.length > 0 ? (present / checked.length) * 100 : 0,
+            missing: this.listMissingComponents(components, model)
         };
     },
 
@@ -155,75 +274,80 @@ const PromptAnalyzer = {
         return /<[^>]+>/.test(text);
     },
 
-    listMissingComponents(components) {
-        const missing = [];
-        const names = {
-            role: 'Role/Persona',
-            tone: 'Tone Context',
-            background: 'Background Data',
-            task: 'Task Description',
-            examples: 'Examples',
-            chainOfThought: 'Chain-of-Thought',
-            outputFormat: 'Output Format',
-            constraints: 'Constraints',
-            prefill: 'Response Prefill',
-            xmlStructure: 'XML Structure'
-        };
+    /**
+     * Sections in the model's preferred structure (see PromptModels.structures):
+     * XML tags, Markdown headings, or [TASK]: / Task: labels for plain text
+     */
+    hasPreferredStructure(text, model = null) {
+        const structure = ModelData[model] ? ModelData[model].structure : 'xml';
+        if (structure === 'markdown') return /^#{1,3} \S/m.test(text);
+        if (structure === 'plain') return /^(\[[A-Z][A-Z ]*\]|[A-Z][A-Za-z ]{1,30}):/m.test(text);
+        return this.hasXMLStructure(text);
+    },
 
-        for (const [key, value] of Object.entries(components)) {
-            if (value === false && names[key]) {
-                missing.push(names[key]);
-            }
-        }
+    // The structure component is named after the structure it looks for
+    componentTitle(rule, model = null) {
+        if (rule.id !== 'component/xmlStructure') return rule.meta.title;
+        const structure = ModelData[model] ? ModelData[model].structure : 'xml';
+        return `${rule.meta.title} (${PromptModels.structures[structure].label})`;
+    },
 
-        return missing;
+    listMissingComponents(components, model = null) {
+        return PromptRules.list('component')
+            .filter(rule => components[rule.key] === false)
+            .map(rule => this.componentTitle(rule, model));
     },
 
     /**
      * Context Engineering Analysis
      * Based on Anthropic's December 2025 guidance
      */
-    analyzeContextEngineering(text) {
+    analyzeContextEngineering(text, model = 'claude') {
         return {
-            tokenEfficiency: this.calculateTokenEfficiency(text),
+            tokenEfficiency: this.calculateTokenEfficiency(text, model),
             signalDensity: this.calculateSignalDensity(text),
             altitude: this.detectAltitude(text),
             redundancy: this.detectRedundancy(text)
         };
     },
 
-    calculateTokenEfficiency(text) {
-        const total = this.countTokens(text);
-        const useful = this.countHighSignalTokens(text);
+    calculateTokenEfficiency(text, model = 'claude') {
+        const total = this.countTokens(text, model);
+        const findings = this.findHighSignal(text);
+        const useful = findings.reduce((sum, f) => sum + this.countTokens(f.text, model), 0);
         const efficiency = total > 0 ? (useful / total) * 100 : 0;
 
         return {
             total,
             useful,
             efficiency: Math.round(efficiency),
-            rating: this.rateEfficiency(efficiency)
+            rating: this.rateEfficiency(efficiency),
+            findings
         };
     },
 
-    countHighSignalTokens(text) {
-        // High-signal patterns
-        const highSignalPatterns = [
-            /must|never|always|required|specifically|exactly/gi,
-            /format:|output:|structure:|style:/gi,
-            /example:|e\.g\.|for instance:/gi,
-            /<[^>]+>/g,  // XML tags
-            /\[[^\]]+\]/g  // Bracketed sections
-        ];
+    countHighSignalTokens(text, model = 'claude') {
+        return this.findHighSignal(text).reduce((sum, f) => sum + this.countTokens(f.text, model), 0);
+    },
 
-        let highSignalChars = 0;
-        highSignalPatterns.forEach(pattern => {
-            const matches = text.match(pattern) || [];
-            matches.forEach(match => {
-                highSignalChars += match.length;
-            });
+    highSignalPatterns: [
+        /must|never|always|required|specifically|exactly/gi,
+        /format:|output:|structure:|style:/gi,
+        /example:|e\.g\.|for instance:/gi,
+        /<[^>]+>/g,  // XML tags
+        /\[[^\]]+\]/g,  // Bracketed sections
+        /^#{1,3} [^\n]+/gm  // Markdown headings
+    ],
+
+    findHighSignal(text) {
+        const findings = [];
+        this.highSignalPatterns.forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                findings.push(this.finding('efficiency/high-signal', match.index, match[0], 'info',
+                    'High-signal token: a concrete requirement, format or structure marker'));
+            }
         });
-
-        return Math.ceil(highSignalChars / 3.5);
+        return findings.sort((a, b) => a.start - b.start);
     },
 
     rateEfficiency(efficiency) {
@@ -234,27 +358,38 @@ const PromptAnalyzer = {
     },
 
     calculateSignalDensity(text) {
-        const words = text.trim().split(/\s+/);
-        const totalWords = words.length;
+        const words = [...text.matchAll(/\S+/g)];
+        const totalWords = Math.max(words.length, 1);
+        const findings = [];
+
+        words.forEach(word => {
+            // High-value words
+            const high = word[0].match(/^(must|never|always|required|specific|exact|only|format|output|constraint)/i);
+            if (high) {
+                findings.push(this.finding('signal/high-value', word.index, word[0], 'info',
+                    'High-value word: states a requirement or the expected output'));
+            }
 
-        // Count high-value words
-        const highValueWords = words.filter(word => {
-            return /^(must|never|always|required|specific|exact|only|format|output|constraint)/i.test(word);
-        }).length;
+            // Low-value words (filler)
+            const filler = word[0].match(/^(very|really|quite|basically|actually|literally|perhaps|maybe|possibly)/i);
+            if (filler) {
+                findings.push(this.finding('signal/filler', word.index, filler[0], 'note',
+                    `"${filler[0]}" is filler: it adds tokens without changing the instruction`,
+                    [{ label: `Remove "${filler[0]}"`, ...this.removal(text, word.index, word.index + filler[0].length) }]));
+            }
+        });
 
-        // Count low-value words (filler)
-        const fillerWords = words.filter(word => {
-            return /^(very|really|quite|basically|actually|literally|perhaps|maybe|possibly)/i.test(word);
-        }).length;
+        const highValueWords = findings.filter(f => f.ruleId === 'signal/high-value').length;
+        const fillerWords = findings.filter(f => f.ruleId === 'signal/filler').length;
 
-        const density = totalWords > 0 ? 
-            ((highValueWords - fillerWords) / totalWords) * 100 + 50 : 50;
+        const density = ((highValueWords - fillerWords) / totalWords) * 100 + 50;
 
         return {
             density: Math.max(0, Math.min(100, Math.round(density))),
             highValueCount: highValueWords,
             fillerCount: fillerWords,
-            rating: this.rateDensity(density)
+            rating: this.rateDensity(density),
+            findings
         };
     },
 
@@ -264,169 +399,200 @@ const PromptAnalyzer = {
         return 'low';
     },
 
-    detectAltitude(text) {
+    altitudeMarkers: {
         // Too Low: Overly prescriptive, hardcoded logic
-        const lowMarkers = [
+        low: [
             /if .{5,30} then/gi,
             /when .{5,30} do/gi,
             /step \d+:/gi,
             /first .{5,20} second .{5,20} third/gi
-        ];
+        ],
 
         // Too High: Vague, no concrete guidance
-        const highMarkers = [
+        high: [
             /be helpful/gi,
             /do your best/gi,
             /be creative/gi,
             /be good/gi,
             /be professional(?! .{5,})/gi  // "be professional" alone without specifics
-        ];
+        ],
 
         // Just Right: Principle-based, specific but flexible
-        const goodMarkers = [
+        good: [
             /focus on/gi,
             /prioritize/gi,
             /ensure that/gi,
             /when (analyzing|writing|creating|reviewing)/gi,
             /must (include|contain|have|follow)/gi
-        ];
+        ]
+    },
 
-        let lowScore = 0;
-        let highScore = 0;
-        let goodScore = 0;
+    detectAltitude(text) {
+        const lowScore = this.findAltitudeMarkers(text, 'low').length;
+        const highScore = this.findAltitudeMarkers(text, 'high').length;
+        const goodScore = this.findAltitudeMarkers(text, 'good').length;
 
-        lowMarkers.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) lowScore += matches.length;
-        });
+        // Determine altitude
+        if (lowScore > 2) return 'too-low';
+        if (highScore > 2 && goodScore < 2) return 'too-high';
+        return 'just-right';
+    },
 
-        highMarkers.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) highScore += matches.length;
+    /**
+     * Altitude marker matches with their positions
+     * kind: 'low' | 'high' | 'good'
+     */
+    findAltitudeMarkers(text, kind) {
+        const found = [];
+        this.altitudeMarkers[kind].forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                found.push({ index: match.index, length: match[0].length, text: match[0] });
+            }
         });
+        return found.sort((a, b) => a.index - b.index);
+    },
 
-        goodMarkers.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) goodScore += matches.length;
+    /**
+     * Altitude findings: each marker, a warning when it decides the verdict
+     */
+    altitudeFindings(text) {
+        const altitude = this.detectAltitude(text);
+        const high = this.findAltitudeMarkers(text, 'high').map(marker => {
+            let better = this.altitudeRewrites[marker.text.toLowerCase()];
+            if (better && /^[A-Z]/.test(marker.text)) {
+                better = better[0].toUpperCase() + better.slice(1);
+            }
+            const fixes = better ? [{ label: `Replace with "${better}"`, replacement: better }] : [];
+            return this.finding('altitude/too-high', marker.index, marker.text, altitude === 'too-high' ? 'warning' : 'note',
+                `"${marker.text}" is vague: say what a good answer looks like instead`,
+                [...fixes, { label: 'Remove', ...this.removal(text, marker.index, marker.index + marker.length) }]);
         });
+        const low = this.findAltitudeMarkers(text, 'low').map(marker => this.finding(
+            'altitude/too-low', marker.index, marker.text, altitude === 'too-low' ? 'warning' : 'note',
+            'Hard-coded procedure: state the goal and the principle, and let the model choose the steps'
+        ));
+        const good = this.findAltitudeMarkers(text, 'good').map(marker => this.finding(
+            'altitude/just-right', marker.index, marker.text, 'info',
+            'Principle-based guidance: specific but flexible'
+        ));
+
+        return [...high, ...low, ...good];
+    },
 
-        // Determine altitude
-        if (lowScore > 2) return 'too-low';
-        if (highScore > 2 && goodScore < 2) return 'too-high';
-        return 'just-right';
+    // Concrete stand-ins for the vague (too-high) markers
+    altitudeRewrites: {
+        'be helpful': 'answer the question directly and completely',
+        'do your best': 'meet every requirement below',
+        'be creative': 'offer at least two original angles',
+        'be good': 'meet the quality bar described below',
+        'be professional': 'use a professional tone: clear, courteous and concise'
     },
 
     detectRedundancy(text) {
-        const sentences = text.split(/[.!?]+/).filter(s => s.trim());
+        const findings = [];
         let redundantPhrases = 0;
 
         // Check for repeated phrases (3+ words)
-        const phrases = [];
-        sentences.forEach(sentence => {
-            const words = sentence.trim().toLowerCase().split(/\s+/);
+        const phrases = new Set();
+        const message = repeat => `"${repeat}" repeats wording used earlier in the prompt`;
+        for (const sentence of text.matchAll(/[^.!?]+/g)) {
+            const words = [...sentence[0].matchAll(/\S+/g)];
             for (let i = 0; i < words.length - 2; i++) {
-                const phrase = words.slice(i, i + 3).join(' ');
-                if (phrases.includes(phrase)) {
-                    redundantPhrases++;
+                const phrase = words.slice(i, i + 3).map(w => w[0].toLowerCase()).join(' ');
+                const start = sentence.index + words[i].index;
+                const end = sentence.index + words[i + 2].index + words[i + 2][0].length;
+
+                if (!phrases.has(phrase)) {
+                    phrases.add(phrase);
+                    continue;
+                }
+                redundantPhrases++;
+
+                // Overlapping repeats ("a b c d" seen twice) become one finding
+                const last = findings[findings.length - 1];
+                if (last && start < last.end) {
+                    last.end = end;
+                    last.text = text.slice(last.start, end);
+                    last.message = message(last.text);
+                    Object.assign(last.fixes[0], this.removal(text, last.start, end));
                 } else {
-                    phrases.push(phrase);
+                    findings.push(this.finding('redundancy/repeated-phrase', start, text.slice(start, end), 'note',
+                        message(text.slice(start, end)),
+                        [{ label: 'Remove the repeat', ...this.removal(text, start, end) }]));
                 }
             }
-        });
+        }
 
         return {
             score: redundantPhrases,
-            level: redundantPhrases > 3 ? 'high' : redundantPhrases > 1 ? 'medium' : 'low'
+            level: redundantPhrases > 3 ? 'high' : redundantPhrases > 1 ? 'medium' : 'low',
+            findings
         };
     },
 
     /**
      * Model-Specific Fit Analysis
+     * Runs the model's fit rules (see PromptRules): each adds an issue or
+     * a strength, and each issue costs 15 points of compatibility.
+     * `issueFindings` maps an issue to the finding rule whose annotation
+     * marks its cause, for the issues that have one.
+     * Reasoning checks only run with showThinking (the Show Reasoning
+     * option), the only time the optimizer adds reasoning scaffolds
      */
-    analyzeModelFit(text, model) {
-        const modelAnalyzers = {
-            claude: this.analyzeClaudeFit,
-            gpt: this.analyzeGPTFit,
-            gemini: this.analyzeGeminiFit
-        };
-
-        const analyzer = modelAnalyzers[model] || modelAnalyzers.claude;
-        return analyzer.call(this, text);
-    },
-
-    analyzeClaudeFit(text) {
-        const issues = [];
-        const strengths = [];
-
-        // Claude 4.x needs explicit "go beyond" for creative tasks
-        if (this.isCreativeTask(text) && !this.hasExplicitRequest(text)) {
-            issues.push('Add explicit "go beyond basics" request for creative tasks');
-        }
-
-        // Should have motivation/context for complex instructions
-        if (text.length > 200 && !text.toLowerCase().includes('because')) {
-            issues.push('Add motivation/context for better Claude 4.x performance');
-        }
-
-        // Check for examples alignment
-        if (this.hasExamples(text)) {
-            strengths.push('Has examples (Claude 4.x pays close attention)');
-        }
-
-        // Check for thinking block
-        if (this.isAnalyticalTask(text) && !/<thinking>/i.test(text)) {
-            issues.push('Consider adding <thinking> block for analytical tasks');
-        }
-
-        return {
-            compatibility: Math.max(0, 100 - (issues.length * 15)),
-            strengths,
-            issues,
-            model: 'Claude 4.5'
-        };
-    },
-
-    analyzeGPTFit(text) {
+    analyzeModelFit(text, model, { showThinking = false } = {}) {
         const issues = [];
         const strengths = [];
+        const issueFindings = {};
+
+        PromptRules.select('model-fit', { model }).forEach(rule => {
+            const result = rule.detect(text, { model, showThinking });
+            if (!result) return;
+            if (result.strength) {
+                strengths.push(result.strength);
+            } else {
+                const issue = result.issue || rule.meta.title;
+                issues.push(issue);
+                if (result.finding) issueFindings[issue] = result.finding;
+            }
+        });
 
-        // GPT benefits from explicit step-by-step
-        if (!this.hasChainOfThought(text)) {
-            issues.push('Add step-by-step reasoning request');
-        }
-
-        // Check for format specification
-        if (!this.hasOutputFormat(text)) {
-            issues.push('GPT performs better with explicit format specification');
-        }
-
+        const fitModel = PromptRules.knowsModel(model) ? model : PromptRules.fallbackModel;
         return {
             compatibility: Math.max(0, 100 - (issues.length * 15)),
             strengths,
             issues,
-            model: 'GPT-5'
+            issueFindings,
+            model: ModelData[fitModel] ? ModelData[fitModel].name : fitModel
         };
     },
 
-    analyzeGeminiFit(text) {
-        const issues = [];
-        const strengths = [];
-
-        // Gemini needs grounding
-        if (!text.toLowerCase().includes('context') && text.length < 100) {
-            issues.push('Add context/grounding for Gemini');
-        }
-
-        // Check for boundaries
-        if (!this.hasConstraints(text)) {
-            issues.push('Gemini benefits from explicit boundaries');
-        }
+    /**
+     * Reasoning Visibility
+     * When a prompt asks for visible reasoning, the final answer needs its
+     * own clearly marked section so callers can strip the reasoning
+     */
+    reasoningRequests: [
+        /<thinking>/i,
+        /think (step.{0,3}by.{0,3}step|through)/i,
+        /show (your|each) (work|steps?|reasoning)/i,
+        /explain your (reasoning|thinking)/i,
+        /^#{1,6}\s*reasoning\b/im
+    ],
+
+    analyzeReasoning(text) {
+        const requested = this.reasoningRequests.some(p => p.test(text));
+
+        const styles = [
+            ['tags', /<answer>/i],
+            ['section', /^#{1,6}\s*(final\s+)?answer\b/im],
+            ['label', /final answer:/i]
+        ];
+        const delimiter = styles.find(([, pattern]) => pattern.test(text));
 
         return {
-            compatibility: Math.max(0, 100 - (issues.length * 15)),
-            strengths,
-            issues,
-            model: 'Gemini 3'
+            requested,
+            answerDelimited: Boolean(delimiter),
+            delimiter: delimiter ? delimiter[0] : null
         };
     },
 
@@ -451,53 +617,191 @@ const PromptAnalyzer = {
         return patterns.some(p => p.test(text));
     },
 
+    /**
+     * Annotations
+     * Character ranges in the prompt behind each finding, for highlighting:
+     *   { ruleId, start, end, text, severity, message, fixes }
+     * severity: 'warning' | 'note' | 'info' (strengths)
+     * A fix is { label, replacement } for the finding's range, or with its
+     * own start / end when it needs to touch more (e.g. a trailing space)
+     */
+    annotate(text, model = 'claude', styleGuide = PromptStyleGuides.active) {
+        if (!text || text.trim().length === 0) return [];
+
+        // Code, quotes and data aren't the prompt's own wording: no findings there
+        const regions = PromptRegions.find(text);
+
+        return PromptRules.select('finding', { model })
+            .flatMap(rule => rule.detect(text, { model, styleGuide }))
+            .filter(a => !PromptRegions.overlaps(regions, a.start, a.end))
+            .sort((a, b) => a.start - b.start || b.end - a.end);
+    },
+
+    finding(ruleId, start, text, severity, message, fixes = []) {
+        return { ruleId, start, end: start + text.length, text, severity, message, fixes };
+    },
+
+    reasoningFindings(text) {
+        const reasoning = this.analyzeReasoning(text);
+        if (!reasoning.requested || reasoning.answerDelimited) return [];
+
+        const match = this.reasoningRequests
+            .map(p => text.match(p))
+            .filter(Boolean)
+            .sort((a, b) => a.index - b.index)[0];
+        return [this.finding('reasoning/undelimited-answer', match.index, match[0], 'warning',
+            'Visible reasoning is requested but the final answer isn\'t delimited, so callers can\'t strip the reasoning',
+            [this.insertAfterLine(text, match.index, 'Put the final answer in <answer></answer> tags.', 'Add <answer> tags')])];
+    },
+
+    /**
+     * Model-fit issues that come from a word in the prompt (the rest are
+     * about something missing and have no range); Claude's checks
+     */
+    modelFitFindings(text) {
+        const findings = [];
+        const lower = text.toLowerCase();
+        const firstOf = words => words
+            .map(word => ({ word, index: lower.indexOf(word) }))
+            .filter(w => w.index >= 0)
+            .sort((a, b) => a.index - b.index)[0];
+
+        const creative = firstOf(['write', 'create', 'design', 'imagine', 'story', 'poem', 'article', 'blog']);
+        if (creative && !this.hasExplicitRequest(text)) {
+            findings.push(this.finding('model-fit/go-beyond', creative.index, text.substr(creative.index, creative.word.length), 'note',
+                'Creative task: Claude 4.x does what is asked, so ask explicitly for more than the basics',
+                [this.insertAfterLine(text, creative.index, 'Go beyond the basics to create a thorough, fully-featured result.', 'Ask to go beyond the basics')]));
+        }
+
+        const analytical = firstOf(['analyze', 'evaluate', 'assess', 'compare', 'review', 'examine']);
+        if (analytical && !/<thinking>/i.test(text)) {
+            findings.push(this.finding('model-fit/thinking', analytical.index, text.substr(analytical.index, analytical.word.length), 'note',
+                'Analytical task: Claude does better when it can think before answering',
+                [this.insertAfterLine(text, analytical.index, 'Think it through in <thinking> tags, then give the final answer in <answer> tags.', 'Add a <thinking> block')]));
+        }
+
+        return findings;
+    },
+
+    // Forbidden phrases of the team style guide, with its replacement or a removal
+    styleGuideFindings(text, styleGuide) {
+        return PromptStyleGuides.findForbidden(text, styleGuide).map(match => this.finding(
+            'style-guide/forbidden-phrase', match.index, match.text, 'warning', match.message,
+            match.replacement !== null
+                ? [{ label: `Replace with "${match.replacement}"`, replacement: match.replacement }]
+                : [{ label: 'Remove', ...this.removal(text, match.index, match.index + match.text.length) }]
+        ));
+    },
+
+    // Fix that removes a range plus one side of the whitespace around it
+    removal(text, start, end) {
+        const after = text.slice(end).match(/^[ \t]*/)[0].length;
+        const before = text.slice(0, start).match(/[ \t]*$/)[0].length;
+        const atWordStart = start === 0 || /\s/.test(text[start - 1]);
+
+        return after > 0 && atWordStart
+            ? { start, end: end + after, replacement: '' }
+            : { start: start - before, end, replacement: '' };
+    },
+
+    // Fix that adds a sentence on a new line after the line holding index
+    insertAfterLine(text, index, sentence, label) {
+        const lineEnd = text.indexOf('\n', index);
+        const at = lineEnd === -1 ? text.length : lineEnd;
+        return { label, start: at, end: at, replacement: `\n${sentence}` };
+    },
+
+    applyFix(text, annotation, fix) {
+        const start = fix.start !== undefined ? fix.start : annotation.start;
+        const end = fix.end !== undefined ? fix.end : annotation.end;
+        return text.slice(0, start) + fix.replacement + text.slice(end);
+    },
+
+    /**
+     * Team Compliance (see PromptStyleGuides.check)
+     */
+    analyzeCompliance(text, model, styleGuide) {
+        return PromptStyleGuides.check(text, styleGuide, { tokenCount: this.countTokens(text, model) });
+    },
+
     /**
      * Overall Score Calculation
+     * Weights, altitude scores and rating thresholds come from the scoring
+     * profile (see PromptScoring). `contributions` explain the score and
+     * `improvements` rank the changes that would raise it, biggest first
      */
-    calculateOverallScore(text, model) {
-        const components = this.analyzeComponents(text);
-        const contextEng = this.analyzeContextEngineering(text);
-        const modelFit = this.analyzeModelFit(text, model);
-
-        // Weighted scoring
-        const componentScore = components.score / 10; // 0-10
-        const efficiencyScore = contextEng.tokenEfficiency.efficiency / 10; // 0-10
-        const altitudeScore = contextEng.altitude === 'just-right' ? 10 : 
-                             contextEng.altitude === 'too-high' ? 5 : 3;
-        const modelScore = modelFit.compatibility / 10; // 0-10
-
-        const weights = {
-            components: 0.30,
-            efficiency: 0.25,
-            altitude: 0.25,
-            model: 0.20
-        };
+    calculateOverallScore(text, model, components = this.analyzeComponents(text, model), styleGuide = PromptStyleGuides.active, profile = PromptScoring.resolve(), modelFit = this.analyzeModelFit(text, model)) {
+        const contextEng = this.analyzeContextEngineering(text, model);
+        const compliance = styleGuide ? this.analyzeCompliance(text, model, styleGuide) : null;
+
+        const { score, contributions } = PromptScoring.combine({
+            components: components.score / 10, // 0-10
+            efficiency: contextEng.tokenEfficiency.efficiency / 10, // 0-10
+            altitude: contextEng.altitude,
+            modelFit: modelFit.compatibility / 10, // 0-10
+            compliance: compliance ? compliance.score / 10 : null // 0-10
+        }, profile, styleGuide);
 
-        const weighted = 
-            (componentScore * weights.components) +
-            (efficiencyScore * weights.efficiency) +
-            (altitudeScore * weights.altitude) +
-            (modelScore * weights.model);
+        const breakdown = Object.fromEntries(contributions.map(c => [c.id, c.score]));
 
         return {
-            score: Math.round(weighted * 10) / 10,
+            score: Math.round(score * 10) / 10,
             maxScore: 10,
-            rating: this.getScoreRating(weighted),
-            breakdown: {
-                components: componentScore,
-                efficiency: efficiencyScore,
-                altitude: altitudeScore,
-                modelFit: modelScore
-            }
+            rating: this.getScoreRating(score, profile),
+            breakdown,
+            profile: { id: profile.id, name: profile.name },
+            contributions,
+            improvements: this.scoreImprovements({ components, contextEng, modelFit, compliance }, contributions, profile)
         };
     },
 
-    getScoreRating(score) {
-        if (score >= 9) return { label: 'Excellent', color: '#10b981' };
-        if (score >= 7.5) return { label: 'Very Good', color: '#3b82f6' };
-        if (score >= 6) return { label: 'Good', color: '#8b5cf6' };
-        if (score >= 4) return { label: 'Fair', color: '#f59e0b' };
-        return { label: 'Needs Work', color: '#ef4444' };
+    getScoreRating(score, profile = PromptScoring.resolve()) {
+        return PromptScoring.rating(score, profile);
+    },
+
+    /**
+     * What would raise the score, one concrete change per dimension:
+     * [{ dimension, change, gain }] sorted by gain (points out of 10)
+     * Efficiency's target is the next rating band, not 100%
+     */
+    scoreImprovements({ components, contextEng, modelFit, compliance }, contributions, profile) {
+        const weight = id => (contributions.find(c => c.id === id) || { weight: 0 }).weight;
+        const improvements = [];
+        const add = (dimension, change, newScore) => {
+            const current = contributions.find(c => c.id === dimension);
+            const gain = current ? (newScore - current.score) * current.weight : 0;
+            if (gain > 0.005) {
+                improvements.push({ dimension, change, gain: Math.round(gain * 100) / 100 });
+            }
+        };
+
+        if (components.missing.length > 0 && components.total > 0) {
+            add('components', `Add ${components.missing[0]}`, ((components.presentCount + 1) / components.total) * 10);
+        }
+
+        const efficiency = contextEng.tokenEfficiency.efficiency;
+        const target = [50, 70, 85, 100].find(band => band > efficiency);
+        if (target) {
+            add('efficiency', `Raise token efficiency from ${efficiency}% to ${target}%: state requirements with must/never, label sections (Format:, Output:) and cut filler`, target / 10);
+        }
+
+        const altitude = contextEng.altitude;
+        if (altitude !== 'just-right' && weight('altitude') > 0) {
+            add('altitude', altitude === 'too-high'
+                ? 'Replace vague wording with specifics: numbers, formats and limits'
+                : 'Replace rigid if/then rules with guidelines and the reasoning behind them',
+                PromptScoring.altitudeScore('just-right', profile));
+        }
+
+        if (modelFit.issues.length > 0) {
+            add('modelFit', `Fix: ${modelFit.issues[0]}`, Math.min(100, modelFit.compatibility + 15) / 10);
+        }
+
+        if (compliance && compliance.failed.length > 0) {
+            add('compliance', compliance.failed[0].message, ((compliance.checks.length - compliance.failed.length + 1) / compliance.checks.length) * 10);
+        }
+
+        return improvements.sort((a, b) => b.gain - a.gain);
     },
 
     /**
@@ -506,9 +810,13 @@ const PromptAnalyzer = {
     getEmptyAnalysis() {
         return {
             tokenCount: 0,
+            tokenizer: { encoding: null, label: 'None', method: 'heuristic' },
+            budget: null,
+            caching: null,
             components: {
                 presentCount: 0,
-                missingCount: 10,
+                missingCount: PromptRules.select('component').length,
+                total: PromptRules.select('component').length,
                 score: 0,
                 missing: []
             },
@@ -521,13 +829,25 @@ const PromptAnalyzer = {
             modelFit: {
                 compatibility: 0,
                 strengths: [],
-                issues: []
+                issues: [],
+                issueFindings: {}
             },
             overallScore: {
                 score: 0,
                 maxScore: 10,
                 rating: { label: 'Waiting', color: '#6b7280' },
-                breakdown: {}
+                breakdown: {},
+                profile: null,
+                contributions: [],
+                improvements: []
+            },
+            compliance: null,
+            reasoning: { requested: false, answerDelimited: false, delimiter: null },
+            template: {
+                isTemplate: false,
+                variables: [],
+                placeholders: [],
+                sampleValues: {}
             }
         };
     },
@@ -601,8 +921,259 @@ const PromptAnalyzer = {
         });
 
         return questions.slice(0, 3); // Max 3 questions
+    },
+
+    /**
+     * Built-in Checks
+     * The analyzer's rules, registered with PromptRules below. `only` picks
+     * one rule's findings from a detector that reports several
+     */
+    coreRules() {
+        const only = (ruleId, detect) => text => detect(text).filter(f => f.ruleId === ruleId);
+        const missing = (has, issue) => text => (has(text) ? null : { issue });
+
+        return {
+            id: 'core-checks',
+            name: 'Built-in checks',
+            description: 'Anthropic 10-component framework, model fit and inline findings',
+            rules: [
+                // Framework components
+                ...[
+                    ['role', 'Role/Persona', 'Who the model should be: "You are a ... expert", "Act as ...", or a [ROLE] section', 'hasRole'],
+                    ['tone', 'Tone Context', 'The tone, style or voice of the answer (professional, casual, technical...)', 'hasTone'],
+                    ['background', 'Background Data', 'Context the model needs: a [BACKGROUND] / [CONTEXT] section, "Context:" or "Given that..."', 'hasBackground'],
+                    ['task', 'Task Description', 'A concrete request: write, create, analyze, summarize...', 'hasTask'],
+                    ['examples', 'Examples', 'An example of the expected output ("For example", "e.g.", [EXAMPLE])', 'hasExamples'],
+                    ['chainOfThought', 'Chain-of-Thought', 'A request to reason before answering ("think step by step", <thinking>)', 'hasChainOfThought'],
+                    ['outputFormat', 'Output Format', 'What the answer should look like: JSON, Markdown, a list, a length...', 'hasOutputFormat'],
+                    ['constraints', 'Constraints', 'Rules the answer must follow: "must", "never", "do not", [CONSTRAINTS]', 'hasConstraints'],
+                    ['prefill', 'Response Prefill', 'The opening words of the answer ("Begin with:" or [OUTPUT]:)', 'hasPrefill'],
+                    // Keyed xmlStructure for saved rule settings; it checks the model's structure
+                    ['xmlStructure', 'Structure', 'Sections in the model\'s preferred structure: XML tags, Markdown headings or [TASK]: labels', 'hasPreferredStructure']
+                ].map(([key, title, description, method]) => ({
+                    id: `component/${key}`,
+                    category: 'component',
+                    key,
+                    detect: (text, { model } = {}) => PromptAnalyzer[method](text, model),
+                    meta: { title, description }
+                })),
+
+                // Model fit: Claude (also used for models without fit rules of their own)
+                {
+                    id: 'fit/claude-go-beyond',
+                    category: 'model-fit',
+                    models: ['claude'],
+                    detect: text => (PromptAnalyzer.isCreativeTask(text) && !PromptAnalyzer.hasExplicitRequest(text)
+                        ? { issue: 'Add explicit "go beyond basics" request for creative tasks', finding: 'model-fit/go-beyond' }
+                        : null),
+                    meta: {
+                        title: 'Ask Claude to go beyond the basics',
+                        description: 'Claude 4.x does what is asked. Creative tasks need an explicit request for a thorough, fully-featured result.'
+                    }
+                },
+                {
+                    id: 'fit/claude-motivation',
+                    category: 'model-fit',
+                    models: ['claude'],
+                    detect: text => (text.length > 200 && !text.toLowerCase().includes('because')
+                        ? { issue: 'Add motivation/context for better Claude 4.x performance' }
+                        : null),
+                    meta: {
+                        title: 'Explain why',
+                        description: 'Longer prompts work better with Claude 4.x when they say why an instruction matters.'
+                    }
+                },
+                {
+                    id: 'fit/claude-examples',
+                    category: 'model-fit',
+                    models: ['claude'],
+                    detect: text => (PromptAnalyzer.hasExamples(text) ? { strength: 'Has examples (Claude 4.x pays close attention)' } : null),
+                    meta: {
+                        title: 'Examples',
+                        description: 'Claude 4.x follows examples closely, so having them is a strength.'
+                    }
+                },
+                {
+                    id: 'fit/claude-thinking',
+                    category: 'model-fit',
+                    models: ['claude'],
+                    detect: (text, { showThinking }) => (showThinking && PromptAnalyzer.isAnalyticalTask(text) && !/<thinking>/i.test(text)
+                        ? { issue: 'Consider adding <thinking> block for analytical tasks', finding: 'model-fit/thinking' }
+                        : null),
+                    meta: {
+                        title: 'Thinking block for analysis',
+                        description: 'With Show Reasoning on, analytical tasks (analyze, evaluate, compare...) go better when Claude can think in <thinking> tags first.'
+                    }
+                },
+
+                // Model fit: GPT
+                {
+                    id: 'fit/gpt-step-by-step',
+                    category: 'model-fit',
+                    models: ['gpt'],
+                    detect: (text, { showThinking }) => (showThinking && !PromptAnalyzer.hasChainOfThought(text)
+                        ? { issue: 'Add step-by-step reasoning request' }
+                        : null),
+                    meta: {
+                        title: 'Step-by-step reasoning',
+                        description: 'With Show Reasoning on, GPT models benefit from an explicit step-by-step reasoning request.'
+                    }
+                },
+                {
+                    id: 'fit/gpt-output-format',
+                    category: 'model-fit',
+                    models: ['gpt'],
+                    detect: missing(text => PromptAnalyzer.hasOutputFormat(text), 'GPT performs better with explicit format specification'),
+                    meta: {
+                        title: 'Explicit output format',
+                        description: 'GPT models follow an explicit output format more reliably.'
+                    }
+                },
+
+                // Model fit: Gemini
+                {
+                    id: 'fit/gemini-grounding',
+                    category: 'model-fit',
+                    models: ['gemini'],
+                    detect: text => (!text.toLowerCase().includes('context') && text.length < 100
+                        ? { issue: 'Add context/grounding for Gemini' }
+                        : null),
+                    meta: {
+                        title: 'Grounding context',
+                        description: 'Short prompts without context leave Gemini ungrounded.'
+                    }
+                },
+                {
+                    id: 'fit/gemini-boundaries',
+                    category: 'model-fit',
+                    models: ['gemini'],
+                    detect: missing(text => PromptAnalyzer.hasConstraints(text), 'Gemini benefits from explicit boundaries'),
+                    meta: {
+                        title: 'Explicit boundaries',
+                        description: 'Gemini benefits from explicit constraints on what to do and not do.'
+                    }
+                },
+
+                // Model fit: every model
+                {
+                    id: 'fit/answer-delimited',
+                    category: 'model-fit',
+                    detect: text => {
+                        const reasoning = PromptAnalyzer.analyzeReasoning(text);
+                        return reasoning.requested && !reasoning.answerDelimited
+                            ? {
+                                issue: 'Visible reasoning requested but the final answer isn\'t delimited (e.g. <answer> tags or a "Final answer" section)',
+                                finding: 'reasoning/undelimited-answer'
+                            }
+                            : null;
+                    },
+                    meta: {
+                        title: 'Delimited final answer',
+                        description: 'When a prompt asks for visible reasoning, the final answer needs its own marked section so callers can strip the reasoning.'
+                    }
+                },
+                {
+                    id: 'fit/preferred-structure',
+                    category: 'model-fit',
+                    detect: (text, { model }) => {
+                        const data = ModelData[model];
+                        if (!data || data.structure === 'xml' || !PromptAnalyzer.hasXMLStructure(text) || /^#{1,3} \S/m.test(text)) {
+                            return null;
+                        }
+                        return { issue: `${data.name} follows ${PromptModels.structures[data.structure].label} better than XML tags` };
+                    },
+                    meta: {
+                        title: 'Preferred structure',
+                        description: 'Each model declares how it likes prompts sectioned (XML tags, Markdown headings or plain text); XML sections on a Markdown or plain-text model are flagged.'
+                    }
+                },
+
+                // Inline findings
+                {
+                    id: 'efficiency/high-signal',
+                    category: 'finding',
+                    detect: text => PromptAnalyzer.findHighSignal(text),
+                    meta: { title: 'High-signal tokens', description: 'Marks concrete requirements, format and structure markers.' }
+                },
+                {
+                    id: 'signal/high-value',
+                    category: 'finding',
+                    detect: only('signal/high-value', text => PromptAnalyzer.calculateSignalDensity(text).findings),
+                    meta: { title: 'High-value words', description: 'Marks words that state a requirement or the expected output.' }
+                },
+                {
+                    id: 'signal/filler',
+                    category: 'finding',
+                    detect: only('signal/filler', text => PromptAnalyzer.calculateSignalDensity(text).findings),
+                    meta: {
+                        title: 'Filler words',
+                        description: 'Words like "really" or "basically" add tokens without changing the instruction.',
+                        example: { poor: '"Please write a really good summary"', good: '"Write a summary"' }
+                    }
+                },
+                {
+                    id: 'altitude/too-high',
+                    category: 'finding',
+                    detect: only('altitude/too-high', text => PromptAnalyzer.altitudeFindings(text)),
+                    meta: {
+                        title: 'Vague instructions',
+                        description: 'Phrases like "be helpful" or "do your best" give no concrete guidance.',
+                        example: { poor: '"Be helpful"', good: '"Answer the question directly and completely"' }
+                    }
+                },
+                {
+                    id: 'altitude/too-low',
+                    category: 'finding',
+                    detect: only('altitude/too-low', text => PromptAnalyzer.altitudeFindings(text)),
+                    meta: { title: 'Hard-coded procedures', description: 'Step-by-step scripts the model should be free to choose itself.' }
+                },
+                {
+                    id: 'altitude/just-right',
+                    category: 'finding',
+                    detect: only('altitude/just-right', text => PromptAnalyzer.altitudeFindings(text)),
+                    meta: { title: 'Principle-based guidance', description: 'Marks guidance that is specific but flexible.' }
+                },
+                {
+                    id: 'redundancy/repeated-phrase',
+                    category: 'finding',
+                    detect: text => PromptAnalyzer.detectRedundancy(text).findings,
+                    meta: { title: 'Repeated phrases', description: 'Wording already used earlier in the prompt.' }
+                },
+                {
+                    id: 'reasoning/undelimited-answer',
+                    category: 'finding',
+                    detect: text => PromptAnalyzer.reasoningFindings(text),
+                    meta: { title: 'Undelimited answer', description: 'Visible reasoning is requested but the final answer isn\'t marked.' }
+                },
+                {
+                    id: 'model-fit/go-beyond',
+                    category: 'finding',
+                    models: ['claude'],
+                    detect: only('model-fit/go-beyond', text => PromptAnalyzer.modelFitFindings(text)),
+                    meta: { title: 'Creative task without "go beyond"', description: 'Points at the creative verb and offers to add the request.' }
+                },
+                {
+                    id: 'model-fit/thinking',
+                    category: 'finding',
+                    models: ['claude'],
+                    detect: only('model-fit/thinking', text => PromptAnalyzer.modelFitFindings(text)),
+                    meta: { title: 'Analytical task without thinking', description: 'Points at the analytical verb and offers to add a <thinking> block.' }
+                },
+                {
+                    id: 'style-guide/forbidden-phrase',
+                    category: 'finding',
+                    detect: (text, { styleGuide }) => (styleGuide ? PromptAnalyzer.styleGuideFindings(text, styleGuide) : []),
+                    meta: { title: 'Forbidden phrase', description: 'A phrase the team style guide forbids, with its replacement when the guide names one.' }
+                }
+            ]
+        };
     }
 };
 
-// Make it available globally
-window.PromptAnalyzer = PromptAnalyzer;
+PromptRules.registerPack(PromptAnalyzer.coreRules(), { builtIn: true });
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptAnalyzer = PromptAnalyzer;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptAnalyzer;
+}
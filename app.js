@@ -6,8 +6,29 @@
 // CRITICAL: Check dependencies before starting
 (function checkDependencies() {
     const required = {
+        'Tokenizers': window.Tokenizers,
+        'PromptTemplates': window.PromptTemplates,
+        'PromptRegions': window.PromptRegions,
+        'PromptRules': window.PromptRules,
+        'PromptModels': window.PromptModels,
+        'PromptProjects': window.PromptProjects,
+        'PromptStyleGuides': window.PromptStyleGuides,
+        'PromptScoring': window.PromptScoring,
+        'PromptConversations': window.PromptConversations,
+        'PromptBudget': window.PromptBudget,
+        'PromptCosts': window.PromptCosts,
+        'PromptCaching': window.PromptCaching,
         'PromptAnalyzer': window.PromptAnalyzer,
+        'PromptEdits': window.PromptEdits,
         'PromptOptimizer': window.PromptOptimizer,
+        'PromptExporter': window.PromptExporter,
+        'PromptEvaluator': window.PromptEvaluator,
+        'PromptTestSuites': window.PromptTestSuites,
+        'PromptLibrary': window.PromptLibrary,
+        'PromptSearch': window.PromptSearch,
+        'PromptStore': window.PromptStore,
+        'PromptBatch': window.PromptBatch,
+        'PromptComparison': window.PromptComparison,
         'ModelData': window.ModelData,
         'TooltipContent': window.TooltipContent
     };
@@ -42,19 +63,65 @@ document.addEventListener('DOMContentLoaded', () => {
         analysis: null,
         optimizationResult: null,
         refinementAnswers: {},
+        templateValues: {},
+        resultSampleValues: {},
+        inputMode: 'single',
+        messages: [],
+        annotations: [],
+        dismissedAnnotations: new Set(),
         options: {
             level: 'standard',
             format: 'standard',
             concise: false,
             noPreamble: false,
-            showThinking: false
+            showThinking: false,
+            cacheLayout: false
         },
-        savedPrompts: JSON.parse(localStorage.getItem('promptOptimizer_saved') || '[]')
+        acceptedEdits: new Set(),
+        evaluation: null,
+        documentId: null,
+        savedVersion: null,
+        versionsDocId: null,
+        suiteEntryId: null,
+        suiteRun: null,
+        rerun: null,
+        // Compare Models: the prompt optimized for every model (see PromptComparison)
+        comparison: null,
+        comparisonRun: null,
+        // Batch optimization: prompts read from uploaded files, result rows
+        batch: { files: [], rows: [], settings: null, sort: { key: 'name', direction: 'asc' }, selection: new Set(), running: false },
+        evalSettings: JSON.parse(localStorage.getItem('promptOptimizer_eval') || 'null') || {
+            endpoint: PromptEvaluator.defaults.endpoint,
+            model: PromptEvaluator.defaults.model,
+            inputs: '',
+            assertions: [{ type: 'contains', value: '' }],
+            suiteAdapter: 'mock'
+        },
+        costSettings: PromptCosts.settings(JSON.parse(localStorage.getItem('promptOptimizer_costs') || '{}')),
+        // Loaded from PromptStore at start-up
+        savedPrompts: [],
+        libraryIndex: PromptSearch.createIndex(),
+        libraryQuery: {
+            text: '',
+            filters: { folder: '', tag: '', model: '', minScore: '', maxScore: '', from: '', to: '', favorite: false },
+            sort: '',
+            page: 1
+        },
+        librarySelection: new Set(),
+        detailsDocId: null,
+        projects: (JSON.parse(localStorage.getItem('promptOptimizer_projects') || 'null') || [PromptProjects.defaultProject()])
+            .map(project => PromptProjects.normalize(project)),
+        projectId: localStorage.getItem('promptOptimizer_project') || 'default'
     };
 
     // DOM Elements
     const promptInput = document.getElementById('initial-prompt');
-    const modelCards = document.querySelectorAll('.model-card');
+    const annotatedInput = document.getElementById('annotated-input');
+    const annotationLayer = document.getElementById('annotation-layer');
+    const annotationPopover = document.getElementById('annotation-popover');
+    const annotationList = document.getElementById('annotation-list');
+    const modelGrid = document.getElementById('model-grid');
+    const modelsFile = document.getElementById('models-file');
     const nextBtn = document.getElementById('next-btn');
     const backBtn = document.getElementById('back-btn');
     const steps = document.querySelectorAll('.step-container');
@@ -69,6 +136,20 @@ document.addEventListener('DOMContentLoaded', () => {
     const libraryBtn = document.getElementById('library-btn');
     const infoModal = document.getElementById('info-modal');
     const libraryModal = document.getElementById('library-modal');
+    const libraryFile = document.getElementById('library-file');
+    const libraryFolder = document.getElementById('library-folder');
+    const libraryTag = document.getElementById('library-tag');
+    const libraryModelFilter = document.getElementById('library-model');
+    const librarySort = document.getElementById('library-sort');
+    const detailsModal = document.getElementById('details-modal');
+    const suiteModal = document.getElementById('suite-modal');
+    const versionsModal = document.getElementById('versions-modal');
+    const rerunModal = document.getElementById('rerun-modal');
+    const batchBtn = document.getElementById('batch-btn');
+    const batchModal = document.getElementById('batch-modal');
+    const batchFile = document.getElementById('batch-file');
+    const rulesBtn = document.getElementById('rules-btn');
+    const rulesModal = document.getElementById('rules-modal');
     const modalCloses = document.querySelectorAll('.modal-close');
     const modalOverlays = document.querySelectorAll('.modal-overlay');
 
@@ -80,6 +161,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const scoreMessage = document.getElementById('score-message');
     const scoreRingFill = document.getElementById('score-ring-fill');
     const tokenCounter = document.querySelector('.token-counter');
+    const conversationBreakdown = document.getElementById('conversation-breakdown');
+    const complianceBreakdown = document.getElementById('compliance-breakdown');
+    const cachingBreakdown = document.getElementById('caching-breakdown');
+    const scoreExplanation = document.getElementById('score-explanation');
+
+    // Conversation Editor
+    const modeBtns = document.querySelectorAll('.mode-btn');
+    const messageEditor = document.getElementById('message-editor');
+    const messageList = document.getElementById('message-list');
+    const addMessageBtn = document.getElementById('add-message-btn');
 
     // Metrics
     const metricEfficiency = document.getElementById('metric-efficiency');
@@ -88,6 +179,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const metricComponents = document.getElementById('metric-components');
     const barEfficiency = document.getElementById('bar-efficiency');
     const barSignal = document.getElementById('bar-signal');
+    const metricBudget = document.getElementById('metric-budget');
+    const barBudget = document.getElementById('bar-budget');
+    const budgetWarning = document.getElementById('budget-warning');
     const altitudeIndicator = document.getElementById('altitude-indicator');
     const componentList = document.getElementById('component-list');
 
@@ -100,15 +194,27 @@ document.addEventListener('DOMContentLoaded', () => {
     const optConcise = document.getElementById('opt-concise');
     const optNoPreamble = document.getElementById('opt-no-preamble');
     const optShowThinking = document.getElementById('opt-show-thinking');
+    const optCacheLayout = document.getElementById('opt-cache-layout');
+    const compressOptions = document.getElementById('compress-options');
+    const compressTarget = document.getElementById('compress-target');
 
     // Step 4
     const improvementScore = document.getElementById('improvement-score');
     const improvementEfficiency = document.getElementById('improvement-efficiency');
     const improvementCost = document.getElementById('improvement-cost');
     const techniquesList = document.getElementById('techniques-list');
+    const compressionReport = document.getElementById('compression-report');
     const viewBtns = document.querySelectorAll('.view-btn');
     const comparisonView = document.getElementById('comparison-view');
     const optimizedView = document.getElementById('optimized-view');
+    const trackedView = document.getElementById('tracked-view');
+    const trackedViewBtn = document.getElementById('tracked-view-btn');
+    const modelsView = document.getElementById('models-view');
+    const compareFrom = document.getElementById('compare-from');
+    const compareTo = document.getElementById('compare-to');
+    const trackedPreview = document.getElementById('tracked-preview');
+    const editList = document.getElementById('edit-list');
+    const editsSummary = document.getElementById('edits-summary');
     const originalPreview = document.getElementById('original-preview');
     const optimizedPreview = document.getElementById('optimized-preview');
     const finalPreview = document.getElementById('final-preview');
@@ -116,7 +222,60 @@ document.addEventListener('DOMContentLoaded', () => {
     const optimizedTokens = document.getElementById('optimized-tokens');
     const copyOptimizedBtn = document.getElementById('copy-optimized-btn');
     const saveToLibraryBtn = document.getElementById('save-to-library-btn');
+    const saveNewBtn = document.getElementById('save-new-btn');
     const copyToast = document.getElementById('copy-toast');
+    const templatePanel = document.getElementById('template-panel');
+    const templateFields = document.getElementById('template-fields');
+    const templatePreview = document.getElementById('template-preview');
+    const templateScore = document.getElementById('template-score');
+    const templateTokens = document.getElementById('template-tokens');
+    const copyFilledBtn = document.getElementById('copy-filled-btn');
+    const exportFormatSelect = document.getElementById('export-format');
+    const exportPreview = document.getElementById('export-preview');
+    const costSummary = document.getElementById('cost-summary');
+    const costCalls = document.getElementById('cost-calls');
+    const costOutput = document.getElementById('cost-output');
+    const costCached = document.getElementById('cost-cached');
+    const costBatch = document.getElementById('cost-batch');
+    const costTable = document.getElementById('cost-table');
+    const evalEndpoint = document.getElementById('eval-endpoint');
+    const evalModel = document.getElementById('eval-model');
+    const evalApiKey = document.getElementById('eval-api-key');
+    const evalInputs = document.getElementById('eval-inputs');
+    const evalAssertions = document.getElementById('eval-assertions');
+    const evalResults = document.getElementById('eval-results');
+    const evalSummary = document.getElementById('eval-summary');
+    const runEvalBtn = document.getElementById('run-eval-btn');
+
+    // Version History Elements
+    const versionsName = document.getElementById('versions-name');
+    const versionsChart = document.getElementById('versions-chart');
+    const versionList = document.getElementById('version-list');
+    const diffFrom = document.getElementById('diff-from');
+    const diffTo = document.getElementById('diff-to');
+    const diffField = document.getElementById('diff-field');
+    const diffStats = document.getElementById('diff-stats');
+    const diffView = document.getElementById('diff-view');
+
+    // Test Suite Elements
+    const suitePrompt = document.getElementById('suite-prompt');
+    const suiteAdapter = document.getElementById('suite-adapter');
+    const runSuiteBtn = document.getElementById('run-suite-btn');
+    const suiteHistory = document.getElementById('suite-history');
+    const suiteAssertions = document.getElementById('suite-assertions');
+    const suiteCases = document.getElementById('suite-cases');
+    const suiteResults = document.getElementById('suite-results');
+
+    // Rules & Projects Elements
+    const projectSelect = document.getElementById('project-select');
+    const projectFile = document.getElementById('project-file');
+    const packFile = document.getElementById('pack-file');
+    const styleGuideFile = document.getElementById('style-guide-file');
+    const styleGuideInfo = document.getElementById('style-guide-info');
+    const scoringProfileSelect = document.getElementById('scoring-profile-select');
+    const scoringEditor = document.getElementById('scoring-editor');
+    const rulePacks = document.getElementById('rule-packs');
+    const ruleList = document.getElementById('rule-list');
 
     // Tooltip
     const tooltip = document.getElementById('tooltip');
@@ -131,7 +290,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Verify critical elements
         const criticalElements = {
             promptInput: promptInput,
-            modelCards: modelCards,
+            modelGrid: modelGrid,
             nextBtn: nextBtn,
             backBtn: backBtn,
             scoreValue: scoreValue
@@ -153,6 +312,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         try {
+            loadModels();
+            renderModels();
+            console.log(`✓ Models loaded: ${Object.keys(ModelData).length}`);
+
+            applyProject();
+            console.log(`✓ Rule project applied: ${activeProject().name}`);
+
+            loadLibrary();
+
             setupEventListeners();
             console.log('✓ Event listeners set up');
             
@@ -161,7 +329,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             updateStepDisplay();
             console.log('✓ Step display updated');
-            
+
             // Initialize Lucide icons
             if (typeof lucide !== 'undefined') {
                 lucide.createIcons();
@@ -199,25 +367,39 @@ document.addEventListener('DOMContentLoaded', () => {
             showModal(libraryModal);
             renderLibrary();
         });
+        rulesBtn.addEventListener('click', () => {
+            showModal(rulesModal);
+            renderRules();
+        });
+        batchBtn.addEventListener('click', openBatch);
         modalCloses.forEach(btn => btn.addEventListener('click', closeModals));
         modalOverlays.forEach(overlay => overlay.addEventListener('click', closeModals));
 
         // Model Selection
-        modelCards.forEach(card => {
-            card.addEventListener('click', () => {
-                modelCards.forEach(c => c.classList.remove('selected'));
-                card.classList.add('selected');
-                state.selectedModel = card.dataset.model;
-                if (state.analysis) {
-                    analyzePrompt();
-                }
-            });
+        modelGrid.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove-model]');
+            if (remove) {
+                removeModel(remove.dataset.removeModel);
+                return;
+            }
+            const card = e.target.closest('.model-card');
+            if (!card) return;
+            selectModel(card.dataset.model);
         });
+        document.getElementById('import-models-btn').addEventListener('click', () => modelsFile.click());
+        modelsFile.addEventListener('change', () => readJsonFile(modelsFile, data => {
+            const models = PromptModels.fromFile(data);
+            saveModels();
+            renderModels();
+            showToast(`Imported ${models.map(m => m.name).join(', ')}`);
+        }));
 
         // Prompt Input - Real-time Analysis
-        let analyzeTimeout;
         promptInput.addEventListener('input', (e) => {
             console.log('⌨️ Input detected:', e.target.value.length, 'characters');
+            // Highlights are stale until the next analysis
+            annotationLayer.innerHTML = highlightAnnotations(promptInput.value, []);
+            hideAnnotationPopover();
             clearTimeout(analyzeTimeout);
             analyzeTimeout = setTimeout(() => {
                 state.originalPrompt = promptInput.value;
@@ -229,6 +411,39 @@ document.addEventListener('DOMContentLoaded', () => {
         // Add a test to verify event is working
         console.log('✓ Input event listener attached to:', promptInput.id || promptInput);
 
+        // Inline Annotations
+        promptInput.addEventListener('scroll', syncAnnotationLayer);
+        annotationLayer.addEventListener('mouseover', (e) => {
+            const mark = e.target.closest('mark');
+            if (mark) showAnnotationPopover(mark);
+        });
+        annotationLayer.addEventListener('mouseout', scheduleHideAnnotationPopover);
+        annotationLayer.addEventListener('click', (e) => {
+            // Marks sit above the textarea: a click still places the caret
+            const mark = e.target.closest('mark');
+            if (!mark) return;
+            promptInput.focus();
+            promptInput.setSelectionRange(Number(mark.dataset.start), Number(mark.dataset.start));
+        });
+        annotationPopover.addEventListener('mouseover', () => clearTimeout(popoverTimeout));
+        annotationPopover.addEventListener('mouseout', scheduleHideAnnotationPopover);
+        annotationPopover.addEventListener('click', handleAnnotationAction);
+        annotationList.addEventListener('click', handleAnnotationAction);
+        annotationList.addEventListener('mouseover', (e) => highlightAnnotation(e.target.closest('.annotation-item')));
+        annotationList.addEventListener('mouseout', () => highlightAnnotation(null));
+
+        // Single prompt / conversation
+        modeBtns.forEach(btn => {
+            btn.addEventListener('click', () => setInputMode(btn.dataset.mode));
+        });
+
+        addMessageBtn.addEventListener('click', () => {
+            const last = state.messages[state.messages.length - 1];
+            state.messages.push({ role: last && last.role === 'user' ? 'assistant' : 'user', content: '' });
+            renderMessageEditor();
+            messageList.querySelector('.message-item:last-child textarea').focus();
+        });
+
         // Toggle Analysis Details
         if (toggleAnalysis) {
             toggleAnalysis.addEventListener('click', () => {
@@ -264,8 +479,13 @@ document.addEventListener('DOMContentLoaded', () => {
                     card.classList.remove('selected');
                 });
                 radio.closest('.radio-card').classList.add('selected');
+                updateCompressOptions();
             });
         });
+        compressTarget.addEventListener('input', () => {
+            const target = Number(compressTarget.value);
+            state.options.targetTokens = target > 0 ? target : undefined;
+        });
 
         outputFormatSelect.addEventListener('change', () => {
             state.options.format = outputFormatSelect.value;
@@ -279,8 +499,14 @@ document.addEventListener('DOMContentLoaded', () => {
             state.options.noPreamble = optNoPreamble.checked;
         });
 
+        // The reasoning fit checks depend on it, so the analysis is redone
         optShowThinking.addEventListener('change', () => {
             state.options.showThinking = optShowThinking.checked;
+            if (state.analysis) analyzePrompt();
+        });
+
+        optCacheLayout.addEventListener('change', () => {
+            state.options.cacheLayout = optCacheLayout.checked;
         });
 
         // Step 4 - View Toggle
@@ -289,31 +515,511 @@ document.addEventListener('DOMContentLoaded', () => {
                 viewBtns.forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 
-                if (btn.dataset.view === 'side-by-side') {
-                    comparisonView.classList.remove('hidden');
-                    optimizedView.classList.add('hidden');
-                } else {
-                    comparisonView.classList.add('hidden');
-                    optimizedView.classList.remove('hidden');
-                }
+                comparisonView.classList.toggle('hidden', btn.dataset.view !== 'side-by-side');
+                optimizedView.classList.toggle('hidden', btn.dataset.view !== 'optimized-only');
+                trackedView.classList.toggle('hidden', btn.dataset.view !== 'tracked');
+                modelsView.classList.toggle('hidden', btn.dataset.view !== 'models');
+                if (btn.dataset.view === 'models') showComparison();
             });
         });
 
+        // Step 4 - Compare Models
+        document.getElementById('compare-table').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-use-model]');
+            if (button) useComparedModel(button.dataset.useModel);
+        });
+        [compareFrom, compareTo].forEach(select => select.addEventListener('change', renderComparisonDiff));
+
+        // Step 4 - Tracked Changes
+        trackedPreview.addEventListener('click', (e) => {
+            const change = e.target.closest('[data-edit]');
+            if (change) toggleEdit(Number(change.dataset.edit));
+        });
+        editList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-edit]');
+            if (button) toggleEdit(Number(button.dataset.edit));
+        });
+        document.getElementById('accept-all-btn').addEventListener('click', () => {
+            setAcceptedEdits(new Set(state.optimizationResult.edits.map(e => e.id)));
+        });
+        document.getElementById('reject-all-btn').addEventListener('click', () => setAcceptedEdits(new Set()));
+
         // Copy & Save
         copyOptimizedBtn.addEventListener('click', () => copyToClipboard(state.optimizedPrompt));
+        copyFilledBtn.addEventListener('click', () => copyToClipboard(templatePreview.textContent));
         document.getElementById('copy-prompt-btn')?.addEventListener('click', () => copyToClipboard(state.optimizedPrompt));
-        saveToLibraryBtn.addEventListener('click', saveToLibrary);
-        document.getElementById('save-prompt-btn')?.addEventListener('click', saveToLibrary);
+        saveToLibraryBtn.addEventListener('click', () => saveToLibrary());
+        saveNewBtn.addEventListener('click', () => saveToLibrary({ asNew: true }));
+        document.getElementById('save-prompt-btn')?.addEventListener('click', () => saveToLibrary());
         document.getElementById('download-prompt-btn')?.addEventListener('click', downloadPrompt);
 
+        // Export
+        exportFormatSelect.addEventListener('change', updateExportPreview);
+        document.getElementById('copy-export-btn').addEventListener('click', () => copyToClipboard(exportPreview.textContent));
+        document.getElementById('download-export-btn').addEventListener('click', downloadExport);
+
+        // Costs
+        [costCalls, costOutput, costCached, costBatch].forEach(input => input.addEventListener('input', saveCostSettings));
+
+        // Evaluation
+        [evalEndpoint, evalModel, evalInputs].forEach(input => input.addEventListener('input', saveEvalSettings));
+        document.getElementById('add-assertion-btn').addEventListener('click', () => {
+            state.evalSettings.assertions.push({ type: 'contains', value: '' });
+            saveEvalSettings();
+            renderAssertions();
+        });
+        runEvalBtn.addEventListener('click', runEvaluation);
+
+        // Version History
+        [diffFrom, diffTo, diffField].forEach(select => select.addEventListener('change', renderVersionDiff));
+
+        // Test Suites
+        suiteAdapter.addEventListener('change', () => {
+            state.evalSettings.suiteAdapter = suiteAdapter.value;
+            saveEvalSettings();
+        });
+        runSuiteBtn.addEventListener('click', runSuite);
+        document.getElementById('download-suite-btn').addEventListener('click', () => {
+            const entry = suiteEntry();
+            downloadFile(JSON.stringify(PromptTestSuites.toFile(entry), null, 2), `prompt-suite-${entry.id}.json`, 'application/json');
+        });
+        document.getElementById('add-suite-assertion-btn').addEventListener('click', () => {
+            suiteEntry().suite.assertions.push({ type: 'contains', value: '' });
+            persistSuite();
+            renderAssertionRows(suiteAssertions, suiteEntry().suite.assertions, persistSuite);
+        });
+        document.getElementById('add-case-btn').addEventListener('click', () => {
+            const suite = suiteEntry().suite;
+            suite.cases.push({ name: `Case ${suite.cases.length + 1}`, input: '', assertions: [] });
+            persistSuite();
+            renderSuiteCases();
+            suiteCases.querySelector('.suite-case:last-child textarea').focus();
+        });
+
+        // Rules & Projects
+        projectSelect.addEventListener('change', () => {
+            state.projectId = projectSelect.value;
+            projectChanged();
+        });
+        document.getElementById('new-project-btn').addEventListener('click', () => {
+            const name = prompt('Project name:');
+            if (!name) return;
+            const project = PromptProjects.create(name.trim());
+            state.projects.push(project);
+            state.projectId = String(project.id);
+            projectChanged();
+        });
+        document.getElementById('export-project-btn').addEventListener('click', () => {
+            const project = activeProject();
+            downloadFile(JSON.stringify(PromptProjects.toFile(project), null, 2), `prompt-project-${project.id}.json`, 'application/json');
+        });
+        document.getElementById('import-project-btn').addEventListener('click', () => projectFile.click());
+        document.getElementById('load-pack-btn').addEventListener('click', () => packFile.click());
+        document.getElementById('load-style-guide-btn').addEventListener('click', () => styleGuideFile.click());
+        projectFile.addEventListener('change', () => readJsonFile(projectFile, data => {
+            const project = { ...PromptProjects.fromFile(data), id: Date.now() };
+            state.projects.push(project);
+            state.projectId = String(project.id);
+            projectChanged();
+            showToast(`Imported project ${project.name}`);
+        }));
+        packFile.addEventListener('change', () => readJsonFile(packFile, pack => {
+            PromptProjects.addPack(activeProject(), pack);
+            projectChanged();
+            showToast(`Loaded rule pack ${pack.name || pack.id}`);
+        }));
+        styleGuideFile.addEventListener('change', () => readTextFile(styleGuideFile, (text, file) => {
+            const guide = PromptStyleGuides.parse(text, file.name);
+            PromptProjects.setStyleGuide(activeProject(), guide);
+            projectChanged();
+            showToast(`Loaded style guide ${activeProject().styleGuide.name}`);
+        }));
+        styleGuideInfo.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-remove-style-guide]')) return;
+            PromptProjects.setStyleGuide(activeProject(), null);
+            projectChanged();
+        });
+        scoringProfileSelect.addEventListener('change', () => {
+            PromptProjects.setScoringProfile(activeProject(), scoringProfileSelect.value);
+            projectChanged();
+        });
+        document.getElementById('new-scoring-profile-btn').addEventListener('click', () => {
+            const name = prompt('Scoring profile name:');
+            if (!name) return;
+            const { weights, altitude, thresholds } = PromptScoring.resolve();
+            saveScoringProfile({ id: `custom-${Date.now()}`, name: name.trim(), weights, altitude, thresholds });
+        });
+        document.getElementById('remove-scoring-profile-btn').addEventListener('click', () => {
+            PromptProjects.removeScoringProfile(activeProject(), PromptScoring.resolve().id);
+            projectChanged();
+        });
+        scoringEditor.addEventListener('change', () => {
+            const profile = PromptScoring.resolve();
+            const field = selector => [...scoringEditor.querySelectorAll(selector)];
+            const value = input => (input.value === '' ? NaN : Number(input.value));
+            saveScoringProfile({
+                ...profile,
+                weights: Object.fromEntries(field('[data-weight]').map(input => [input.dataset.weight, value(input) / 100])),
+                altitude: Object.fromEntries(field('[data-altitude]').map(input => [input.dataset.altitude, value(input)])),
+                thresholds: field('[data-threshold]').map((row, i) => ({
+                    label: row.querySelector('[type="text"]').value,
+                    min: value(row.querySelector('[type="number"]')),
+                    color: profile.thresholds[i].color
+                }))
+            });
+        });
+        rulePacks.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-pack]');
+            if (!button) return;
+            PromptProjects.removePack(activeProject(), button.dataset.pack);
+            projectChanged();
+        });
+        ruleList.addEventListener('change', (e) => {
+            if (!e.target.dataset.rule) return;
+            PromptProjects.setRuleEnabled(activeProject(), e.target.dataset.rule, e.target.checked);
+            projectChanged();
+        });
+
         // Library
         document.getElementById('clear-library-btn')?.addEventListener('click', clearLibrary);
         document.getElementById('library-search')?.addEventListener('input', (e) => {
-            renderLibrary(e.target.value);
+            setLibraryQuery({ text: e.target.value });
+        });
+        [libraryFolder, libraryTag, libraryModelFilter].forEach(select => select.addEventListener('change', () => {
+            state.libraryQuery.filters[select.dataset.filter] = select.value;
+            setLibraryQuery({});
+        }));
+        [['library-min-score', 'minScore'], ['library-max-score', 'maxScore'], ['library-from', 'from'], ['library-to', 'to']].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                state.libraryQuery.filters[key] = e.target.value;
+                setLibraryQuery({});
+            });
+        });
+        document.getElementById('library-favorites').addEventListener('change', (e) => {
+            state.libraryQuery.filters.favorite = e.target.checked;
+            setLibraryQuery({});
+        });
+        librarySort.addEventListener('change', () => setLibraryQuery({ sort: librarySort.value }));
+        document.getElementById('library-prev').addEventListener('click', () => {
+            state.libraryQuery.page--;
+            renderLibrary();
+        });
+        document.getElementById('library-next').addEventListener('click', () => {
+            state.libraryQuery.page++;
+            renderLibrary();
+        });
+        document.getElementById('library-list').addEventListener('click', (e) => {
+            const favorite = e.target.closest('[data-favorite]');
+            const folder = e.target.closest('[data-filter-folder]');
+            const tag = e.target.closest('[data-filter-tag]');
+            if (favorite) {
+                const doc = state.savedPrompts.find(p => p.id === Number(favorite.dataset.favorite));
+                PromptLibrary.setDetails(doc, { favorite: !doc.favorite });
+                persistLibrary(doc);
+                renderLibrary();
+            } else if (folder) {
+                state.libraryQuery.filters.folder = folder.dataset.filterFolder;
+                setLibraryQuery({});
+            } else if (tag) {
+                state.libraryQuery.filters.tag = tag.dataset.filterTag.toLowerCase();
+                setLibraryQuery({});
+            }
+        });
+        document.getElementById('save-details-btn').addEventListener('click', saveDetails);
+        document.getElementById('details-back-btn').addEventListener('click', backToLibrary);
+        document.getElementById('rerun-back-btn').addEventListener('click', () => window.openVersions(state.rerun.docId));
+        document.getElementById('open-rerun-btn').addEventListener('click', openRerun);
+
+        // Batch
+        document.getElementById('batch-upload-btn').addEventListener('click', () => batchFile.click());
+        batchFile.addEventListener('change', readBatchFiles);
+        document.getElementById('run-batch-btn').addEventListener('click', runBatch);
+        document.getElementById('batch-save-btn').addEventListener('click', saveBatch);
+        document.getElementById('batch-jsonl-btn').addEventListener('click', () => {
+            downloadFile(PromptBatch.toJsonl(batchSelection()), `batch-results-${Date.now()}.jsonl`, 'application/x-ndjson');
+        });
+        document.getElementById('batch-csv-btn').addEventListener('click', () => {
+            downloadFile(PromptBatch.toCsv(batchSelection()), `batch-results-${Date.now()}.csv`, 'text/csv');
+        });
+        document.getElementById('batch-table').addEventListener('click', (e) => {
+            const header = e.target.closest('[data-batch-sort]');
+            if (!header) return;
+            const { sort } = state.batch;
+            const key = header.dataset.batchSort;
+            sort.direction = sort.key === key ? (sort.direction === 'asc' ? 'desc' : 'asc') : (key === 'name' ? 'asc' : 'desc');
+            sort.key = key;
+            renderBatch();
+        });
+        document.getElementById('batch-table').addEventListener('change', (e) => {
+            if (e.target.dataset.batchSelect === undefined) return;
+            const rows = e.target.dataset.batchSelect === 'all'
+                ? state.batch.rows.filter(row => !row.error)
+                : [state.batch.rows[Number(e.target.dataset.batchSelect)]];
+            rows.forEach(row => (e.target.checked ? state.batch.selection.add(row) : state.batch.selection.delete(row)));
+            renderBatch();
         });
+        document.getElementById('library-list').addEventListener('change', (e) => {
+            const id = Number(e.target.dataset.librarySelect);
+            if (!id) return;
+            if (e.target.checked) {
+                state.librarySelection.add(id);
+            } else {
+                state.librarySelection.delete(id);
+            }
+        });
+        document.getElementById('import-library-btn').addEventListener('click', () => libraryFile.click());
+        libraryFile.addEventListener('change', importLibraryFiles);
+        document.getElementById('export-library-btn').addEventListener('click', () => {
+            const docs = librarySelection();
+            if (docs.length === 0) return;
+            downloadFile(JSON.stringify(PromptLibrary.toFile(docs), null, 2), `prompt-library-${Date.now()}.json`, 'application/json');
+            showToast(`Exported ${docs.length} prompt${docs.length === 1 ? '' : 's'}`);
+        });
+        document.getElementById('export-markdown-btn').addEventListener('click', () => {
+            const docs = librarySelection();
+            const taken = new Set();
+            docs.forEach(doc => downloadFile(PromptLibrary.toMarkdown(doc), PromptLibrary.markdownName(doc, taken), 'text/markdown'));
+            if (docs.length > 0) {
+                showToast(`Exported ${docs.length} Markdown file${docs.length === 1 ? '' : 's'}`);
+            }
+        });
+    }
+
+    let analyzeTimeout;
+    let popoverTimeout;
+
+    /**
+     * Conversation Editor
+     * Messages live in state.messages; originalPrompt holds their transcript
+     */
+    function setInputMode(mode) {
+        state.inputMode = mode;
+        modeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+        promptInput.classList.toggle('hidden', mode === 'conversation');
+        annotatedInput.classList.toggle('hidden', mode === 'conversation');
+        messageEditor.classList.toggle('hidden', mode !== 'conversation');
+
+        if (mode === 'conversation') {
+            if (state.messages.every(m => !m.content.trim())) {
+                const text = promptInput.value;
+                state.messages = PromptConversations.parse(text) || [
+                    { role: 'system', content: '' },
+                    { role: 'user', content: text }
+                ];
+            }
+            renderMessageEditor();
+        } else {
+            state.originalPrompt = promptInput.value;
+        }
+
+        analyzePrompt();
+    }
+
+    function renderMessageEditor() {
+        messageList.innerHTML = state.messages.map((m, i) => `
+            <div class="message-item" data-index="${i}">
+                <div class="message-item-header">
+                    <select class="select-input message-role">
+                        ${PromptConversations.roles.map(role => `
+                            <option value="${role}" ${role === m.role ? 'selected' : ''}>${PromptConversations.labels[role]}</option>
+                        `).join('')}
+                    </select>
+                    <span class="token-badge message-tokens"></span>
+                    <button class="icon-btn message-remove" title="Remove Message">
+                        <i data-lucide="trash-2"></i>
+                    </button>
+                </div>
+                <textarea class="message-content" placeholder="${m.role === 'assistant' ? 'Assistant reply, or the opening words of the response (prefill)' : `${PromptConversations.labels[m.role]} message`}"></textarea>
+            </div>
+        `).join('');
+
+        messageList.querySelectorAll('.message-item').forEach(item => {
+            const index = Number(item.dataset.index);
+            const textarea = item.querySelector('.message-content');
+            textarea.value = state.messages[index].content;
+
+            item.querySelector('.message-role').addEventListener('change', (e) => {
+                state.messages[index].role = e.target.value;
+                renderMessageEditor();
+                analyzePrompt();
+            });
+
+            textarea.addEventListener('input', (e) => {
+                state.messages[index].content = e.target.value;
+                clearTimeout(analyzeTimeout);
+                analyzeTimeout = setTimeout(analyzePrompt, 300);
+            });
+
+            item.querySelector('.message-remove').addEventListener('click', () => {
+                state.messages.splice(index, 1);
+                renderMessageEditor();
+                analyzePrompt();
+            });
+        });
+
+        updateMessageTokens();
+        lucide.createIcons();
+    }
+
+    function updateMessageTokens() {
+        messageList.querySelectorAll('.message-item').forEach(item => {
+            const message = state.messages[Number(item.dataset.index)];
+            const badge = item.querySelector('.message-tokens');
+            badge.textContent = `${PromptAnalyzer.countTokens(message.content, state.selectedModel)} tokens`;
+        });
+    }
+
+    function renderConversationBreakdown(analysis) {
+        if (!analysis.conversation) {
+            conversationBreakdown.classList.add('hidden');
+            return;
+        }
+
+        const { roles, issues } = analysis.conversation;
+        conversationBreakdown.classList.remove('hidden');
+        conversationBreakdown.innerHTML = `
+            <div class="metric-name">Score by Role</div>
+            ${PromptConversations.roles.filter(role => roles[role]).map(role => `
+                <div class="role-score">
+                    <span class="role-score-name">${PromptConversations.labels[role]}</span>
+                    <span class="role-score-value">${roles[role].score.toFixed(1)}/10 · ${roles[role].messages} msg · ${roles[role].tokenCount} tokens</span>
+                </div>
+            `).join('')}
+            ${issues.length > 0 ? `<ul class="conversation-issues">${issues.map(issue => `<li>${issue}</li>`).join('')}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Prompt Caching - shown for prompts with dynamic sections: each
+     * section, the stable prefix now and in the recommended order, and
+     * what reordering saves at the cost calculator's volume
+     */
+    function renderCachingBreakdown(caching) {
+        if (!caching || !caching.sections.some(s => s.dynamic)) {
+            cachingBreakdown.classList.add('hidden');
+            return;
+        }
+
+        const saving = caching.cost.savings > 0
+            ? `<li>Cache-Friendly Layout (step 3) saves about ${PromptCosts.format(caching.cost.savings)}/month at ${state.costSettings.callsPerMonth.toLocaleString('en-US')} calls</li>`
+            : '';
+        cachingBreakdown.classList.remove('hidden');
+        cachingBreakdown.innerHTML = `
+            <div class="metric-header">
+                <span class="metric-name">Prompt Caching</span>
+                <button class="info-icon" data-tooltip="prompt-caching">
+                    <i data-lucide="help-circle"></i>
+                </button>
+            </div>
+            <div class="role-score">
+                <span class="role-score-name">Stable prefix</span>
+                <span class="role-score-value">${caching.prefix.current} of ${caching.tokens} tokens${caching.reorder ? ` · ${caching.prefix.recommended} reordered` : ''}</span>
+            </div>
+            ${caching.sections.map(section => `
+                <div class="role-score${section.dynamic ? ' dynamic' : ''}">
+                    <span class="role-score-name">${section.dynamic ? 'Dynamic' : 'Static'} · ${escapeHtml(section.title)}</span>
+                    <span class="role-score-value">${section.tokens} tokens</span>
+                </div>
+            `).join('')}
+            ${caching.issues.length > 0 || saving ? `<ul class="conversation-issues">${caching.issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}${saving}</ul>` : ''}
+        `;
+
+        const icon = cachingBreakdown.querySelector('.info-icon');
+        icon.addEventListener('mouseenter', (e) => showTooltip(e, 'prompt-caching'));
+        icon.addEventListener('mouseleave', hideTooltip);
+        lucide.createIcons();
+    }
+
+    function renderComplianceBreakdown(analysis) {
+        if (!analysis.compliance) {
+            complianceBreakdown.classList.add('hidden');
+            return;
+        }
+
+        const { guide, score, checks, failed } = analysis.compliance;
+        complianceBreakdown.classList.remove('hidden');
+        complianceBreakdown.innerHTML = `
+            <div class="metric-header">
+                <span class="metric-name">Team Compliance</span>
+                <button class="info-icon" data-tooltip="compliance">
+                    <i data-lucide="help-circle"></i>
+                </button>
+            </div>
+            <div class="role-score">
+                <span class="role-score-name">${escapeHtml(guide)}</span>
+                <span class="role-score-value">${score}% · ${checks.length - failed.length}/${checks.length} checks</span>
+            </div>
+            ${failed.length > 0 ? `<ul class="conversation-issues">${failed.map(check => `<li>${escapeHtml(check.message)}</li>`).join('')}</ul>` : ''}
+        `;
+
+        const icon = complianceBreakdown.querySelector('.info-icon');
+        icon.addEventListener('mouseenter', (e) => showTooltip(e, 'compliance'));
+        icon.addEventListener('mouseleave', hideTooltip);
+        lucide.createIcons();
+    }
+
+    /**
+     * Context Budget - prompt plus expected output against the model's
+     * recommended budget (see PromptBudget)
+     */
+    function renderBudget(budget) {
+        budgetWarning.classList.toggle('hidden', !budget || !budget.issue);
+        if (!budget) {
+            metricBudget.textContent = '--';
+            metricBudget.title = '';
+            barBudget.style.width = '0%';
+            return;
+        }
+
+        const color = budget.status !== 'ok' ? '#ef4444' : budget.usage >= 75 ? '#f59e0b' : '#10b981';
+        const output = budget.expectedOutput;
+        metricBudget.textContent = `${budget.usage}%`;
+        metricBudget.style.color = color;
+        metricBudget.title = `${PromptBudget.format(budget.promptTokens)} prompt + ${PromptBudget.format(output.tokens)} output tokens`
+            + `${output.phrase ? ` ("${output.phrase}")` : ''} of ${PromptBudget.format(budget.promptBudget)}`
+            + ` (context window ${PromptBudget.format(budget.contextWindow)})`;
+        barBudget.style.width = `${Math.min(budget.usage, 100)}%`;
+        barBudget.style.backgroundColor = color;
+
+        if (budget.issue) {
+            budgetWarning.innerHTML = `
+                <i data-lucide="alert-triangle"></i>
+                <span>${escapeHtml(budget.issue)}. Try the Compress level in step 3.</span>
+            `;
+            lucide.createIcons();
+        }
+    }
+
+    function renderScoreExplanation(analysis) {
+        const { profile, contributions, improvements } = analysis.overallScore;
+        if (contributions.length === 0) {
+            scoreExplanation.classList.add('hidden');
+            return;
+        }
+
+        scoreExplanation.classList.remove('hidden');
+        scoreExplanation.innerHTML = `
+            <div class="metric-name">Why This Score · ${escapeHtml(profile.name)}</div>
+            ${contributions.map(c => `
+                <div class="role-score">
+                    <span class="role-score-name">${c.label}</span>
+                    <span class="role-score-value">${c.score.toFixed(1)}/10 × ${Math.round(c.weight * 100)}% = ${c.points.toFixed(2)}</span>
+                </div>
+            `).join('')}
+            ${improvements.length > 0 ? `
+                <ul class="conversation-issues">
+                    ${improvements.slice(0, 3).map(item => `<li><span class="score-gain">+${item.gain.toFixed(2)}</span>${escapeHtml(item.change)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
     }
 
     function analyzePrompt() {
+        if (state.inputMode === 'conversation') {
+            state.originalPrompt = PromptConversations.format(PromptConversations.normalize(state.messages));
+            updateMessageTokens();
+        }
+
         const text = state.originalPrompt;
         
         console.log('🔍 Analyzing prompt...', {
@@ -330,7 +1036,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         try {
-            state.analysis = PromptAnalyzer.analyze(text, state.selectedModel);
+            state.analysis = analyzeOriginal(state.templateValues);
             console.log('✓ Analysis complete:', {
                 score: state.analysis.overallScore.score,
                 tokens: state.analysis.tokenCount,
@@ -347,6 +1053,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // The original prompt or conversation, scored with `sampleValues` for
+    // its template variables
+    function analyzeOriginal(sampleValues) {
+        const options = { sampleValues, costs: state.costSettings, showThinking: state.options.showThinking };
+        return state.inputMode === 'conversation'
+            ? PromptAnalyzer.analyzeConversation(state.messages, state.selectedModel, options)
+            : PromptAnalyzer.analyze(state.originalPrompt, state.selectedModel, options);
+    }
+
     function updateAnalysisUI(analysis) {
         const score = analysis.overallScore.score;
         const rating = analysis.overallScore.rating;
@@ -376,7 +1091,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Token Count
-        tokenCounter.textContent = `${analysis.tokenCount} tokens`;
+        tokenCounter.textContent = formatTokens(analysis);
+        tokenCounter.title = analysis.tokenizer ? analysis.tokenizer.label : '';
 
         // Detailed Metrics
         const eff = analysis.contextEngineering.tokenEfficiency;
@@ -397,9 +1113,186 @@ document.addEventListener('DOMContentLoaded', () => {
         updateAltitudeIndicator(alt);
 
         const comp = analysis.components;
-        metricComponents.textContent = `${comp.presentCount}/10`;
-        metricComponents.style.color = comp.presentCount >= 7 ? '#10b981' : comp.presentCount >= 4 ? '#f59e0b' : '#ef4444';
+        const present = comp.total > 0 ? comp.presentCount / comp.total : 0;
+        metricComponents.textContent = `${comp.presentCount}/${comp.total}`;
+        metricComponents.style.color = present >= 0.7 ? '#10b981' : present >= 0.4 ? '#f59e0b' : '#ef4444';
         updateComponentList(comp);
+
+        renderBudget(analysis.budget);
+
+        renderConversationBreakdown(analysis);
+        renderCachingBreakdown(analysis.caching);
+        renderComplianceBreakdown(analysis);
+        renderScoreExplanation(analysis);
+        renderAnnotations(analysis);
+    }
+
+    /**
+     * Inline Annotations
+     * analysis.annotations highlighted over #initial-prompt. The layer
+     * mirrors the textarea's text so marks line up with the words; only the
+     * marks take pointer events, for the hover card with quick fixes
+     */
+    function renderAnnotations(analysis) {
+        const current = state.inputMode === 'single' && promptInput.value === state.originalPrompt;
+        state.annotations = current
+            ? (analysis.annotations || []).filter(a => !state.dismissedAnnotations.has(annotationKey(a)))
+            : [];
+
+        annotationLayer.innerHTML = highlightAnnotations(promptInput.value, state.annotations);
+        syncAnnotationLayer();
+        hideAnnotationPopover();
+        renderAnnotationList();
+    }
+
+    // Dismissals follow the wording, so they survive edits elsewhere
+    function annotationKey(annotation) {
+        return `${annotation.ruleId}:${annotation.text.toLowerCase()}`;
+    }
+
+    function highlightAnnotations(text, annotations) {
+        const bounds = [...new Set([0, text.length, ...annotations.flatMap(a => [a.start, a.end])])].sort((a, b) => a - b);
+        let html = '';
+
+        for (let i = 0; i < bounds.length - 1; i++) {
+            const from = bounds[i];
+            const to = bounds[i + 1];
+            const segment = escapeHtml(text.slice(from, to));
+            const covering = annotations
+                .map((a, index) => ({ a, index }))
+                .filter(({ a }) => a.start <= from && a.end >= to);
+
+            if (covering.length === 0) {
+                html += segment;
+                continue;
+            }
+
+            const severity = ['warning', 'note', 'info'].find(level => covering.some(({ a }) => a.severity === level));
+            html += `<mark class="annotation annotation-${severity}" data-start="${from}" data-annotations="${covering.map(c => c.index).join(',')}">${segment}</mark>`;
+        }
+
+        // Keeps a trailing newline's empty line, as the textarea does
+        return `${html} `;
+    }
+
+    function syncAnnotationLayer() {
+        annotationLayer.scrollTop = promptInput.scrollTop;
+        // Wrap at the same width when the textarea shows a scrollbar
+        const scrollbar = promptInput.offsetWidth - promptInput.clientWidth - 4;
+        annotationLayer.style.paddingRight = scrollbar > 0 ? `calc(1rem + ${scrollbar}px)` : '';
+    }
+
+    function annotationCard(annotation, index) {
+        return `
+            <div class="annotation-rule">
+                <span class="annotation-dot annotation-${annotation.severity}"></span>
+                ${annotation.ruleId}
+            </div>
+            <p class="annotation-message">${escapeHtml(annotation.message)}</p>
+            <div class="annotation-fixes">
+                ${annotation.fixes.map((fix, f) => `
+                    <button class="annotation-fix" data-annotation="${index}" data-fix="${f}">${escapeHtml(fix.label)}</button>
+                `).join('')}
+                <button class="annotation-dismiss" data-annotation="${index}">Dismiss</button>
+            </div>
+        `;
+    }
+
+    function showAnnotationPopover(mark) {
+        clearTimeout(popoverTimeout);
+        const indexes = mark.dataset.annotations.split(',').map(Number);
+
+        annotationPopover.innerHTML = indexes
+            .map(i => `<div class="annotation-card">${annotationCard(state.annotations[i], i)}</div>`)
+            .join('');
+        annotationPopover.style.top = `${mark.offsetTop - annotationLayer.scrollTop + mark.offsetHeight + 6}px`;
+        annotationPopover.style.left = `${Math.max(0, Math.min(mark.offsetLeft, annotatedInput.clientWidth - 320))}px`;
+        annotationPopover.classList.remove('hidden');
+        highlightAnnotation(null, indexes);
+    }
+
+    function scheduleHideAnnotationPopover() {
+        clearTimeout(popoverTimeout);
+        popoverTimeout = setTimeout(hideAnnotationPopover, 250);
+    }
+
+    function hideAnnotationPopover() {
+        clearTimeout(popoverTimeout);
+        annotationPopover.classList.add('hidden');
+        highlightAnnotation(null);
+    }
+
+    function renderAnnotationList() {
+        const findings = state.annotations
+            .map((annotation, index) => ({ annotation, index }))
+            .filter(({ annotation }) => annotation.severity !== 'info');
+        const strengths = state.annotations.length - findings.length;
+        const dismissed = state.dismissedAnnotations.size;
+
+        if (findings.length === 0 && dismissed === 0) {
+            annotationList.classList.add('hidden');
+            annotationList.innerHTML = '';
+            return;
+        }
+
+        annotationList.classList.remove('hidden');
+        annotationList.innerHTML = `
+            <div class="annotation-list-header">
+                <span>${findings.length} finding(s) in the text${strengths > 0 ? ` · ${strengths} strength(s) underlined` : ''}</span>
+                ${dismissed > 0 ? `<button class="annotation-restore">Show ${dismissed} dismissed</button>` : ''}
+            </div>
+            ${findings.map(({ annotation, index }) => `
+                <div class="annotation-item" data-annotation="${index}">
+                    <button class="annotation-excerpt" data-select="${index}">"${escapeHtml(annotation.text.length > 40 ? `${annotation.text.substring(0, 37)}...` : annotation.text)}"</button>
+                    ${annotationCard(annotation, index)}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    function highlightAnnotation(item, indexes = item ? [Number(item.dataset.annotation)] : []) {
+        annotationLayer.querySelectorAll('mark').forEach(mark => {
+            const covered = mark.dataset.annotations.split(',').map(Number);
+            mark.classList.toggle('active', covered.some(i => indexes.includes(i)));
+        });
+    }
+
+    function handleAnnotationAction(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.classList.contains('annotation-restore')) {
+            state.dismissedAnnotations.clear();
+            analyzePrompt();
+            return;
+        }
+
+        if (button.dataset.select !== undefined) {
+            const annotation = state.annotations[Number(button.dataset.select)];
+            promptInput.focus();
+            promptInput.setSelectionRange(annotation.start, annotation.end);
+            return;
+        }
+
+        const annotation = state.annotations[Number(button.dataset.annotation)];
+        if (!annotation) return;
+
+        if (button.classList.contains('annotation-dismiss')) {
+            state.dismissedAnnotations.add(annotationKey(annotation));
+        } else if (button.classList.contains('annotation-fix')) {
+            const fix = annotation.fixes[Number(button.dataset.fix)];
+            promptInput.value = PromptAnalyzer.applyFix(promptInput.value, annotation, fix);
+            state.originalPrompt = promptInput.value;
+            console.log(`🩹 Applied fix: ${fix.label} [${annotation.ruleId}]`);
+        }
+
+        hideAnnotationPopover();
+        analyzePrompt();
+    }
+
+    // Counts are estimates (see Tokenizers)
+    function formatTokens(analysis) {
+        return `${analysis.tokenCount > 0 ? '~' : ''}${analysis.tokenCount} tokens`;
     }
 
     function getRatingColor(rating) {
@@ -456,7 +1349,8 @@ document.addEventListener('DOMContentLoaded', () => {
             { key: 'constraints', label: 'Constraints' }
         ];
 
-        componentList.innerHTML = items.map(item => `
+        // Turned-off component rules aren't checked
+        componentList.innerHTML = items.filter(item => typeof components[item.key] === 'boolean').map(item => `
             <div style="display: flex; align-items: center; gap: 6px; font-size: 0.75rem; margin-top: 4px;">
                 ${icons[components[item.key]]}
                 <span>${item.label}</span>
@@ -473,6 +1367,7 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if (state.currentStep === 2) {
             // Collect answers
             collectRefinementAnswers();
+            updateCompressOptions();
         } else if (state.currentStep === 3) {
             // Perform optimization
             performOptimization();
@@ -531,7 +1426,7 @@ document.addEventListener('DOMContentLoaded', () => {
         `).join('');
 
         // Add listeners
-        document.querySelectorAll('.question-input').forEach(input => {
+        dynamicQuestions.querySelectorAll('.question-input').forEach(input => {
             input.addEventListener('input', (e) => {
                 state.refinementAnswers[e.target.dataset.id] = e.target.value;
             });
@@ -543,32 +1438,84 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function performOptimization() {
-        // Merge refinement answers into prompt context
-        let contextPrompt = state.originalPrompt;
-        if (Object.keys(state.refinementAnswers).length > 0) {
-            contextPrompt += '\n\n[ADDITIONAL CONTEXT]:\n';
-            for (const [key, value] of Object.entries(state.refinementAnswers)) {
-                if (value) {
-                    contextPrompt += `- ${key}: ${value}\n`;
-                }
-            }
+        const options = optimizerOptions();
+        // Scored with the same sample values as the result, as a re-run is
+        state.analysis = analyzeOriginal(options.sampleValues);
+
+        // Perform optimization, with the refinement answers as added context
+        if (state.inputMode === 'conversation') {
+            // Answers refine the request, so they go on the last user turn
+            state.optimizationResult = PromptOptimizer.optimizeConversation(
+                PromptOptimizer.withAnswers(PromptConversations.normalize(state.messages), state.refinementAnswers),
+                state.analysis,
+                state.selectedModel,
+                state.options.level,
+                options
+            );
+        } else {
+            state.optimizationResult = PromptOptimizer.optimize(
+                PromptOptimizer.withAnswers(state.originalPrompt, state.refinementAnswers),
+                state.analysis,
+                state.selectedModel,
+                state.options.level,
+                options
+            );
         }
 
-        // Perform optimization
-        state.optimizationResult = PromptOptimizer.optimize(
-            contextPrompt,
-            state.analysis,
-            state.selectedModel,
-            state.options.level,
-            state.options
-        );
-
         state.optimizedPrompt = state.optimizationResult.optimized;
+        state.acceptedEdits = new Set((state.optimizationResult.edits || []).map(e => e.id));
+        state.evaluation = null;
+        state.savedVersion = null;
+        state.comparison = null;
+        state.comparisonRun = null;
 
         // Update results UI
         updateResultsUI();
     }
 
+    // The sample values are copied: the result is scored with the values at
+    // this run, which is what a saved session records
+    function optimizerOptions() {
+        state.resultSampleValues = { ...state.templateValues };
+        return resultOptions();
+    }
+
+    // The options the current result was optimized with
+    function resultOptions() {
+        return { ...state.options, sampleValues: state.resultSampleValues, costs: state.costSettings };
+    }
+
+    // The target field shows the automatic target until one is typed
+    function updateCompressOptions() {
+        const compress = state.options.level === 'compress';
+        compressOptions.classList.toggle('hidden', !compress);
+        if (compress && state.analysis) {
+            const auto = PromptBudget.target(state.analysis.tokenCount, state.originalPrompt, state.selectedModel);
+            compressTarget.placeholder = `Automatic: ${auto} of ${state.analysis.tokenCount} tokens`;
+        }
+    }
+
+    function renderCompressionReport(compression) {
+        if (!compression) {
+            compressionReport.classList.add('hidden');
+            return;
+        }
+
+        const kinds = { duplicate: 'Near-duplicate', example: 'Example detail', background: 'Background' };
+        compressionReport.classList.remove('hidden');
+        compressionReport.innerHTML = `
+            <div class="role-score">
+                <span class="role-score-name">Compression${compression.reached ? '' : ' (target not reached)'}</span>
+                <span class="role-score-value">${compression.before} → ${compression.after} tokens · target ${compression.target}</span>
+            </div>
+            ${compression.dropped.length > 0 ? `
+                <ul class="conversation-issues">
+                    ${compression.dropped.map(d => `<li><strong>${kinds[d.kind]}:</strong> ${escapeHtml(d.text)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
     function updateResultsUI() {
         const result = state.optimizationResult;
         const improvements = result.improvements;
@@ -582,12 +1529,11 @@ document.addEventListener('DOMContentLoaded', () => {
             `+${improvements.efficiencyChange}%` : `${improvements.efficiencyChange}%`;
         improvementEfficiency.style.color = improvements.efficiencyChange >= 0 ? '#10b981' : '#ef4444';
 
-        improvementCost.textContent = `$${improvements.costPerCall}`;
-        improvementCost.style.color = '#6b7280';
+        renderCostChange(improvements.cost);
 
         // Techniques
         techniquesList.innerHTML = result.techniques.map(tech => `
-            <div class="technique-item">
+            <div class="technique-item${tech.rejected ? ' rejected' : ''}" title="${tech.rejected ? 'All of its edits were rejected' : ''}">
                 <div class="technique-icon">
                     <i data-lucide="check"></i>
                 </div>
@@ -598,90 +1544,794 @@ document.addEventListener('DOMContentLoaded', () => {
             </div>
         `).join('');
 
+        renderCompressionReport(result.compression);
+
         // Prompts
         originalPreview.textContent = result.original;
         optimizedPreview.textContent = result.optimized;
         finalPreview.textContent = result.optimized;
 
         // Token counts
-        originalTokens.textContent = `${state.analysis.tokenCount} tokens`;
-        optimizedTokens.textContent = `${result.newAnalysis.tokenCount} tokens`;
+        originalTokens.textContent = formatTokens(state.analysis);
+        optimizedTokens.textContent = formatTokens(result.newAnalysis);
+        originalTokens.title = state.analysis.tokenizer.label;
+        optimizedTokens.title = result.newAnalysis.tokenizer.label;
+
+        renderTemplatePanel();
+        renderTrackedChanges();
+        renderExportMenu();
+        renderCostPanel();
+        renderEvalPanel();
+        updateSaveButtons();
+        if (!modelsView.classList.contains('hidden')) {
+            showComparison();
+        }
 
         lucide.createIcons();
     }
 
-    function copyToClipboard(text) {
-        navigator.clipboard.writeText(text).then(() => {
-            copyToast.classList.add('show');
-            setTimeout(() => {
-                copyToast.classList.remove('show');
-            }, 2000);
-        });
+    /**
+     * Tracked Changes
+     * The optimizer's edits over the original prompt. Accepting or
+     * rejecting one rebuilds the result (PromptOptimizer.withEdits)
+     */
+    function renderTrackedChanges() {
+        const { edits, pieces } = state.optimizationResult;
+
+        // Conversations are restructured as a whole, without edits
+        trackedViewBtn.classList.toggle('hidden', !pieces);
+        if (!pieces) {
+            if (!trackedView.classList.contains('hidden')) {
+                viewBtns[0].click();
+            }
+            return;
+        }
+
+        const accepted = state.acceptedEdits;
+        editsSummary.textContent = `${accepted.size} of ${edits.length} edits accepted`;
+
+        trackedPreview.innerHTML = pieces.map(piece => {
+            const text = escapeHtml(piece.text);
+            if (PromptEdits.isVisible(piece, accepted)) {
+                if (piece.insertedBy !== null) return `<ins data-edit="${piece.insertedBy}" title="#${piece.insertedBy} - click to reject">${text}</ins>`;
+                if (piece.deletedBy !== null) return `<span class="edit-rejected" data-edit="${piece.deletedBy}" title="#${piece.deletedBy} rejected - click to accept">${text}</span>`;
+                return text;
+            }
+            if (piece.insertedBy !== null && !accepted.has(piece.insertedBy)) {
+                return `<ins class="edit-rejected" data-edit="${piece.insertedBy}" title="#${piece.insertedBy} rejected - click to accept">${text}</ins>`;
+            }
+            return `<del data-edit="${piece.deletedBy}" title="#${piece.deletedBy} - click to reject">${text}</del>`;
+        }).join('');
+
+        const excerpt = text => escapeHtml(text.length > 120 ? `${text.substring(0, 117)}...` : text);
+        editList.innerHTML = edits.map(edit => {
+            const isAccepted = accepted.has(edit.id);
+            return `
+                <div class="edit-item${isAccepted ? '' : ' rejected'}">
+                    <div class="edit-header">
+                        <span class="edit-number">#${edit.id}</span>
+                        <span class="edit-technique">${escapeHtml(edit.technique)}</span>
+                        ${edit.dependsOn.length > 0 ? `<span class="edit-depends">builds on ${edit.dependsOn.map(id => `#${id}`).join(', ')}</span>` : ''}
+                        <button class="library-btn eval-add-btn" data-edit="${edit.id}">
+                            <i data-lucide="${isAccepted ? 'x' : 'check'}"></i>
+                            ${isAccepted ? 'Reject' : 'Accept'}
+                        </button>
+                    </div>
+                    <div class="edit-change">
+                        ${edit.before ? `<del>${excerpt(edit.before)}</del>` : ''}
+                        ${edit.after ? `<ins>${excerpt(edit.after)}</ins>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
     }
 
-    function saveToLibrary() {
-        if (!state.optimizedPrompt) return;
+    function toggleEdit(id) {
+        const accept = !state.acceptedEdits.has(id);
+        setAcceptedEdits(PromptEdits.decide(state.optimizationResult.edits, state.acceptedEdits, id, accept));
+    }
 
-        const prompt = {
-            id: Date.now(),
-            original: state.originalPrompt,
-            optimized: state.optimizedPrompt,
-            model: state.selectedModel,
-            score: state.optimizationResult.newAnalysis.overallScore.score,
-            date: new Date().toISOString()
-        };
+    function setAcceptedEdits(accepted) {
+        state.acceptedEdits = accepted;
+        state.optimizationResult = PromptOptimizer.withEdits(
+            state.optimizationResult,
+            accepted,
+            state.analysis,
+            state.selectedModel,
+            resultOptions()
+        );
+        state.optimizedPrompt = state.optimizationResult.optimized;
 
-        state.savedPrompts.unshift(prompt);
-        localStorage.setItem('promptOptimizer_saved', JSON.stringify(state.savedPrompts));
+        // A different prompt: earlier eval results and saves don't apply
+        state.evaluation = null;
+        state.savedVersion = null;
 
-        copyToast.querySelector('span')?.textContent = 'Saved to library!';
-        copyToast.classList.add('show');
-        setTimeout(() => {
-            copyToast.classList.remove('show');
-        }, 2000);
+        updateResultsUI();
     }
 
-    function downloadPrompt() {
-        const blob = new Blob([state.optimizedPrompt], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `optimized-prompt-${Date.now()}.txt`;
-        a.click();
-        URL.revokeObjectURL(url);
+    /**
+     * Compare Models
+     * The prompt optimized for every registered model with the step 3
+     * options and the refinement answers, one model per tick so the page
+     * keeps up. The comparison is kept until the result's inputs change
+     */
+    function showComparison() {
+        if (state.comparison) {
+            renderComparison();
+        } else if (!state.comparisonRun) {
+            runComparison();
+        }
     }
 
-    function renderLibrary(searchTerm = '') {
-        const libraryList = document.getElementById('library-list');
-        const libraryEmpty = document.getElementById('library-empty');
+    async function runComparison() {
+        const input = state.inputMode === 'conversation' ? PromptConversations.normalize(state.messages) : state.originalPrompt;
+        const settings = {
+            level: state.options.level,
+            options: resultOptions(),
+            answers: state.refinementAnswers
+        };
+        const models = Object.keys(ModelData);
+        const status = document.getElementById('compare-status');
+        const run = {};
+
+        state.comparisonRun = run;
+        const rows = [];
+        for (const id of models) {
+            status.textContent = `Optimizing for ${ModelData[id].name} (${rows.length + 1} of ${models.length})...`;
+            await new Promise(resolve => setTimeout(resolve));
+            if (state.comparisonRun !== run) return;
+            rows.push(PromptComparison.run(input, id, settings));
+        }
+        state.comparisonRun = null;
+
+        state.comparison = PromptComparison.summarize(rows, settings.options);
+        renderComparison();
+        console.log(`✓ Compared ${rows.length} models`);
+    }
+
+    function renderComparison() {
+        const { models, portable, groups } = state.comparison;
+        const name = id => ModelData[id] ? ModelData[id].name : id;
+        const list = names => (names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]);
+        const best = models.find(row => row.id === portable);
+
+        document.getElementById('compare-status').textContent = `${models.length} models`;
+        document.getElementById('compare-table').innerHTML = `
+            <thead>
+                <tr>
+                    <th>Model</th>
+                    <th>Fit</th>
+                    <th>Score</th>
+                    <th>Tokens</th>
+                    <th>Cost / Month</th>
+                    <th>Portable Fit</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${models.map(row => `
+                    <tr class="${row.id === state.selectedModel ? 'selected' : ''}">
+                        <td>${escapeHtml(row.name)}${row.id === portable ? '<span class="token-badge highlight">Portable</span>' : ''}</td>
+                        <td title="${escapeHtml(row.fit.after.strengths.join('\n'))}">${row.fit.before.compatibility}% → ${row.fit.after.compatibility}%</td>
+                        <td>${row.score.before.toFixed(1)} → ${row.score.after.toFixed(1)}</td>
+                        <td title="${escapeHtml(row.result.newAnalysis.tokenizer.label)}">${row.tokens.before} → ${row.tokens.after}</td>
+                        <td title="${row.cost.optimized.inputTokens} + ${row.cost.optimized.outputTokens} tokens per call">${row.selfHosted ? 'self-hosted' : PromptCosts.format(row.cost.optimized.monthly)}</td>
+                        <td title="${escapeHtml(Object.entries(row.portability.fits).map(([id, fit]) => `${name(id)}: ${fit}%`).join('\n'))}">${row.portability.worst}% · avg ${row.portability.average}%</td>
+                        <td>${row.id === state.selectedModel
+                            ? '<span class="token-badge">Current</span>'
+                            : `<button class="library-btn eval-add-btn" data-use-model="${escapeHtml(row.id)}" title="Switch to ${escapeHtml(row.name)} and its optimized prompt"><i data-lucide="check"></i>Use</button>`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        // Issues left after optimizing, each with the models that still have it
+        const issues = new Map();
+        models.forEach(row => row.fit.after.issues.forEach(issue => {
+            issues.set(issue, [...(issues.get(issue) || []), row.name]);
+        }));
+        const notes = [
+            best ? `<li><strong>Most portable:</strong> the ${escapeHtml(best.name)} variant fits every model at ${best.portability.worst}% or better (${best.portability.average}% on average).</li>` : '',
+            ...groups.map(ids => `<li><strong>Same prompt:</strong> ${escapeHtml(list(ids.map(name)))} get the exact same optimized prompt.</li>`),
+            ...[...issues].map(([issue, names]) => `<li><strong>${names.length === models.length ? 'All models' : escapeHtml(list(names))}:</strong> ${escapeHtml(issue)}</li>`)
+        ].join('');
+        const notesList = document.getElementById('compare-notes');
+        notesList.innerHTML = notes;
+        notesList.classList.toggle('hidden', !notes);
+
+        // Keep the picked variants when they're still there
+        const option = row => `<option value="${escapeHtml(row.id)}">${escapeHtml(row.name)}</option>`;
+        const from = models.some(row => row.id === compareFrom.value) ? compareFrom.value : state.selectedModel;
+        const other = models.find(row => row.id !== from);
+        const to = models.some(row => row.id === compareTo.value) && compareTo.value !== from
+            ? compareTo.value
+            : (portable !== from ? portable : other && other.id);
+        compareFrom.innerHTML = models.map(option).join('');
+        compareTo.innerHTML = models.map(option).join('');
+        compareFrom.value = from;
+        compareTo.value = to || from;
+        renderComparisonDiff();
+
+        lucide.createIcons();
+    }
+
+    // Word diff between two models' optimized prompts
+    function renderComparisonDiff() {
+        const variant = id => state.comparison.models.find(row => row.id === id).result.optimized;
+        const ops = PromptEdits.diffWords(variant(compareFrom.value), variant(compareTo.value));
+        const stats = PromptEdits.diffStats(ops);
+
+        document.getElementById('compare-stats').textContent = stats.added === 0 && stats.removed === 0
+            ? 'Identical'
+            : `+${stats.added} / -${stats.removed} words`;
+        document.getElementById('compare-diff').innerHTML = ops.map(op => {
+            const text = escapeHtml(op.value);
+            if (op.type === 'insert') return `<ins>${text}</ins>`;
+            if (op.type === 'delete') return `<del>${text}</del>`;
+            return text;
+        }).join('');
+    }
+
+    // Make a compared model the target: its analysis and optimized prompt become the result
+    function useComparedModel(id) {
+        const row = state.comparison.models.find(r => r.id === id);
+        state.selectedModel = id;
+        renderModels();
+
+        state.analysis = row.analysis;
+        updateAnalysisUI(row.analysis);
+        state.optimizationResult = row.result;
+        state.optimizedPrompt = row.result.optimized;
+        state.acceptedEdits = new Set((row.result.edits || []).map(e => e.id));
+        state.evaluation = null;
+        state.savedVersion = null;
+
+        updateCompressOptions();
+        updateResultsUI();
+        showToast(`Switched to ${row.name}`);
+    }
+
+    /**
+     * Export menu
+     * Request bodies for every provider, code for the selected model
+     */
+    function renderExportMenu() {
+        const formats = PromptExporter.formats;
+        const option = id => `<option value="${id}">${formats[id].label}</option>`;
+        const model = ModelData[state.selectedModel];
+
+        exportFormatSelect.innerHTML = `
+            <optgroup label="Prompt">${option('text')}</optgroup>
+            <optgroup label="Request body">${['anthropic', 'openai', 'gemini'].map(option).join('')}</optgroup>
+            <optgroup label="Code for ${model.name}">${['curl', 'python', 'typescript'].map(option).join('')}</optgroup>
+        `;
+        exportFormatSelect.value = PromptExporter.providerFor(state.selectedModel);
+
+        updateExportPreview();
+    }
+
+    function currentExport() {
+        return PromptExporter.export(
+            exportFormatSelect.value,
+            state.optimizationResult,
+            state.selectedModel,
+            state.options
+        );
+    }
+
+    function updateExportPreview() {
+        exportPreview.textContent = currentExport().content;
+    }
+
+    function downloadExport() {
+        const exported = currentExport();
+        downloadFile(exported.content, exported.filename, exported.mime);
+    }
+
+    /**
+     * Template Variables - fill & preview
+     * Only shown when the optimized prompt contains placeholders
+     */
+    function renderTemplatePanel() {
+        const template = state.optimizationResult.newAnalysis.template;
+
+        if (!template.isTemplate) {
+            templatePanel.classList.add('hidden');
+            return;
+        }
+
+        templatePanel.classList.remove('hidden');
+        templateFields.innerHTML = template.variables.map(v => `
+            <div class="template-field">
+                <label class="question-label">${v.name}</label>
+                <input type="text" class="question-input template-input" data-name="${v.name}">
+            </div>
+        `).join('');
+
+        templateFields.querySelectorAll('.template-input').forEach(input => {
+            const name = input.dataset.name;
+            input.value = state.templateValues[name] || '';
+            input.placeholder = template.sampleValues[name];
+            input.addEventListener('input', (e) => {
+                state.templateValues[name] = e.target.value;
+                updateTemplatePreview();
+            });
+        });
+
+        updateTemplatePreview();
+    }
+
+    function updateTemplatePreview() {
+        const messages = state.optimizationResult.messages;
+        const analysis = messages
+            ? PromptAnalyzer.analyzeConversation(messages, state.selectedModel, { sampleValues: state.templateValues })
+            : PromptAnalyzer.analyze(state.optimizedPrompt, state.selectedModel, { sampleValues: state.templateValues });
+
+        templatePreview.textContent = PromptTemplates.fill(state.optimizedPrompt, analysis.template.sampleValues);
+        templateScore.textContent = `${analysis.overallScore.score.toFixed(1)}/10`;
+        templateTokens.textContent = formatTokens(analysis);
+        templateTokens.title = analysis.tokenizer.label;
+    }
+
+    /**
+     * Costs - original vs optimized per month on every model, at the call
+     * volume, output length and discounts in the cost settings (kept in
+     * localStorage)
+     */
+    function renderCostPanel() {
+        const settings = state.costSettings;
+        costCalls.value = settings.callsPerMonth;
+        costOutput.value = settings.outputTokens ?? '';
+        costCached.value = settings.cachedPercent;
+        costBatch.value = settings.batchPercent;
+        renderCosts();
+    }
+
+    function renderCosts() {
+        const result = state.optimizationResult;
+        const improvements = result.improvements;
+
+        // The original as analyzed (without refinement answers), like improvements.cost
+        const original = state.inputMode === 'conversation'
+            ? PromptConversations.flatten(PromptConversations.normalize(state.messages))
+            : state.originalPrompt;
+        const optimized = result.messages ? PromptConversations.flatten(result.messages) : result.optimized;
+        const filled = text => PromptTemplates.analyze(text, state.templateValues).filled;
+        const rows = PromptCosts.compare(filled(original), filled(optimized), state.costSettings);
+
+        costOutput.placeholder = `Automatic: ${PromptCosts.outputTokens(filled(original), {})}`;
+        costSummary.textContent = `${PromptCosts.format(improvements.cost.optimized.monthly)}/month on ${ModelData[state.selectedModel].name}`;
+
+        const money = (estimate, selfHosted) => selfHosted ? 'self-hosted' : PromptCosts.format(estimate.monthly);
+        costTable.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Model</th>
+                    <th>Original</th>
+                    <th>Optimized</th>
+                    <th>Savings</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${row.id === state.selectedModel ? 'selected' : ''}">
+                        <td>${escapeHtml(row.name)}</td>
+                        <td title="${row.original.inputTokens} + ${row.original.outputTokens} tokens per call">${money(row.original, row.selfHosted)}</td>
+                        <td title="${row.optimized.inputTokens} + ${row.optimized.outputTokens} tokens per call">${money(row.optimized, row.selfHosted)}</td>
+                        <td class="${row.savings > 0 ? 'cost-saved' : row.savings < 0 ? 'cost-added' : ''}">${row.selfHosted ? '-' : PromptCosts.format(row.savings)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    // The selected model's monthly cost change: green when it went down
+    function renderCostChange(cost) {
+        const change = cost.optimized.monthly - cost.original.monthly;
+        improvementCost.textContent = `${change > 0 ? '+' : ''}${PromptCosts.format(change)}`;
+        improvementCost.style.color = change < 0 ? '#10b981' : change > 0 ? '#ef4444' : '#6b7280';
+        improvementCost.title = `${PromptCosts.format(cost.original.monthly)} → ${PromptCosts.format(cost.optimized.monthly)} per month at ${cost.callsPerMonth.toLocaleString('en-US')} calls`;
+    }
 
-        let prompts = state.savedPrompts;
-        if (searchTerm) {
-            prompts = prompts.filter(p => 
-                p.original.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                p.optimized.toLowerCase().includes(searchTerm.toLowerCase())
+    // Invalid values (e.g. a share over 100%) keep the last valid settings
+    function saveCostSettings() {
+        const value = input => input.value.trim() === '' ? undefined : Number(input.value);
+        let settings;
+        try {
+            settings = PromptCosts.settings({
+                callsPerMonth: value(costCalls),
+                outputTokens: value(costOutput) ?? null,
+                cachedPercent: value(costCached),
+                batchPercent: value(costBatch)
+            });
+        } catch (error) {
+            return;
+        }
+
+        state.costSettings = settings;
+        localStorage.setItem('promptOptimizer_costs', JSON.stringify(settings));
+        state.optimizationResult.improvements = PromptOptimizer.calculateImprovements(
+            state.analysis,
+            state.optimizationResult.newAnalysis,
+            state.selectedModel,
+            settings
+        );
+        renderCostChange(state.optimizationResult.improvements.cost);
+        renderCosts();
+
+        state.comparison = null;
+        state.comparisonRun = null;
+        if (!modelsView.classList.contains('hidden')) {
+            showComparison();
+        }
+    }
+
+    /**
+     * Evaluation - original vs optimized on a model endpoint
+     * Settings persist in localStorage, except the API key
+     */
+    function renderEvalPanel() {
+        evalEndpoint.value = state.evalSettings.endpoint;
+        evalModel.value = state.evalSettings.model;
+        evalInputs.value = state.evalSettings.inputs;
+        renderAssertions();
+        renderEvalResults(state.evaluation);
+    }
+
+    function renderAssertions() {
+        renderAssertionRows(evalAssertions, state.evalSettings.assertions, saveEvalSettings);
+    }
+
+    // Editable { type, value } rows; edits mutate `assertions` in place
+    function renderAssertionRows(container, assertions, onChange) {
+        const types = PromptEvaluator.assertionTypes;
+
+        container.innerHTML = assertions.map((assertion, i) => `
+            <div class="eval-assertion" data-index="${i}">
+                <select class="select-input">
+                    ${Object.entries(types).map(([id, type]) => `<option value="${id}"${id === assertion.type ? ' selected' : ''}>${type.label}</option>`).join('')}
+                </select>
+                <input type="text" class="question-input">
+                <button class="icon-btn" title="Remove Assertion">
+                    <i data-lucide="x"></i>
+                </button>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.eval-assertion').forEach(row => {
+            const index = Number(row.dataset.index);
+            const assertion = assertions[index];
+            const select = row.querySelector('select');
+            const input = row.querySelector('input');
+
+            // Schemas loaded from suite files are objects
+            input.value = typeof assertion.value === 'object' ? JSON.stringify(assertion.value) : (assertion.value ?? '');
+            input.placeholder = types[assertion.type].placeholder;
+
+            select.addEventListener('change', () => {
+                assertion.type = select.value;
+                input.placeholder = types[assertion.type].placeholder;
+                onChange();
+            });
+            input.addEventListener('input', () => {
+                assertion.value = input.value;
+                onChange();
+            });
+            row.querySelector('button').addEventListener('click', () => {
+                assertions.splice(index, 1);
+                onChange();
+                renderAssertionRows(container, assertions, onChange);
+            });
+        });
+
+        lucide.createIcons();
+    }
+
+    function saveEvalSettings() {
+        state.evalSettings.endpoint = evalEndpoint.value.trim();
+        state.evalSettings.model = evalModel.value.trim();
+        state.evalSettings.inputs = evalInputs.value;
+        localStorage.setItem('promptOptimizer_eval', JSON.stringify(state.evalSettings));
+    }
+
+    // Inputs are separated by a line containing only ---
+    function evalCases() {
+        const inputs = state.evalSettings.inputs.split(/^---\s*$/m).map(s => s.trim()).filter(Boolean);
+        if (inputs.length === 0) {
+            return [{ name: 'Prompt only', input: '', values: state.templateValues }];
+        }
+        return inputs.map((input, i) => ({ name: `Input ${i + 1}`, input, values: state.templateValues }));
+    }
+
+    async function runEvaluation() {
+        const assertions = state.evalSettings.assertions.filter(a => String(a.value).trim() !== '');
+
+        runEvalBtn.disabled = true;
+        evalResults.innerHTML = '';
+        try {
+            state.evaluation = await PromptEvaluator.evaluate(
+                PromptEvaluator.promptsFor(state.optimizationResult),
+                evalCases(),
+                assertions,
+                {
+                    endpoint: state.evalSettings.endpoint || PromptEvaluator.defaults.endpoint,
+                    model: state.evalSettings.model || PromptEvaluator.defaults.model,
+                    apiKey: evalApiKey.value.trim()
+                },
+                {
+                    options: state.options,
+                    onProgress: ({ index, total }) => {
+                        evalSummary.textContent = `Running ${index + 1}/${total}...`;
+                    }
+                }
             );
+            console.log('🧪 Evaluation complete:', state.evaluation.summary);
+        } catch (error) {
+            console.error('❌ Evaluation failed:', error);
+            showToast(`Evaluation failed: ${error.message}`);
+        } finally {
+            runEvalBtn.disabled = false;
+        }
+
+        // Already saved: attach the results to that version
+        const doc = state.savedPrompts.find(p => p.id === state.documentId);
+        const version = doc && PromptLibrary.getVersion(doc, state.savedVersion);
+        if (version && state.evaluation) {
+            version.evaluation = state.evaluation;
+            PromptLibrary.syncHead(doc);
+            persistLibrary(doc);
+        }
+
+        renderEvalResults(state.evaluation);
+    }
+
+    function renderEvalResults(evaluation) {
+        if (!evaluation) {
+            evalSummary.textContent = 'Not run';
+            evalResults.innerHTML = '';
+            return;
+        }
+
+        const { original, optimized } = evaluation.summary;
+        evalSummary.textContent = optimized.total > 0
+            ? `${original.passed}/${original.total} → ${optimized.passed}/${optimized.total} passed`
+            : 'Outputs ready';
+
+        const pane = (title, side) => `
+            <div class="comparison-pane">
+                <div class="pane-header">
+                    <h4>${title}</h4>
+                    <span class="token-badge ${side.passed ? 'pass' : 'fail'}">
+                        ${side.error ? 'Error' : `${side.checks.filter(c => c.pass).length}/${side.checks.length}`}
+                    </span>
+                </div>
+                <pre class="prompt-preview eval-output">${escapeHtml(side.error || side.output)}</pre>
+                ${side.checks.length > 0 ? `
+                    <ul class="eval-checks">
+                        ${side.checks.map(check => `
+                            <li class="${check.pass ? 'pass' : 'fail'}">
+                                <i data-lucide="${check.pass ? 'check' : 'x'}"></i>
+                                ${escapeHtml(`${PromptEvaluator.assertionTypes[check.type].label}: ${check.message}`)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+
+        evalResults.innerHTML = evaluation.cases.map(c => `
+            <div class="eval-case">
+                <div class="eval-case-header">
+                    <span class="eval-case-name">${escapeHtml(c.name)}</span>
+                    <span class="eval-case-input">${escapeHtml(c.input.substring(0, 120))}</span>
+                </div>
+                <div class="comparison-container">
+                    ${pane('Original', c.original)}
+                    ${pane('Optimized', c.optimized)}
+                </div>
+            </div>
+        `).join('');
+
+        lucide.createIcons();
+    }
+
+    // Model output is untrusted text
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function copyToClipboard(text) {
+        navigator.clipboard.writeText(text).then(() => {
+            showToast('Copied to clipboard!');
+        });
+    }
+
+    function showToast(message) {
+        copyToast.querySelector('span').textContent = message;
+        copyToast.classList.add('show');
+        setTimeout(() => {
+            copyToast.classList.remove('show');
+        }, 2000);
+    }
+
+    /**
+     * Save - a new version of the prompt loaded from (or last saved to) the
+     * library, or a new library document
+     */
+    function saveToLibrary({ asNew = false } = {}) {
+        if (!state.optimizedPrompt) return;
+        if (state.savedVersion && !asNew) {
+            showToast(`Already saved as version ${state.savedVersion}`);
+            return;
+        }
+
+        const result = state.optimizationResult;
+        const data = {
+            original: state.originalPrompt,
+            optimized: state.optimizedPrompt,
+            model: state.selectedModel,
+            options: { ...state.options },
+            techniques: result.techniques.filter(t => !t.rejected).map(({ name, description, impact }) => ({ name, description, impact })),
+            score: result.newAnalysis.overallScore.score,
+            evaluation: state.evaluation,
+            session: currentSession()
+        };
+        if (result.messages) {
+            data.originalMessages = PromptConversations.normalize(state.messages);
+            data.messages = result.messages;
         }
 
-        if (prompts.length === 0) {
+        let doc = asNew ? null : currentDocument();
+        if (doc) {
+            PromptLibrary.addVersion(doc, data);
+            state.savedPrompts = [doc, ...state.savedPrompts.filter(p => p !== doc)];
+        } else {
+            doc = PromptLibrary.createDocument(data);
+            state.savedPrompts.unshift(doc);
+        }
+
+        state.documentId = doc.id;
+        state.savedVersion = PromptLibrary.head(doc).version;
+        persistLibrary(doc);
+        updateSaveButtons();
+
+        showToast(doc.versions.length > 1 ? `Saved as version ${state.savedVersion}` : 'Saved to library!');
+    }
+
+    function currentDocument() {
+        return state.savedPrompts.find(p => p.id === state.documentId) || null;
+    }
+
+    function updateSaveButtons() {
+        const doc = currentDocument();
+        const label = saveToLibraryBtn.querySelector('span');
+
+        if (state.savedVersion) {
+            label.textContent = `Saved as Version ${state.savedVersion}`;
+        } else if (doc) {
+            label.textContent = `Save as Version ${PromptLibrary.head(doc).version + 1}`;
+        } else {
+            label.textContent = 'Save to Library';
+        }
+        saveNewBtn.classList.toggle('hidden', !doc || Boolean(state.savedVersion));
+    }
+
+    function downloadPrompt() {
+        downloadFile(state.optimizedPrompt, `optimized-prompt-${Date.now()}.txt`, 'text/plain');
+    }
+
+    function downloadFile(content, filename, mime) {
+        const blob = new Blob([content], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Library - ranked search (see PromptSearch) with filters, sorting and
+     * pages; the filter menus list the folders, tags and models in use
+     */
+    function renderLibrary() {
+        const libraryList = document.getElementById('library-list');
+        const libraryEmpty = document.getElementById('library-empty');
+        const query = state.libraryQuery;
+
+        renderLibraryFilters();
+        const found = PromptSearch.query(state.libraryIndex, {
+            text: query.text,
+            filters: query.filters,
+            sort: query.sort,
+            page: query.page
+        });
+        query.page = found.page;
+
+        document.getElementById('library-pages').classList.toggle('hidden', found.total <= PromptSearch.pageSize);
+        document.getElementById('library-count').textContent = found.total === 0 ? '' :
+            `${(found.page - 1) * PromptSearch.pageSize + 1}-${(found.page - 1) * PromptSearch.pageSize + found.results.length} of ${found.total.toLocaleString()}`;
+        document.getElementById('library-page').textContent = `Page ${found.page} of ${found.pages}`;
+        document.getElementById('library-prev').disabled = found.page <= 1;
+        document.getElementById('library-next').disabled = found.page >= found.pages;
+
+        if (found.total === 0) {
+            const filtered = state.savedPrompts.length > 0;
+            document.getElementById('library-empty-title').textContent = filtered ? 'No matching prompts' : 'No saved prompts yet';
+            document.getElementById('library-empty-hint').textContent = filtered
+                ? 'Try other search words or clear the filters'
+                : 'Save your optimized prompts to access them later';
             libraryList.style.display = 'none';
             libraryEmpty.style.display = 'flex';
         } else {
             libraryList.style.display = 'grid';
             libraryEmpty.style.display = 'none';
 
-            libraryList.innerHTML = prompts.map(p => `
+            libraryList.innerHTML = found.results.map(({ doc: p }) => `
                 <div class="library-item">
+                    <div class="library-item-title">
+                        <label class="library-item-name">
+                            <input type="checkbox" data-library-select="${p.id}"${state.librarySelection.has(p.id) ? ' checked' : ''}>
+                            <span>${escapeHtml(p.name)}</span>
+                        </label>
+                        <button class="icon-btn library-favorite${p.favorite ? ' active' : ''}" data-favorite="${p.id}" title="${p.favorite ? 'Remove from Favorites' : 'Add to Favorites'}">
+                            <i data-lucide="star"></i>
+                        </button>
+                    </div>
+                    ${p.folder || p.tags.length > 0 ? `
+                        <div class="library-item-meta">
+                            ${p.folder ? `<span class="library-folder" data-filter-folder="${escapeHtml(p.folder)}"><i data-lucide="folder"></i>${escapeHtml(p.folder)}</span>` : ''}
+                            ${p.tags.map(tag => `<span class="library-tag" data-filter-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
                     <div class="library-item-header">
                         <span class="library-score">${p.score.toFixed(1)}/10</span>
-                        <span class="library-model">${ModelData[p.model]?.name}</span>
+                        ${p.versions.length > 1 ? `
+                            <span class="library-versions" title="Score over versions">
+                                ${sparkline(PromptLibrary.scores(p))}
+                                v${PromptLibrary.head(p).version}
+                            </span>
+                        ` : ''}
+                        ${p.evaluation && p.evaluation.summary.optimized.total > 0 ? `
+                            <span class="library-eval" title="Assertions passed: original → optimized">
+                                ${p.evaluation.summary.original.passed}/${p.evaluation.summary.original.total} → ${p.evaluation.summary.optimized.passed}/${p.evaluation.summary.optimized.total}
+                            </span>
+                        ` : ''}
+                        <span class="library-model">${escapeHtml(ModelData[p.model]?.name || p.model)}</span>
                     </div>
-                    <div class="library-item-preview">${p.optimized.substring(0, 150)}...</div>
+                    ${p.useCase ? `<div class="library-use-case">${escapeHtml(p.useCase)}</div>` : ''}
+                    <div class="library-item-preview">${escapeHtml(p.optimized.substring(0, 150))}...</div>
                     <div class="library-item-actions">
                         <button class="library-btn" onclick="loadFromLibrary(${p.id})">
                             <i data-lucide="download"></i>
                             Load
                         </button>
+                        ${PromptLibrary.head(p).session ? `
+                            <button class="library-btn" onclick="reopenSession(${p.id})" title="Open every step as it was saved">
+                                <i data-lucide="folder-open"></i>
+                                Reopen
+                            </button>
+                            <button class="library-btn" onclick="rerunSession(${p.id})" title="Optimize again with the current engine and compare">
+                                <i data-lucide="refresh-cw"></i>
+                                Re-run
+                            </button>
+                        ` : ''}
+                        <button class="library-btn" onclick="openDetails(${p.id})" title="Name, folder, tags, use case and notes">
+                            <i data-lucide="pencil"></i>
+                            Details
+                        </button>
+                        <button class="library-btn" onclick="openVersions(${p.id})">
+                            <i data-lucide="history"></i>
+                            History
+                        </button>
+                        <button class="library-btn" onclick="openSuite(${p.id})">
+                            <i data-lucide="flask-conical"></i>
+                            Tests${p.suite && p.suite.runs && p.suite.runs.length > 0 ? ` ${p.suite.runs[p.suite.runs.length - 1].passRate}%` : ''}
+                        </button>
                         <button class="library-btn" onclick="deleteFromLibrary(${p.id})">
                             <i data-lucide="trash-2"></i>
                             Delete
@@ -689,44 +2339,1101 @@ document.addEventListener('DOMContentLoaded', () => {
                     </div>
                 </div>
             `).join('');
-
-            lucide.createIcons();
         }
+
+        lucide.createIcons();
+    }
+
+    function renderLibraryFilters() {
+        const { filters, sort } = state.libraryQuery;
+        const facets = PromptSearch.facets(state.savedPrompts);
+        const options = (select, all, list, label = value => value) => {
+            // A filter whose value is no longer in use is dropped
+            const values = list.map(item => item.value);
+            const key = select.dataset.filter;
+            if (filters[key] && !values.includes(filters[key])) filters[key] = '';
+
+            select.innerHTML = `<option value="">${all}</option>` + list
+                .map(item => `<option value="${escapeHtml(item.value)}">${escapeHtml(label(item.value))} (${item.count})</option>`)
+                .join('');
+            select.value = filters[key];
+        };
+
+        options(libraryFolder, 'All folders', facets.folders);
+        options(libraryTag, 'All tags', facets.tags);
+        options(libraryModelFilter, 'All models', facets.models, id => ModelData[id]?.name || id);
+
+        librarySort.innerHTML = `<option value="">${state.libraryQuery.text.trim() ? 'Relevance' : 'Newest first'}</option>` +
+            Object.entries(PromptSearch.sorts)
+                .map(([id, label]) => `<option value="${id}">${label}</option>`)
+                .join('');
+        librarySort.value = sort;
+    }
+
+    // Any library filter, sort or search change starts again at page 1
+    function setLibraryQuery(changes) {
+        Object.assign(state.libraryQuery, changes, { page: 1 });
+        renderLibrary();
     }
 
     window.loadFromLibrary = (id) => {
         const prompt = state.savedPrompts.find(p => p.id === id);
         if (prompt) {
-            promptInput.value = prompt.original;
-            state.originalPrompt = prompt.original;
-            state.selectedModel = prompt.model;
-            
-            // Update model selection
-            modelCards.forEach(card => {
-                card.classList.toggle('selected', card.dataset.model === prompt.model);
-            });
+            loadInput(prompt);
+
+            // The next save becomes a new version of this prompt
+            state.documentId = prompt.id;
+            state.savedVersion = null;
 
-            analyzePrompt();
             closeModals();
         }
     };
 
+    // Step 1 from a saved prompt or version: model and original prompt
+    function loadInput(prompt) {
+        state.selectedModel = ModelData[prompt.model] ? prompt.model : 'claude';
+        renderModels();
+
+        if (prompt.originalMessages) {
+            state.messages = prompt.originalMessages.map(m => ({ ...m }));
+            setInputMode('conversation');
+        } else {
+            promptInput.value = prompt.original;
+            state.originalPrompt = prompt.original;
+            setInputMode('single');
+        }
+    }
+
+    /**
+     * Sessions - each saved version keeps everything behind its result
+     * (answers, sample values, rejected edits, both analyses, the engine
+     * version), so it can be reopened as it was or optimized again on the
+     * current engine (PromptOptimizer.replay) and compared
+     */
+    function currentSession() {
+        const result = state.optimizationResult;
+        return PromptLibrary.session(state.analysis, result, {
+            answers: state.refinementAnswers,
+            sampleValues: state.resultSampleValues,
+            costs: state.costSettings,
+            project: projectRef(),
+            styleGuide: PromptStyleGuides.resolve(),
+            scoringProfile: PromptScoring.resolve(),
+            rejectedEdits: (result.edits || [])
+                .filter(e => !state.acceptedEdits.has(e.id))
+                .map(({ technique, before, after }) => ({ technique, before, after }))
+        });
+    }
+
+    function projectRef() {
+        const project = activeProject();
+        return { id: project.id, name: project.name };
+    }
+
+    function sessionVersion(id, number) {
+        const doc = state.savedPrompts.find(p => p.id === id);
+        const version = doc && (number ? PromptLibrary.getVersion(doc, number) : PromptLibrary.head(doc));
+        return version && version.session ? { doc, version } : null;
+    }
+
+    window.reopenSession = (id, number) => {
+        const found = sessionVersion(id, number);
+        if (!found) return;
+
+        const { analysis, result } = PromptLibrary.clone(found.version.session);
+        openSession(found.doc, found.version, analysis, result, true);
+        showToast(`Reopened version ${found.version.version}`);
+    };
+
+    /**
+     * Every wizard step as the session left it: the prompt and model, the
+     * answers, the options and the result with its accepted edits.
+     * `saved` is false for a re-run, which saves as a new version
+     */
+    function openSession(doc, version, analysis, result, saved) {
+        const session = version.session;
+
+        loadInput(version);
+        state.analysis = analysis;
+        updateAnalysisUI(analysis);
+
+        state.refinementAnswers = { ...session.answers };
+        generateFollowUpQuestions();
+        dynamicQuestions.querySelectorAll('.question-input').forEach(input => {
+            input.value = state.refinementAnswers[input.dataset.id] || '';
+        });
+
+        state.options = { ...state.options, targetTokens: undefined, ...version.options };
+        renderOptions();
+        state.templateValues = { ...session.sampleValues };
+        state.resultSampleValues = { ...session.sampleValues };
+
+        state.optimizationResult = result;
+        state.optimizedPrompt = result.optimized;
+        state.acceptedEdits = new Set(result.accepted || (result.edits || []).map(e => e.id));
+        state.evaluation = saved ? version.evaluation || null : null;
+        state.documentId = doc.id;
+        state.savedVersion = saved && version === PromptLibrary.head(doc) ? version.version : null;
+        state.comparison = null;
+        state.comparisonRun = null;
+
+        closeModals();
+        state.currentStep = 4;
+        updateStepDisplay();
+        updateCompressOptions();
+        updateResultsUI();
+    }
+
+    // Step 3 controls from state.options
+    function renderOptions() {
+        optLevelRadios.forEach(radio => {
+            radio.checked = radio.value === state.options.level;
+            radio.closest('.radio-card').classList.toggle('selected', radio.checked);
+        });
+        compressTarget.value = state.options.targetTokens || '';
+        outputFormatSelect.value = state.options.format;
+        optConcise.checked = Boolean(state.options.concise);
+        optNoPreamble.checked = Boolean(state.options.noPreamble);
+        optShowThinking.checked = Boolean(state.options.showThinking);
+        optCacheLayout.checked = Boolean(state.options.cacheLayout);
+    }
+
+    window.rerunSession = (id, number) => {
+        const found = sessionVersion(id, number);
+        if (!found) return;
+
+        state.rerun = { docId: id, version: found.version.version, ...PromptOptimizer.replay(found.version) };
+        closeModals();
+        renderRerun();
+        showModal(rerunModal);
+    };
+
+    // The saved result next to the re-run: engine, score, tokens, cost, techniques and a word diff
+    function renderRerun() {
+        const { doc, version } = sessionVersion(state.rerun.docId, state.rerun.version);
+        const { session } = version;
+        const saved = session.result;
+        const rerun = state.rerun.result;
+        const ops = PromptEdits.diffWords(saved.optimized, rerun.optimized);
+        const stats = PromptEdits.diffStats(ops);
+        const same = stats.added === 0 && stats.removed === 0;
+
+        document.getElementById('rerun-prompt').textContent = `${doc.name} · v${version.version}`;
+        document.getElementById('rerun-status').textContent = same
+            ? `The current engine (${PromptOptimizer.version}) reproduces the saved prompt exactly.`
+            : `The current engine (${PromptOptimizer.version}) produces a different prompt than the saved one (engine ${session.engine}).`;
+
+        const row = (label, before, after) => `
+            <tr${before === after ? '' : ' class="selected"'}>
+                <td>${label}</td>
+                <td>${escapeHtml(before)}</td>
+                <td>${escapeHtml(after)}</td>
+            </tr>
+        `;
+        document.getElementById('rerun-table').innerHTML = `
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Saved (v${version.version})</th>
+                    <th>Re-run</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${row('Engine', session.engine, PromptOptimizer.version)}
+                ${row('Score', `${saved.newAnalysis.overallScore.score.toFixed(1)}/10`, `${rerun.newAnalysis.overallScore.score.toFixed(1)}/10`)}
+                ${row('Tokens', formatTokens(saved.newAnalysis), formatTokens(rerun.newAnalysis))}
+                ${row('Cost', `${PromptCosts.format(saved.improvements.cost.optimized.monthly)}/month`, `${PromptCosts.format(rerun.improvements.cost.optimized.monthly)}/month`)}
+            </tbody>
+        `;
+
+        const names = result => result.techniques.filter(t => !t.rejected).map(t => t.name);
+        const added = names(rerun).filter(name => !names(saved).includes(name));
+        const dropped = names(saved).filter(name => !names(rerun).includes(name));
+        const project = activeProject();
+        const notes = [
+            added.length > 0 ? `<li><strong>New techniques:</strong> ${escapeHtml(added.join(', '))}</li>` : '',
+            dropped.length > 0 ? `<li><strong>No longer applied:</strong> ${escapeHtml(dropped.join(', '))}</li>` : '',
+            session.project && session.project.id !== project.id
+                ? `<li>Saved in project "${escapeHtml(session.project.name)}"; the re-run used the rules of "${escapeHtml(project.name)}".</li>`
+                : ''
+        ].join('');
+        const notesList = document.getElementById('rerun-notes');
+        notesList.innerHTML = notes;
+        notesList.classList.toggle('hidden', !notes);
+
+        document.getElementById('rerun-stats').textContent = `+${stats.added} / -${stats.removed} words`;
+        document.getElementById('rerun-diff').innerHTML = ops.map(op => {
+            const text = escapeHtml(op.value);
+            if (op.type === 'insert') return `<ins>${text}</ins>`;
+            if (op.type === 'delete') return `<del>${text}</del>`;
+            return text;
+        }).join('');
+        lucide.createIcons();
+    }
+
+    // The re-run in the wizard; saving it adds a version
+    function openRerun() {
+        const { doc, version } = sessionVersion(state.rerun.docId, state.rerun.version);
+        openSession(doc, version, state.rerun.analysis, state.rerun.result, false);
+        showToast(`Re-ran version ${version.version} on engine ${PromptOptimizer.version}`);
+    }
+
     window.deleteFromLibrary = (id) => {
         state.savedPrompts = state.savedPrompts.filter(p => p.id !== id);
-        localStorage.setItem('promptOptimizer_saved', JSON.stringify(state.savedPrompts));
+        state.librarySelection.delete(id);
+        PromptSearch.remove(state.libraryIndex, id);
+        PromptStore.remove(id).catch(libraryWriteFailed);
         renderLibrary();
     };
 
+    // The checked prompts, or the whole library when none are checked
+    function librarySelection() {
+        const checked = state.savedPrompts.filter(p => state.librarySelection.has(p.id));
+        return checked.length > 0 ? checked : state.savedPrompts;
+    }
+
+    /**
+     * Import - library files and Markdown files; every file is read and
+     * checked before the library changes
+     */
+    async function importLibraryFiles() {
+        const files = [...libraryFile.files];
+        libraryFile.value = '';
+        if (files.length === 0) return;
+
+        const score = (text, model) => PromptAnalyzer.analyze(text, ModelData[model] ? model : 'claude').overallScore.score;
+        const incoming = [];
+        for (const file of files) {
+            try {
+                incoming.push(...PromptLibrary.readFile(await file.text(), file.name, score));
+            } catch (error) {
+                showToast(`${file.name}: ${error.message}`);
+                return;
+            }
+        }
+
+        const mode = document.getElementById('library-import-mode').value;
+        if (mode === 'replace' && state.savedPrompts.length > 0 &&
+            !confirm(`Replace all ${state.savedPrompts.length} saved prompts with the ${incoming.length} imported?`)) {
+            return;
+        }
+
+        const result = PromptLibrary.importInto(state.savedPrompts, incoming, mode);
+        setLibrary(result.prompts);
+        state.librarySelection.clear();
+        PromptStore.replaceAll(state.savedPrompts).catch(libraryWriteFailed);
+        updateSaveButtons();
+        renderLibrary();
+        showToast(`Imported: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`);
+    }
+
     function clearLibrary() {
-        if (confirm('Are you sure you want to delete all saved prompts?')) {
-            state.savedPrompts = [];
-            localStorage.removeItem('promptOptimizer_saved');
+        if (confirm('Delete all saved prompts? This can\'t be undone; export the library first to keep a copy.')) {
+            setLibrary([]);
+            state.librarySelection.clear();
+            PromptStore.clear().catch(libraryWriteFailed);
             renderLibrary();
         }
     }
 
+    /**
+     * Storage - the library lives in IndexedDB (see PromptStore); state
+     * keeps every document in memory with a search index over them
+     */
+    function loadLibrary() {
+        return PromptStore.load()
+            .then(docs => {
+                setLibrary(docs);
+                updateSaveButtons();
+                console.log(`✓ Library loaded: ${docs.length} prompts (${PromptStore.backend.kind})`);
+            })
+            .catch(error => {
+                console.error('❌ Library failed to load:', error);
+                showToast(`Library failed to load: ${error.message}`);
+            });
+    }
+
+    function setLibrary(docs) {
+        state.savedPrompts = docs;
+        state.libraryIndex = PromptSearch.createIndex(docs);
+    }
+
+    // Write one changed document (and re-index it)
+    function persistLibrary(doc) {
+        PromptSearch.add(state.libraryIndex, doc);
+        PromptStore.put(doc).catch(libraryWriteFailed);
+    }
+
+    function libraryWriteFailed(error) {
+        console.error('❌ Library not saved:', error);
+        showToast(`Library not saved: ${error.message}`);
+    }
+
+    /**
+     * Prompt Details - name, folder, tags, use case and notes of one
+     * saved prompt
+     */
+    function detailsDocument() {
+        return state.savedPrompts.find(p => p.id === state.detailsDocId);
+    }
+
+    window.openDetails = (id) => {
+        const doc = state.savedPrompts.find(p => p.id === id);
+        if (!doc) return;
+
+        state.detailsDocId = id;
+        document.getElementById('details-prompt').textContent = doc.optimized.length > 160 ? `${doc.optimized.substring(0, 160)}...` : doc.optimized;
+        document.getElementById('details-name').value = doc.name;
+        document.getElementById('details-folder').value = doc.folder;
+        document.getElementById('details-tags').value = doc.tags.join(', ');
+        document.getElementById('details-use-case').value = doc.useCase;
+        document.getElementById('details-notes').value = doc.notes;
+        document.getElementById('details-folders').innerHTML = PromptSearch.facets(state.savedPrompts).folders
+            .map(folder => `<option value="${escapeHtml(folder.value)}"></option>`)
+            .join('');
+
+        closeModals();
+        showModal(detailsModal);
+    };
+
+    function saveDetails() {
+        const doc = detailsDocument();
+        PromptLibrary.setDetails(doc, {
+            name: document.getElementById('details-name').value,
+            folder: document.getElementById('details-folder').value,
+            tags: document.getElementById('details-tags').value,
+            useCase: document.getElementById('details-use-case').value,
+            notes: document.getElementById('details-notes').value
+        });
+        persistLibrary(doc);
+        showToast('Details saved');
+        backToLibrary();
+    }
+
+    function backToLibrary() {
+        closeModals();
+        showModal(libraryModal);
+        renderLibrary();
+    }
+
+    /**
+     * Batch - many prompts optimized with shared settings (see PromptBatch):
+     * the model and level picked in the batch dialog, the step 3 options.
+     * Prompts are optimized one per tick so the page keeps up
+     */
+    function openBatch() {
+        const batchModel = document.getElementById('batch-model');
+        const batchLevel = document.getElementById('batch-level');
+        batchModel.innerHTML = Object.entries(ModelData)
+            .map(([id, model]) => `<option value="${escapeHtml(id)}">${escapeHtml(model.name)}</option>`)
+            .join('');
+        batchModel.value = state.selectedModel;
+        batchLevel.innerHTML = [...optLevelRadios]
+            .map(radio => `<option value="${radio.value}">${escapeHtml(radio.closest('.radio-card').querySelector('.radio-title').textContent)}</option>`)
+            .join('');
+        batchLevel.value = state.options.level;
+
+        closeModals();
+        renderBatch();
+        showModal(batchModal);
+    }
+
+    // Uploaded files replace the previous upload; every file is checked first
+    async function readBatchFiles() {
+        const files = [...batchFile.files];
+        batchFile.value = '';
+        if (files.length === 0) return;
+
+        const items = [];
+        for (const file of files) {
+            try {
+                items.push(...PromptBatch.readFile(await file.text(), file.name));
+            } catch (error) {
+                showToast(error.message.startsWith(file.name) ? error.message : `${file.name}: ${error.message}`);
+                return;
+            }
+        }
+
+        state.batch.files = items;
+        renderBatch();
+        showToast(`${items.length} prompt(s) from ${files.length} file(s) ready to optimize`);
+    }
+
+    async function runBatch() {
+        const items = [...PromptBatch.parseList(document.getElementById('batch-input').value), ...state.batch.files];
+        if (items.length === 0) {
+            showToast('Paste prompts or upload files first');
+            return;
+        }
+
+        // A compress target is per prompt, so batches use each prompt's automatic one
+        const { targetTokens, ...options } = state.options;
+        const settings = {
+            model: document.getElementById('batch-model').value,
+            level: document.getElementById('batch-level').value,
+            options: { ...options, sampleValues: {}, costs: state.costSettings }
+        };
+        const runBtn = document.getElementById('run-batch-btn');
+        const status = document.getElementById('batch-status');
+
+        state.batch.running = true;
+        runBtn.disabled = true;
+        const rows = [];
+        for (const item of items) {
+            status.textContent = `Optimizing ${rows.length + 1} of ${items.length}...`;
+            await new Promise(resolve => setTimeout(resolve));
+            rows.push(PromptBatch.run(item, settings));
+        }
+        state.batch.running = false;
+        runBtn.disabled = false;
+
+        state.batch.rows = rows;
+        state.batch.settings = settings;
+        state.batch.selection.clear();
+        renderBatch();
+        console.log(`✓ Batch optimized ${rows.length} prompts`);
+    }
+
+    function renderBatch() {
+        const { rows, files, sort, selection } = state.batch;
+        const status = document.getElementById('batch-status');
+        const table = document.getElementById('batch-table');
+        const pasted = PromptBatch.parseList(document.getElementById('batch-input').value).length;
+
+        document.getElementById('batch-results').classList.toggle('hidden', rows.length === 0);
+        document.getElementById('batch-actions').classList.toggle('hidden', rows.length === 0);
+        if (state.batch.running) return;
+
+        if (rows.length === 0) {
+            status.textContent = files.length > 0 ? `${files.length} prompt(s) from uploaded files${pasted > 0 ? ` and ${pasted} pasted` : ''}` : '';
+            return;
+        }
+
+        const summary = PromptBatch.summary(rows);
+        status.textContent = `${summary.count} prompt(s): average score ${summary.before.toFixed(1)} → ${summary.after.toFixed(1)}, ` +
+            `${summary.tokenDelta >= 0 ? '+' : ''}${summary.tokenDelta.toLocaleString()} tokens in total` +
+            `${summary.failed > 0 ? `, ${summary.failed} failed` : ''}`;
+
+        const done = rows.filter(row => !row.error);
+        const arrow = key => (sort.key === key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '');
+        const header = key => `<th data-batch-sort="${key}" title="Sort by ${PromptBatch.columns[key]}">${PromptBatch.columns[key]}${arrow(key)}</th>`;
+        const signed = (value, digits = 0) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th><input type="checkbox" data-batch-select="all" title="Select All"${done.length > 0 && done.every(row => selection.has(row)) ? ' checked' : ''}></th>
+                    ${header('name')}
+                    <th>Model</th>
+                    ${header('before')}
+                    ${header('after')}
+                    ${header('scoreChange')}
+                    ${header('tokenDelta')}
+                    ${header('techniques')}
+                </tr>
+            </thead>
+            <tbody>
+                ${PromptBatch.sort(rows, sort.key, sort.direction).map(row => `
+                    <tr${selection.has(row) ? ' class="selected"' : ''}>
+                        <td>${row.error ? '' : `<input type="checkbox" data-batch-select="${rows.indexOf(row)}"${selection.has(row) ? ' checked' : ''}>`}</td>
+                        <td title="${escapeHtml(row.original)}">${escapeHtml(row.name)}</td>
+                        <td>${escapeHtml(ModelData[row.model]?.name || row.model)}</td>
+                        ${row.error ? `<td colspan="5" class="batch-error">${escapeHtml(row.error)}</td>` : `
+                            <td>${row.before.toFixed(1)}</td>
+                            <td>${row.after.toFixed(1)}</td>
+                            <td>${signed(row.scoreChange, 1)}</td>
+                            <td title="${row.tokensBefore} → ${row.tokensAfter} tokens">${signed(row.tokenDelta)}</td>
+                            <td class="batch-techniques">${escapeHtml(row.techniques.join(', ')) || '-'}</td>
+                        `}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        const count = selection.size || done.length;
+        document.querySelector('#batch-save-btn span').textContent = `Save ${count} to Library`;
+    }
+
+    // The checked rows, or all of them when none are checked
+    function batchSelection() {
+        const { rows, selection } = state.batch;
+        return selection.size > 0 ? rows.filter(row => selection.has(row)) : rows;
+    }
+
+    /**
+     * Save the optimized rows as new library prompts, each with its session
+     * so it can be reopened; prompts the library already has are skipped
+     */
+    function saveBatch() {
+        const docs = batchSelection()
+            .filter(row => !row.error)
+            .map(row => PromptBatch.document(row, state.batch.settings, projectRef()));
+        if (docs.length === 0) return;
+
+        const known = new Set(state.savedPrompts.map(p => p.id));
+        const result = PromptLibrary.importInto(state.savedPrompts, docs, 'merge');
+        setLibrary(result.prompts);
+        PromptStore.putAll(result.prompts.filter(p => !known.has(p.id))).catch(libraryWriteFailed);
+        showToast(`Saved ${result.added} prompt(s) to the library${result.unchanged > 0 ? ` (${result.unchanged} already saved)` : ''}`);
+    }
+
+    /**
+     * Version History - versions of one library document, word diffs
+     * between any two, restore as a new version
+     */
+    function versionsDocument() {
+        return state.savedPrompts.find(p => p.id === state.versionsDocId);
+    }
+
+    window.openVersions = (id) => {
+        const doc = state.savedPrompts.find(p => p.id === id);
+        if (!doc) return;
+
+        state.versionsDocId = id;
+        closeModals();
+        renderVersions();
+        showModal(versionsModal);
+    };
+
+    window.restoreVersion = (number) => {
+        const doc = versionsDocument();
+        const version = PromptLibrary.restore(doc, number);
+        persistLibrary(doc);
+
+        // Saving the open result would now fork from the restored text
+        if (state.documentId === doc.id) {
+            state.savedVersion = null;
+            updateSaveButtons();
+        }
+
+        renderVersions();
+        diffFrom.value = String(version.version - 1);
+        diffTo.value = String(version.version);
+        renderVersionDiff();
+        console.log(`↩️ Restored v${number} as v${version.version}`);
+    };
+
+    function renderVersions() {
+        const doc = versionsDocument();
+        const head = PromptLibrary.head(doc);
+        const option = v => `<option value="${v.version}">v${v.version} - ${new Date(v.date).toLocaleDateString()} (${v.score.toFixed(1)})</option>`;
+
+        versionsName.textContent = doc.name;
+        versionsChart.innerHTML = doc.versions.length > 1
+            ? `${sparkline(PromptLibrary.scores(doc), { width: 240, height: 48 })}<span class="question-text">Score over ${doc.versions.length} versions</span>`
+            : '';
+
+        versionList.innerHTML = doc.versions.slice().reverse().map(v => `
+            <div class="version-item">
+                <span class="version-number">v${v.version}</span>
+                <span class="version-meta">
+                    ${new Date(v.date).toLocaleString()} · ${ModelData[v.model]?.name || v.model}
+                    ${v.options ? ` · ${v.options.level}` : ''}
+                    · ${(v.techniques || []).length} technique(s)
+                    ${v.restoredFrom ? ` · restored from v${v.restoredFrom}` : ''}
+                    ${v.session ? ` · engine ${escapeHtml(v.session.engine)}` : ''}
+                </span>
+                <span class="library-score">${v.score.toFixed(1)}</span>
+                ${v.session ? `
+                    <button class="icon-btn" onclick="reopenSession(${doc.id}, ${v.version})" title="Reopen Session">
+                        <i data-lucide="folder-open"></i>
+                    </button>
+                    <button class="icon-btn" onclick="rerunSession(${doc.id}, ${v.version})" title="Re-run with Current Engine">
+                        <i data-lucide="refresh-cw"></i>
+                    </button>
+                ` : ''}
+                ${v.version === head.version
+                    ? '<span class="token-badge">Latest</span>'
+                    : `<button class="library-btn version-restore" onclick="restoreVersion(${v.version})"><i data-lucide="rotate-ccw"></i>Restore</button>`}
+            </div>
+        `).join('');
+
+        diffFrom.innerHTML = doc.versions.map(option).join('');
+        diffTo.innerHTML = doc.versions.map(option).join('');
+        diffFrom.value = String(doc.versions[Math.max(doc.versions.length - 2, 0)].version);
+        diffTo.value = String(head.version);
+        renderVersionDiff();
+
+        lucide.createIcons();
+    }
+
+    function renderVersionDiff() {
+        const doc = versionsDocument();
+        const from = PromptLibrary.getVersion(doc, Number(diffFrom.value));
+        const to = PromptLibrary.getVersion(doc, Number(diffTo.value));
+        const ops = PromptEdits.diffWords(from[diffField.value] || '', to[diffField.value] || '');
+        const stats = PromptEdits.diffStats(ops);
+
+        diffStats.textContent = `+${stats.added} / -${stats.removed} words`;
+        diffView.innerHTML = ops.map(op => {
+            const text = escapeHtml(op.value);
+            if (op.type === 'insert') return `<ins>${text}</ins>`;
+            if (op.type === 'delete') return `<del>${text}</del>`;
+            return text;
+        }).join('');
+    }
+
+    // Inline SVG line of 0-10 scores
+    function sparkline(values, { width = 80, height = 20 } = {}) {
+        const step = values.length > 1 ? width / (values.length - 1) : 0;
+        const points = values.map((value, i) => [
+            Math.round(i * step * 10) / 10,
+            Math.round((height - 2 - (value / 10) * (height - 4)) * 10) / 10
+        ]);
+        const [lastX, lastY] = points[points.length - 1];
+
+        return `
+            <svg class="sparkline" width="${width}" height="${height}" viewBox="-2 -2 ${width + 4} ${height + 4}">
+                <polyline points="${points.map(p => p.join(',')).join(' ')}"></polyline>
+                <circle cx="${lastX}" cy="${lastY}" r="2.5"></circle>
+            </svg>
+        `;
+    }
+
+    /**
+     * Models - cards come from the registry; imported model files are kept
+     * in localStorage and registered again on load
+     */
+    function loadModels() {
+        const saved = JSON.parse(localStorage.getItem('promptOptimizer_models') || 'null');
+        if (!saved) return;
+        try {
+            PromptModels.fromFile(saved);
+        } catch (error) {
+            console.warn(`⚠️ Imported models not loaded: ${error.message}`);
+        }
+    }
+
+    function saveModels() {
+        localStorage.setItem('promptOptimizer_models', JSON.stringify(PromptModels.toFile()));
+    }
+
+    function renderModels() {
+        const tokens = n => (n >= 1000000 ? `${n / 1000000}M` : `${Math.round(n / 1000)}K`);
+        const price = model => (model.selfHosted
+            ? 'Self-hosted'
+            : `$${model.pricing.input}/$${model.pricing.output} per 1M`);
+
+        modelGrid.innerHTML = PromptModels.list().map(model => `
+            <div class="model-card ${model.id === state.selectedModel ? 'selected' : ''}" data-model="${escapeHtml(model.id)}">
+                <div class="model-header">
+                    <span class="model-name">${escapeHtml(model.name)}</span>
+                    <span class="model-badge">${escapeHtml(model.badge || '')}</span>
+                </div>
+                <span class="model-company">${escapeHtml(model.company)}</span>
+                <div class="model-meta">
+                    <span>${tokens(model.contextWindow)} context · ${price(model)}</span>
+                    ${PromptModels.isImported(model.id) ? `
+                        <button class="model-remove" data-remove-model="${escapeHtml(model.id)}" title="Remove imported model">
+                            <i data-lucide="x"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+
+        lucide.createIcons();
+    }
+
+    function selectModel(id) {
+        state.selectedModel = id;
+        renderModels();
+        if (state.analysis) {
+            analyzePrompt();
+        }
+    }
+
+    function removeModel(id) {
+        const { name } = PromptModels.get(id);
+        PromptModels.remove(id);
+        saveModels();
+        if (state.selectedModel === id) {
+            selectModel('claude');
+        } else {
+            renderModels();
+        }
+        showToast(`Removed ${name}`);
+    }
+
+    /**
+     * Rules & Projects - the active project decides which rules run and
+     * which JSON rule packs are loaded (see PromptProjects)
+     */
+    function activeProject() {
+        return state.projects.find(p => String(p.id) === state.projectId) || state.projects[0];
+    }
+
+    function applyProject() {
+        PromptProjects.apply(activeProject()).forEach(({ id, error }) => {
+            console.warn(`⚠️ Rule pack ${id} not loaded: ${error}`);
+        });
+    }
+
+    function projectChanged() {
+        state.projectId = String(activeProject().id);
+        localStorage.setItem('promptOptimizer_projects', JSON.stringify(state.projects));
+        localStorage.setItem('promptOptimizer_project', state.projectId);
+
+        applyProject();
+        renderRules();
+        if (state.analysis) {
+            analyzePrompt();
+        }
+    }
+
+    function saveScoringProfile(profile) {
+        try {
+            PromptProjects.saveScoringProfile(activeProject(), profile);
+        } catch (error) {
+            showToast(error.message);
+            renderRules();
+            return;
+        }
+        projectChanged();
+    }
+
+    function readTextFile(input, onLoad) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        file.text().then(text => {
+            try {
+                onLoad(text, file);
+            } catch (error) {
+                showToast(`${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    function readJsonFile(input, onLoad) {
+        readTextFile(input, text => onLoad(JSON.parse(text)));
+    }
+
+    function renderRules() {
+        const project = activeProject();
+
+        projectSelect.innerHTML = state.projects
+            .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+            .join('');
+        projectSelect.value = String(project.id);
+
+        styleGuideInfo.innerHTML = project.styleGuide ? `
+            <div class="version-item">
+                <span class="rule-pack-name">${escapeHtml(project.styleGuide.name)}</span>
+                <span class="version-meta">${escapeHtml(styleGuideSummary(project.styleGuide))}</span>
+                <button class="icon-btn" title="Remove Style Guide" data-remove-style-guide>
+                    <i data-lucide="trash-2"></i>
+                </button>
+            </div>
+        ` : '<p class="question-text">No style guide. Load a JSON or YAML guide to score prompts for Team Compliance.</p>';
+
+        renderScoringProfile(project);
+
+        rulePacks.innerHTML = PromptRules.packs.map(pack => {
+            const inProject = project.rules.packs.some(p => p.id === pack.id);
+            return `
+                <div class="version-item">
+                    <span class="rule-pack-name">${escapeHtml(pack.name)}</span>
+                    <span class="version-meta">${pack.ruleIds.length} rules${pack.description ? ` · ${escapeHtml(pack.description)}` : ''}</span>
+                    ${inProject ? `
+                        <button class="icon-btn" title="Remove Rule Pack" data-pack="${escapeHtml(pack.id)}">
+                            <i data-lucide="trash-2"></i>
+                        </button>
+                    ` : `<span class="token-badge">${pack.builtIn ? 'built-in' : 'script'}</span>`}
+                </div>
+            `;
+        }).join('');
+
+        ruleList.innerHTML = Object.entries(PromptRules.categories).map(([category, { label }]) => `
+            <h3>${label}</h3>
+            ${PromptRules.list(category).map(rule => `
+                <label class="rule-item">
+                    <input type="checkbox" data-rule="${escapeHtml(rule.id)}" ${PromptRules.isEnabled(rule.id) ? 'checked' : ''}>
+                    <span class="rule-title">${escapeHtml(rule.meta.title)}</span>
+                    <code class="rule-id">${escapeHtml(rule.id)}</code>
+                    <span class="rule-scope">${escapeHtml(ruleScope(rule))}</span>
+                    <button class="info-icon" data-tooltip="${escapeHtml(rule.id)}">
+                        <i data-lucide="help-circle"></i>
+                    </button>
+                </label>
+            `).join('')}
+        `).join('');
+
+        ruleList.querySelectorAll('.info-icon').forEach(icon => {
+            icon.addEventListener('mouseenter', (e) => showTooltip(e, icon.dataset.tooltip));
+            icon.addEventListener('mouseleave', hideTooltip);
+        });
+
+        lucide.createIcons();
+    }
+
+    function renderScoringProfile(project) {
+        const profile = PromptScoring.resolve();
+        const { profiles } = project.scoring;
+        const edited = PromptScoring.isEdited(profile.id, profiles);
+
+        scoringProfileSelect.innerHTML = PromptScoring.list(profiles)
+            .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}${PromptScoring.isEdited(p.id, profiles) ? ' (edited)' : ''}</option>`)
+            .join('');
+        scoringProfileSelect.value = profile.id;
+
+        const removeBtn = document.getElementById('remove-scoring-profile-btn');
+        removeBtn.disabled = Boolean(PromptScoring.builtIn[profile.id]) && !edited;
+        removeBtn.title = PromptScoring.builtIn[profile.id] ? 'Reset to the Built-in Weights' : 'Remove Scoring Profile';
+
+        const number = (attr, key, value, max) =>
+            `<input type="number" min="0" max="${max}" step="${max === 100 ? 1 : 0.5}" data-${attr}="${key}" value="${value}">`;
+        scoringEditor.innerHTML = `
+            <div class="scoring-group">
+                <span class="metric-name">Weights (%)</span>
+                ${PromptScoring.dimensions.map(d => `
+                    <label class="scoring-field">${d.label} ${number('weight', d.id, Math.round(profile.weights[d.id] * 1000) / 10, 100)}</label>
+                `).join('')}
+            </div>
+            <div class="scoring-group">
+                <span class="metric-name">Altitude Scores (0-10)</span>
+                ${PromptScoring.altitudes.map(a => `
+                    <label class="scoring-field">${formatAltitude(a)} ${number('altitude', a, profile.altitude[a], 10)}</label>
+                `).join('')}
+            </div>
+            <div class="scoring-group">
+                <span class="metric-name">Ratings (minimum score)</span>
+                ${profile.thresholds.map((t, i) => `
+                    <div class="scoring-field" data-threshold="${i}">
+                        <input type="text" value="${escapeHtml(t.label)}" style="color: ${t.color}">
+                        <input type="number" min="0" max="10" step="0.5" value="${t.min}">
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    function styleGuideSummary(guide) {
+        const count = (items, noun) => (items.length > 0 ? `${items.length} ${noun}${items.length === 1 ? '' : 's'}` : null);
+        return [
+            count(guide.sections, 'section'),
+            count(guide.tags, 'tag'),
+            count(guide.requiredPhrases, 'required phrase'),
+            count(guide.forbiddenPhrases, 'forbidden phrase'),
+            count(Object.keys(guide.length), 'length limit'),
+            `${Math.round(guide.weight * 100)}% of the score`
+        ].filter(Boolean).join(' · ');
+    }
+
+    function ruleScope(rule) {
+        const models = rule.models ? rule.models.map(m => (ModelData[m] ? ModelData[m].name : m)).join(', ') : 'All models';
+        const levels = rule.category === 'transform' && rule.levels.join() !== PromptRules.defaultLevels.join()
+            ? ` · ${rule.levels.join(', ')}`
+            : '';
+        return `${models}${levels}`;
+    }
+
+    /**
+     * Test Suites - regression cases owned by a saved prompt (entry.suite)
+     * Every run is added to the suite's pass rate history
+     */
+    function suiteEntry() {
+        return state.savedPrompts.find(p => p.id === state.suiteEntryId);
+    }
+
+    function persistSuite() {
+        persistLibrary(suiteEntry());
+    }
+
+    window.openSuite = (id) => {
+        const entry = state.savedPrompts.find(p => p.id === id);
+        if (!entry) return;
+
+        entry.suite = entry.suite || PromptTestSuites.create();
+        state.suiteEntryId = id;
+        state.suiteRun = null;
+
+        closeModals();
+        renderSuite();
+        showModal(suiteModal);
+    };
+
+    function renderSuite() {
+        const entry = suiteEntry();
+
+        suitePrompt.textContent = entry.optimized.length > 160 ? `${entry.optimized.substring(0, 160)}...` : entry.optimized;
+        suiteAdapter.innerHTML = Object.entries(PromptEvaluator.adapters)
+            .map(([id, adapter]) => `<option value="${id}">${adapter.label}</option>`)
+            .join('');
+        suiteAdapter.value = PromptEvaluator.adapters[state.evalSettings.suiteAdapter] ? state.evalSettings.suiteAdapter : 'mock';
+
+        renderAssertionRows(suiteAssertions, entry.suite.assertions, persistSuite);
+        renderSuiteCases();
+        renderSuiteHistory();
+        renderSuiteResults();
+    }
+
+    function renderSuiteCases() {
+        const suite = suiteEntry().suite;
+
+        suiteCases.innerHTML = suite.cases.map((testCase, i) => `
+            <div class="suite-case" data-index="${i}">
+                <div class="message-item-header">
+                    <input type="text" class="question-input suite-case-name" placeholder="Case name">
+                    <button class="icon-btn" title="Remove Case">
+                        <i data-lucide="trash-2"></i>
+                    </button>
+                </div>
+                <textarea class="suite-case-input" rows="3" placeholder="Input appended to the prompt"></textarea>
+                <div class="eval-assertions"></div>
+                <button class="library-btn eval-add-btn">
+                    <i data-lucide="plus"></i>
+                    Add Assertion
+                </button>
+            </div>
+        `).join('');
+
+        suiteCases.querySelectorAll('.suite-case').forEach(row => {
+            const index = Number(row.dataset.index);
+            const testCase = suite.cases[index];
+            const name = row.querySelector('.suite-case-name');
+            const input = row.querySelector('.suite-case-input');
+            const assertions = row.querySelector('.eval-assertions');
+
+            testCase.assertions = testCase.assertions || [];
+            name.value = testCase.name;
+            input.value = testCase.input;
+
+            name.addEventListener('input', () => {
+                testCase.name = name.value;
+                persistSuite();
+            });
+            input.addEventListener('input', () => {
+                testCase.input = input.value;
+                persistSuite();
+            });
+            row.querySelector('.message-item-header .icon-btn').addEventListener('click', () => {
+                suite.cases.splice(index, 1);
+                persistSuite();
+                renderSuiteCases();
+            });
+
+            renderAssertionRows(assertions, testCase.assertions, persistSuite);
+            row.querySelector('.eval-add-btn').addEventListener('click', () => {
+                testCase.assertions.push({ type: 'contains', value: '' });
+                persistSuite();
+                renderAssertionRows(assertions, testCase.assertions, persistSuite);
+            });
+        });
+
+        lucide.createIcons();
+    }
+
+    // The suite without the editor's empty assertion rows, like the eval panel
+    function suiteToRun(entry) {
+        const filled = assertions => (assertions || []).filter(a => String(a.value ?? '').trim() !== '');
+        return {
+            ...entry,
+            suite: {
+                ...entry.suite,
+                assertions: filled(entry.suite.assertions),
+                cases: entry.suite.cases.map(testCase => ({ ...testCase, assertions: filled(testCase.assertions) }))
+            }
+        };
+    }
+
+    async function runSuite() {
+        const entry = suiteEntry();
+
+        runSuiteBtn.disabled = true;
+        try {
+            state.suiteRun = await PromptTestSuites.run(
+                suiteToRun(entry),
+                {
+                    adapter: suiteAdapter.value,
+                    endpoint: state.evalSettings.endpoint || PromptEvaluator.defaults.endpoint,
+                    model: state.evalSettings.model || PromptEvaluator.defaults.model,
+                    apiKey: evalApiKey.value.trim()
+                },
+                {
+                    onProgress: ({ index, total }) => {
+                        suiteResults.innerHTML = `<p class="question-text">Running case ${index + 1}/${total}...</p>`;
+                    }
+                }
+            );
+            PromptTestSuites.record(entry.suite, state.suiteRun);
+            persistSuite();
+            console.log(`🧪 Test suite: ${state.suiteRun.passed}/${state.suiteRun.total} passed`);
+        } catch (error) {
+            console.error('❌ Test suite failed to run:', error);
+            state.suiteRun = { error: error.message };
+        } finally {
+            runSuiteBtn.disabled = false;
+        }
+
+        renderSuiteHistory();
+        renderSuiteResults();
+    }
+
+    function renderSuiteHistory() {
+        const suite = suiteEntry().suite;
+        const trend = PromptTestSuites.trend(suite);
+
+        if (!trend) {
+            suiteHistory.innerHTML = '<p class="question-text">No runs yet.</p>';
+            return;
+        }
+
+        const change = trend.previous ? ` (${trend.change >= 0 ? '+' : ''}${trend.change} pts)` : '';
+        suiteHistory.innerHTML = `
+            <div class="suite-history-header">
+                <span class="suite-pass-rate">${trend.latest.passRate}%</span>
+                <span class="question-text">latest pass rate${change} over ${suite.runs.length} run(s)</span>
+            </div>
+            <div class="suite-history-bars">
+                ${suite.runs.map(run => `
+                    <span class="suite-bar ${run.passRate === 100 ? 'pass' : run.passRate === 0 ? 'fail' : ''}"
+                        style="height: ${Math.max(run.passRate, 4)}%"
+                        title="${new Date(run.date).toLocaleString()}: ${run.passed}/${run.total} on ${escapeHtml(run.model)}"></span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    function renderSuiteResults() {
+        const run = state.suiteRun;
+
+        if (!run) {
+            suiteResults.innerHTML = '';
+            return;
+        }
+        if (run.error) {
+            suiteResults.innerHTML = `<p class="suite-error">${escapeHtml(run.error)}</p>`;
+            return;
+        }
+
+        suiteResults.innerHTML = run.cases.map(c => `
+            <div class="suite-result">
+                <div class="eval-case-header">
+                    <span class="token-badge ${c.passed ? 'pass' : 'fail'}">${c.passed ? 'Pass' : 'Fail'}</span>
+                    <span class="eval-case-name">${escapeHtml(c.name)}</span>
+                </div>
+                <pre class="prompt-preview eval-output">${escapeHtml(c.error || c.output)}</pre>
+                ${c.checks.length > 0 ? `
+                    <ul class="eval-checks">
+                        ${c.checks.map(check => `
+                            <li class="${check.pass ? 'pass' : 'fail'}">
+                                <i data-lucide="${check.pass ? 'check' : 'x'}"></i>
+                                ${escapeHtml(`${PromptEvaluator.assertionTypes[check.type].label}: ${check.message}`)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `).join('');
+
+        lucide.createIcons();
+    }
+
     function showTooltip(e, type) {
-        const content = TooltipContent[type];
+        const rule = TooltipContent[type] ? null : PromptRules.get(type);
+        const content = rule ? ruleTooltip(rule) : TooltipContent[type];
         if (!content) return;
 
         let html = `<h4>${content.title}</h4><p>${content.description}</p>`;
@@ -754,6 +3461,17 @@ document.addEventListener('DOMContentLoaded', () => {
         tooltip.classList.add('show');
     }
 
+    // Rule metadata can come from a loaded pack, so it's escaped
+    function ruleTooltip(rule) {
+        const { title, description, example, details } = rule.meta;
+        return {
+            title: escapeHtml(title),
+            description: escapeHtml(description || rule.id),
+            example: example && { poor: escapeHtml(example.poor || ''), good: escapeHtml(example.good || '') },
+            details: Array.isArray(details) ? details.map(d => escapeHtml(d)) : null
+        };
+    }
+
     function hideTooltip() {
         tooltip.classList.remove('show');
     }
@@ -765,6 +3483,12 @@ document.addEventListener('DOMContentLoaded', () => {
     function closeModals() {
         infoModal.style.display = 'none';
         libraryModal.style.display = 'none';
+        detailsModal.style.display = 'none';
+        suiteModal.style.display = 'none';
+        versionsModal.style.display = 'none';
+        rerunModal.style.display = 'none';
+        batchModal.style.display = 'none';
+        rulesModal.style.display = 'none';
     }
 
     function toggleTheme() {
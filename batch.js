@@ -0,0 +1,254 @@
+/**
+ * PROMPT BATCH
+ * Many prompts at once: read from a pasted list, prompt files or JSONL,
+ * analyzed and optimized with shared settings, then sorted and exported
+ * as JSONL or CSV
+ *
+ * Items: { prompt, name, model, tags, folder } where all but the prompt are
+ * optional: the name defaults to the prompt's first line (as in the
+ * library) and model overrides the shared one. A JSONL line is a JSON
+ * string (the prompt) or an object with `prompt` (or `text`) and the
+ * optional fields; a pasted list has one prompt per line, or prompts
+ * separated by "---" lines when it has any
+ */
+
+const PromptBatch = {
+
+    // Sortable result columns
+    columns: {
+        name: 'Name',
+        before: 'Score Before',
+        after: 'Score After',
+        scoreChange: 'Score Change',
+        tokenDelta: 'Token Change',
+        techniques: 'Techniques'
+    },
+
+    // Exported fields, in CSV column order
+    exportFields: ['name', 'model', 'scoreBefore', 'scoreAfter', 'scoreChange', 'tokensBefore', 'tokensAfter', 'tokenDelta', 'techniques', 'original', 'optimized', 'error'],
+
+    /**
+     * Reading
+     */
+    parseList(text) {
+        const separated = /^[ \t]*---[ \t]*$/m.test(text);
+        const prompts = separated ? text.split(/^[ \t]*---[ \t]*$/m) : text.split('\n');
+        return prompts
+            .map(prompt => prompt.trim())
+            .filter(Boolean)
+            .map(prompt => ({ prompt }));
+    },
+
+    // `source` names the file in errors
+    parseJsonl(text, source = 'JSONL') {
+        const items = [];
+        text.split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${source} line ${i + 1}: not valid JSON (${error.message})`);
+            }
+            items.push(this.item(entry, `${source} line ${i + 1}`));
+        });
+        if (items.length === 0) {
+            throw new Error(`${source}: no prompts`);
+        }
+        return items;
+    },
+
+    /**
+     * The items in a file: JSONL (.jsonl, .ndjson), a JSON list of the same
+     * entries (.json), or any other text file as one prompt named after it
+     */
+    readFile(text, filename) {
+        if (/\.(jsonl|ndjson)$/i.test(filename)) {
+            return this.parseJsonl(text, filename);
+        }
+        if (/\.json$/i.test(filename)) {
+            const list = JSON.parse(text);
+            if (!Array.isArray(list)) {
+                throw new Error(`${filename}: expected a list of prompts`);
+            }
+            return list.map((entry, i) => this.item(entry, `${filename}[${i}]`));
+        }
+
+        const prompt = text.trim();
+        if (!prompt) {
+            throw new Error(`${filename}: empty prompt`);
+        }
+        return [{ name: filename.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, ''), prompt }];
+    },
+
+    // Check one JSONL/JSON entry; `at` names it in errors
+    item(entry, at) {
+        if (typeof entry === 'string') {
+            entry = { prompt: entry };
+        }
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`${at}: expected a prompt string or { "prompt": ... }`);
+        }
+
+        const prompt = entry.prompt !== undefined ? entry.prompt : entry.text;
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw new Error(`${at}: "prompt" must be a non-empty string`);
+        }
+        ['name', 'model', 'folder'].forEach(key => {
+            if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+                throw new Error(`${at}: "${key}" must be a string`);
+            }
+        });
+        if (entry.tags !== undefined && !(Array.isArray(entry.tags) && entry.tags.every(tag => typeof tag === 'string'))) {
+            throw new Error(`${at}: "tags" must be a list of strings`);
+        }
+
+        const item = { prompt };
+        ['name', 'model', 'tags', 'folder'].forEach(key => {
+            if (entry[key] !== undefined) item[key] = entry[key];
+        });
+        return item;
+    },
+
+    /**
+     * Optimize one item
+     * settings: { model, level, options } with options as for
+     * PromptOptimizer.optimize (format, concise, costs...)
+     * Returns a result row: { name, model, original, optimized, before,
+     * after, scoreChange, tokensBefore, tokensAfter, tokenDelta, techniques,
+     * tags, folder, analysis, result }, or the row with `error` set when the
+     * item can't be optimized
+     */
+    run(item, { model = 'claude', level = 'standard', options = {} } = {}) {
+        const row = {
+            name: item.name || PromptLibrary.nameFor(item.prompt),
+            model: item.model || model,
+            original: item.prompt,
+            tags: item.tags || [],
+            folder: item.folder || ''
+        };
+
+        try {
+            if (!ModelData[row.model]) {
+                throw new Error(`Unknown model: ${row.model}`);
+            }
+            const analysis = PromptAnalyzer.analyze(item.prompt, row.model, {
+                sampleValues: options.sampleValues, styleGuide: options.styleGuide, scoringProfile: options.scoringProfile,
+                costs: options.costs, showThinking: options.showThinking
+            });
+            const result = PromptOptimizer.optimize(item.prompt, analysis, row.model, level, { ...options, level });
+            return Object.assign(row, {
+                optimized: result.optimized,
+                before: analysis.overallScore.score,
+                after: result.newAnalysis.overallScore.score,
+                scoreChange: result.improvements.scoreChange,
+                tokensBefore: analysis.tokenCount,
+                tokensAfter: result.newAnalysis.tokenCount,
+                tokenDelta: result.newAnalysis.tokenCount - analysis.tokenCount,
+                techniques: result.techniques.map(t => t.name),
+                analysis,
+                result
+            });
+        } catch (error) {
+            return Object.assign(row, { optimized: '', techniques: [], error: error.message });
+        }
+    },
+
+    /**
+     * A library document for an optimized row, with its session so the app
+     * can reopen it; `settings` are the ones the row was run with and
+     * `project` ({ id, name }) is recorded in the session
+     */
+    document(row, { level = 'standard', options = {} } = {}, project = null) {
+        const { sampleValues, costs, ...saved } = options;
+        const doc = PromptLibrary.createDocument({
+            original: row.original,
+            optimized: row.optimized,
+            model: row.model,
+            options: { ...saved, level },
+            techniques: row.result.techniques.map(({ name, description, impact }) => ({ name, description, impact })),
+            score: row.after,
+            session: PromptLibrary.session(row.analysis, row.result, {
+                sampleValues,
+                costs,
+                project,
+                styleGuide: PromptStyleGuides.resolve(options.styleGuide),
+                scoringProfile: PromptScoring.resolve(options.scoringProfile)
+            })
+        }, null);
+        return PromptLibrary.setDetails(doc, { name: row.name, tags: row.tags, folder: row.folder });
+    },
+
+    /**
+     * Sorted copy of `rows`; failed rows always come last
+     * direction: 'asc' or 'desc'
+     */
+    sort(rows, key = 'name', direction = 'asc') {
+        const value = row => (key === 'techniques' ? row.techniques.length : row[key]);
+        const sign = direction === 'desc' ? -1 : 1;
+        return rows.slice().sort((a, b) => {
+            if (Boolean(a.error) !== Boolean(b.error)) return a.error ? 1 : -1;
+            const x = value(a);
+            const y = value(b);
+            const order = typeof x === 'string' ? x.localeCompare(y, undefined, { numeric: true, sensitivity: 'base' }) : (x || 0) - (y || 0);
+            return sign * order || a.name.localeCompare(b.name, undefined, { numeric: true });
+        });
+    },
+
+    summary(rows) {
+        const done = rows.filter(row => !row.error);
+        const average = key => (done.length > 0 ? done.reduce((sum, row) => sum + row[key], 0) / done.length : 0);
+        return {
+            count: rows.length,
+            failed: rows.length - done.length,
+            before: average('before'),
+            after: average('after'),
+            tokenDelta: done.reduce((sum, row) => sum + row.tokenDelta, 0)
+        };
+    },
+
+    /**
+     * Export
+     */
+    record(row) {
+        const score = value => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+        return {
+            name: row.name,
+            model: row.model,
+            scoreBefore: score(row.before),
+            scoreAfter: score(row.after),
+            scoreChange: score(row.scoreChange),
+            tokensBefore: row.tokensBefore ?? null,
+            tokensAfter: row.tokensAfter ?? null,
+            tokenDelta: row.tokenDelta ?? null,
+            techniques: row.techniques,
+            original: row.original,
+            optimized: row.optimized,
+            error: row.error || null
+        };
+    },
+
+    toJsonl(rows) {
+        return rows.map(row => JSON.stringify(this.record(row))).join('\n') + '\n';
+    },
+
+    // RFC 4180: fields with commas, quotes or line breaks are quoted; techniques are "; "-joined
+    toCsv(rows) {
+        const field = value => {
+            const text = value === null ? '' : Array.isArray(value) ? value.join('; ') : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.exportFields.join(',')];
+        rows.forEach(row => {
+            const record = this.record(row);
+            lines.push(this.exportFields.map(key => field(record[key])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptBatch = PromptBatch;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptBatch;
+}
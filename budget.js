@@ -0,0 +1,305 @@
+/**
+ * PROMPT BUDGET
+ * Context-window budgets: how many tokens a prompt plus its expected output
+ * takes against the model's context window and recommended prompt budget,
+ * and compression of a prompt down to a target token count
+ *
+ * Each model carries `contextWindow` (the hard limit) and `promptBudget`
+ * (where quality starts to drop; both in tokens). The expected output comes
+ * from options.expectedOutput, a length the prompt asks for ("500 words"),
+ * or `defaultOutput`
+ */
+
+const PromptBudget = {
+
+    defaultOutput: 1024,
+
+    // Models without a promptBudget get this share of their context window
+    defaultBudgetShare: 0.5,
+
+    tokensPerWord: 1.35,
+
+    // Requested lengths, in words per unit ("3 paragraphs", "2 pages")
+    lengthUnits: {
+        word: 1,
+        sentence: 20,
+        bullet: 15,
+        point: 15,
+        item: 15,
+        paragraph: 100,
+        page: 500
+    },
+
+    /**
+     * Budget Check
+     * Returns { contextWindow, promptBudget, promptTokens, expectedOutput,
+     * total, usage, status: 'ok' | 'over-budget' | 'over-context', issue }
+     * where `usage` is the percentage of the prompt budget used and
+     * expectedOutput is { tokens, source: 'option' | 'prompt' | 'default', phrase }
+     */
+    check(promptTokens, text, model, options = {}) {
+        const { contextWindow, promptBudget, name } = this.limits(model);
+        const expectedOutput = this.expectedOutput(text, options.expectedOutput);
+        const total = promptTokens + expectedOutput.tokens;
+        const status = total > contextWindow ? 'over-context' : total > promptBudget ? 'over-budget' : 'ok';
+
+        const issues = {
+            ok: null,
+            'over-budget': `Prompt plus expected output (${this.format(total)} tokens) is over the ${this.format(promptBudget)}-token budget recommended for ${name}`,
+            'over-context': `Prompt plus expected output (${this.format(total)} tokens) doesn't fit ${name}'s ${this.format(contextWindow)}-token context window`
+        };
+
+        return {
+            contextWindow,
+            promptBudget,
+            promptTokens,
+            expectedOutput,
+            total,
+            usage: Math.round((total / promptBudget) * 100),
+            status,
+            issue: issues[status]
+        };
+    },
+
+    limits(model) {
+        const data = ModelData[model] || ModelData.claude;
+        const contextWindow = data.contextWindow || 8192;
+        return {
+            name: data.name,
+            contextWindow,
+            promptBudget: Math.min(data.promptBudget || Math.round(contextWindow * this.defaultBudgetShare), contextWindow)
+        };
+    },
+
+    /**
+     * Expected output length: `given` tokens, else the largest length the
+     * prompt asks for ("under 300 words", "2-3 paragraphs"), else the default
+     */
+    expectedOutput(text, given = null) {
+        if (typeof given === 'number' && given >= 0) {
+            return { tokens: Math.round(given), source: 'option', phrase: null };
+        }
+
+        const units = Object.keys(this.lengthUnits).join('|');
+        const pattern = new RegExp(`\\b(\\d[\\d,]*)(?:\\s*(?:-|to)\\s*(\\d[\\d,]*))?\\s*(${units}|tokens?)s?\\b`, 'gi');
+        let best = null;
+        for (const match of (text || '').matchAll(pattern)) {
+            const count = Number((match[2] || match[1]).replace(/,/g, ''));
+            const unit = match[3].toLowerCase().replace(/s$/, '');
+            const tokens = unit === 'token' ? count : Math.round(count * this.lengthUnits[unit] * this.tokensPerWord);
+            if (!best || tokens > best.tokens) {
+                best = { tokens, source: 'prompt', phrase: match[0] };
+            }
+        }
+
+        return best || { tokens: this.defaultOutput, source: 'default', phrase: null };
+    },
+
+    /**
+     * The token count `compress` aims for: options.targetTokens, else what
+     * the budget leaves for the prompt when it's over, else three quarters
+     * of the prompt
+     */
+    target(promptTokens, text, model, options = {}) {
+        if (options.targetTokens > 0) {
+            return Math.round(options.targetTokens);
+        }
+        const room = this.limits(model).promptBudget - this.expectedOutput(text, options.expectedOutput).tokens;
+        return promptTokens > room ? Math.max(room, 0) : Math.round(promptTokens * 0.75);
+    },
+
+    format(tokens) {
+        return tokens.toLocaleString('en-US');
+    },
+
+    /**
+     * Compression
+     * Cuts `text` down to `target` tokens, least lossy first: near-duplicate
+     * sentences, then example detail, then background sections (cut to
+     * their key sentences). Each step stops as soon as the target is met.
+     * `count(text)` measures a candidate; anything holding a protected
+     * region (see PromptRegions.protect) is never dropped
+     * Returns { text, dropped: [{ kind, text }], before, after, reached }
+     */
+    compress(text, target, count) {
+        const before = count(text);
+        const dropped = [];
+        let current = text;
+
+        for (const [kind, candidates] of [
+            ['duplicate', t => this.nearDuplicates(t)],
+            ['example', t => this.exampleDetail(t)],
+            ['background', t => this.backgroundDetail(t)]
+        ]) {
+            if (count(current) <= target) break;
+
+            const removed = [];
+            for (const piece of candidates(current)) {
+                removed.push(piece);
+                if (count(this.without(current, removed)) <= target) break;
+            }
+            if (removed.length > 0) {
+                current = this.without(current, removed);
+                // An aside inside a dropped line is reported with the line
+                const outer = removed.filter(p => !removed.some(q => q !== p && q.start <= p.start && q.end >= p.end));
+                dropped.push(...outer.map(piece => ({ kind, text: piece.text.trim() })));
+            }
+        }
+
+        const after = count(current);
+        return { text: current, dropped, before, after, reached: after <= target };
+    },
+
+    // `text` with the pieces ({ start, end }) cut out and the spacing tidied
+    without(text, pieces) {
+        let result = '';
+        let cursor = 0;
+        [...pieces].sort((a, b) => a.start - b.start).forEach(piece => {
+            result += text.slice(cursor, piece.start);
+            cursor = Math.max(cursor, piece.end);
+        });
+        result += text.slice(cursor);
+
+        return result
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/[ \t]{2,}/g, ' ')
+            .replace(/ +([.,;:!?])/g, '$1')
+            .replace(/\n{3,}/g, '\n\n');
+    },
+
+    isLocked(piece) {
+        return piece.includes(PromptTemplates.sentinelOpen);
+    },
+
+    /**
+     * Sentences with their offsets, line by line
+     * A sentence that is its whole line takes the line break with it
+     */
+    sentences(text) {
+        const found = [];
+        let offset = 0;
+        text.split('\n').forEach(line => {
+            for (const match of line.matchAll(/\S[^]*?(?:[.!?]+(?=\s|$)|$)\s*/g)) {
+                const start = offset + match.index;
+                const whole = match[0].trim() === line.trim();
+                found.push({ start, end: start + match[0].length + (whole ? 1 : 0), text: match[0] });
+            }
+            offset += line.length + 1;
+        });
+        return found.filter(s => s.text.trim().length > 0);
+    },
+
+    words(sentence) {
+        const stop = new Set(['the', 'and', 'for', 'are', 'with', 'that', 'this', 'you', 'your', 'from', 'into']);
+        return new Set((sentence.toLowerCase().match(/[a-z0-9']+/g) || []).filter(w => w.length > 2 && !stop.has(w)));
+    },
+
+    similarity(a, b) {
+        const shared = [...a].filter(w => b.has(w)).length;
+        return shared / (a.size + b.size - shared || 1);
+    },
+
+    // Later sentences sharing most of their words with an earlier one
+    nearDuplicates(text) {
+        const kept = [];
+        const duplicates = [];
+        this.sentences(text).forEach(sentence => {
+            const words = this.words(sentence.text);
+            const duplicate = words.size >= 4 && !this.isLocked(sentence.text) &&
+                kept.some(earlier => this.similarity(words, earlier) >= 0.6);
+            if (duplicate) {
+                duplicates.push(sentence);
+            } else {
+                kept.push(words);
+            }
+        });
+        return duplicates;
+    },
+
+    /**
+     * Sections: a header ([EXAMPLE], ## Examples, "Background:") and the
+     * non-blank lines under it; a [TAG] marker can open a section mid-line. Returns [{ header, lines: [{ start, end, text }] }]
+     * where the header's own text after the marker is the first line.
+     * A "Label: text" line is a section of its own: the lines after it
+     * are usually the next instruction, not more of the label
+     */
+    sections(text, header) {
+        const sections = [];
+        const lines = [];
+        let offset = 0;
+        text.split('\n').forEach(line => {
+            lines.push({ start: offset, end: offset + line.length + 1, text: line });
+            offset += line.length + 1;
+        });
+
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].text.match(header);
+            if (!match) continue;
+
+            const body = [];
+            const after = match.index + match[0].length;
+            const rest = lines[i].text.slice(after);
+            if (rest.trim()) {
+                body.push({ start: lines[i].start + after, end: lines[i].end - 1, text: rest });
+                if (/^[^[#]*:$/.test(match[0].trim())) {
+                    sections.push({ header: match[0].trim(), lines: body });
+                    continue;
+                }
+            }
+            while (i + 1 < lines.length && lines[i + 1].text.trim() && !/^\s*(\[[A-Z][A-Z ]*\]|#{1,6}\s)/.test(lines[i + 1].text)) {
+                body.push(lines[++i]);
+            }
+            sections.push({ header: match[0].trim(), lines: body });
+        }
+        return sections;
+    },
+
+    /**
+     * Example detail: "(e.g. ...)" asides and "For example, ..." sentences,
+     * then the lines of example sections after the first, last line first
+     */
+    exampleDetail(text) {
+        const asides = [...text.matchAll(/\s*\((?:e\.g\.|for example|for instance)[^()\n]*\)/gi)]
+            .map(m => ({ start: m.index, end: m.index + m[0].length, text: m[0] }));
+        const sentences = this.sentences(text).filter(s => /^(for example|for instance|e\.g\.)\b/i.test(s.text.trim()));
+        const lines = this.sections(text, /(?:^|\s)\[EXAMPLES?\]:?|^\s*(#{1,6}\s*Examples?\b.*|Examples?\s*\d*:)/i)
+            .flatMap(section => section.lines.slice(1).reverse());
+
+        return [...asides, ...sentences, ...lines].filter(piece => !this.isLocked(piece.text));
+    },
+
+    /**
+     * Background detail: the sentences of background/context sections,
+     * least informative first. The first sentence of each section stays;
+     * sentences with numbers or hard requirements go last, and ones that
+     * read as the task or the output format are never dropped
+     */
+    backgroundDetail(text) {
+        const header = /(?:^|\s)\[(?:BACKGROUND|CONTEXT|ADDITIONAL CONTEXT)\]:?|^\s*(#{1,6}\s*(?:Background|Context)\b.*|(?:Background|Context):)/i;
+        const candidates = [];
+
+        this.sections(text, header).forEach(section => {
+            const body = section.lines.flatMap(line => this.sentences(line.text).map(s => ({
+                ...s,
+                start: line.start + s.start,
+                end: Math.min(line.start + s.end, line.end)
+            })));
+            body.slice(1).forEach((sentence, i) => {
+                const weight = (/\d/.test(sentence.text) ? 1 : 0) +
+                    (/\b(must|never|always|required|only)\b/i.test(sentence.text) ? 2 : 0);
+                candidates.push({ ...sentence, weight, order: i });
+            });
+        });
+
+        return candidates
+            .filter(piece => !this.isLocked(piece.text))
+            .filter(piece => !PromptAnalyzer.hasTask(piece.text) && !PromptAnalyzer.hasOutputFormat(piece.text))
+            .sort((a, b) => a.weight - b.weight || b.order - a.order);
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptBudget = PromptBudget;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptBudget;
+}
@@ -0,0 +1,189 @@
+/**
+ * PROMPT CACHING
+ * Prompt-caching layout: splits a prompt into static and dynamic sections,
+ * measures the stable prefix providers can cache, recommends the order
+ * that makes it longest and estimates what that saves (see PromptCosts)
+ *
+ * A section is dynamic when it holds a template placeholder or a
+ * <!-- dynamic --> ... <!-- /dynamic --> region (see PromptRegions); the
+ * cacheable prefix ends at the first dynamic section. Sections start at a
+ * header ([TASK]:, ## Task, <context>, "Task:") or a dynamic marker and
+ * run to the next one; a prompt without headers is split into paragraphs.
+ * A paragraph with a placeholder under a static header is split off, so
+ * the rest of the section can stay in the prefix; XML elements and a
+ * header's first paragraph stay whole
+ */
+
+const PromptCaching = {
+
+    // Shortest prefix each API caches, in tokens; self-hosted servers cache any prefix
+    minimumTokens: {
+        anthropic: 1024,
+        openai: 1024,
+        gemini: 2048
+    },
+
+    header: /^\s*(\[[A-Z][A-Z _-]*\]:?|#{1,6}\s+\S|<[A-Za-z_][\w-]*(?:\s[^<>]*)?>|[A-Z][A-Za-z ]{0,30}:\s*$)/,
+
+    /**
+     * Sections with their offsets
+     * Returns [{ start, end, text, title, dynamic, variables, marked }].
+     * `restore` maps the text back to the real prompt when it has been
+     * protected (see PromptRegions.protect), so sentinels can be judged
+     */
+    sections(text, restore = t => t) {
+        const regions = PromptRegions.find(text);
+        const paragraphs = [];
+        let start = 0;
+        for (const gap of text.matchAll(/\n[ \t]*\n\s*/g)) {
+            const end = gap.index + gap[0].length;
+            if (PromptRegions.overlaps(regions, gap.index, end)) continue;
+            paragraphs.push({ start, end: gap.index });
+            start = end;
+        }
+        paragraphs.push({ start, end: text.length });
+
+        const sections = [];
+        paragraphs.filter(p => text.slice(p.start, p.end).trim()).forEach(paragraph => {
+            const real = restore(text.slice(paragraph.start, paragraph.end));
+            const headed = this.header.test(real.split('\n')[0]);
+            const marked = /^\s*<!--\s*dynamic\s*-->/i.test(real);
+            const dynamic = PromptTemplates.findPlaceholders(real).length > 0 || PromptRegions.find(real).some(region => region.kind === 'dynamic');
+            const last = sections[sections.length - 1];
+            const joins = last && last.headed && !headed && !marked &&
+                (!dynamic || last.dynamic || last.xml || (last.paragraphs === 1 && last.bare));
+            if (joins) {
+                last.end = paragraph.end;
+                last.dynamic = last.dynamic || dynamic;
+                last.paragraphs++;
+            } else {
+                sections.push({
+                    ...paragraph,
+                    headed,
+                    dynamic,
+                    xml: headed && /^\s*</.test(real),
+                    bare: real.trim().split('\n').length === 1,
+                    paragraphs: 1
+                });
+            }
+        });
+
+        return sections.map(({ start, end }) => {
+            const raw = text.slice(start, end);
+            const real = restore(raw);
+            const placeholders = PromptTemplates.findPlaceholders(real);
+            const marked = PromptRegions.find(real).some(region => region.kind === 'dynamic');
+            const title = real.replace(/<!--\s*\/?\s*dynamic\s*-->/gi, '').trim().split('\n')[0];
+            return {
+                start,
+                end,
+                text: raw,
+                title: title.length > 40 ? `${title.slice(0, 40)}...` : title,
+                dynamic: marked || placeholders.length > 0,
+                variables: [...new Set(placeholders.map(p => p.name).filter(Boolean))],
+                marked
+            };
+        });
+    },
+
+    // Static sections first, then dynamic ones, each in their original order
+    order(sections) {
+        return [...sections.filter(s => !s.dynamic), ...sections.filter(s => s.dynamic)];
+    },
+
+    minimum(model) {
+        const data = ModelData[model] || ModelData.claude;
+        return data.selfHosted ? 0 : (this.minimumTokens[data.api && data.api.provider] || 1024);
+    },
+
+    /**
+     * Caching Analysis
+     * Returns {
+     *   sections: [{ title, dynamic, variables, marked, tokens }],
+     *   tokens, minimum,
+     *   prefix: { current, recommended },       stable prefix, tokens
+     *   cacheable: { current, recommended },    0 below the provider's minimum
+     *   reorder,                                 whether the recommended order caches more
+     *   cost: { current, recommended, savings }  monthly USD (see PromptCosts.estimate)
+     *   issues
+     * }
+     * `costs` are PromptCosts settings; every call is assumed to hit the cache
+     */
+    analyze(text, model = 'claude', costs = {}) {
+        const name = (ModelData[model] || ModelData.claude).name;
+        const sections = this.sections(text).map(section => ({
+            ...section,
+            tokens: Tokenizers.countForModel(PromptTemplates.analyze(section.text).filled, model).count
+        }));
+        const tokens = sections.reduce((sum, s) => sum + s.tokens, 0);
+        const minimum = this.minimum(model);
+
+        const prefixOf = list => {
+            const first = list.findIndex(s => s.dynamic);
+            return (first === -1 ? list : list.slice(0, first)).reduce((sum, s) => sum + s.tokens, 0);
+        };
+        const prefix = { current: prefixOf(sections), recommended: prefixOf(this.order(sections)) };
+        const cacheable = {
+            current: prefix.current >= minimum ? prefix.current : 0,
+            recommended: prefix.recommended >= minimum ? prefix.recommended : 0
+        };
+
+        const settings = PromptCosts.settings(costs);
+        const outputTokens = PromptCosts.outputTokens(PromptTemplates.analyze(text).filled, settings);
+        const monthly = cached => PromptCosts.estimate(model, tokens, outputTokens, {
+            ...settings,
+            cachedPercent: tokens > 0 ? (cached / tokens) * 100 : 0
+        }).monthly;
+        const cost = { current: monthly(cacheable.current), recommended: monthly(cacheable.recommended) };
+        cost.savings = cost.current - cost.recommended;
+
+        const issues = [];
+        const firstDynamic = sections.findIndex(s => s.dynamic);
+        const after = firstDynamic === -1 ? [] : sections.slice(firstDynamic + 1).filter(s => !s.dynamic);
+        if (after.length > 0) {
+            const stranded = after.reduce((sum, s) => sum + s.tokens, 0);
+            issues.push(`"${sections[firstDynamic].title}" changes per request but comes before ${after.length} static section(s) (${stranded} tokens) that can't be cached; move it after them`);
+        }
+        if (prefix.recommended > 0 && prefix.recommended < minimum) {
+            issues.push(`The static part (${prefix.recommended} tokens) is under the ${minimum}-token minimum ${name} caches`);
+        }
+
+        return {
+            sections: sections.map(({ title, dynamic, variables, marked, tokens }) => ({ title, dynamic, variables, marked, tokens })),
+            tokens,
+            minimum,
+            prefix,
+            cacheable,
+            reorder: prefix.recommended > prefix.current,
+            cost,
+            issues
+        };
+    },
+
+    /**
+     * Cache Layout
+     * `text` with its static sections first. Returns { text, moved } where
+     * moved lists the titles of the dynamic sections that moved down
+     */
+    reorder(text, restore = t => t) {
+        const sections = this.sections(text, restore);
+        const ordered = this.order(sections);
+        const moved = sections.filter((s, i) => s.dynamic && ordered.indexOf(s) !== i);
+        if (moved.length === 0) {
+            return { text, moved: [] };
+        }
+
+        const lead = text.match(/^\s*/)[0];
+        const trail = text.match(/\s*$/)[0];
+        return {
+            text: lead + ordered.map(s => s.text.trim()).join('\n\n') + trail,
+            moved: moved.map(s => s.title)
+        };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptCaching = PromptCaching;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptCaching;
+}
@@ -0,0 +1,1194 @@
+#!/usr/bin/env node
+/**
+ * PROMPT OPTIMIZER V2 - Command Line Interface
+ * Runs PromptAnalyzer / PromptOptimizer headless for scripts and CI
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ModelData, PromptAnalyzer, PromptOptimizer, PromptLinter, PromptConversations, PromptExporter, PromptEvaluator, PromptTestSuites, PromptRules, PromptProjects, PromptStyleGuides, PromptScoring, PromptModels, PromptBudget, PromptCosts, PromptTemplates, PromptLibrary, PromptBatch, PromptComparison } = require('./prompt-optimizer.js');
+
+const USAGE = `Usage: prompt-optimizer <command> [file] [options]
+       prompt-optimizer lint [path...] [options]
+       prompt-optimizer test <suite-file...> [options]
+       prompt-optimizer library <path...> [options]
+       prompt-optimizer batch <path...> [options]
+       prompt-optimizer rules [options]
+       prompt-optimizer models [options]
+
+Commands:
+  analyze              Score a prompt
+  optimize             Optimize a prompt
+  costs                Optimize a prompt and compare what the original and
+                       optimized versions cost per month on every model
+  compare              Optimize a prompt for every model and compare model
+                       fit, issues left, tokens, monthly cost and how well
+                       each variant suits the other models (json: with the
+                       optimized variants)
+  eval                 Optimize a prompt, then run the original and optimized
+                       versions on an OpenAI-compatible endpoint and check
+                       the outputs against assertions
+  lint                 Score every prompt file under the given paths (default: .)
+                       and fail when scores fall below the thresholds
+  test                 Run the regression test suites of saved prompts (files
+                       downloaded from the library: one entry, a list or a
+                       library file)
+  library              Check library files (.json) and Markdown prompt files
+                       (.md, or folders of them) against the library format
+                       and combine them into one library
+  batch                Optimize many prompts with the same settings: JSONL
+                       files (a prompt string or { "prompt", "name", "model",
+                       "tags", "folder" } per line), JSON lists of the same,
+                       or prompt files (.txt, .md: one prompt each); folders
+                       are read one level deep
+  rules                List the loaded analyzer checks and optimizer transforms
+  models               List the target models (built-in and --models files)
+
+analyze/optimize/costs/compare/eval read the prompt from [file], or from stdin when no file
+(or "-") is given. A JSON message list ([{ "role", "content" }] or
+{ "system", "messages" }) or a [System]/[User]/[Assistant] transcript is
+treated as a conversation.
+
+Options:
+  -m, --model <id>     Target model: ${Object.keys(ModelData).join(', ')}, or one from
+                       --models (default: claude)
+  --models <file>      Load model definitions: a JSON model file downloaded from
+                       the app, a list of models or one model (repeatable)
+  -l, --level <level>  Optimization level: quick, standard, advanced, or compress
+                       (cut to a token target) (default: standard)
+  --target-tokens <n>  compress: the token count to reach (default: what the
+                       model's budget leaves for the prompt, or 75% of it)
+  --expected-output <n>
+                       Expected output tokens for the context budget check
+                       and cost estimates
+                       (default: the length the prompt asks for, or ${PromptBudget.defaultOutput})
+  --calls <n>          Calls per month for cost estimates (default: ${PromptCosts.defaults.callsPerMonth})
+  --cached <percent>   Share of prompt tokens read from the prompt cache (default: 0)
+  --batched <percent>  Share of calls sent through the batch API (default: 0)
+  -f, --format <fmt>   Output: text (human summary) or json (full result) (default: text)
+                       lint also accepts sarif and junit, batch jsonl and csv
+  --style <style>      Optimized prompt output style: standard, structured,
+                       article, bullets, data (default: standard)
+  --concise            Request brief, direct responses
+  --no-preamble        Skip introductions in the response
+  --show-thinking      Add a visible reasoning section before a delimited answer
+                       (off: no reasoning scaffolding is added)
+  --cache-layout       Move sections with template variables or <!-- dynamic -->
+                       markers after the static ones, for prompt caching
+  -e, --export <fmt>   optimize: print an API request instead of the prompt:
+                       anthropic, openai, gemini (request bodies) or
+                       curl, python, typescript (code for --model)
+  --rules <file>       Load a rule pack: a JSON file of pattern rules or a JS
+                       module exporting { id, rules } (repeatable)
+  --project <file>     Apply a project file exported from the app: its rule
+                       packs, turned-off rules and style guide
+  --style-guide <file> Score against a team style guide (JSON or YAML) as an
+                       extra Team Compliance dimension; optimize inserts the
+                       sections and phrases it requires
+  --scoring <profile>  Scoring profile: ${Object.keys(PromptScoring.builtIn).join(', ')}, or a
+                       JSON profile file { "name", "weights", "altitude", "thresholds" }
+  -h, --help           Show this help
+
+Eval options:
+  --cases <file>       JSON test suite: { "endpoint", "model", "assertions",
+                       "cases": [{ "name", "input", "values", "assertions" }] }
+                       or just the cases array; assertions are { "type", "value" }
+                       with type: ${Object.keys(PromptEvaluator.assertionTypes).join(', ')}
+  --adapter <id>       Model adapter: ${Object.keys(PromptEvaluator.adapters).join(', ')} (default: ${PromptEvaluator.defaults.adapter})
+  --endpoint <url>     Chat completions URL (default: ${PromptEvaluator.defaults.endpoint})
+  --eval-model <name>  Model name sent to the endpoint (default: ${PromptEvaluator.defaults.model})
+                       The EVAL_API_KEY environment variable is sent as a
+                       Bearer token when set
+
+Test options (plus --adapter, --endpoint, --eval-model):
+  --record             Append the run to each suite's history in its file
+
+Library options:
+  --into <file>        Import into this library file (created when missing)
+                       instead of printing the combined library
+  --replace            --into: replace the file's prompts instead of merging
+  --markdown <dir>     Also write each prompt's latest version to <dir> as a
+                       Markdown file with YAML frontmatter
+
+Batch options (plus the optimize options):
+  --into <file>        Also save the optimized prompts to this library file
+                       (created when missing); prompts it has are skipped
+
+Lint options:
+  --config <file>      Extra config applied on top of .promptlintrc.json files
+  --min-score <n>      Minimum overall score, 0-10
+  --min-components <n> Minimum component score, 0-100
+  --min-model-fit <n>  Minimum model compatibility, 0-100
+  --sarif <file>       Also write a SARIF report to <file>
+  --junit <file>       Also write a JUnit XML report to <file>
+
+In text mode, "optimize" writes the optimized prompt to stdout and the
+summary to stderr, so the output can be redirected straight to a file.
+"lint" exits with 1 when any error-level finding is reported; "eval" and
+"test" exit with 1 when the (optimized) prompt fails an assertion or the
+model call errors.`;
+
+const COMMANDS = ['analyze', 'optimize', 'costs', 'compare', 'eval', 'lint', 'test', 'library', 'batch', 'rules', 'models'];
+const LEVELS = PromptRules.levels;
+const FORMATS = ['text', 'json'];
+const LINT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+const BATCH_FORMATS = ['text', 'json', 'jsonl', 'csv'];
+const STYLES = ['standard', 'structured', 'article', 'bullets', 'data'];
+
+class UsageError extends Error {}
+
+/**
+ * Argument Parsing
+ */
+function parseArgs(argv) {
+    const args = {
+        command: null,
+        file: null,
+        paths: [],
+        model: null,
+        level: 'standard',
+        format: 'text',
+        export: null,
+        options: {
+            format: 'standard',
+            concise: false,
+            noPreamble: false,
+            showThinking: false,
+            costs: {}
+        },
+        eval: {
+            cases: null,
+            adapter: null,
+            endpoint: null,
+            model: null
+        },
+        record: false,
+        library: {
+            into: null,
+            replace: false,
+            markdown: null
+        },
+        models: [],
+        rules: [],
+        project: null,
+        styleGuide: null,
+        scoring: null,
+        lint: {
+            config: null,
+            thresholds: {},
+            sarif: null,
+            junit: null
+        },
+        help: false
+    };
+
+    const number = (flag, raw) => {
+        const parsed = Number(raw);
+        if (raw === '' || Number.isNaN(parsed)) {
+            throw new UsageError(`${flag} expects a number, got "${raw}"`);
+        }
+        return parsed;
+    };
+
+    const takeValue = (flag, i) => {
+        if (i + 1 >= argv.length) {
+            throw new UsageError(`Missing value for ${flag}`);
+        }
+        return argv[i + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg, undefined];
+        const value = () => {
+            if (inline !== undefined) return inline;
+            return takeValue(flag, i++);
+        };
+
+        switch (flag) {
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            case '-m':
+            case '--model':
+                args.model = value();
+                break;
+            case '-l':
+            case '--level':
+                args.level = value();
+                break;
+            case '-f':
+            case '--format':
+                args.format = value();
+                break;
+            case '-e':
+            case '--export':
+                args.export = value();
+                break;
+            case '--style':
+                args.options.format = value();
+                break;
+            case '--target-tokens':
+                args.options.targetTokens = number(flag, value());
+                break;
+            case '--expected-output':
+                args.options.expectedOutput = number(flag, value());
+                break;
+            case '--calls':
+                args.options.costs.callsPerMonth = number(flag, value());
+                break;
+            case '--cached':
+                args.options.costs.cachedPercent = number(flag, value());
+                break;
+            case '--batched':
+                args.options.costs.batchPercent = number(flag, value());
+                break;
+            case '--concise':
+                args.options.concise = true;
+                break;
+            case '--no-preamble':
+                args.options.noPreamble = true;
+                break;
+            case '--show-thinking':
+                args.options.showThinking = true;
+                break;
+            case '--cache-layout':
+                args.options.cacheLayout = true;
+                break;
+            case '--cases':
+                args.eval.cases = value();
+                break;
+            case '--adapter':
+                args.eval.adapter = value();
+                break;
+            case '--record':
+                args.record = true;
+                break;
+            case '--endpoint':
+                args.eval.endpoint = value();
+                break;
+            case '--eval-model':
+                args.eval.model = value();
+                break;
+            case '--models':
+                args.models.push(value());
+                break;
+            case '--rules':
+                args.rules.push(value());
+                break;
+            case '--project':
+                args.project = value();
+                break;
+            case '--style-guide':
+                args.styleGuide = value();
+                break;
+            case '--scoring':
+                args.scoring = value();
+                break;
+            case '--config':
+                args.lint.config = value();
+                break;
+            case '--min-score':
+                args.lint.thresholds.overallScore = number(flag, value());
+                break;
+            case '--min-components':
+                args.lint.thresholds.components = number(flag, value());
+                break;
+            case '--min-model-fit':
+                args.lint.thresholds.modelFit = number(flag, value());
+                break;
+            case '--sarif':
+                args.lint.sarif = value();
+                break;
+            case '--junit':
+                args.lint.junit = value();
+                break;
+            case '--into':
+                args.library.into = value();
+                break;
+            case '--replace':
+                args.library.replace = true;
+                break;
+            case '--markdown':
+                args.library.markdown = value();
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`Unknown option: ${arg}`);
+                }
+                if (!args.command) {
+                    args.command = arg;
+                } else {
+                    args.paths.push(arg);
+                }
+        }
+    }
+
+    if (args.help) return args;
+
+    if (!COMMANDS.includes(args.command)) {
+        throw new UsageError(args.command ? `Unknown command: ${args.command}` : 'Missing command');
+    }
+    if (args.eval.adapter && !PromptEvaluator.adapters[args.eval.adapter]) {
+        throw new UsageError(`Unknown adapter: ${args.eval.adapter} (expected ${Object.keys(PromptEvaluator.adapters).join(', ')})`);
+    }
+    if (args.record && args.command !== 'test') {
+        throw new UsageError('--record only applies to test');
+    }
+    if (args.command === 'batch' && (args.library.replace || args.library.markdown)) {
+        throw new UsageError('--replace and --markdown only apply to library');
+    }
+    if (!['library', 'batch'].includes(args.command) && Object.values(args.library).some(v => v)) {
+        throw new UsageError('--into, --replace and --markdown only apply to library (and --into to batch)');
+    }
+
+    if (args.command === 'rules' || args.command === 'models') {
+        if (!FORMATS.includes(args.format)) {
+            throw new UsageError(`Unknown format: ${args.format} (expected ${FORMATS.join(', ')})`);
+        }
+        if (args.paths.length > 0) {
+            throw new UsageError(`Unexpected argument: ${args.paths[0]}`);
+        }
+        return args;
+    }
+
+    if (args.command === 'test') {
+        if (args.eval.cases) {
+            throw new UsageError('--cases only applies to eval');
+        }
+        if (!['text', 'json'].includes(args.format)) {
+            throw new UsageError(`Unknown format: ${args.format} (expected text, json)`);
+        }
+        if (args.paths.length === 0) {
+            throw new UsageError('Missing suite file');
+        }
+        return args;
+    }
+
+    if (args.command === 'library') {
+        if (!FORMATS.includes(args.format)) {
+            throw new UsageError(`Unknown format: ${args.format} (expected ${FORMATS.join(', ')})`);
+        }
+        if (args.paths.length === 0) {
+            throw new UsageError('Missing library or Markdown file');
+        }
+        if (args.library.replace && !args.library.into) {
+            throw new UsageError('--replace only applies with --into');
+        }
+        return args;
+    }
+
+    if (args.command === 'lint') {
+        if (!LINT_FORMATS.includes(args.format)) {
+            throw new UsageError(`Unknown format: ${args.format} (expected ${LINT_FORMATS.join(', ')})`);
+        }
+        if (args.paths.length === 0) {
+            args.paths.push('.');
+        }
+        return args;
+    }
+
+    if (args.command === 'batch') {
+        if (args.paths.length === 0) {
+            throw new UsageError('Missing prompt file');
+        }
+        if (args.options.targetTokens !== undefined) {
+            throw new UsageError('--target-tokens doesn\'t apply to batch (each prompt gets its own target)');
+        }
+    } else if (args.paths.length > 1) {
+        throw new UsageError(`Unexpected argument: ${args.paths[1]}`);
+    }
+    args.file = args.paths[0] || null;
+    args.model = args.model || 'claude';
+
+    if (!LEVELS.includes(args.level)) {
+        throw new UsageError(`Unknown level: ${args.level} (expected ${LEVELS.join(', ')})`);
+    }
+    const formats = args.command === 'batch' ? BATCH_FORMATS : FORMATS;
+    if (!formats.includes(args.format)) {
+        throw new UsageError(`Unknown format: ${args.format} (expected ${formats.join(', ')})`);
+    }
+    if (args.export && (args.command !== 'optimize' || !PromptExporter.formats[args.export])) {
+        throw new UsageError(args.command !== 'optimize'
+            ? '--export only applies to optimize'
+            : `Unknown export format: ${args.export} (expected ${Object.keys(PromptExporter.formats).join(', ')})`);
+    }
+    if (args.command !== 'eval' && Object.values(args.eval).some(v => v !== null)) {
+        throw new UsageError('--cases, --adapter, --endpoint and --eval-model only apply to eval and test');
+    }
+    if (!STYLES.includes(args.options.format)) {
+        throw new UsageError(`Unknown style: ${args.options.format} (expected ${STYLES.join(', ')})`);
+    }
+
+    if (args.options.targetTokens !== undefined && args.level !== 'compress') {
+        throw new UsageError('--target-tokens only applies to --level compress');
+    }
+    try {
+        args.options.costs = PromptCosts.settings({ ...args.options.costs, outputTokens: args.options.expectedOutput });
+    } catch (error) {
+        throw new UsageError(`Cost settings: ${error.message}`);
+    }
+
+    args.options.level = args.level;
+    return args;
+}
+
+/**
+ * Input
+ */
+function readInput(file) {
+    if (file && file !== '-') {
+        return fs.readFileSync(path.resolve(file), 'utf8');
+    }
+    if (process.stdin.isTTY) {
+        throw new UsageError('No input: pass a file or pipe a prompt on stdin');
+    }
+    return fs.readFileSync(0, 'utf8');
+}
+
+/**
+ * Conversation input: JSON messages or a [System]/[User] transcript
+ * Returns null for a plain prompt
+ */
+function readConversation(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[{') || trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            return null;
+        }
+        return PromptConversations.isConversation(parsed) ? PromptConversations.normalize(parsed) : null;
+    }
+    return PromptConversations.parse(text);
+}
+
+/**
+ * Models
+ * --models files are loaded before --model is checked, so it can name an
+ * imported model
+ */
+function loadModels(args) {
+    args.models.forEach(file => {
+        try {
+            PromptModels.fromFile(JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    });
+}
+
+function checkModel(args) {
+    if (args.model && !ModelData[args.model]) {
+        throw new UsageError(`Unknown model: ${args.model} (expected ${Object.keys(ModelData).join(', ')})`);
+    }
+}
+
+function formatModels() {
+    return PromptModels.list().map(model => {
+        const price = model.selfHosted ? 'self-hosted' : `$${model.pricing.input}/$${model.pricing.output} per 1M tokens`;
+        const source = PromptModels.isImported(model.id) ? ', imported' : '';
+        return `  ${model.id.padEnd(12)} ${model.name} (${model.company}${source})\n`
+            + `  ${''.padEnd(12)} ${model.contextWindow} tokens context, ${PromptModels.structures[model.structure].label}, ${price}`;
+    }).join('\n');
+}
+
+/**
+ * Rule Packs, Style Guide, Scoring and Projects
+ * Loads --project first, then each --rules pack, --style-guide and
+ * --scoring on top of it
+ */
+function applyProject(args) {
+    const readJson = file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const project = args.project ? PromptProjects.fromFile(readJson(args.project)) : PromptProjects.defaultProject();
+
+    args.rules.forEach(file => {
+        const pack = path.extname(file) === '.json' ? readJson(file) : require(path.resolve(file));
+        try {
+            PromptProjects.addPack(project, pack);
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    });
+
+    if (args.styleGuide) {
+        try {
+            PromptProjects.setStyleGuide(project, PromptStyleGuides.parse(fs.readFileSync(path.resolve(args.styleGuide), 'utf8'), args.styleGuide));
+        } catch (error) {
+            throw new Error(`${args.styleGuide}: ${error.message}`);
+        }
+    }
+
+    if (args.scoring && PromptScoring.builtIn[args.scoring]) {
+        PromptProjects.setScoringProfile(project, args.scoring);
+    } else if (args.scoring) {
+        try {
+            // Not a file: resolve() explains which profile names exist
+            const profile = fs.existsSync(path.resolve(args.scoring)) ? readJson(args.scoring) : PromptScoring.resolve(args.scoring);
+            PromptProjects.saveScoringProfile(project, profile);
+        } catch (error) {
+            throw new Error(`${args.scoring}: ${error.message}`);
+        }
+    }
+
+    PromptProjects.apply(project).forEach(({ id, error }) => {
+        process.stderr.write(`Warning: ${project.rules.packs.some(p => p.id === id) ? 'rule pack ' : ''}${id} not loaded: ${error}\n`);
+    });
+}
+
+function formatRules() {
+    return Object.entries(PromptRules.categories).map(([category, { label }]) => {
+        const lines = PromptRules.list(category).map(rule => {
+            const scope = [
+                rule.models ? rule.models.join(', ') : null,
+                category === 'transform' && rule.levels.join() !== PromptRules.defaultLevels.join() ? rule.levels.join(', ') : null,
+                PromptRules.isEnabled(rule.id) ? null : 'off'
+            ].filter(Boolean);
+            return `  ${rule.id.padEnd(32)} ${rule.meta.title}${scope.length ? ` (${scope.join('; ')})` : ''}`;
+        });
+        return `${label}:\n${lines.join('\n')}`;
+    }).join('\n\n');
+}
+
+/**
+ * Human-readable Summaries
+ */
+function formatAnalysis(analysis, model, text = null) {
+    const ce = analysis.contextEngineering;
+    const fit = analysis.modelFit;
+    const lines = [
+        `Score:          ${analysis.overallScore.score.toFixed(1)}/10 (${analysis.overallScore.rating.label})`,
+        `Tokens:         ${analysis.tokenCount} (${analysis.tokenizer.label})`,
+        `Components:     ${analysis.components.presentCount}/${analysis.components.total}`,
+        `Efficiency:     ${ce.tokenEfficiency.efficiency}% (${ce.tokenEfficiency.rating})`,
+        `Signal density: ${ce.signalDensity.density}% (${ce.signalDensity.rating})`,
+        `Altitude:       ${ce.altitude}`,
+        `Redundancy:     ${ce.redundancy.level}`,
+        `Model fit:      ${fit.compatibility}% for ${ModelData[model].name}`,
+        `Budget:         ${formatBudget(analysis.budget)}`
+    ];
+    if (analysis.compliance) {
+        lines.push(`Compliance:     ${analysis.compliance.score}% (${analysis.compliance.guide})`);
+    }
+    if (analysis.budget.issue) {
+        lines.push('', `Warning: ${analysis.budget.issue}`);
+    }
+
+    if (analysis.conversation) {
+        lines.push('', 'By role:');
+        Object.entries(analysis.conversation.roles).forEach(([role, result]) => {
+            lines.push(`  - ${PromptConversations.labels[role]}: ${result.score.toFixed(1)}/10, ${result.messages} message(s), ${result.tokenCount} tokens`);
+        });
+        if (analysis.conversation.issues.length > 0) {
+            lines.push('', 'Conversation issues:');
+            analysis.conversation.issues.forEach(issue => lines.push(`  - ${issue}`));
+        }
+    }
+    if (analysis.template.isTemplate) {
+        lines.push('', 'Template variables (scored with sample values):');
+        analysis.template.variables.forEach(v => {
+            lines.push(`  - ${v.name} (${v.syntaxes.join(', ')}) = "${analysis.template.sampleValues[v.name]}"`);
+        });
+    }
+    const caching = analysis.caching;
+    if (caching.sections.some(s => s.dynamic)) {
+        const reordered = caching.reorder ? `, ${caching.prefix.recommended} reordered` : '';
+        lines.push('', `Prompt caching (stable prefix ${caching.prefix.current} of ${caching.tokens} tokens${reordered}):`);
+        caching.sections.forEach(s => lines.push(`  ${s.dynamic ? 'dynamic' : 'static '} ${String(s.tokens).padStart(6)}  ${s.title}`));
+        caching.issues.forEach(issue => lines.push(`  - ${issue}`));
+        if (caching.cost.savings > 0) {
+            lines.push(`  Reordering saves ${PromptCosts.format(caching.cost.savings)}/month (optimize --cache-layout)`);
+        }
+    }
+    if (analysis.components.missing.length > 0) {
+        lines.push('', 'Missing components:');
+        analysis.components.missing.forEach(name => lines.push(`  - ${name}`));
+    }
+    if (fit.issues.length > 0) {
+        lines.push('', 'Model fit issues:');
+        fit.issues.forEach(issue => lines.push(`  - ${issue}`));
+    }
+    if (analysis.compliance && analysis.compliance.failed.length > 0) {
+        lines.push('', 'Style guide:');
+        analysis.compliance.failed.forEach(check => lines.push(`  - ${check.message}`));
+    }
+
+    const overall = analysis.overallScore;
+    if (overall.contributions.length > 0) {
+        lines.push('', `Why this score (${overall.profile.name} profile):`);
+        overall.contributions.forEach(c => {
+            lines.push(`  ${c.label.padEnd(17)} ${c.score.toFixed(1).padStart(4)} x ${`${Math.round(c.weight * 100)}%`.padStart(4)} = ${c.points.toFixed(2)}`);
+        });
+        overall.improvements.slice(0, 3).forEach((item, i) => {
+            lines.push(`${i === 0 ? '  Biggest gain:    ' : '                   '}+${item.gain.toFixed(2)}  ${item.change}`);
+        });
+    }
+
+    // Located in the file as written; a conversation file is JSON, so skip
+    const located = text ? analysis.annotations.filter(a => a.severity !== 'info') : [];
+    if (located.length > 0) {
+        lines.push('', 'Findings:');
+        located.forEach(a => {
+            const at = PromptLinter.positionAt(text, a.start);
+            lines.push(`  ${`${at.line}:${at.column}`.padEnd(7)} ${a.severity.padEnd(7)}  ${a.message}  [${a.ruleId}]`);
+        });
+    }
+
+    return lines.join('\n');
+}
+
+function formatBudget(budget) {
+    const output = budget.expectedOutput;
+    const source = { option: '--expected-output', prompt: `"${output.phrase}"`, default: 'default' }[output.source];
+    const tokens = PromptBudget.format;
+    return `${tokens(budget.total)} of ${tokens(budget.promptBudget)} tokens (${budget.usage}%): prompt ${tokens(budget.promptTokens)} + output ${tokens(output.tokens)} (${source}); context window ${tokens(budget.contextWindow)}`;
+}
+
+function formatOptimization(result) {
+    const imp = result.improvements;
+    const sign = value => (value >= 0 ? `+${value}` : `${value}`);
+    const lines = [
+        `Score:      ${result.newAnalysis.overallScore.score.toFixed(1)}/10 (${sign(imp.scoreChange)})`,
+        `Efficiency: ${sign(imp.efficiencyChange)}%`,
+        `Tokens:     ${result.newAnalysis.tokenCount} (${sign(imp.tokenChange)})`
+    ];
+    if (result.edits) {
+        lines.push(`Edits:      ${result.edits.length}`);
+    }
+
+    if (result.techniques.length > 0) {
+        lines.push('', 'Techniques applied:');
+        result.techniques.forEach(tech => lines.push(`  - ${tech.name}: ${tech.description}`));
+    }
+
+    const cost = imp.cost;
+    lines.push(`Cost:       ${PromptCosts.format(cost.optimized.monthly)}/month (was ${PromptCosts.format(cost.original.monthly)}) at ${cost.callsPerMonth.toLocaleString('en-US')} calls`);
+
+    const compliance = result.newAnalysis.compliance;
+    if (compliance && compliance.failed.length > 0) {
+        lines.push('', `Style guide (${compliance.guide}):`);
+        compliance.failed.forEach(check => lines.push(`  - ${check.message}`));
+    }
+
+    const compression = result.compression;
+    if (compression) {
+        lines.push('', `Compression: ${compression.before} -> ${compression.after} tokens, target ${compression.target}${compression.reached ? '' : ' (not reached)'}`);
+        compression.dropped.forEach(d => lines.push(`  - ${d.kind}: ${d.text.replace(/\s+/g, ' ')}`));
+    }
+
+    return lines.join('\n');
+}
+
+function formatCosts(rows, model, settings) {
+    const money = (row, estimate) => (row.selfHosted ? 'self-hosted' : PromptCosts.format(estimate.monthly));
+    const table = [['Model', 'Original', 'Optimized', 'Savings'], ...rows.map(row => [
+        `${row.id === model ? '* ' : '  '}${row.name}`,
+        money(row, row.original),
+        money(row, row.optimized),
+        row.selfHosted ? '-' : PromptCosts.format(row.savings)
+    ])];
+    const widths = table[0].map((_, i) => Math.max(...table.map(cells => cells[i].length)));
+    const output = rows.length > 0 ? rows[0].original.outputTokens : 0;
+
+    return [
+        `Per month at ${settings.callsPerMonth.toLocaleString('en-US')} calls, ${output} output tokens per call, ${settings.cachedPercent}% cached, ${settings.batchPercent}% batched:`,
+        '',
+        ...table.map(cells => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ').trimEnd())
+    ].join('\n');
+}
+
+// The comparison without the full analysis and result objects
+function comparisonRecord({ models, portable, groups }) {
+    return {
+        portable,
+        groups,
+        models: models.map(row => ({
+            id: row.id,
+            name: row.name,
+            selfHosted: row.selfHosted,
+            compatibility: { before: row.fit.before.compatibility, after: row.fit.after.compatibility },
+            issues: row.fit.after.issues,
+            strengths: row.fit.after.strengths,
+            score: row.score,
+            tokens: row.tokens,
+            monthlyCost: { original: row.cost.original.monthly, optimized: row.cost.optimized.monthly },
+            portability: row.portability,
+            techniques: row.techniques,
+            optimized: row.result.optimized
+        }))
+    };
+}
+
+function formatComparison({ models, portable, groups }, model) {
+    const name = id => (ModelData[id] ? ModelData[id].name : id);
+    const table = [['Model', 'Fit', 'Score', 'Tokens', 'Cost/Month', 'Portable Fit'], ...models.map(row => [
+        `${row.id === model ? '* ' : '  '}${row.name}`,
+        `${row.fit.before.compatibility}% -> ${row.fit.after.compatibility}%`,
+        `${row.score.before.toFixed(1)} -> ${row.score.after.toFixed(1)}`,
+        `${row.tokens.before} -> ${row.tokens.after}`,
+        row.selfHosted ? 'self-hosted' : PromptCosts.format(row.cost.optimized.monthly),
+        `${row.portability.worst}% (avg ${row.portability.average}%)`
+    ])];
+    const widths = table[0].map((_, i) => Math.max(...table.map(cells => cells[i].length)));
+    const lines = table.map(cells => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ').trimEnd());
+
+    const best = models.find(row => row.id === portable);
+    if (best) {
+        lines.push('', `Most portable: the ${best.name} variant (${best.portability.worst}% or better on every model, ${best.portability.average}% on average)`);
+    }
+    groups.forEach(ids => lines.push(`Same prompt: ${ids.map(name).join(', ')}`));
+
+    const issues = new Map();
+    models.forEach(row => row.fit.after.issues.forEach(issue => {
+        issues.set(issue, [...(issues.get(issue) || []), row.name]);
+    }));
+    if (issues.size > 0) {
+        lines.push('', 'Issues left:');
+        issues.forEach((names, issue) => {
+            lines.push(`  ${names.length === models.length ? 'All models' : names.join(', ')}: ${issue}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+function formatEvaluation(evaluation) {
+    const { original, optimized } = evaluation.summary;
+    const indent = (text, pad) => text.split('\n').map(line => pad + line).join('\n');
+    const lines = [`Endpoint: ${evaluation.endpoint} (${evaluation.model})`];
+
+    evaluation.cases.forEach(c => {
+        lines.push('', `${c.name}${c.input ? `: ${c.input.split('\n')[0].slice(0, 60)}` : ''}`);
+        ['original', 'optimized'].forEach(side => {
+            const run = c[side];
+            lines.push(`  ${side === 'original' ? 'Original' : 'Optimized'}${run.passed ? '' : ' (failed)'}:`);
+            lines.push(indent(run.error ? `Error: ${run.error}` : run.output.trim(), '    | '));
+            run.checks.forEach(check => {
+                lines.push(`    ${check.pass ? 'pass' : 'FAIL'}  ${check.type}: ${check.message}`);
+            });
+        });
+    });
+
+    const sign = value => (value >= 0 ? `+${value}` : `${value}`);
+    lines.push('', `Assertions passed: original ${original.passed}/${original.total}, optimized ${optimized.passed}/${optimized.total} (${sign(evaluation.summary.change)})`);
+    return lines.join('\n');
+}
+
+// Flags win over the suite file, which wins over the defaults
+function evalSettings(args, suite = {}) {
+    return {
+        adapter: args.eval.adapter || suite.adapter || PromptEvaluator.defaults.adapter,
+        endpoint: args.eval.endpoint || suite.endpoint || PromptEvaluator.defaults.endpoint,
+        model: args.eval.model || suite.model || PromptEvaluator.defaults.model,
+        apiKey: process.env.EVAL_API_KEY || ''
+    };
+}
+
+/**
+ * Eval
+ */
+async function runEval(args, result) {
+    const suite = args.eval.cases
+        ? JSON.parse(fs.readFileSync(path.resolve(args.eval.cases), 'utf8'))
+        : {};
+    // Without a cases list the run would fall back to the prompt alone and pass
+    if (args.eval.cases && !Array.isArray(suite) && !Array.isArray(suite.cases)) {
+        throw new UsageError(`${args.eval.cases} has no "cases" array`);
+    }
+    const settings = evalSettings(args, suite);
+
+    const evaluation = await PromptEvaluator.evaluate(
+        PromptEvaluator.promptsFor(result),
+        Array.isArray(suite) ? suite : suite.cases || [],
+        suite.assertions || [],
+        settings,
+        {
+            options: args.options,
+            onProgress: ({ index, total, side }) => process.stderr.write(`Running ${index + 1}/${total} (${side})...\n`)
+        }
+    );
+
+    process.stdout.write(args.format === 'json'
+        ? `${JSON.stringify(evaluation, null, 2)}\n`
+        : `${formatEvaluation(evaluation)}\n`);
+    return evaluation.cases.every(c => c.optimized.passed) ? 0 : 1;
+}
+
+/**
+ * Test
+ * Suite files hold one saved prompt ({ optimized | messages, suite }) or
+ * a list of them; entries without cases are skipped
+ */
+function formatTestRun(name, run, suite) {
+    const lines = [`${name}: ${run.passed}/${run.total} passed (${run.passRate}%) on ${run.model}`];
+
+    run.cases.filter(c => !c.passed).forEach(c => {
+        lines.push(`  FAIL ${c.name}`);
+        if (c.error) {
+            lines.push(`       Error: ${c.error}`);
+            return;
+        }
+        c.checks.filter(check => !check.pass).forEach(check => {
+            lines.push(`       ${check.type}: ${check.message}`);
+        });
+    });
+
+    const trend = PromptTestSuites.trend(suite);
+    if (trend && trend.rates.length > 1) {
+        lines.push(`  History: ${trend.rates.slice(-10).map(rate => `${rate}%`).join(' → ')}`);
+    }
+    return lines.join('\n');
+}
+
+async function runTests(args) {
+    const reports = [];
+    let failed = false;
+
+    for (const file of args.paths) {
+        const content = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        const list = content.format === PromptLibrary.fileFormat ? content.prompts || [] : content;
+        const entries = (Array.isArray(list) ? list : [list])
+            .filter(entry => entry.suite && (entry.suite.cases || []).length > 0);
+
+        for (const entry of entries) {
+            const name = entry.name || (entries.length > 1 ? `${file} #${entry.id}` : file);
+            const run = await PromptTestSuites.run(entry, evalSettings(args, entry.suite));
+            PromptTestSuites.record(entry.suite, run);
+
+            failed = failed || run.passed < run.total;
+            reports.push(args.format === 'json'
+                ? { file, name, run }
+                : formatTestRun(name, run, entry.suite));
+        }
+
+        if (args.record && entries.length > 0) {
+            fs.writeFileSync(path.resolve(file), `${JSON.stringify(content, null, 2)}\n`);
+        }
+    }
+
+    if (reports.length === 0) {
+        throw new Error('No test cases found in the given files');
+    }
+
+    process.stdout.write(args.format === 'json'
+        ? `${JSON.stringify(reports, null, 2)}\n`
+        : `${reports.join('\n\n')}\n`);
+    return failed ? 1 : 0;
+}
+
+/**
+ * Library
+ * Reads every file first, so a bad file changes nothing
+ */
+function runLibrary(args) {
+    const score = (text, model) => PromptAnalyzer.analyze(text, ModelData[model] ? model : 'claude').overallScore.score;
+    const files = args.paths.flatMap(target => {
+        const root = path.resolve(target);
+        if (!fs.statSync(root).isDirectory()) return [root];
+        return fs.readdirSync(root).sort()
+            .filter(name => /\.(md|markdown|json)$/i.test(name) && !name.startsWith('.'))
+            .map(name => path.join(root, name));
+    });
+
+    const incoming = files.flatMap(file => {
+        try {
+            return PromptLibrary.readFile(fs.readFileSync(file, 'utf8'), file, score);
+        } catch (error) {
+            throw new Error(`${path.relative(process.cwd(), file) || file}: ${error.message}`);
+        }
+    });
+
+    let library = [];
+    if (args.library.into && fs.existsSync(path.resolve(args.library.into))) {
+        library = PromptLibrary.fromFile(JSON.parse(fs.readFileSync(path.resolve(args.library.into), 'utf8')));
+    }
+    const result = PromptLibrary.importInto(library, incoming, args.library.replace ? 'replace' : 'merge');
+    const summary = `${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`;
+
+    if (args.library.markdown) {
+        const dir = path.resolve(args.library.markdown);
+        const taken = new Set();
+        fs.mkdirSync(dir, { recursive: true });
+        result.prompts.forEach(doc => fs.writeFileSync(path.join(dir, PromptLibrary.markdownName(doc, taken)), PromptLibrary.toMarkdown(doc)));
+        process.stderr.write(`Wrote ${result.prompts.length} Markdown file(s) to ${args.library.markdown}\n`);
+    }
+
+    if (args.library.into) {
+        fs.writeFileSync(path.resolve(args.library.into), `${JSON.stringify(PromptLibrary.toFile(result.prompts), null, 2)}\n`);
+        process.stdout.write(`${args.library.into}: ${summary} (${result.prompts.length} prompts)\n`);
+    } else if (args.format === 'json') {
+        process.stdout.write(`${JSON.stringify(PromptLibrary.toFile(result.prompts), null, 2)}\n`);
+    } else {
+        process.stdout.write(`${formatLibrary(result.prompts)}\n`);
+    }
+    return 0;
+}
+
+function formatLibrary(docs) {
+    const lines = [`${docs.length} prompt(s), valid`];
+    docs.forEach(doc => {
+        const head = PromptLibrary.head(doc);
+        lines.push(`  ${doc.id}  ${doc.name}  (${(ModelData[head.model] || { name: head.model }).name}, v${head.version}, score ${head.score.toFixed(1)})`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Batch
+ * Every file is read and checked before anything is optimized
+ */
+function runBatch(args) {
+    const files = args.paths.flatMap(target => {
+        const root = path.resolve(target);
+        if (!fs.statSync(root).isDirectory()) return [root];
+        return fs.readdirSync(root).sort()
+            .filter(name => /\.(txt|md|markdown|prompt|jsonl|ndjson|json)$/i.test(name) && !name.startsWith('.'))
+            .map(name => path.join(root, name));
+    });
+
+    const items = files.flatMap(file => {
+        const name = path.relative(process.cwd(), file) || file;
+        try {
+            return PromptBatch.readFile(fs.readFileSync(file, 'utf8'), name);
+        } catch (error) {
+            throw new Error(error.message.startsWith(name) ? error.message : `${name}: ${error.message}`);
+        }
+    });
+
+    const settings = { model: args.model, level: args.level, options: args.options };
+    const rows = items.map(item => PromptBatch.run(item, settings));
+
+    if (args.library.into) {
+        const file = path.resolve(args.library.into);
+        const library = fs.existsSync(file) ? PromptLibrary.fromFile(JSON.parse(fs.readFileSync(file, 'utf8'))) : [];
+        const docs = rows.filter(row => !row.error).map(row => PromptBatch.document(row, settings));
+        const result = PromptLibrary.importInto(library, docs, 'merge');
+        fs.writeFileSync(file, `${JSON.stringify(PromptLibrary.toFile(result.prompts), null, 2)}\n`);
+        process.stderr.write(`${args.library.into}: ${result.added} added, ${result.unchanged} already saved (${result.prompts.length} prompts)\n`);
+    }
+
+    const output = {
+        text: () => `${formatBatch(rows)}\n`,
+        json: () => `${JSON.stringify(rows.map(row => PromptBatch.record(row)), null, 2)}\n`,
+        jsonl: () => PromptBatch.toJsonl(rows),
+        csv: () => PromptBatch.toCsv(rows)
+    };
+    process.stdout.write(output[args.format]());
+    return rows.some(row => row.error) ? 1 : 0;
+}
+
+function formatBatch(rows) {
+    const summary = PromptBatch.summary(rows);
+    const signed = value => `${value >= 0 ? '+' : ''}${value}`;
+    const lines = [
+        `${summary.count} prompt(s): average score ${summary.before.toFixed(1)} -> ${summary.after.toFixed(1)}, ` +
+        `${signed(summary.tokenDelta)} tokens${summary.failed > 0 ? `, ${summary.failed} failed` : ''}`
+    ];
+    rows.forEach(row => {
+        lines.push(row.error
+            ? `  FAILED      ${row.name}: ${row.error}`
+            : `  ${row.before.toFixed(1)} -> ${row.after.toFixed(1)}  ${signed(row.tokenDelta).padStart(6)} tokens  ${row.name}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Lint
+ */
+function runLint(args) {
+    const overrides = args.lint.config
+        ? PromptLinter.loadStyleGuide(JSON.parse(fs.readFileSync(path.resolve(args.lint.config), 'utf8')), path.dirname(path.resolve(args.lint.config)))
+        : {};
+
+    if (args.model) overrides.model = args.model;
+    if (args.options.expectedOutput !== undefined) overrides.expectedOutput = args.options.expectedOutput;
+    overrides.thresholds = { ...overrides.thresholds, ...args.lint.thresholds };
+
+    const result = PromptLinter.lintPaths(args.paths, { overrides });
+    const version = require('./package.json').version;
+    const reporters = {
+        text: () => PromptLinter.formatText(result),
+        json: () => PromptLinter.formatJSON(result),
+        sarif: () => PromptLinter.formatSARIF(result, version),
+        junit: () => PromptLinter.formatJUnit(result)
+    };
+
+    process.stdout.write(`${reporters[args.format]()}\n`);
+    if (args.lint.sarif) {
+        fs.writeFileSync(args.lint.sarif, `${reporters.sarif()}\n`);
+    }
+    if (args.lint.junit) {
+        fs.writeFileSync(args.lint.junit, `${reporters.junit()}\n`);
+    }
+
+    return result.passed ? 0 : 1;
+}
+
+/**
+ * Main
+ */
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        throw error;
+    }
+
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    try {
+        loadModels(args);
+        applyProject(args);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    }
+
+    try {
+        checkModel(args);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (args.command === 'models') {
+        process.stdout.write(args.format === 'json'
+            ? `${JSON.stringify(PromptModels.list(), null, 2)}\n`
+            : `${formatModels()}\n`);
+        return 0;
+    }
+
+    if (args.command === 'rules') {
+        process.stdout.write(args.format === 'json'
+            ? `${JSON.stringify(PromptRules.list().map(({ id, category, levels, models, pack, meta }) => ({
+                id, category, levels, models, pack, enabled: PromptRules.isEnabled(id), meta
+            })), null, 2)}\n`
+            : `${formatRules()}\n`);
+        return 0;
+    }
+
+    if (args.command === 'lint') {
+        try {
+            return runLint(args);
+        } catch (error) {
+            process.stderr.write(`Error: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    if (args.command === 'library') {
+        try {
+            return runLibrary(args);
+        } catch (error) {
+            process.stderr.write(`Error: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    if (args.command === 'batch') {
+        try {
+            return runBatch(args);
+        } catch (error) {
+            process.stderr.write(`Error: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    if (args.command === 'test') {
+        return runTests(args).catch(error => {
+            process.stderr.write(`Error: ${error.message}\n`);
+            return 1;
+        });
+    }
+
+    let text;
+    try {
+        text = readInput(args.file);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return error instanceof UsageError ? 2 : 1;
+    }
+
+    if (text.trim().length === 0) {
+        process.stderr.write('Error: prompt is empty\n');
+        return 1;
+    }
+
+    let messages;
+    try {
+        messages = readConversation(text);
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    }
+
+    if (args.command === 'compare') {
+        const comparison = PromptComparison.compare(messages || text, { level: args.level, options: args.options });
+        process.stdout.write(args.format === 'json'
+            ? `${JSON.stringify(comparisonRecord(comparison), null, 2)}\n`
+            : `${formatComparison(comparison, args.model)}\n`);
+        return 0;
+    }
+
+    const analysis = messages
+        ? PromptAnalyzer.analyzeConversation(messages, args.model, { expectedOutput: args.options.expectedOutput, costs: args.options.costs, showThinking: args.options.showThinking })
+        : PromptAnalyzer.analyze(text, args.model, { expectedOutput: args.options.expectedOutput, costs: args.options.costs, showThinking: args.options.showThinking });
+
+    if (args.command === 'analyze') {
+        process.stdout.write(args.format === 'json'
+            ? `${JSON.stringify(analysis, null, 2)}\n`
+            : `${formatAnalysis(analysis, args.model, messages ? null : text)}\n`);
+        return 0;
+    }
+
+    const result = messages
+        ? PromptOptimizer.optimizeConversation(messages, analysis, args.model, args.level, args.options)
+        : PromptOptimizer.optimize(text, analysis, args.model, args.level, args.options);
+    if (args.command === 'costs') {
+        const flatten = (plain, list) => PromptTemplates.analyze(list ? PromptConversations.flatten(list) : plain).filled;
+        const rows = PromptCosts.compare(
+            flatten(text, messages && PromptConversations.normalize(messages)),
+            flatten(result.optimized, result.messages),
+            args.options.costs
+        );
+        process.stdout.write(args.format === 'json'
+            ? `${JSON.stringify(rows, null, 2)}\n`
+            : `${formatCosts(rows, args.model, args.options.costs)}\n`);
+        return 0;
+    }
+    if (args.command === 'eval') {
+        return runEval(args, result).catch(error => {
+            process.stderr.write(`Error: ${error.message}\n`);
+            return error instanceof UsageError ? 2 : 1;
+        });
+    }
+
+    if (args.export) {
+        process.stdout.write(`${PromptExporter.export(args.export, result, args.model, args.options).content}\n`);
+        process.stderr.write(`\n${formatOptimization(result)}\n`);
+    } else if (args.format === 'json') {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+        process.stdout.write(`${result.optimized}\n`);
+        process.stderr.write(`\n${formatOptimization(result)}\n`);
+    }
+    return 0;
+}
+
+// eval resolves asynchronously; every other command returns its exit code
+if (require.main === module) {
+    Promise.resolve(main(process.argv.slice(2))).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,108 @@
+/**
+ * PROMPT COMPARISON
+ * One prompt optimized for every registered model side by side: each
+ * model's fit before and after, the issues left, the optimized variant,
+ * its tokens on that model's tokenizer and its monthly cost
+ *
+ * Every variant is also checked against the fit rules of every other model:
+ * the portable variant is the one whose worst fit on any model is best, the
+ * prompt to keep when one prompt has to serve them all
+ */
+
+const PromptComparison = {
+
+    /**
+     * One model's analysis and optimization, run the way the optimize
+     * step runs them: input is a prompt or a message list (a conversation)
+     * settings: { level, options, answers } where options are as for
+     * PromptOptimizer.optimize (costs, sampleValues...) and answers are the
+     * refinement answers
+     * Returns { id, name, selfHosted, analysis, result, fit: { before, after },
+     * score: { before, after }, tokens: { before, after },
+     * cost: { original, optimized }, techniques }
+     */
+    run(input, model, { level = 'standard', options = {}, answers = {} } = {}) {
+        const conversation = Array.isArray(input);
+        const analyze = { expectedOutput: options.expectedOutput, costs: options.costs, showThinking: options.showThinking };
+        const analysis = conversation
+            ? PromptAnalyzer.analyzeConversation(input, model, analyze)
+            : PromptAnalyzer.analyze(input, model, analyze);
+        const prompt = PromptOptimizer.withAnswers(conversation ? PromptConversations.normalize(input) : input, answers);
+        const result = conversation
+            ? PromptOptimizer.optimizeConversation(prompt, analysis, model, level, { ...options, level })
+            : PromptOptimizer.optimize(prompt, analysis, model, level, { ...options, level });
+
+        return {
+            id: model,
+            name: ModelData[model].name,
+            selfHosted: Boolean(ModelData[model].selfHosted),
+            analysis,
+            result,
+            fit: { before: analysis.modelFit, after: result.newAnalysis.modelFit },
+            score: { before: analysis.overallScore.score, after: result.newAnalysis.overallScore.score },
+            tokens: { before: analysis.tokenCount, after: result.newAnalysis.tokenCount },
+            cost: result.improvements.cost,
+            techniques: result.techniques.map(t => t.name)
+        };
+    },
+
+    /**
+     * Cross-check the rows from run(): each variant's fit on every model
+     * Adds portability: { worst, average, fits: { model: compatibility } }
+     * to every row and returns { models, portable, groups } where portable
+     * is the id of the most portable variant and groups lists the models
+     * (ids) that got the exact same variant. `options` are the ones the
+     * rows were run with (sampleValues, showThinking)
+     */
+    summarize(rows, { sampleValues = {}, showThinking = false } = {}) {
+        const text = row => {
+            const optimized = row.result.messages ? PromptConversations.flatten(row.result.messages) : row.result.optimized;
+            return PromptTemplates.analyze(optimized, sampleValues).filled;
+        };
+
+        rows.forEach(row => {
+            const variant = text(row);
+            const fits = {};
+            rows.forEach(other => {
+                fits[other.id] = PromptAnalyzer.analyzeModelFit(variant, other.id, { showThinking }).compatibility;
+            });
+            const values = Object.values(fits);
+            row.portability = {
+                worst: Math.min(...values),
+                average: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+                fits
+            };
+        });
+
+        const ranked = rows.slice().sort((a, b) =>
+            b.portability.worst - a.portability.worst ||
+            b.portability.average - a.portability.average ||
+            a.tokens.after - b.tokens.after);
+
+        const variants = new Map();
+        rows.forEach(row => {
+            variants.set(row.result.optimized, [...(variants.get(row.result.optimized) || []), row.id]);
+        });
+
+        return {
+            models: rows,
+            portable: ranked.length > 0 ? ranked[0].id : null,
+            groups: [...variants.values()].filter(ids => ids.length > 1)
+        };
+    },
+
+    /**
+     * Every registered model at once
+     * Returns summarize()'s { models, portable, groups }
+     */
+    compare(input, settings = {}) {
+        const rows = Object.keys(ModelData).map(model => this.run(input, model, settings));
+        return this.summarize(rows, settings.options);
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptComparison = PromptComparison;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptComparison;
+}
@@ -0,0 +1,110 @@
+/**
+ * PROMPT CONVERSATIONS
+ * Multi-message prompts: a system prompt plus user / assistant turns,
+ * as sent to chat APIs. Messages are { role, content } objects
+ */
+
+const PromptConversations = {
+
+    roles: ['system', 'user', 'assistant'],
+
+    labels: {
+        system: 'System',
+        user: 'User',
+        assistant: 'Assistant'
+    },
+
+    /**
+     * Accepts a message array or an API-style body ({ system, messages })
+     * Drops empty messages; throws on an unknown role
+     */
+    normalize(input) {
+        const list = Array.isArray(input) ? input : (input && input.messages) || [];
+        const messages = [];
+
+        if (!Array.isArray(input) && input && typeof input.system === 'string') {
+            messages.push({ role: 'system', content: input.system });
+        }
+
+        list.forEach(message => {
+            const role = String(message.role || '').toLowerCase();
+            const content = typeof message.content === 'string' ? message.content : this.contentText(message.content);
+
+            if (!this.roles.includes(role)) {
+                throw new Error(`Unknown message role: ${message.role} (expected ${this.roles.join(', ')})`);
+            }
+            if (content.trim().length > 0) {
+                messages.push({ role, content });
+            }
+        });
+
+        return messages;
+    },
+
+    // Content blocks ([{ type: 'text', text }]) as used by the Messages API
+    contentText(content) {
+        if (!Array.isArray(content)) return '';
+        return content.filter(block => block && typeof block.text === 'string').map(block => block.text).join('\n\n');
+    },
+
+    isConversation(input) {
+        if (Array.isArray(input)) return input.every(m => m && typeof m.role === 'string');
+        return Boolean(input && Array.isArray(input.messages));
+    },
+
+    /**
+     * Text used for whole-conversation scoring (no role labels, so they
+     * don't count as structure or noise)
+     */
+    flatten(messages) {
+        return messages.map(m => m.content).join('\n\n');
+    },
+
+    byRole(messages) {
+        const groups = {};
+        messages.forEach(m => {
+            (groups[m.role] = groups[m.role] || []).push(m);
+        });
+        return groups;
+    },
+
+    // Trailing assistant turn = response prefill
+    prefillOf(messages) {
+        const last = messages[messages.length - 1];
+        return last && last.role === 'assistant' ? last.content : null;
+    },
+
+    /**
+     * Transcript format for previews, copying and the library:
+     *
+     *   [System]
+     *   ...
+     *
+     *   [User]
+     *   ...
+     */
+    format(messages) {
+        return messages.map(m => `[${this.labels[m.role]}]\n${m.content.trim()}`).join('\n\n');
+    },
+
+    // Inverse of format(); returns null when the text has no role headers
+    parse(text) {
+        const header = /^\[(System|User|Assistant)\]\s*$/gim;
+        const headers = [...text.matchAll(header)];
+        if (headers.length === 0 || text.slice(0, headers[0].index).trim().length > 0) {
+            return null;
+        }
+
+        return headers.map((match, i) => {
+            const start = match.index + match[0].length;
+            const end = i + 1 < headers.length ? headers[i + 1].index : text.length;
+            return { role: match[1].toLowerCase(), content: text.slice(start, end).trim() };
+        }).filter(m => m.content.length > 0);
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptConversations = PromptConversations;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptConversations;
+}
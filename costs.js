@@ -0,0 +1,135 @@
+/**
+ * PROMPT COSTS
+ * What a prompt costs to run, from each model's pricing: prompt and output
+ * tokens at the expected call volume, with prompt-caching and batch
+ * discounts, and original vs optimized across every registered model
+ *
+ * Settings:
+ *   { callsPerMonth, outputTokens, cachedPercent, batchPercent }
+ * outputTokens null means the length the prompt asks for (see
+ * PromptBudget.expectedOutput). cachedPercent is the share of prompt tokens
+ * read from the prompt cache, batchPercent the share of calls sent through
+ * the batch API; the discounts themselves come from the model's pricing
+ */
+
+const PromptCosts = {
+
+    defaults: {
+        callsPerMonth: 30000,
+        outputTokens: null,
+        cachedPercent: 0,
+        batchPercent: 0
+    },
+
+    /**
+     * Validate settings and fill in the defaults
+     * Throws on a malformed value
+     */
+    settings(given = {}) {
+        const number = (key, max = Infinity) => {
+            const value = given[key] === undefined || given[key] === '' ? this.defaults[key] : given[key];
+            if (value === null) return null;
+            if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > max) {
+                throw new Error(`${key} must be a number ${max === Infinity ? 'of 0 or more' : `from 0 to ${max}`}`);
+            }
+            return value;
+        };
+
+        return {
+            callsPerMonth: number('callsPerMonth'),
+            outputTokens: number('outputTokens'),
+            cachedPercent: number('cachedPercent', 100),
+            batchPercent: number('batchPercent', 100)
+        };
+    },
+
+    /**
+     * A model's prices in USD per million tokens. Models without cache or
+     * batch pricing get no discount
+     */
+    rates(model) {
+        const pricing = (ModelData[model] || ModelData.claude).pricing || {};
+        const input = pricing.input || 0;
+        return {
+            input,
+            output: pricing.output || 0,
+            cachedInput: typeof pricing.cachedInput === 'number' ? pricing.cachedInput : input,
+            batchDiscount: pricing.batchDiscount || 0
+        };
+    },
+
+    /**
+     * One call's cost in USD: { input, output, total }
+     */
+    perCall(model, inputTokens, outputTokens, settings = {}) {
+        const rates = this.rates(model);
+        const { cachedPercent, batchPercent } = this.settings(settings);
+        const cached = cachedPercent / 100;
+        const batch = 1 - (batchPercent / 100) * rates.batchDiscount;
+
+        const input = (inputTokens * ((1 - cached) * rates.input + cached * rates.cachedInput) / 1e6) * batch;
+        const output = (outputTokens * rates.output / 1e6) * batch;
+        return { input, output, total: input + output };
+    },
+
+    /**
+     * A prompt's cost at the settings' volume
+     * Returns { inputTokens, outputTokens, perCall, per1000, monthly, yearly } in USD
+     */
+    estimate(model, inputTokens, outputTokens, settings = {}) {
+        const { callsPerMonth } = this.settings(settings);
+        const perCall = this.perCall(model, inputTokens, outputTokens, settings).total;
+        return {
+            inputTokens,
+            outputTokens,
+            perCall,
+            per1000: perCall * 1000,
+            monthly: perCall * callsPerMonth,
+            yearly: perCall * callsPerMonth * 12
+        };
+    },
+
+    // settings.outputTokens, else the length `text` asks for
+    outputTokens(text, settings = {}) {
+        return PromptBudget.expectedOutput(text, this.settings(settings).outputTokens).tokens;
+    },
+
+    /**
+     * Original vs optimized on every registered model, each prompt counted
+     * with that model's tokenizer; both get the output length the original
+     * asks for. Cheapest optimized first, self-hosted models last
+     * Returns [{ id, name, selfHosted, original, optimized, savings }] where
+     * original/optimized are estimates and savings is monthly USD (negative:
+     * the optimized prompt costs more)
+     */
+    compare(original, optimized, settings = {}) {
+        const outputTokens = this.outputTokens(original, settings);
+        return Object.keys(ModelData).map(id => {
+            const before = this.estimate(id, Tokenizers.countForModel(original, id).count, outputTokens, settings);
+            const after = this.estimate(id, Tokenizers.countForModel(optimized, id).count, outputTokens, settings);
+            return {
+                id,
+                name: ModelData[id].name,
+                selfHosted: Boolean(ModelData[id].selfHosted),
+                original: before,
+                optimized: after,
+                savings: before.monthly - after.monthly
+            };
+        }).sort((a, b) => a.selfHosted - b.selfHosted || a.optimized.monthly - b.optimized.monthly);
+    },
+
+    // USD: cents for whole amounts, two significant digits below a cent
+    format(usd) {
+        const amount = Math.abs(usd);
+        const text = amount === 0 || amount >= 0.01
+            ? amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+            : amount.toPrecision(2);
+        return `${usd < 0 ? '-' : ''}$${text}`;
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptCosts = PromptCosts;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptCosts;
+}
@@ -12,8 +12,29 @@
     // 2. Check Scripts Loaded
     const checkScripts = () => {
         const scripts = {
+            'Tokenizers': typeof window.Tokenizers,
+            'PromptTemplates': typeof window.PromptTemplates,
+            'PromptRegions': typeof window.PromptRegions,
+            'PromptRules': typeof window.PromptRules,
+            'PromptModels': typeof window.PromptModels,
+            'PromptProjects': typeof window.PromptProjects,
+            'PromptStyleGuides': typeof window.PromptStyleGuides,
+            'PromptScoring': typeof window.PromptScoring,
+            'PromptConversations': typeof window.PromptConversations,
+            'PromptBudget': typeof window.PromptBudget,
+            'PromptCosts': typeof window.PromptCosts,
+            'PromptCaching': typeof window.PromptCaching,
             'PromptAnalyzer': typeof window.PromptAnalyzer,
+            'PromptEdits': typeof window.PromptEdits,
             'PromptOptimizer': typeof window.PromptOptimizer,
+            'PromptExporter': typeof window.PromptExporter,
+            'PromptEvaluator': typeof window.PromptEvaluator,
+            'PromptTestSuites': typeof window.PromptTestSuites,
+            'PromptLibrary': typeof window.PromptLibrary,
+            'PromptSearch': typeof window.PromptSearch,
+            'PromptStore': typeof window.PromptStore,
+            'PromptBatch': typeof window.PromptBatch,
+            'PromptComparison': typeof window.PromptComparison,
             'ModelData': typeof window.ModelData,
             'TooltipContent': typeof window.TooltipContent,
             'lucide': typeof window.lucide
@@ -133,5 +154,81 @@
         }
     };
     
+    // 8. Tokenizer accuracy against the reference corpus
+    window.debugTokenizers = function() {
+        if (!window.Tokenizers || !window.TokenizerCorpus) {
+            console.error('Tokenizers or TokenizerCorpus not loaded');
+            return null;
+        }
+
+        const report = window.Tokenizers.checkAccuracy(window.TokenizerCorpus);
+        for (const [encoding, result] of Object.entries(report)) {
+            const heldOut = result.heldOut
+                ? `held out ${result.heldOut.meanError}% mean error (max ${result.heldOut.maxError}%), heuristic ${result.heldOut.heuristicMeanError}%`
+                : 'no held-out entries';
+            const bound = window.Tokenizers.accuracyBound;
+            console.group(`%c${encoding}: ${heldOut}; fitted on ${result.meanError}% (max ${result.maxError}%); ${result.passed ? 'within' : 'OUTSIDE'} the ${bound.meanError}% mean / ${bound.maxError}% max bound`,
+                result.passed ? 'color: green' : 'color: red; font-weight: bold');
+            console.table(result.rows.map(r => ({
+                id: r.id,
+                category: r.category,
+                heldOut: r.heldOut,
+                expected: r.expected,
+                actual: r.actual,
+                method: r.method,
+                error: `${Math.round(r.error * 100)}%`
+            })));
+            console.groupEnd();
+        }
+        return report;
+    };
+
+    // 9. Protected regions round-trip through every model and level
+    window.debugProtectedRegions = function() {
+        if (!window.PromptRegions || !window.ProtectedRegionCorpus) {
+            console.error('PromptRegions or ProtectedRegionCorpus not loaded');
+            return null;
+        }
+
+        const report = window.PromptRegions.checkCorpus(window.ProtectedRegionCorpus);
+        const failed = report.rows.filter(r => !r.passed);
+        const style = failed.length === 0 ? 'color: green' : 'color: red; font-weight: bold';
+        console.log(`%cProtected regions: ${report.passed}/${report.total} round-trips unchanged`, style);
+        if (failed.length > 0) {
+            console.table(failed.map(r => ({
+                id: r.id,
+                model: r.model,
+                level: r.level,
+                undetected: r.undetected.join(' | '),
+                damaged: r.damaged.join(' | '),
+                rejected: r.rejected.map(id => `#${id}`).join(', ')
+            })));
+        }
+        return report;
+    };
+
+    // 10. Loaded rules, their packs and whether the project turned them off
+    window.debugRules = function() {
+        if (!window.PromptRules) {
+            console.error('PromptRules not loaded');
+            return null;
+        }
+
+        const rules = window.PromptRules.list();
+        console.log(`%cRules: ${rules.length} from ${window.PromptRules.packs.length} packs`, 'color: #8b5cf6; font-weight: bold');
+        console.table(rules.map(rule => ({
+            id: rule.id,
+            category: rule.category,
+            pack: rule.pack,
+            models: rule.models ? rule.models.join(', ') : 'all',
+            levels: rule.levels.join(', '),
+            enabled: window.PromptRules.isEnabled(rule.id)
+        })));
+        return rules;
+    };
+
     console.log('%cRun debugPromptOptimizer() in console for manual diagnostics', 'color: #8b5cf6; font-style: italic');
+    console.log('%cRun debugTokenizers() to check token counts against the reference corpus', 'color: #8b5cf6; font-style: italic');
+    console.log('%cRun debugProtectedRegions() to check code, quotes and data survive optimization', 'color: #8b5cf6; font-style: italic');
+    console.log('%cRun debugRules() to list the loaded rules and rule packs', 'color: #8b5cf6; font-style: italic');
 })();
@@ -0,0 +1,358 @@
+/**
+ * PROMPT EDITS
+ * Word diffs, and the tracked changes of an optimization: every stage's
+ * change to the prompt becomes a structured edit that can be accepted or
+ * rejected on its own
+ *
+ * Tracking keeps a piece table over the original text. A piece is original
+ * text or text inserted by an edit, and may be deleted by a later edit:
+ *   { text, insertedBy: editId | null, deletedBy: editId | null }
+ * so the prompt for any set of accepted edits is read straight off the
+ * pieces. An edit that rewrites text another edit inserted depends on it
+ */
+
+const PromptEdits = {
+
+    // Word diffs give up on finer detail beyond this many edits
+    maxDiffEdits: 2000,
+
+    /**
+     * Tracking
+     */
+    track(text) {
+        return {
+            pieces: text.length > 0 ? [{ text, insertedBy: null, deletedBy: null }] : [],
+            edits: []
+        };
+    },
+
+    // The text with every edit so far applied
+    current(tracking) {
+        return tracking.pieces.filter(p => p.deletedBy === null).map(p => p.text).join('');
+    },
+
+    /**
+     * Record one stage: each changed run of words between `before` (the
+     * current text) and `after` becomes an edit credited to `technique`
+     * With `whole`, the stage's change is one edit from its first changed
+     * word to its last: a moved section is a delete and an insert that
+     * make no sense apart
+     */
+    record(tracking, before, after, technique, whole = false) {
+        if (before === after) return [];
+        if (this.current(tracking) !== before) {
+            throw new Error(`Tracked text is out of sync before "${technique}"`);
+        }
+
+        if (whole) {
+            const ops = this.diffWords(before, after);
+            const equalRun = list => {
+                const end = list.findIndex(op => op.type !== 'equal');
+                return list.slice(0, end).reduce((sum, op) => sum + op.value.length, 0);
+            };
+            const head = equalRun(ops);
+            const tail = equalRun([...ops].reverse());
+            const id = this.splice(tracking, head, before.length - head - tail, after.slice(head, after.length - tail), technique);
+
+            // A deletion inside the span, rejected, would bring its text back
+            // where the span no longer is
+            const edit = tracking.edits[id - 1];
+            const first = tracking.pieces.findIndex(p => p.deletedBy === id);
+            const last = tracking.pieces.map(p => p.deletedBy).lastIndexOf(id);
+            tracking.pieces.slice(first, last + 1).forEach(p => {
+                if (p.deletedBy !== null && p.deletedBy !== id && !edit.dependsOn.includes(p.deletedBy)) {
+                    edit.dependsOn.push(p.deletedBy);
+                }
+            });
+            return [id];
+        }
+
+        const added = [];
+        let position = 0;
+        let hunk = null;
+        const flush = () => {
+            if (!hunk) return;
+            added.push(this.splice(tracking, hunk.position, hunk.deleted, hunk.inserted, technique));
+            // Later hunks were measured against the text without this one
+            position += hunk.inserted.length - hunk.deleted;
+            hunk = null;
+        };
+
+        this.hunkOps(this.diffWords(before, after)).forEach(op => {
+            if (op.type === 'equal') {
+                flush();
+                position += op.value.length;
+                return;
+            }
+            hunk = hunk || { position, deleted: 0, inserted: '' };
+            if (op.type === 'delete') {
+                hunk.deleted += op.value.length;
+                position += op.value.length;
+            } else {
+                hunk.inserted += op.value;
+            }
+        });
+        flush();
+
+        return added;
+    },
+
+    /**
+     * Spaces and punctuation left unchanged between two changes join them
+     * into one edit, so a rewritten phrase isn't split word by word
+     */
+    hunkOps(ops) {
+        return ops.flatMap((op, i) => {
+            const between = i > 0 && i < ops.length - 1 && ops[i - 1].type !== 'equal' && ops[i + 1].type !== 'equal';
+            return op.type === 'equal' && between && !/\w/.test(op.value)
+                ? [{ type: 'delete', value: op.value }, { type: 'insert', value: op.value }]
+                : [op];
+        });
+    },
+
+    /**
+     * Replace `length` characters of the current text at `position`
+     * Deleted pieces stay in the table (marked), the insertion goes after them
+     */
+    splice(tracking, position, length, inserted, technique) {
+        const id = tracking.edits.length + 1;
+        const end = position + length;
+        const dependsOn = new Set();
+        const pieces = [];
+        let offset = 0;
+        let insertAt = null;
+
+        tracking.pieces.forEach(piece => {
+            if (piece.deletedBy !== null) {
+                pieces.push(piece);
+                return;
+            }
+
+            const from = offset;
+            const to = offset + piece.text.length;
+            const clamp = value => Math.min(Math.max(value, from), to);
+            offset = to;
+
+            // Changing (or inserting inside) another edit's text builds on it
+            if (piece.insertedBy !== null && from < end && to > position) {
+                dependsOn.add(piece.insertedBy);
+            }
+
+            // Split into the parts before, inside and after the range
+            [[from, clamp(position)], [clamp(position), clamp(end)], [clamp(end), to]].forEach(([s, e], part) => {
+                if (e <= s) return;
+                if (part === 2 && insertAt === null) insertAt = pieces.length;
+                pieces.push({ ...piece, text: piece.text.slice(s - from, e - from), deletedBy: part === 1 ? id : null });
+            });
+        });
+
+        if (inserted.length > 0) {
+            pieces.splice(insertAt === null ? pieces.length : insertAt, 0, { text: inserted, insertedBy: id, deletedBy: null });
+        }
+
+        tracking.pieces = pieces;
+        tracking.edits.push({ id, technique, dependsOn: [...dependsOn] });
+        return id;
+    },
+
+    /**
+     * Final edit list: where each edit lands in the original text, and the
+     * text it removes and adds
+     *   { id, technique, start, end, before, after, dependsOn }
+     */
+    finish(tracking) {
+        const edits = tracking.edits.map(edit => ({ ...edit, start: null, end: null, before: '', after: '' }));
+        let original = 0;
+
+        tracking.pieces.forEach(piece => {
+            [piece.insertedBy, piece.deletedBy].forEach(id => {
+                const edit = id !== null ? edits[id - 1] : null;
+                if (edit && edit.start === null) {
+                    edit.start = original;
+                    edit.end = original;
+                }
+            });
+
+            if (piece.insertedBy !== null) {
+                edits[piece.insertedBy - 1].after += piece.text;
+            }
+            if (piece.deletedBy !== null) {
+                const edit = edits[piece.deletedBy - 1];
+                edit.before += piece.text;
+                if (piece.insertedBy === null) edit.end = original + piece.text.length;
+            }
+            if (piece.insertedBy === null) {
+                original += piece.text.length;
+            }
+        });
+
+        return { pieces: tracking.pieces, edits };
+    },
+
+    /**
+     * The prompt with only the accepted edits (a Set of ids)
+     */
+    apply(pieces, accepted) {
+        return pieces
+            .filter(p => this.isVisible(p, accepted))
+            .map(p => p.text)
+            .join('');
+    },
+
+    isVisible(piece, accepted) {
+        const inserted = piece.insertedBy === null || accepted.has(piece.insertedBy);
+        const deleted = piece.deletedBy !== null && accepted.has(piece.deletedBy);
+        return inserted && !deleted;
+    },
+
+    /**
+     * Accept or reject one edit, keeping dependencies consistent:
+     * accepting pulls in the edits it builds on, rejecting drops the
+     * edits built on it. Returns the new accepted Set
+     */
+    decide(edits, accepted, id, accept) {
+        const result = new Set(accepted);
+        const byId = new Map(edits.map(e => [e.id, e]));
+        const visit = (editId) => {
+            if (accept ? result.has(editId) : !result.has(editId)) return;
+            if (accept) {
+                result.add(editId);
+                byId.get(editId).dependsOn.forEach(visit);
+            } else {
+                result.delete(editId);
+                edits.filter(e => e.dependsOn.includes(editId)).forEach(e => visit(e.id));
+            }
+        };
+
+        visit(id);
+        return result;
+    },
+
+    /**
+     * Word Diff
+     * Returns [{ type: 'equal' | 'insert' | 'delete', value }]
+     * Words, whitespace runs and punctuation are the units
+     */
+    diffWords(before, after) {
+        const a = this.tokenize(before);
+        const b = this.tokenize(after);
+
+        // Common prefix / suffix are cheap and usually most of a prompt
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [
+            ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+            ...this.diffSequences(a.slice(start, endA), b.slice(start, endB)),
+            ...a.slice(endA).map(value => ({ type: 'equal', value }))
+        ];
+
+        return this.mergeOps(ops);
+    },
+
+    tokenize(text) {
+        return text.match(/\s+|[\w'-]+|[^\w\s]/g) || [];
+    },
+
+    /**
+     * Myers' O(ND) diff over two token lists
+     * Falls back to delete-all / insert-all past maxDiffEdits
+     */
+    diffSequences(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = Math.min(n + m, this.maxDiffEdits);
+        const offset = max + 1;
+        const v = new Array(2 * max + 3).fill(0);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return this.backtrack(trace, a, b, offset);
+                }
+            }
+        }
+
+        return [
+            ...a.map(value => ({ type: 'delete', value })),
+            ...b.map(value => ({ type: 'insert', value }))
+        ];
+    },
+
+    backtrack(trace, a, b, offset) {
+        const ops = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+            const prevX = v[offset + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'equal', value: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({ type: 'insert', value: b[y - 1] });
+                } else {
+                    ops.push({ type: 'delete', value: a[x - 1] });
+                }
+            }
+            x = prevX;
+            y = prevY;
+        }
+
+        return ops.reverse();
+    },
+
+    mergeOps(ops) {
+        const merged = [];
+        ops.forEach(op => {
+            const last = merged[merged.length - 1];
+            if (last && last.type === op.type) {
+                last.value += op.value;
+            } else {
+                merged.push({ ...op });
+            }
+        });
+        return merged;
+    },
+
+    // Counts words (not whitespace or punctuation) added and removed
+    diffStats(ops) {
+        const words = text => (text.match(/[\w'-]+/g) || []).length;
+        return {
+            added: ops.filter(op => op.type === 'insert').reduce((sum, op) => sum + words(op.value), 0),
+            removed: ops.filter(op => op.type === 'delete').reduce((sum, op) => sum + words(op.value), 0)
+        };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptEdits = PromptEdits;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptEdits;
+}
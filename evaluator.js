@@ -0,0 +1,472 @@
+/**
+ * PROMPT EVALUATOR
+ * Runs the original and optimized prompt over the same test inputs on a
+ * model adapter (an OpenAI-compatible chat completions endpoint such as a
+ * local stand-in server, llama.cpp or vLLM, or the offline mock) and checks
+ * both outputs against assertions
+ */
+
+const PromptEvaluator = {
+
+    defaults: {
+        adapter: 'openai',
+        endpoint: 'http://localhost:8080/v1/chat/completions',
+        model: 'local-model',
+        apiKey: '',
+        maxTokens: 1024,
+        temperature: 0,
+        timeout: 60000
+    },
+
+    /**
+     * Assertion Types
+     * check(output, value) returns { pass, message }
+     */
+    assertionTypes: {
+        exact: {
+            label: 'Equals',
+            placeholder: 'the whole expected output',
+            check(output, value) {
+                const pass = output.trim() === String(value).trim();
+                return { pass, message: pass ? 'output matches exactly' : 'output differs from the expected text' };
+            }
+        },
+        contains: {
+            label: 'Contains',
+            placeholder: 'text the output must include',
+            check(output, value) {
+                const pass = output.includes(value);
+                return { pass, message: pass ? `contains "${value}"` : `missing "${value}"` };
+            }
+        },
+        'not-contains': {
+            label: 'Must not contain',
+            placeholder: 'text the output must not include',
+            check(output, value) {
+                const pass = !output.includes(value);
+                return { pass, message: pass ? `no "${value}"` : `contains "${value}"` };
+            }
+        },
+        regex: {
+            label: 'Matches regex',
+            placeholder: '/^\\d+$/m or a bare pattern',
+            check(output, value) {
+                let pattern;
+                try {
+                    pattern = PromptEvaluator.parseRegex(value);
+                } catch (error) {
+                    return { pass: false, message: `invalid regex: ${error.message}` };
+                }
+                const pass = pattern.test(output);
+                return { pass, message: pass ? `matches ${pattern}` : `does not match ${pattern}` };
+            }
+        },
+        'json-schema': {
+            label: 'Valid JSON (schema)',
+            placeholder: '{"type": "object", "required": ["answer"]}',
+            check(output, value) {
+                let schema;
+                try {
+                    schema = typeof value === 'string' ? JSON.parse(value || '{}') : value;
+                } catch (error) {
+                    return { pass: false, message: `invalid schema: ${error.message}` };
+                }
+
+                let data;
+                try {
+                    data = PromptEvaluator.parseJson(output);
+                } catch (error) {
+                    return { pass: false, message: 'output is not valid JSON' };
+                }
+
+                const errors = PromptEvaluator.validateSchema(data, schema);
+                return {
+                    pass: errors.length === 0,
+                    message: errors.length === 0 ? 'valid JSON, matches schema' : errors.slice(0, 3).join('; ')
+                };
+            }
+        },
+        'max-length': {
+            label: 'Max length (chars)',
+            placeholder: '500',
+            check(output, value) {
+                const limit = Number(value);
+                if (value === '' || Number.isNaN(limit)) {
+                    return { pass: false, message: `invalid length: ${value}` };
+                }
+                const pass = output.length <= limit;
+                return { pass, message: `${output.length}/${limit} chars` };
+            }
+        },
+        length: {
+            label: 'Length range (chars)',
+            placeholder: '50-500 (either end optional)',
+            check(output, value) {
+                const range = PromptEvaluator.parseRange(value);
+                if (!range) {
+                    return { pass: false, message: `invalid range: ${typeof value === 'object' ? JSON.stringify(value) : value}` };
+                }
+                const pass = output.length >= range.min && output.length <= range.max;
+                const bounds = `${range.min}-${range.max === Infinity ? '' : range.max}`;
+                return { pass, message: `${output.length} chars (${bounds})` };
+            }
+        }
+    },
+
+    /**
+     * Model Adapters
+     * complete(messages, config, options) resolves to the output text.
+     * Register more with registerAdapter(id, { label, complete })
+     */
+    adapters: {
+        openai: {
+            label: 'OpenAI-compatible endpoint',
+            complete(messages, config, options) {
+                return PromptEvaluator.fetchCompletion(messages, config, options);
+            }
+        },
+        mock: {
+            label: 'Mock (offline, deterministic)',
+            async complete(messages, config) {
+                return PromptEvaluator.mockCompletion(messages, config);
+            }
+        }
+    },
+
+    registerAdapter(id, adapter) {
+        if (!adapter || typeof adapter.complete !== 'function') {
+            throw new Error(`Adapter ${id} needs a complete(messages, config, options) function`);
+        }
+        this.adapters[id] = { label: id, ...adapter };
+        return this.adapters[id];
+    },
+
+    adapterFor(config) {
+        const adapter = this.adapters[config.adapter];
+        if (!adapter) {
+            throw new Error(`Unknown adapter: ${config.adapter} (expected ${Object.keys(this.adapters).join(', ')})`);
+        }
+        return adapter;
+    },
+
+    /**
+     * Main evaluation function
+     * prompts: { original, optimized }, each a prompt string or message list
+     * cases: [{ name, input, values, assertions }]; `assertions` apply to
+     * every case, a case's own assertions are added to them
+     * options are the optimizer options (noPreamble is applied like in exports)
+     */
+    async evaluate(prompts, cases, assertions = [], settings = {}, { options = {}, onProgress } = {}) {
+        const config = { ...this.defaults, ...settings };
+        this.adapterFor(config);
+        const list = cases.length > 0 ? cases : [{ name: 'Prompt only', input: '' }];
+        const results = [];
+
+        for (const [i, testCase] of list.entries()) {
+            const checks = [...assertions, ...(testCase.assertions || [])];
+            const result = {
+                name: testCase.name || `Case ${i + 1}`,
+                input: testCase.input || ''
+            };
+
+            for (const side of ['original', 'optimized']) {
+                if (onProgress) onProgress({ index: i, total: list.length, side, name: result.name });
+                const messages = this.messagesFor(prompts[side], testCase);
+                result[side] = await this.runSide(messages, checks, config, options);
+            }
+
+            results.push(result);
+        }
+
+        return {
+            date: new Date().toISOString(),
+            adapter: config.adapter,
+            endpoint: config.endpoint,
+            model: config.model,
+            assertions,
+            cases: results,
+            summary: this.summarize(results)
+        };
+    },
+
+    // Both sides of an optimization result, as messages when it has them
+    promptsFor(result) {
+        return {
+            original: result.originalMessages || result.original,
+            optimized: result.messages || result.optimized
+        };
+    },
+
+    /**
+     * Build the messages for one test case
+     * Template placeholders are filled from the case's values (sample
+     * values otherwise); the input is appended to the last user turn
+     */
+    messagesFor(prompt, testCase = {}) {
+        const messages = typeof prompt === 'string'
+            ? [{ role: 'user', content: prompt }]
+            : prompt.map(m => ({ ...m }));
+        const values = testCase.values || {};
+
+        messages.forEach(m => {
+            m.content = PromptTemplates.analyze(m.content, values).filled;
+        });
+
+        const input = (testCase.input || '').trim();
+        if (input) {
+            const lastUser = messages.map(m => m.role).lastIndexOf('user');
+            if (lastUser > -1) {
+                messages[lastUser].content += `\n\n${input}`;
+            } else {
+                messages.push({ role: 'user', content: input });
+            }
+        }
+
+        return messages;
+    },
+
+    async runSide(messages, assertions, config, options = {}) {
+        const side = { output: '', error: null, checks: [], passed: false };
+
+        try {
+            side.output = await this.adapterFor(config).complete(messages, config, options);
+            if (typeof side.output !== 'string') {
+                throw new Error(`Adapter ${config.adapter} returned no text`);
+            }
+        } catch (error) {
+            side.error = error.message;
+        }
+
+        side.checks = assertions.map(assertion => ({
+            type: assertion.type,
+            value: assertion.value,
+            ...(side.error
+                ? { pass: false, message: 'no output' }
+                : this.check(side.output, assertion))
+        }));
+        side.passed = !side.error && side.checks.every(c => c.pass);
+
+        return side;
+    },
+
+    check(output, assertion) {
+        const type = this.assertionTypes[assertion.type];
+        if (!type) {
+            throw new Error(`Unknown assertion type: ${assertion.type} (expected ${Object.keys(this.assertionTypes).join(', ')})`);
+        }
+        return type.check(output, assertion.value);
+    },
+
+    /**
+     * Endpoint Call
+     * Same message preparation as the exports (system first, prefill
+     * folded into the last user turn)
+     */
+    requestBody(messages, config, options = {}) {
+        const parts = PromptExporter.prepare(messages, options, { prefill: false });
+        return {
+            model: config.model,
+            messages: [
+                ...(parts.system ? [{ role: 'system', content: parts.system }] : []),
+                ...parts.turns.map(m => ({ role: m.role, content: m.content }))
+            ],
+            max_tokens: config.maxTokens,
+            temperature: config.temperature
+        };
+    },
+
+    async fetchCompletion(messages, config, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.timeout);
+        let response;
+
+        try {
+            response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(this.requestBody(messages, config, options)),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError'
+                ? `Request timed out after ${config.timeout / 1000}s`
+                : `Could not reach ${config.endpoint}: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const detail = (await response.text()).slice(0, 200);
+            throw new Error(`Endpoint returned ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices && data.choices[0] && data.choices[0].message
+            ? data.choices[0].message.content
+            : null;
+        if (typeof content !== 'string') {
+            throw new Error('Response has no choices[0].message.content');
+        }
+        return content;
+    },
+
+    /**
+     * Mock Completion
+     * Same messages, same output: the first `responses` rule whose match
+     * (substring or /regex/) hits the last user turn, otherwise an echo of
+     * its last paragraph (as JSON when the prompt asks for JSON)
+     */
+    mockCompletion(messages, config = {}) {
+        const request = this.requestBody(messages, config);
+        const last = request.messages[request.messages.length - 1].content;
+
+        for (const rule of config.responses || []) {
+            const literal = /^\/[\s\S]+\/[a-z]*$/.test(rule.match);
+            const hit = literal ? this.parseRegex(rule.match).test(last) : last.includes(rule.match);
+            if (hit) return rule.output;
+        }
+
+        const input = last.trim().split(/\n\s*\n/).pop().trim();
+        const wantsJson = /\bJSON\b/i.test(request.messages.map(m => m.content).join('\n'));
+        return wantsJson
+            ? JSON.stringify({ response: input.slice(0, 200) })
+            : `Mock response: ${input.slice(0, 200)}`;
+    },
+
+    summarize(results) {
+        const tally = side => {
+            const checks = results.flatMap(r => r[side].checks);
+            return {
+                passed: checks.filter(c => c.pass).length,
+                total: checks.length,
+                casesPassed: results.filter(r => r[side].passed).length,
+                errors: results.filter(r => r[side].error).length
+            };
+        };
+
+        const original = tally('original');
+        const optimized = tally('optimized');
+        return {
+            cases: results.length,
+            original,
+            optimized,
+            change: optimized.passed - original.passed
+        };
+    },
+
+    /**
+     * Assertion Helpers
+     */
+    // "/pattern/flags" or a bare pattern
+    parseRegex(value) {
+        const literal = /^\/([\s\S]+)\/([a-z]*)$/.exec(value);
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+    },
+
+    // "min-max" (either end optional), a single number (max) or { min, max }
+    parseRange(value) {
+        let min = 0;
+        let max = Infinity;
+
+        if (value && typeof value === 'object') {
+            if (value.min !== undefined) min = Number(value.min);
+            if (value.max !== undefined) max = Number(value.max);
+        } else {
+            const match = /^\s*(\d*)\s*(-?)\s*(\d*)\s*$/.exec(String(value));
+            if (!match || (!match[1] && !match[3])) return null;
+            if (match[2]) {
+                if (match[1]) min = Number(match[1]);
+                if (match[3]) max = Number(match[3]);
+            } else {
+                max = Number(match[1]);
+            }
+        }
+
+        return Number.isNaN(min) || Number.isNaN(max) || min > max ? null : { min, max };
+    },
+
+    // Models often wrap JSON in a ```json fence
+    parseJson(output) {
+        const fenced = /^```(?:json)?\s*\n([\s\S]*?)\n```$/i.exec(output.trim());
+        return JSON.parse(fenced ? fenced[1] : output.trim());
+    },
+
+    /**
+     * Minimal JSON Schema check: type, enum, const, required, properties,
+     * additionalProperties, items, min/max (Length, Items, imum)
+     * Returns a list of error messages
+     */
+    validateSchema(data, schema, at = '$') {
+        const errors = [];
+        if (!schema || typeof schema !== 'object') return errors;
+
+        const typeOf = value => {
+            if (value === null) return 'null';
+            if (Array.isArray(value)) return 'array';
+            if (Number.isInteger(value)) return 'integer';
+            return typeof value;
+        };
+
+        if (schema.type) {
+            const allowed = [].concat(schema.type);
+            const actual = typeOf(data);
+            const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+            if (!matches) {
+                errors.push(`${at}: expected ${allowed.join(' or ')}, got ${actual}`);
+                return errors;
+            }
+        }
+        if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(data))) {
+            errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+        if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(data)) {
+            errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof data === 'string') {
+            if (schema.minLength !== undefined && data.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+            if (schema.maxLength !== undefined && data.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+        }
+        if (typeof data === 'number') {
+            if (schema.minimum !== undefined && data < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+            if (schema.maximum !== undefined && data > schema.maximum) errors.push(`${at}: above ${schema.maximum}`);
+        }
+
+        if (Array.isArray(data)) {
+            if (schema.minItems !== undefined && data.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && data.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+            if (schema.items) {
+                data.forEach((item, i) => errors.push(...this.validateSchema(item, schema.items, `${at}[${i}]`)));
+            }
+        }
+
+        if (typeOf(data) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (!(key in data)) errors.push(`${at}: missing "${key}"`);
+            });
+            Object.entries(data).forEach(([key, value]) => {
+                if (properties[key]) {
+                    errors.push(...this.validateSchema(value, properties[key], `${at}.${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${at}: unexpected "${key}"`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...this.validateSchema(value, schema.additionalProperties, `${at}.${key}`));
+                }
+            });
+        }
+
+        return errors;
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptEvaluator = PromptEvaluator;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptEvaluator;
+}
@@ -0,0 +1,359 @@
+/**
+ * PROMPT EXPORTER
+ * Turns an optimization result into ready-to-run API requests: request
+ * bodies for the Messages API, OpenAI chat completions and Gemini
+ * generateContent, plus curl / Python / TypeScript snippets
+ */
+
+const PromptExporter = {
+
+    formats: {
+        text: { label: 'Plain text', extension: 'txt', mime: 'text/plain' },
+        anthropic: { label: 'Anthropic Messages API body', extension: 'json', mime: 'application/json' },
+        openai: { label: 'OpenAI chat completions body', extension: 'json', mime: 'application/json' },
+        gemini: { label: 'Gemini generateContent body', extension: 'json', mime: 'application/json' },
+        curl: { label: 'curl', extension: 'sh', mime: 'text/x-shellscript' },
+        python: { label: 'Python SDK', extension: 'py', mime: 'text/x-python' },
+        typescript: { label: 'TypeScript SDK', extension: 'ts', mime: 'text/typescript' }
+    },
+
+    defaults: {
+        maxTokens: 4096,
+        thinkingBudget: 4096
+    },
+
+    noPreambleInstruction: 'Start directly with the answer. No preamble or introduction.',
+
+    // The model being exported for; its API settings win for its provider
+    model: 'claude',
+
+    /**
+     * Main export function
+     * Returns { content, filename, mime }
+     */
+    export(format, result, model = 'claude', options = {}) {
+        const spec = this.formats[format];
+        if (!spec) {
+            throw new Error(`Unknown export format: ${format} (expected ${Object.keys(this.formats).join(', ')})`);
+        }
+        this.model = model;
+
+        const messages = this.messagesFor(result);
+        const builders = {
+            text: () => result.optimized,
+            anthropic: () => this.json(this.anthropicBody(messages, options)),
+            openai: () => this.json(this.openaiBody(messages, options)),
+            gemini: () => this.json(this.geminiBody(messages, options)),
+            curl: () => this.curl(this.providerFor(model), messages, options),
+            python: () => this.python(this.providerFor(model), messages, options),
+            typescript: () => this.typescript(this.providerFor(model), messages, options)
+        };
+
+        return {
+            content: builders[format](),
+            filename: `optimized-prompt-${Date.now()}.${spec.extension}`,
+            mime: spec.mime
+        };
+    },
+
+    // Single prompts are sent as one user message
+    messagesFor(result) {
+        return result.messages || [{ role: 'user', content: result.optimized }];
+    },
+
+    providerFor(model) {
+        const data = ModelData[model] || ModelData.claude;
+        return data.api.provider;
+    },
+
+    // The selected model's API when it uses `provider` (e.g. a self-hosted
+    // OpenAI-compatible server), else the first model that does
+    apiFor(provider) {
+        const selected = ModelData[this.model];
+        if (selected && selected.api.provider === provider) {
+            return selected.api;
+        }
+        return Object.values(ModelData).find(data => data.api.provider === provider).api;
+    },
+
+    // SDK base URL for an OpenAI-compatible endpoint other than OpenAI's
+    openaiBaseUrl() {
+        const { endpoint } = this.apiFor('openai');
+        return endpoint.startsWith('https://api.openai.com/') ? null : endpoint.replace(/\/chat\/completions\/?$/, '');
+    },
+
+    /**
+     * Split messages into what every provider needs: one system string,
+     * the turns, and a trailing assistant prefill
+     *
+     * `prefill: false` folds the prefill into the last user turn as an
+     * instruction, for APIs (or thinking modes) that can't continue one
+     */
+    prepare(messages, options = {}, { prefill = true } = {}) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content.trim());
+        const turns = messages.filter(m => m.role !== 'system').map(m => ({ ...m }));
+        let prefillText = null;
+
+        if (turns.length > 1 && turns[turns.length - 1].role === 'assistant' && turns.some(m => m.role === 'user')) {
+            prefillText = turns.pop().content;
+        }
+
+        if (options.noPreamble && !/preamble/i.test(messages.map(m => m.content).join('\n'))) {
+            system.push(this.noPreambleInstruction);
+        }
+
+        if (prefillText !== null && !prefill) {
+            const lastUser = turns.map(m => m.role).lastIndexOf('user');
+            turns[lastUser].content += `\n\nBegin your response with: ${prefillText}`;
+            prefillText = null;
+        }
+
+        return {
+            system: system.join('\n\n'),
+            turns,
+            prefill: prefillText
+        };
+    },
+
+    /**
+     * Request Bodies
+     * showThinking maps to each provider's reasoning parameters
+     */
+    anthropicBody(messages, options = {}) {
+        const api = this.apiFor('anthropic');
+
+        // Extended thinking can't continue a prefilled response
+        const parts = this.prepare(messages, options, { prefill: !options.showThinking });
+        const body = {
+            model: api.model,
+            max_tokens: this.defaults.maxTokens
+        };
+
+        if (parts.system) {
+            body.system = parts.system;
+        }
+        body.messages = parts.turns.map(m => ({ role: m.role, content: m.content }));
+        if (parts.prefill !== null) {
+            body.messages.push({ role: 'assistant', content: parts.prefill });
+        }
+
+        if (options.showThinking) {
+            body.max_tokens += this.defaults.thinkingBudget;
+            body.thinking = { type: 'enabled', budget_tokens: this.defaults.thinkingBudget };
+        }
+
+        return body;
+    },
+
+    openaiBody(messages, options = {}) {
+        const api = this.apiFor('openai');
+        const parts = this.prepare(messages, options, { prefill: false });
+        const body = {
+            model: api.model,
+            messages: [
+                ...(parts.system ? [{ role: 'system', content: parts.system }] : []),
+                ...parts.turns.map(m => ({ role: m.role, content: m.content }))
+            ],
+            max_completion_tokens: this.defaults.maxTokens
+        };
+
+        if (options.showThinking) {
+            body.reasoning_effort = 'high';
+        }
+
+        return body;
+    },
+
+    geminiBody(messages, options = {}) {
+        const parts = this.prepare(messages, options, { prefill: false });
+        const body = {};
+
+        if (parts.system) {
+            body.systemInstruction = { parts: [{ text: parts.system }] };
+        }
+        body.contents = parts.turns.map(m => ({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: m.content }]
+        }));
+        body.generationConfig = { maxOutputTokens: this.defaults.maxTokens };
+
+        if (options.showThinking) {
+            body.generationConfig.thinkingConfig = {
+                includeThoughts: true,
+                thinkingBudget: this.defaults.thinkingBudget
+            };
+        }
+
+        return body;
+    },
+
+    /**
+     * Code Snippets (for the selected model's provider)
+     */
+    curl(provider, messages, options = {}) {
+        const api = this.apiFor(provider);
+        const headers = {
+            anthropic: ['x-api-key: $ANTHROPIC_API_KEY', 'anthropic-version: 2023-06-01', 'content-type: application/json'],
+            openai: ['Authorization: Bearer $OPENAI_API_KEY', 'Content-Type: application/json'],
+            gemini: ['x-goog-api-key: $GEMINI_API_KEY', 'Content-Type: application/json']
+        };
+
+        return [
+            `curl ${api.endpoint} \\`,
+            ...headers[provider].map(header => `  -H "${header}" \\`),
+            `  -d @- <<'REQUEST_BODY'`,
+            this.json(this.bodyFor(provider, messages, options)),
+            'REQUEST_BODY'
+        ].join('\n');
+    },
+
+    python(provider, messages, options = {}) {
+        const body = this.bodyFor(provider, messages, options);
+
+        if (provider === 'anthropic') {
+            return [
+                'import anthropic',
+                '',
+                'client = anthropic.Anthropic()  # reads ANTHROPIC_API_KEY',
+                '',
+                `message = client.messages.create(**${this.pythonLiteral(body)})`,
+                '',
+                'for block in message.content:',
+                '    if block.type == "text":',
+                '        print(block.text)'
+            ].join('\n');
+        }
+
+        if (provider === 'openai') {
+            return [
+                'from openai import OpenAI',
+                '',
+                this.openaiBaseUrl()
+                    ? `client = OpenAI(base_url=${JSON.stringify(this.openaiBaseUrl())}, api_key="not-needed")`
+                    : 'client = OpenAI()  # reads OPENAI_API_KEY',
+                '',
+                `completion = client.chat.completions.create(**${this.pythonLiteral(body)})`,
+                '',
+                'print(completion.choices[0].message.content)'
+            ].join('\n');
+        }
+
+        const config = { max_output_tokens: body.generationConfig.maxOutputTokens };
+        if (body.systemInstruction) {
+            config.system_instruction = body.systemInstruction.parts[0].text;
+        }
+        if (body.generationConfig.thinkingConfig) {
+            config.thinking_config = {
+                include_thoughts: true,
+                thinking_budget: body.generationConfig.thinkingConfig.thinkingBudget
+            };
+        }
+
+        return [
+            'from google import genai',
+            '',
+            'client = genai.Client()  # reads GEMINI_API_KEY',
+            '',
+            'response = client.models.generate_content(',
+            `    model=${JSON.stringify(this.apiFor('gemini').model)},`,
+            `    contents=${this.pythonLiteral(body.contents, 1)},`,
+            `    config=${this.pythonLiteral(config, 1)},`,
+            ')',
+            '',
+            'print(response.text)'
+        ].join('\n');
+    },
+
+    typescript(provider, messages, options = {}) {
+        const body = this.bodyFor(provider, messages, options);
+
+        if (provider === 'anthropic') {
+            return [
+                "import Anthropic from '@anthropic-ai/sdk';",
+                '',
+                'const client = new Anthropic(); // reads ANTHROPIC_API_KEY',
+                '',
+                `const message = await client.messages.create(${this.json(body)});`,
+                '',
+                'for (const block of message.content) {',
+                "    if (block.type === 'text') console.log(block.text);",
+                '}'
+            ].join('\n');
+        }
+
+        if (provider === 'openai') {
+            return [
+                "import OpenAI from 'openai';",
+                '',
+                this.openaiBaseUrl()
+                    ? `const client = new OpenAI({ baseURL: ${JSON.stringify(this.openaiBaseUrl())}, apiKey: 'not-needed' });`
+                    : 'const client = new OpenAI(); // reads OPENAI_API_KEY',
+                '',
+                `const completion = await client.chat.completions.create(${this.json(body)});`,
+                '',
+                'console.log(completion.choices[0].message.content);'
+            ].join('\n');
+        }
+
+        const config = { maxOutputTokens: body.generationConfig.maxOutputTokens };
+        if (body.systemInstruction) {
+            config.systemInstruction = body.systemInstruction.parts[0].text;
+        }
+        if (body.generationConfig.thinkingConfig) {
+            config.thinkingConfig = body.generationConfig.thinkingConfig;
+        }
+
+        return [
+            "import { GoogleGenAI } from '@google/genai';",
+            '',
+            'const ai = new GoogleGenAI({}); // reads GEMINI_API_KEY',
+            '',
+            `const response = await ai.models.generateContent(${this.json({
+                model: this.apiFor('gemini').model,
+                contents: body.contents,
+                config
+            })});`,
+            '',
+            'console.log(response.text);'
+        ].join('\n');
+    },
+
+    bodyFor(provider, messages, options) {
+        const builders = {
+            anthropic: this.anthropicBody,
+            openai: this.openaiBody,
+            gemini: this.geminiBody
+        };
+        return builders[provider].call(this, messages, options);
+    },
+
+    json(value) {
+        return JSON.stringify(value, null, 4);
+    },
+
+    // JSON -> Python literal (True/False/None); JSON strings are valid Python
+    pythonLiteral(value, depth = 0) {
+        const pad = '    '.repeat(depth + 1);
+        const close = '    '.repeat(depth);
+
+        if (value === null || value === undefined) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value !== 'object') return JSON.stringify(value);
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return '[]';
+            return `[\n${value.map(item => pad + this.pythonLiteral(item, depth + 1)).join(',\n')}\n${close}]`;
+        }
+
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        return `{\n${entries.map(([key, item]) => `${pad}${JSON.stringify(key)}: ${this.pythonLiteral(item, depth + 1)}`).join(',\n')}\n${close}}`;
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptExporter = PromptExporter;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptExporter;
+}
@@ -0,0 +1,490 @@
+/**
+ * PROMPT LIBRARY
+ * Saved prompts are documents with a version chain. Each version keeps the
+ * text, model, options, techniques and score of one save; the document's
+ * top-level fields mirror the latest version so list views, search and
+ * test suites read it like a single prompt. Versions are compared with
+ * PromptEdits.diffWords
+ *
+ * Documents also carry their own details, kept across versions:
+ *   { tags: [string], folder: 'team/support', favorite, notes, useCase }
+ * (folders are "/"-separated paths; '' is the top level)
+ *
+ * Versions saved from the app keep the session that produced them, so it
+ * can be reopened or optimized again (PromptOptimizer.replay):
+ *   session: { engine, answers, sampleValues, costs, project: { id, name } | null,
+ *              styleGuide, scoringProfile, rejectedEdits: [{ technique, before, after }],
+ *              analysis, result }
+ * where styleGuide and scoringProfile are the ones in effect (the guide may
+ * be null), analysis is the original's and result the optimizer's, as shown
+ *
+ * Library files (export/import, full history):
+ *   { "format": "prompt-optimizer-library", "version": 1, "exported", "prompts": [document] }
+ * (a bare list of documents or pre-versioning entries, or a single one, is
+ * accepted too). Markdown files hold a document's latest version: YAML
+ * frontmatter (id, name, model, created, details, options, original) and the
+ * optimized prompt, or a [System]/[User] transcript, as the body
+ */
+
+const PromptLibrary = {
+
+    // Copied from a save into its version
+    versionFields: ['original', 'optimized', 'originalMessages', 'messages', 'model', 'options', 'techniques', 'score', 'evaluation', 'session', 'restoredFrom'],
+
+    // Mirrored from the latest version onto the document
+    headFields: ['original', 'optimized', 'originalMessages', 'messages', 'model', 'options', 'score', 'evaluation'],
+
+    // The document's own details and their defaults
+    detailFields: {
+        tags: [],
+        folder: '',
+        favorite: false,
+        notes: '',
+        useCase: ''
+    },
+
+    /**
+     * Documents & Versions
+     */
+    createDocument(data, id = Date.now()) {
+        const doc = {
+            id,
+            name: this.nameFor(data.original || data.optimized || ''),
+            created: new Date().toISOString(),
+            ...this.clone(this.detailFields),
+            versions: []
+        };
+        this.addVersion(doc, data);
+        return doc;
+    },
+
+    /**
+     * Update a document's name and details; tags are trimmed and deduped
+     * (ignoring case), folders lose stray slashes and spaces
+     */
+    setDetails(doc, changes) {
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            doc.name = changes.name.trim();
+        }
+        if (changes.tags !== undefined) {
+            const list = Array.isArray(changes.tags) ? changes.tags : String(changes.tags).split(',');
+            const seen = new Set();
+            doc.tags = list.map(tag => String(tag).trim()).filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+        if (changes.folder !== undefined) {
+            doc.folder = String(changes.folder || '').split('/').map(part => part.trim()).filter(Boolean).join('/');
+        }
+        if (changes.favorite !== undefined) doc.favorite = Boolean(changes.favorite);
+        if (changes.notes !== undefined) doc.notes = String(changes.notes || '');
+        if (changes.useCase !== undefined) doc.useCase = String(changes.useCase || '').trim();
+        return doc;
+    },
+
+    details(doc) {
+        const details = {};
+        Object.keys(this.detailFields).forEach(key => {
+            details[key] = this.clone(doc[key] === undefined ? this.detailFields[key] : doc[key]);
+        });
+        return details;
+    },
+
+    addVersion(doc, data) {
+        const version = {
+            version: doc.versions.length > 0 ? doc.versions[doc.versions.length - 1].version + 1 : 1,
+            date: data.date || new Date().toISOString()
+        };
+        this.versionFields.forEach(field => {
+            if (data[field] !== undefined && data[field] !== null) {
+                version[field] = data[field];
+            }
+        });
+
+        doc.versions.push(version);
+        this.syncHead(doc);
+        return version;
+    },
+
+    // A version's session from the optimizer's analysis and result and what went into them
+    session(analysis, result, { answers = {}, sampleValues = {}, costs = {}, project = null, styleGuide = null, scoringProfile = null, rejectedEdits = [] } = {}) {
+        return this.clone({
+            engine: PromptOptimizer.version, answers, sampleValues, costs, project, styleGuide, scoringProfile, rejectedEdits, analysis, result
+        });
+    },
+
+    getVersion(doc, number) {
+        return doc.versions.find(v => v.version === number) || null;
+    },
+
+    head(doc) {
+        return doc.versions[doc.versions.length - 1];
+    },
+
+    /**
+     * Restore = a new latest version with an older version's content,
+     * so the chain itself is never rewritten
+     */
+    restore(doc, number) {
+        const source = this.getVersion(doc, number);
+        if (!source) {
+            throw new Error(`Unknown version: v${number} (document has v1-v${this.head(doc).version})`);
+        }
+
+        const { version, date, evaluation, restoredFrom, ...content } = source;
+        return this.addVersion(doc, { ...content, restoredFrom: number });
+    },
+
+    syncHead(doc) {
+        const head = this.head(doc);
+        this.headFields.forEach(field => {
+            if (head[field] !== undefined) {
+                doc[field] = head[field];
+            } else {
+                delete doc[field];
+            }
+        });
+        doc.date = head.date;
+        return doc;
+    },
+
+    /**
+     * Entries saved before versioning become one-version documents;
+     * documents saved before details get the defaults
+     */
+    migrate(entries) {
+        return entries.map(entry => {
+            if (Array.isArray(entry.versions) && entry.versions.length > 0) {
+                return { ...entry, ...this.details(entry) };
+            }
+
+            const { id, date, suite, ...data } = entry;
+            const doc = {
+                id,
+                name: this.nameFor(data.original || data.optimized || ''),
+                created: date,
+                ...this.clone(this.detailFields),
+                versions: []
+            };
+            this.addVersion(doc, { ...data, date });
+            if (suite) doc.suite = suite;
+            return doc;
+        });
+    },
+
+    // First line with text, without [System] / [User] transcript headers
+    nameFor(text) {
+        const line = text.split('\n')
+            .map(l => l.trim())
+            .find(l => l.length > 0 && !/^\[(System|User|Assistant)\]$/i.test(l)) || 'Untitled prompt';
+        return line.length > 60 ? `${line.substring(0, 57)}...` : line;
+    },
+
+    scores(doc) {
+        return doc.versions.map(v => v.score);
+    },
+
+    /**
+     * Library Files
+     */
+    fileFormat: 'prompt-optimizer-library',
+    fileVersion: 1,
+
+    toFile(docs) {
+        return {
+            format: this.fileFormat,
+            version: this.fileVersion,
+            exported: new Date().toISOString(),
+            prompts: docs
+        };
+    },
+
+    /**
+     * Returns the file's documents, validated; entries saved before
+     * versioning are migrated. Throws on a malformed file, naming the
+     * first bad field ("prompts[2].versions[0].score ...")
+     */
+    fromFile(data) {
+        let entries = data;
+        let where = 'prompts';
+        if (data && !Array.isArray(data) && data.format !== undefined) {
+            if (data.format !== this.fileFormat) {
+                throw new Error(`Not a library file (expected "format": "${this.fileFormat}")`);
+            }
+            if (data.version > this.fileVersion) {
+                throw new Error(`Library file version ${data.version} is newer than this app supports (${this.fileVersion})`);
+            }
+            if (!Array.isArray(data.prompts)) {
+                throw new Error('prompts must be a list');
+            }
+            entries = data.prompts;
+        } else if (!Array.isArray(data)) {
+            entries = [data];
+            where = null;
+        }
+
+        return entries.map((entry, i) => {
+            const at = where ? `${where}[${i}]` : 'prompt';
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                throw new Error(`${at} must be an object`);
+            }
+            const doc = this.migrate([entry])[0];
+            this.validate(doc, at);
+            return doc;
+        });
+    },
+
+    // Throws on the first field that doesn't match the document schema
+    validate(doc, at = 'prompt') {
+        const fail = (field, expected) => {
+            throw new Error(`${at}${field} must be ${expected}`);
+        };
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const messages = (list, field) => {
+            if (!Array.isArray(list)) fail(field, 'a list of messages');
+            list.forEach((m, i) => {
+                if (!isObject(m) || !PromptConversations.roles.includes(m.role) || typeof m.content !== 'string') {
+                    fail(`${field}[${i}]`, `{ role: ${PromptConversations.roles.join(' | ')}, content: string }`);
+                }
+            });
+        };
+
+        if (doc.id !== undefined && doc.id !== null && !(Number.isInteger(doc.id) && doc.id > 0)) {
+            fail('.id', 'a positive integer');
+        }
+        if (typeof doc.name !== 'string') fail('.name', 'a string');
+        if (doc.tags !== undefined && !(Array.isArray(doc.tags) && doc.tags.every(tag => typeof tag === 'string'))) {
+            fail('.tags', 'a list of strings');
+        }
+        ['folder', 'notes', 'useCase'].forEach(key => {
+            if (doc[key] !== undefined && typeof doc[key] !== 'string') fail(`.${key}`, 'a string');
+        });
+        if (doc.favorite !== undefined && typeof doc.favorite !== 'boolean') fail('.favorite', 'true or false');
+        if (!Array.isArray(doc.versions) || doc.versions.length === 0) fail('.versions', 'a non-empty list');
+
+        let previous = 0;
+        doc.versions.forEach((version, i) => {
+            const field = `.versions[${i}]`;
+            if (!isObject(version)) fail(field, 'an object');
+            if (!Number.isInteger(version.version) || version.version <= previous) {
+                fail(`${field}.version`, `an integer above ${previous}`);
+            }
+            previous = version.version;
+            if (typeof version.date !== 'string' || isNaN(Date.parse(version.date))) fail(`${field}.date`, 'an ISO date');
+            ['original', 'optimized', 'model'].forEach(key => {
+                if (typeof version[key] !== 'string') fail(`${field}.${key}`, 'a string');
+            });
+            if (typeof version.score !== 'number' || !isFinite(version.score)) fail(`${field}.score`, 'a number');
+            if (version.options !== undefined && !isObject(version.options)) fail(`${field}.options`, 'an object');
+            if (version.techniques !== undefined && !Array.isArray(version.techniques)) fail(`${field}.techniques`, 'a list');
+            if (version.messages !== undefined) messages(version.messages, `${field}.messages`);
+            if (version.originalMessages !== undefined) messages(version.originalMessages, `${field}.originalMessages`);
+            if (version.session !== undefined) {
+                const session = version.session;
+                if (!isObject(session)) fail(`${field}.session`, 'an object');
+                if (typeof session.engine !== 'string') fail(`${field}.session.engine`, 'a string');
+                ['answers', 'sampleValues', 'analysis', 'result'].forEach(key => {
+                    if (!isObject(session[key])) fail(`${field}.session.${key}`, 'an object');
+                });
+                if (session.rejectedEdits !== undefined && !Array.isArray(session.rejectedEdits)) {
+                    fail(`${field}.session.rejectedEdits`, 'a list');
+                }
+            }
+        });
+
+        if (doc.suite !== undefined && !(isObject(doc.suite) && Array.isArray(doc.suite.cases || []))) {
+            fail('.suite', 'a test suite ({ cases: [...] })');
+        }
+    },
+
+    /**
+     * Markdown Files
+     * The latest version only: history, techniques and evaluations stay in
+     * library files. `original` is left out when it matches the body
+     */
+    toMarkdown(doc) {
+        const head = this.head(doc);
+        const body = head.messages ? PromptConversations.format(head.messages) : head.optimized;
+        const original = head.originalMessages ? PromptConversations.format(head.originalMessages) : head.original;
+
+        // Plain only when YAML reads it back as the same string: not a
+        // "key: value", a "- " item, a trailing ":" or space, or anything
+        // that could be a number, boolean or null
+        const scalar = value => {
+            if (typeof value !== 'string') return String(value);
+            const plain = /^[\w./:+-][\w ./:+-]*$/.test(value)
+                && !/: |:$|^-( |$)| $/.test(value)
+                && !/^([-+]?[\d.]|(true|false|null|yes|no|on|off|y|n)$)/i.test(value);
+            return plain ? value : JSON.stringify(value);
+        };
+        const yaml = (key, value, indent = '') => {
+            if (typeof value === 'string' && value.trim().includes('\n') && !/^\s/.test(value)) {
+                return `${indent}${key}: |-\n${value.replace(/\s+$/, '').split('\n').map(l => (l ? `${indent}  ${l}` : '')).join('\n')}`;
+            }
+            if (value === null || typeof value !== 'object') {
+                return `${indent}${key}: ${scalar(typeof value === 'string' ? value.replace(/\s+$/, '') : value)}`;
+            }
+            if (Array.isArray(value)) {
+                return [`${indent}${key}:`, ...value.map(item => `${indent}  - ${scalar(item)}`)].join('\n');
+            }
+            const fields = Object.entries(value).filter(([, v]) => v === null || typeof v !== 'object');
+            return [`${indent}${key}:`, ...fields.map(([k, v]) => yaml(k, v, `${indent}  `))].join('\n');
+        };
+
+        const front = [
+            yaml('id', doc.id),
+            yaml('name', doc.name),
+            yaml('model', head.model),
+            doc.created ? yaml('created', doc.created) : null,
+            doc.folder ? yaml('folder', doc.folder) : null,
+            doc.tags && doc.tags.length > 0 ? yaml('tags', doc.tags) : null,
+            doc.favorite ? yaml('favorite', true) : null,
+            doc.useCase ? yaml('useCase', doc.useCase) : null,
+            doc.notes ? yaml('notes', doc.notes) : null,
+            head.options ? yaml('options', head.options) : null,
+            original.trim() !== body.trim() ? yaml('original', original) : null
+        ].filter(Boolean);
+
+        return `---\n${front.join('\n')}\n---\n\n${body.trim()}\n`;
+    },
+
+    /**
+     * A document from a Markdown file; the frontmatter is optional. The
+     * body is scored with `score(text, model)` (frontmatter scores would go
+     * stale as the file is edited)
+     */
+    fromMarkdown(text, score) {
+        const source = text.replace(/\r\n?/g, '\n');
+        const match = source.match(/^---\n(?:([\s\S]*?)\n)?---[ \t]*(?:\n|$)/);
+        const front = (match && match[1] && PromptStyleGuides.parseYaml(match[1])) || {};
+        if (typeof front !== 'object' || Array.isArray(front)) {
+            throw new Error('The frontmatter must be a mapping ("key: value" lines)');
+        }
+        const body = (match ? source.slice(match[0].length) : source).trim();
+        if (!body) {
+            throw new Error('The prompt (the text after the frontmatter) is empty');
+        }
+
+        const model = typeof front.model === 'string' ? front.model : 'claude';
+        const data = { optimized: body, original: body, model, date: new Date().toISOString() };
+        const messages = PromptConversations.parse(body);
+        if (messages) data.messages = messages;
+        if (typeof front.original === 'string' && front.original.trim()) {
+            data.original = front.original;
+            const originalMessages = PromptConversations.parse(front.original);
+            if (originalMessages) data.originalMessages = originalMessages;
+        }
+        if (front.options && typeof front.options === 'object') data.options = front.options;
+        data.score = score(messages ? PromptConversations.flatten(messages) : body, model);
+
+        const doc = this.createDocument(data, front.id === undefined ? null : front.id);
+        if (front.name !== undefined && front.name !== null) doc.name = String(front.name);
+        if (front.created !== undefined && front.created !== null) doc.created = String(front.created);
+        if (front.tags !== undefined && front.tags !== null && !Array.isArray(front.tags)) {
+            throw new Error('tags must be a list');
+        }
+        this.setDetails(doc, {
+            tags: front.tags || [],
+            folder: front.folder || '',
+            favorite: front.favorite === true,
+            notes: front.notes || '',
+            useCase: front.useCase || ''
+        });
+        this.validate(doc, 'frontmatter');
+        return doc;
+    },
+
+    /**
+     * The documents in an imported file: Markdown (.md) or a library file
+     * `score(text, model)` scores Markdown prompts
+     */
+    readFile(text, filename, score) {
+        return /\.(md|markdown)$/i.test(filename)
+            ? [this.fromMarkdown(text, score)]
+            : this.fromFile(JSON.parse(text));
+    },
+
+    // A file name for the document's Markdown file, unique within `taken`
+    markdownName(doc, taken = new Set()) {
+        const base = doc.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || `prompt-${doc.id}`;
+        let name = `${base}.md`;
+        for (let n = 2; taken.has(name); n++) {
+            name = `${base}-${n}.md`;
+        }
+        taken.add(name);
+        return name;
+    },
+
+    /**
+     * Import
+     * 'merge' adds the imported documents to `library`; 'replace' makes
+     * them the whole library. Either way, documents sharing an id become
+     * one: the versions the library lacks (by content) are appended as new
+     * versions, so nothing is overwritten and importing twice changes
+     * nothing; name and details come from the side saved last. Documents without an id get a fresh one unless the library
+     * already holds their content
+     * Returns { prompts, added, updated, unchanged } (counts of documents)
+     */
+    importInto(library, incoming, mode = 'merge') {
+        if (!['merge', 'replace'].includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode} (expected merge or replace)`);
+        }
+
+        const prompts = mode === 'replace' ? [] : library.map(doc => this.clone(doc));
+        const result = { prompts, added: 0, updated: 0, unchanged: 0 };
+        let nextId = Math.max(Date.now(), ...prompts.map(p => p.id + 1), ...incoming.map(p => (p.id || 0) + 1));
+
+        incoming.forEach(source => {
+            const doc = this.clone(source);
+            const known = doc.id ? prompts.find(p => p.id === doc.id) : null;
+            if (known) {
+                // Name and details come from whichever side was saved last
+                const newer = this.head(doc).date >= this.head(known).date;
+                const details = newer && JSON.stringify([doc.name, this.details(doc)]) !== JSON.stringify([known.name, this.details(known)]);
+                const have = new Set(known.versions.map(v => this.contentKey(v)));
+                const missing = doc.versions.filter(v => !have.has(this.contentKey(v)));
+                missing.forEach(({ version, restoredFrom, ...data }) => this.addVersion(known, data));
+                if (details) {
+                    known.name = doc.name;
+                    Object.assign(known, this.details(doc));
+                }
+                if (missing.length > 0 || details) {
+                    result.updated++;
+                } else {
+                    result.unchanged++;
+                }
+                return;
+            }
+
+            const key = this.contentKey(this.head(doc));
+            if (!doc.id && prompts.some(p => p.versions.some(v => this.contentKey(v) === key))) {
+                result.unchanged++;
+                return;
+            }
+            if (!doc.id) doc.id = nextId++;
+            prompts.push(doc);
+            result.added++;
+        });
+        return result;
+    },
+
+    // What a version says, ignoring when it was saved and trailing whitespace
+    contentKey(version) {
+        const text = value => (typeof value === 'string' ? value.trim() : value);
+        const messages = list => list && list.map(m => [m.role, m.content.trim()]);
+        return JSON.stringify([text(version.original), text(version.optimized), messages(version.originalMessages), messages(version.messages), version.model]);
+    },
+
+    clone(doc) {
+        return JSON.parse(JSON.stringify(doc));
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptLibrary = PromptLibrary;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLibrary;
+}
@@ -0,0 +1,447 @@
+/**
+ * PROMPT LINTER
+ * Runs PromptAnalyzer over a directory of prompt files, turns the analysis
+ * into located findings and reports them as text, JSON, SARIF or JUnit XML
+ *
+ * Node only (reads the file system). Configuration comes from
+ * .promptlintrc.json files; a file in a subdirectory overrides its parents
+ * for everything below it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ModelData } = require('./models.js');
+require('./tokenizer.js');
+require('./templates.js');
+require('./regions.js');
+const PromptRules = require('./rules.js');
+const PromptStyleGuides = require('./styleguides.js');
+require('./scoring.js');
+require('./conversation.js');
+require('./budget.js');
+require('./costs.js');
+require('./caching.js');
+const PromptAnalyzer = require('./analyzer.js');
+require('./model-registry.js');
+
+const PromptLinter = {
+
+    configFileName: '.promptlintrc.json',
+
+    defaults: {
+        model: 'claude',
+        extensions: ['.txt', '.md', '.prompt'],
+        ignore: ['node_modules'],
+        thresholds: {
+            overallScore: 5,    // 0-10
+            components: 30,     // components.score, 0-100
+            modelFit: 70        // modelFit.compatibility, 0-100
+        },
+        checks: {},
+        styleGuide: null,   // a guide file, relative to its config file
+        scoring: null,      // a scoring profile name or object (see PromptScoring)
+        expectedOutput: null // output tokens for the budget check (see PromptBudget)
+    },
+
+    /**
+     * Check Definitions
+     * level: 'error' fails the run, 'warning' and 'note' are reported only
+     */
+    rules: {
+        'score/overall': {
+            level: 'error',
+            description: 'Overall score is below the configured threshold'
+        },
+        'score/components': {
+            level: 'error',
+            description: 'Framework component score is below the configured threshold'
+        },
+        'score/model-fit': {
+            level: 'error',
+            description: 'Model compatibility is below the configured threshold'
+        },
+        'missing-component/role': { level: 'warning', description: 'Missing Role/Persona' },
+        'missing-component/tone': { level: 'note', description: 'Missing Tone Context' },
+        'missing-component/background': { level: 'warning', description: 'Missing Background Data' },
+        'missing-component/task': { level: 'warning', description: 'Missing Task Description' },
+        'missing-component/examples': { level: 'note', description: 'Missing Examples' },
+        'missing-component/chainOfThought': { level: 'note', description: 'Missing Chain-of-Thought' },
+        'missing-component/outputFormat': { level: 'warning', description: 'Missing Output Format' },
+        'missing-component/constraints': { level: 'warning', description: 'Missing Constraints' },
+        'missing-component/prefill': { level: 'note', description: 'Missing Response Prefill' },
+        'missing-component/xmlStructure': { level: 'note', description: 'Sections not in the model\'s preferred structure' },
+        'altitude/too-high': {
+            level: 'warning',
+            description: 'Vague, high-altitude instruction without concrete guidance'
+        },
+        'model-fit/issue': {
+            level: 'warning',
+            description: 'Model-specific fit issue'
+        },
+        'style-guide/section': { level: 'warning', description: 'Missing a section the team style guide requires' },
+        'style-guide/tag': { level: 'warning', description: 'Missing an XML tag the team style guide requires' },
+        'style-guide/required-phrase': { level: 'warning', description: 'Missing a phrase the team style guide requires' },
+        'style-guide/forbidden-phrase': { level: 'warning', description: 'Uses a phrase the team style guide forbids' },
+        'style-guide/length': { level: 'warning', description: 'Outside the team style guide length limits' },
+        'budget/over-budget': { level: 'warning', description: 'Prompt plus expected output is over the model\'s recommended budget' },
+        'budget/context-window': { level: 'error', description: 'Prompt plus expected output does not fit the model\'s context window' },
+        'caching/layout': { level: 'note', description: 'A section that changes per request comes before static ones, shortening the cacheable prefix' }
+    },
+
+    /**
+     * Lint directory trees and/or single files
+     * Returns { files: [fileResult], errorCount, warningCount, noteCount, passed }
+     * File paths are reported relative to `cwd` so SARIF locations resolve
+     * against the repository root
+     */
+    lintPaths(targets, { overrides = null, cwd = process.cwd() } = {}) {
+        const files = targets.flatMap(target => this.lintPath(target, { overrides, cwd }));
+        return this.summarize(files);
+    },
+
+    lintPath(target, { overrides = null, cwd = process.cwd() } = {}) {
+        const root = path.resolve(cwd, target);
+        const baseDir = fs.statSync(root).isDirectory() ? root : path.dirname(root);
+        const files = [];
+
+        const visit = (current, config) => {
+            const stat = fs.statSync(current);
+
+            if (stat.isDirectory()) {
+                const dirConfig = this.mergeConfig(config, this.readConfig(current));
+                fs.readdirSync(current).sort().forEach(name => {
+                    if (name.startsWith('.') || dirConfig.ignore.includes(name)) return;
+                    visit(path.join(current, name), dirConfig);
+                });
+                return;
+            }
+
+            if (current === root || config.extensions.includes(path.extname(current).toLowerCase())) {
+                const text = fs.readFileSync(current, 'utf8');
+                const relative = path.relative(cwd, current) || path.basename(current);
+                files.push(this.lintText(text, relative.split(path.sep).join('/'), config));
+            }
+        };
+
+        // Configs above the target still apply, nearest last
+        const inherited = this.collectParentConfigs(baseDir)
+            .reduce((config, found) => this.mergeConfig(config, found), this.defaults);
+        const start = fs.statSync(root).isDirectory() ? inherited : this.mergeConfig(inherited, this.readConfig(baseDir));
+        visit(root, this.mergeConfig(start, overrides));
+
+        return files;
+    },
+
+    /**
+     * Lint a single prompt
+     */
+    lintText(text, file, config = this.defaults) {
+        const model = ModelData[config.model] ? config.model : 'claude';
+        // A configured guide wins over the active one (--style-guide, --project)
+        const styleGuide = config.styleGuide || PromptStyleGuides.active;
+        const analysis = PromptAnalyzer.analyze(text, model, {
+            styleGuide, scoringProfile: config.scoring || undefined, expectedOutput: config.expectedOutput
+        });
+        const findings = [];
+        // Findings about the prompt as a whole cover its first line
+        const fileStart = { line: 1, column: 1 };
+        const firstLineEnd = this.positionAt(text, text.search(/\r?\n|$/));
+
+        const report = (ruleId, message, position = fileStart, endPosition = firstLineEnd) => {
+            const level = this.levelFor(ruleId, config);
+            if (level === 'off') return;
+            findings.push({
+                ruleId,
+                level,
+                message,
+                line: position.line,
+                column: position.column,
+                endLine: endPosition.line,
+                endColumn: endPosition.column
+            });
+        };
+        // Where the analyzer marked a finding rule's first match, if it did
+        const annotated = ruleId => {
+            const annotation = analysis.annotations.find(a => a.ruleId === ruleId);
+            return annotation ? [this.positionAt(text, annotation.start), this.positionAt(text, annotation.end)] : [];
+        };
+
+        if (text.trim().length === 0) {
+            report('score/overall', 'Prompt is empty');
+            return { file, model, analysis, findings, passed: !findings.some(f => f.level === 'error') };
+        }
+
+        const t = config.thresholds;
+        const score = analysis.overallScore.score;
+        if (score < t.overallScore) {
+            report('score/overall', `Overall score ${score.toFixed(1)}/10 is below ${t.overallScore}`);
+        }
+        if (analysis.components.score < t.components) {
+            report('score/components', `Component score ${analysis.components.score}% (${analysis.components.presentCount}/${analysis.components.total}) is below ${t.components}%`);
+        }
+        if (analysis.modelFit.compatibility < t.modelFit) {
+            report('score/model-fit', `${ModelData[model].name} compatibility ${analysis.modelFit.compatibility}% is below ${t.modelFit}%`);
+        }
+
+        PromptRules.select('component', { model }).forEach(rule => {
+            const id = `missing-component/${rule.key}`;
+            if (analysis.components[rule.key] === false) {
+                const source = PromptRules.packs.find(p => p.id === rule.pack);
+                report(id, `${this.ruleFor(id).description} (${source.builtIn ? 'Anthropic 10-component framework' : `rule pack ${source.name}`})`);
+            }
+        });
+
+        if (analysis.contextEngineering.altitude === 'too-high') {
+            PromptAnalyzer.findAltitudeMarkers(text, 'high').forEach(marker => {
+                report('altitude/too-high',
+                    `"${marker.text}" is vague; replace it with concrete guidance`,
+                    this.positionAt(text, marker.index),
+                    this.positionAt(text, marker.index + marker.length));
+            });
+        }
+
+        analysis.modelFit.issues.forEach(issue => {
+            const finding = analysis.modelFit.issueFindings[issue];
+            report('model-fit/issue', `${ModelData[model].name}: ${issue}`, ...(finding ? annotated(finding) : []));
+        });
+
+        if (analysis.budget.issue) {
+            report(analysis.budget.status === 'over-context' ? 'budget/context-window' : 'budget/over-budget', analysis.budget.issue);
+        }
+
+        // The first caching issue is the layout one whenever reordering helps
+        if (analysis.caching.reorder) {
+            report('caching/layout', analysis.caching.issues[0]);
+        }
+
+        if (analysis.compliance) {
+            analysis.compliance.failed.filter(check => check.type !== 'forbidden-phrase').forEach(check => {
+                report(`style-guide/${check.type}`, `${check.message} (${analysis.compliance.guide})`);
+            });
+            PromptStyleGuides.findForbidden(text, styleGuide).forEach(match => {
+                report('style-guide/forbidden-phrase',
+                    match.message,
+                    this.positionAt(text, match.index),
+                    this.positionAt(text, match.index + match.text.length));
+            });
+        }
+
+        return { file, model, analysis, findings, passed: !findings.some(f => f.level === 'error') };
+    },
+
+    summarize(files) {
+        const count = level => files.reduce((n, f) => n + f.findings.filter(x => x.level === level).length, 0);
+        const errorCount = count('error');
+
+        return {
+            files,
+            errorCount,
+            warningCount: count('warning'),
+            noteCount: count('note'),
+            passed: errorCount === 0
+        };
+    },
+
+    /**
+     * Configuration
+     */
+    readConfig(dir) {
+        const file = path.join(dir, this.configFileName);
+        if (!fs.existsSync(file)) return null;
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid ${this.configFileName} in ${dir}: ${error.message}`);
+        }
+        return this.loadStyleGuide(config, dir);
+    },
+
+    // Replace a config's styleGuide path (relative to `dir`) with the parsed guide
+    loadStyleGuide(config, dir) {
+        if (typeof config.styleGuide !== 'string') return config;
+
+        const file = path.resolve(dir, config.styleGuide);
+        try {
+            return { ...config, styleGuide: PromptStyleGuides.parse(fs.readFileSync(file, 'utf8'), file) };
+        } catch (error) {
+            throw new Error(`Invalid style guide ${file}: ${error.message}`);
+        }
+    },
+
+    collectParentConfigs(dir) {
+        const found = [];
+        let current = path.dirname(dir);
+
+        while (current !== path.dirname(current)) {
+            const config = this.readConfig(current);
+            if (config) found.unshift(config);
+            current = path.dirname(current);
+        }
+
+        return found;
+    },
+
+    mergeConfig(base, override) {
+        if (!override) return base;
+
+        return {
+            model: override.model || base.model,
+            extensions: override.extensions || base.extensions,
+            ignore: override.ignore || base.ignore,
+            thresholds: { ...base.thresholds, ...override.thresholds },
+            checks: { ...base.checks, ...override.checks },
+            styleGuide: override.styleGuide !== undefined ? override.styleGuide : base.styleGuide,
+            scoring: override.scoring !== undefined ? override.scoring : base.scoring,
+            expectedOutput: override.expectedOutput !== undefined ? override.expectedOutput : base.expectedOutput
+        };
+    },
+
+    // Checks for component rules from rule packs are notes unless configured
+    ruleFor(ruleId) {
+        if (this.rules[ruleId]) return this.rules[ruleId];
+
+        const rule = PromptRules.list('component').find(r => `missing-component/${r.key}` === ruleId);
+        return { level: 'note', description: `Missing ${rule ? rule.meta.title : ruleId.split('/')[1]}` };
+    },
+
+    levelFor(ruleId, config) {
+        // An exact rule id wins; a group ("missing-component") covers all its rules
+        const group = ruleId.split('/')[0];
+        const configured = config.checks[ruleId] !== undefined ? config.checks[ruleId] : config.checks[group];
+
+        return configured === undefined ? this.ruleFor(ruleId).level : this.normalizeLevel(configured, ruleId);
+    },
+
+    normalizeLevel(value, ruleId) {
+        const levels = { off: 'off', false: 'off', note: 'note', warn: 'warning', warning: 'warning', error: 'error', true: null };
+        const level = levels[String(value)];
+
+        if (level === undefined) {
+            throw new Error(`Invalid level "${value}" for check ${ruleId} (expected off, note, warning or error)`);
+        }
+        return level || this.ruleFor(ruleId).level;
+    },
+
+    positionAt(text, index) {
+        const before = text.slice(0, index).split('\n');
+        return { line: before.length, column: before[before.length - 1].length + 1 };
+    },
+
+    /**
+     * Reporters
+     */
+    formatText(result) {
+        const lines = [];
+
+        result.files.forEach(file => {
+            const score = file.analysis.overallScore.score.toFixed(1);
+            lines.push(`${file.file} (${score}/10)`);
+            file.findings.forEach(f => {
+                lines.push(`  ${`${f.line}:${f.column}`.padEnd(7)} ${f.level.padEnd(7)}  ${f.message}  [${f.ruleId}]`);
+            });
+        });
+
+        lines.push('');
+        lines.push(`${result.files.length} file(s): ${result.errorCount} error(s), ${result.warningCount} warning(s), ${result.noteCount} note(s)`);
+        return lines.join('\n');
+    },
+
+    formatJSON(result) {
+        return JSON.stringify({
+            passed: result.passed,
+            errorCount: result.errorCount,
+            warningCount: result.warningCount,
+            noteCount: result.noteCount,
+            files: result.files.map(f => ({
+                file: f.file,
+                model: f.model,
+                passed: f.passed,
+                overallScore: f.analysis.overallScore.score,
+                componentScore: f.analysis.components.score,
+                modelFit: f.analysis.modelFit.compatibility,
+                findings: f.findings
+            }))
+        }, null, 2);
+    },
+
+    formatSARIF(result, version = '2.0.0') {
+        const usedRules = [...new Set(result.files.flatMap(f => f.findings.map(x => x.ruleId)))];
+
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'prompt-optimizer',
+                        version,
+                        informationUri: 'https://github.com/MaxSikorski/V2.5promptoptimizer',
+                        rules: usedRules.map(id => ({
+                            id,
+                            shortDescription: { text: this.ruleFor(id).description },
+                            defaultConfiguration: { level: this.ruleFor(id).level }
+                        }))
+                    }
+                },
+                results: result.files.flatMap(f => f.findings.map(finding => ({
+                    ruleId: finding.ruleId,
+                    ruleIndex: usedRules.indexOf(finding.ruleId),
+                    level: finding.level,
+                    message: { text: finding.message },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: f.file },
+                            // SARIF reads equal start and end columns as an empty region
+                            region: finding.endLine === finding.line && finding.endColumn === finding.column
+                                ? { startLine: finding.line, startColumn: finding.column }
+                                : {
+                                    startLine: finding.line,
+                                    startColumn: finding.column,
+                                    endLine: finding.endLine,
+                                    endColumn: finding.endColumn
+                                }
+                        }
+                    }]
+                })))
+            }]
+        }, null, 2);
+    },
+
+    formatJUnit(result) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const failures = result.files.filter(f => !f.passed).length;
+        const cases = result.files.map(f => {
+            const errors = f.findings.filter(x => x.level === 'error');
+            const others = f.findings.filter(x => x.level !== 'error');
+            const format = x => `${f.file}:${x.line}:${x.column} ${x.level} ${x.message} [${x.ruleId}]`;
+
+            let body = '';
+            if (errors.length > 0) {
+                body += `\n      <failure message="${escape(errors[0].message)}" type="${escape(errors[0].ruleId)}">${escape(errors.map(format).join('\n'))}</failure>`;
+            }
+            if (others.length > 0) {
+                body += `\n      <system-out>${escape(others.map(format).join('\n'))}</system-out>`;
+            }
+
+            return `    <testcase classname="prompt-lint" name="${escape(f.file)}">${body}${body ? '\n    ' : ''}</testcase>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="prompt-lint" tests="${result.files.length}" failures="${failures}">`,
+            `  <testsuite name="prompt-lint" tests="${result.files.length}" failures="${failures}" errors="0" skipped="0">`,
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>'
+        ].join('\n');
+    }
+};
+
+module.exports = PromptLinter;
@@ -0,0 +1,218 @@
+/**
+ * PROMPT MODELS
+ * Registry of target models on top of ModelData: validates model
+ * definitions, registers each model's JSON fit checks and optimization
+ * rules as a rule pack ("model/<id>"), and imports definitions from JSON
+ * files so teams can add custom and self-hosted models
+ *
+ * Model files:
+ *   { "format": "prompt-optimizer-models", "version": 1, "models": [{ "id", ...model }] }
+ * (a bare list of models, or a single model, is accepted too)
+ */
+
+const PromptModels = {
+
+    fileFormat: 'prompt-optimizer-models',
+    fileVersion: 1,
+
+    // Models whose checks and transforms are code rules in analyzer.js and
+    // optimizer.js; they can't be replaced or removed
+    coreModels: ['claude', 'gpt', 'gemini'],
+
+    structures: {
+        xml: { label: 'XML tags', example: '<task>...</task>' },
+        markdown: { label: 'Markdown headings', example: '## Task' },
+        plain: { label: 'Plain text', example: 'Task: ...' }
+    },
+
+    providers: ['anthropic', 'openai', 'gemini'],
+
+    // Ids of the models shipped in models.js; the rest were imported
+    builtIn: [],
+
+    get(id) {
+        return ModelData[id] ? { id, ...ModelData[id] } : null;
+    },
+
+    list() {
+        return Object.keys(ModelData).map(id => this.get(id));
+    },
+
+    isImported(id) {
+        return Boolean(ModelData[id]) && !this.builtIn.includes(id);
+    },
+
+    /**
+     * Validate a model definition and fill in the defaults
+     * Returns [id, model]; throws on a malformed definition
+     */
+    normalize(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('A model definition must be an object');
+        }
+        const id = definition.id;
+        if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(id)) {
+            throw new Error(`Invalid model id ${JSON.stringify(id)} (letters, digits, ".", "_" and "-")`);
+        }
+
+        const where = `model ${id}`;
+        const number = (value, what, fallback, max = Infinity) => {
+            const result = value === undefined ? fallback : value;
+            if (typeof result !== 'number' || !isFinite(result) || result < 0 || result > max) {
+                throw new Error(`${what} must be a number ${max === Infinity ? 'of 0 or more' : `from 0 to ${max}`}: ${where}`);
+            }
+            return result;
+        };
+
+        const structure = definition.structure || 'markdown';
+        if (!this.structures[structure]) {
+            throw new Error(`Unknown structure "${structure}" for ${where} (expected ${Object.keys(this.structures).join(', ')})`);
+        }
+        const tokenizer = definition.tokenizer || null;
+        if (tokenizer && !Tokenizers.encodings[tokenizer]) {
+            throw new Error(`Unknown tokenizer "${tokenizer}" for ${where} (expected ${Object.keys(Tokenizers.encodings).join(', ')})`);
+        }
+        const api = definition.api || {};
+        const provider = api.provider || 'openai';
+        if (!this.providers.includes(provider)) {
+            throw new Error(`Unknown API provider "${provider}" for ${where} (expected ${this.providers.join(', ')})`);
+        }
+
+        const pricing = definition.pricing || {};
+        const input = number(pricing.input, 'pricing.input', 0);
+        const contextWindow = Math.round(number(definition.contextWindow, 'contextWindow', 8192)) || 8192;
+        const rules = key => {
+            if (definition[key] !== undefined && !Array.isArray(definition[key])) {
+                throw new Error(`${key} must be a list of rules: ${where}`);
+            }
+            return definition[key] || [];
+        };
+
+        return [id, {
+            name: definition.name || id,
+            company: definition.company || 'Custom',
+            badge: definition.badge || '',
+            pricing: {
+                input,
+                output: number(pricing.output, 'pricing.output', 0),
+                cachedInput: number(pricing.cachedInput, 'pricing.cachedInput', input),
+                batchDiscount: number(pricing.batchDiscount, 'pricing.batchDiscount', 0, 1)
+            },
+            contextWindow,
+            promptBudget: Math.round(number(definition.promptBudget, 'promptBudget', contextWindow * PromptBudget.defaultBudgetShare)),
+            tokenizer,
+            structure,
+            api: {
+                provider,
+                model: api.model || id,
+                endpoint: api.endpoint || 'http://localhost:11434/v1/chat/completions'
+            },
+            selfHosted: Boolean(definition.selfHosted),
+            strengths: Array.isArray(definition.strengths) ? definition.strengths : [],
+            fitChecks: rules('fitChecks'),
+            optimizations: rules('optimizations')
+        }];
+    },
+
+    /**
+     * Add (or replace) a model and load its rules
+     * The rules are loaded first, so a bad pattern throws before the model
+     * reaches ModelData
+     */
+    register(definition) {
+        const [id, model] = this.normalize(definition);
+        if (this.coreModels.includes(id) || this.builtIn.includes(id)) {
+            throw new Error(`${id} is a built-in model and can't be replaced`);
+        }
+
+        PromptRules.unloadPack(`model/${id}`);
+        PromptRules.registerPack(this.rulePack(id, model));
+        ModelData[id] = model;
+        return this.get(id);
+    },
+
+    remove(id) {
+        if (!this.isImported(id)) return false;
+
+        PromptRules.unloadPack(`model/${id}`);
+        delete ModelData[id];
+        return true;
+    },
+
+    /**
+     * A model's fit checks and optimizations as a rule pack, plus the
+     * model's own optimization stage (reasoning scaffold in its structure)
+     */
+    rulePack(id, model) {
+        const rule = (category, defaults) => (r, i) => ({
+            ...r,
+            id: r.id || `${category === 'transform' ? 'optimize' : 'fit'}/${id}-${i + 1}`,
+            category,
+            models: [id],
+            ...defaults(r)
+        });
+
+        return {
+            id: `model/${id}`,
+            name: `${model.name} rules`,
+            description: `Fit checks and optimizations for ${model.name}`,
+            rules: [
+                ...model.fitChecks.map(rule('model-fit', () => ({}))),
+                {
+                    id: `optimize/${id}`,
+                    category: 'transform',
+                    levels: ['standard', 'advanced'],
+                    models: [id],
+                    fix: text => PromptOptimizer.applyModelRules(text),
+                    meta: { title: `${model.name} Optimization`, description: `Adds the reasoning scaffold in ${model.name}'s preferred structure (${this.structures[model.structure].label}).` }
+                },
+                ...model.optimizations.map(rule('transform', r => ({ levels: r.levels || ['standard', 'advanced'] })))
+            ]
+        };
+    },
+
+    /**
+     * Model Files
+     * Returns the registered models. Every definition and rule is checked
+     * before any model is registered
+     */
+    fromFile(data) {
+        let definitions = data;
+        if (data && data.format !== undefined) {
+            if (data.format !== this.fileFormat) {
+                throw new Error(`Not a model file (expected "format": "${this.fileFormat}")`);
+            }
+            if (data.version > this.fileVersion) {
+                throw new Error(`Model file version ${data.version} is newer than this app supports (${this.fileVersion})`);
+            }
+            definitions = data.models;
+        }
+        definitions = Array.isArray(definitions) ? definitions : [definitions];
+
+        definitions.forEach(definition => {
+            const [id, model] = this.normalize(definition);
+            this.rulePack(id, model).rules.forEach(rule => PromptRules.define(rule, `model/${id}`));
+        });
+        return definitions.map(definition => this.register(definition));
+    },
+
+    toFile(ids = Object.keys(ModelData).filter(id => this.isImported(id))) {
+        return {
+            format: this.fileFormat,
+            version: this.fileVersion,
+            models: ids.map(id => this.get(id))
+        };
+    }
+};
+
+// The shipped models that aren't core get their rules from their definitions
+PromptModels.builtIn = Object.keys(ModelData);
+PromptModels.builtIn.filter(id => !PromptModels.coreModels.includes(id)).forEach(id => {
+    PromptRules.registerPack(PromptModels.rulePack(id, PromptModels.normalize({ id, ...ModelData[id] })[1]), { builtIn: true });
+});
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptModels = PromptModels;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptModels;
+}
@@ -1,42 +1,216 @@
 /**
  * MODEL DEFINITIONS
- * Simple model-specific data
+ * The built-in model registry (see model-registry.js for adding models)
+ *
+ * A model:
+ *   {
+ *     name, company, badge,
+ *     pricing: { input, output,        USD per million tokens (0 when self-hosted)
+ *                cachedInput,         prompt-cache reads (default: input)
+ *                batchDiscount },     share taken off batch API calls, 0-1 (see costs.js)
+ *     contextWindow,                   tokens
+ *     promptBudget,                    tokens of prompt plus output before quality drops (see budget.js)
+ *     tokenizer,                       a Tokenizers encoding id
+ *     structure,                       'xml' | 'markdown' | 'plain' - how prompts are sectioned
+ *     api: { provider, model, endpoint },
+ *     selfHosted, strengths,
+ *     fitChecks, optimizations         JSON model-fit / transform rules (see PromptRules.compile)
+ *   }
+ * Claude, GPT and Gemini checks are code rules in analyzer.js / optimizer.js
  */
 
 const ModelData = {
     claude: {
         name: 'Claude 4.5',
         company: 'Anthropic',
+        badge: 'Opus/Sonnet',
         pricing: {
             input: 3.00,  // per million tokens
-            output: 15.00
+            output: 15.00,
+            cachedInput: 0.30,
+            batchDiscount: 0.5
+        },
+        contextWindow: 200000,
+        promptBudget: 100000,
+        tokenizer: 'cl100k',  // Claude's vocabulary isn't public; cl100k is the closest open BPE
+        structure: 'xml',
+        api: {
+            provider: 'anthropic',
+            model: 'claude-sonnet-4-5',
+            endpoint: 'https://api.anthropic.com/v1/messages'
         },
         strengths: ['Long-horizon reasoning', 'Code generation', 'Analysis']
     },
     gpt: {
         name: 'GPT-5',
         company: 'OpenAI',
+        badge: 'Turbo',
         pricing: {
             input: 5.00,
-            output: 15.00
+            output: 15.00,
+            cachedInput: 0.50,
+            batchDiscount: 0.5
+        },
+        contextWindow: 400000,
+        promptBudget: 128000,
+        tokenizer: 'o200k',
+        structure: 'xml',
+        api: {
+            provider: 'openai',
+            model: 'gpt-5',
+            endpoint: 'https://api.openai.com/v1/chat/completions'
         },
         strengths: ['General purpose', 'Creative writing', 'Instruction following']
     },
     gemini: {
         name: 'Gemini 3',
         company: 'Google',
+        badge: 'Pro',
         pricing: {
             input: 2.50,
-            output: 10.00
+            output: 10.00,
+            cachedInput: 0.625,
+            batchDiscount: 0.5
+        },
+        contextWindow: 1000000,
+        promptBudget: 200000,
+        tokenizer: 'sentencepiece',
+        structure: 'xml',
+        api: {
+            provider: 'gemini',
+            model: 'gemini-3-pro-preview',
+            endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-preview:generateContent'
         },
         strengths: ['Multimodal', 'Research', 'Grounded responses']
+    },
+
+    // Open-weight models, served locally through an OpenAI-compatible
+    // endpoint (Ollama's by default)
+    llama: {
+        name: 'Llama 3.3',
+        company: 'Meta',
+        badge: '70B Instruct',
+        pricing: {
+            input: 0,
+            output: 0
+        },
+        contextWindow: 128000,
+        promptBudget: 32000,
+        tokenizer: 'cl100k',  // Llama 3's 128K vocabulary extends cl100k
+        structure: 'markdown',
+        api: {
+            provider: 'openai',
+            model: 'llama3.3:70b',
+            endpoint: 'http://localhost:11434/v1/chat/completions'
+        },
+        selfHosted: true,
+        strengths: ['Self-hosted', 'Instruction following', 'Tool use'],
+        fitChecks: [
+            {
+                id: 'fit/llama-role',
+                pattern: '\\b(you are|act as|your role)\\b',
+                when: 'missing',
+                issue: 'State the role up front ("You are ...") - Llama anchors on the opening line',
+                meta: { title: 'Role up front', description: 'Llama follows a role given in the first line of the system prompt closely.' }
+            },
+            {
+                id: 'fit/llama-length',
+                pattern: '\\b(\\d+\\s*(words|sentences|paragraphs|bullet)|concise|brief|short)\\b',
+                when: 'missing',
+                issue: 'Give a length limit - Llama tends to run long',
+                meta: { title: 'Length limit', description: 'Without a length limit, Llama answers tend to run long.' }
+            }
+        ],
+        optimizations: [
+            {
+                id: 'optimize/llama-length',
+                append: 'Keep the answer concise and stop when the task is complete.',
+                unless: '\\b(\\d+\\s*(words|sentences|paragraphs)|concise|brief)\\b',
+                meta: { title: 'Llama Length Limit', description: 'Added a length limit', impact: 'Shorter, more focused answers' }
+            }
+        ]
+    },
+    mistral: {
+        name: 'Mistral Large',
+        company: 'Mistral AI',
+        badge: 'Large 2',
+        pricing: {
+            input: 0,
+            output: 0
+        },
+        contextWindow: 128000,
+        promptBudget: 32000,
+        tokenizer: 'sentencepiece',
+        structure: 'markdown',
+        api: {
+            provider: 'openai',
+            model: 'mistral-large',
+            endpoint: 'http://localhost:11434/v1/chat/completions'
+        },
+        selfHosted: true,
+        strengths: ['Self-hosted', 'Multilingual', 'Function calling'],
+        fitChecks: [
+            {
+                id: 'fit/mistral-format',
+                pattern: '\\b(format|json|markdown|bullet|table|list)\\b',
+                when: 'missing',
+                issue: 'Name the output format - Mistral picks its own otherwise',
+                meta: { title: 'Output format', description: 'Mistral models follow an explicitly named output format.' }
+            },
+            {
+                id: 'fit/mistral-numbered',
+                pattern: '^\\s*\\d+\\.\\s',
+                flags: 'm',
+                when: 'present',
+                strength: 'Numbered steps (Mistral follows them in order)',
+                meta: { title: 'Numbered steps', description: 'Mistral follows numbered instructions in order.' }
+            }
+        ],
+        optimizations: []
+    },
+    qwen: {
+        name: 'Qwen 2.5',
+        company: 'Alibaba',
+        badge: '72B Instruct',
+        pricing: {
+            input: 0,
+            output: 0
+        },
+        contextWindow: 128000,
+        promptBudget: 32000,
+        tokenizer: 'cl100k',  // Qwen's BPE is tiktoken-style; cl100k is the closest estimator
+        structure: 'markdown',
+        api: {
+            provider: 'openai',
+            model: 'qwen2.5:72b',
+            endpoint: 'http://localhost:11434/v1/chat/completions'
+        },
+        selfHosted: true,
+        strengths: ['Self-hosted', 'Coding', 'Math'],
+        fitChecks: [
+            {
+                id: 'fit/qwen-language',
+                pattern: '\\b(respond|answer|reply|write)\\b.{0,20}\\bin (english|[a-z]+ish|chinese|french|german|spanish|japanese)\\b',
+                when: 'missing',
+                issue: 'Name the response language - Qwen can switch languages mid-answer',
+                meta: { title: 'Response language', description: 'Qwen sometimes switches to Chinese; naming the response language prevents it.' }
+            }
+        ],
+        optimizations: [
+            {
+                id: 'optimize/qwen-language',
+                append: 'Respond in English.',
+                unless: '\\b(respond|answer|reply|write)\\b.{0,20}\\bin [a-z]+\\b',
+                meta: { title: 'Qwen Response Language', description: 'Named the response language', impact: 'No language switching' }
+            }
+        ]
     }
 };
 
 const TooltipContent = {
     'token-efficiency': {
         title: 'Token Efficiency',
-        description: 'Percentage of tokens that contribute meaningful information vs. filler words.',
+        description: 'Percentage of tokens that contribute meaningful information vs. filler words. Counted with the selected model\'s tokenizer.',
         example: {
             poor: '"Please help me write a really good email..."',
             good: '"Write a professional email requesting a raise. Include salary data."'
@@ -73,10 +247,41 @@ const TooltipContent = {
             'Output Format',
             'Constraints',
             'Response Prefill',
-            'XML Structure'
+            'Structure (XML tags, Markdown headings or plain-text labels, as the model prefers)'
+        ]
+    },
+    'compliance': {
+        title: 'Team Compliance',
+        description: "How many of the project style guide's checks the prompt passes. It counts toward the overall score with the guide's weight (20% by default).",
+        details: [
+            'Sections: required parts like Context or Output, as an XML tag or a heading',
+            'Phrases: wording the guide requires or forbids',
+            'Length: token and word limits'
+        ]
+    },
+    'context-budget': {
+        title: 'Context Budget',
+        description: "The prompt plus the expected output, against the token budget recommended for the model. Past the budget, answers get worse well before the context window is full.",
+        details: [
+            'Expected output: the length the prompt asks for ("500 words"), or about 1,000 tokens',
+            'Over budget: try the Compress level, or move reference material out of the prompt',
+            'Over the context window: the request will be cut off or rejected'
+        ]
+    },
+    'prompt-caching': {
+        title: 'Prompt Caching',
+        description: "Providers bill a repeated prompt prefix at a cache discount. The prefix ends where the prompt first changes per request, so static sections should come first.",
+        details: [
+            'Dynamic: a section with a template variable, or wrapped in <!-- dynamic --> ... <!-- /dynamic -->',
+            'Cacheable: the static prefix, once it reaches the provider\'s minimum (1,024+ tokens)',
+            'Fix: turn on Cache-Friendly Layout in step 3 to move dynamic sections last'
         ]
     }
 };
 
-window.ModelData = ModelData;
-window.TooltipContent = TooltipContent;
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.ModelData = ModelData;
+globalThis.TooltipContent = TooltipContent;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelData, TooltipContent };
+}
@@ -4,6 +4,10 @@
  */
 
 const PromptOptimizer = {
+
+    // Saved with every library session; bump it when a change alters what
+    // optimize() returns for the same input
+    version: '2.1.0',
     
     /**
      * Main optimization function
@@ -14,62 +18,587 @@ const PromptOptimizer = {
         this.model = model;
         this.level = level;
         this.options = options;
+        this.conversation = null;
         this.techniques = [];
+        this.compression = null;
+        this.lengthSkipped = [];
+
+        const tracking = PromptEdits.track(originalPrompt);
+        const optimized = this.runStages(originalPrompt, this.stagesFor(level), tracking);
+        const { edits, pieces } = PromptEdits.finish(tracking);
+        this.reportPlaceholders(originalPrompt);
+        this.reportRegions(originalPrompt);
+        this.reportLengthLimit();
 
-        let optimized = originalPrompt;
+        // Calculate improvements
+        const newAnalysis = PromptAnalyzer.analyze(optimized, model, {
+            sampleValues: options.sampleValues, styleGuide: options.styleGuide, scoringProfile: options.scoringProfile,
+            showThinking: options.showThinking
+        });
+        
+        return {
+            original: originalPrompt,
+            optimized: optimized,
+            techniques: this.techniques,
+            edits,
+            pieces,
+            compression: this.compression,
+            improvements: this.calculateImprovements(analysis, newAnalysis, model, options.costs),
+            newAnalysis: newAnalysis
+        };
+    },
 
-        // Apply optimizations based on level
-        if (level === 'quick' || level === 'standard' || level === 'advanced') {
-            optimized = this.removeRedundancy(optimized);
-            optimized = this.improveClarity(optimized);
+    /**
+     * Rebuild a result with only some of its edits
+     * `accepted` is a Set of edit ids (see PromptEdits.decide); the prompt,
+     * analysis and improvements are recomputed, and techniques whose edits
+     * were all rejected are marked `rejected`
+     */
+    withEdits(result, accepted, analysis, model, options = {}) {
+        const optimized = PromptEdits.apply(result.pieces, accepted);
+        const newAnalysis = PromptAnalyzer.analyze(optimized, model, {
+            sampleValues: options.sampleValues, styleGuide: options.styleGuide, scoringProfile: options.scoringProfile,
+            showThinking: options.showThinking
+        });
+        const techniques = result.techniques.map(({ rejected, ...tech }) => {
+            const edits = result.edits.filter(e => e.technique === tech.name);
+            return edits.length > 0 && !edits.some(e => accepted.has(e.id)) ? { ...tech, rejected: true } : tech;
+        });
+
+        return {
+            ...result,
+            optimized,
+            techniques,
+            accepted: [...accepted],
+            improvements: this.calculateImprovements(analysis, newAnalysis, model, options.costs),
+            newAnalysis
+        };
+    },
+
+    /**
+     * Refinement answers (wizard step 2) added to the prompt as an
+     * [ADDITIONAL CONTEXT] block. `input` is a prompt or a list of messages;
+     * for conversations the block goes on the last user turn
+     */
+    withAnswers(input, answers = {}) {
+        if (Object.keys(answers).length === 0) return input;
+
+        let context = '\n\n[ADDITIONAL CONTEXT]:\n';
+        for (const [key, value] of Object.entries(answers)) {
+            if (value) {
+                context += `- ${key}: ${value}\n`;
+            }
         }
 
-        if (level === 'standard' || level === 'advanced') {
-            optimized = this.addFrameworkStructure(optimized);
-            optimized = this.correctAltitude(optimized);
-            optimized = this.applyModelSpecificRules(optimized);
+        if (typeof input === 'string') return input + context;
+        const messages = input.map(m => ({ ...m }));
+        const lastUser = messages.map(m => m.role).lastIndexOf('user');
+        if (lastUser > -1) {
+            messages[lastUser].content += context;
         }
+        return messages;
+    },
+
+    /**
+     * Session Replay
+     * Optimize a saved library version again on this engine, from the
+     * session it was saved with (see PromptLibrary): the same prompt or
+     * conversation, model, options, answers, sample values, style guide and
+     * scoring profile, with the same edits rejected (matched by content, as
+     * edit ids can change)
+     * Returns { analysis, result } like the app's optimize step
+     */
+    replay(version) {
+        const session = version.session || {};
+        const model = ModelData[version.model] ? version.model : 'claude';
+        const options = { ...version.options, sampleValues: { ...session.sampleValues }, costs: session.costs };
+        // Sessions saved before these were kept use the active ones
+        ['styleGuide', 'scoringProfile'].forEach(key => {
+            if (session[key] !== undefined) options[key] = session[key];
+        });
+        const level = options.level || 'standard';
+        const analyze = {
+            sampleValues: options.sampleValues, styleGuide: options.styleGuide, scoringProfile: options.scoringProfile,
+            costs: session.costs, showThinking: options.showThinking
+        };
 
-        if (level === 'advanced') {
-            optimized = this.addExamples(optimized);
-            optimized = this.addChainOfThought(optimized);
-            optimized = this.enhanceStructure(optimized);
+        let analysis;
+        let result;
+        if (version.originalMessages) {
+            const messages = PromptConversations.normalize(version.originalMessages);
+            analysis = PromptAnalyzer.analyzeConversation(messages, model, analyze);
+            result = this.optimizeConversation(this.withAnswers(messages, session.answers), analysis, model, level, options);
+        } else {
+            analysis = PromptAnalyzer.analyze(version.original, model, analyze);
+            result = this.optimize(this.withAnswers(version.original, session.answers), analysis, model, level, options);
         }
 
-        // Calculate improvements
-        const newAnalysis = PromptAnalyzer.analyze(optimized, model);
-        
+        const edits = result.edits || [];
+        const key = edit => JSON.stringify([edit.technique, edit.before, edit.after]);
+        const rejected = new Set((session.rejectedEdits || []).map(key));
+        let accepted = new Set(edits.map(e => e.id));
+        edits.filter(e => rejected.has(key(e))).forEach(e => {
+            accepted = PromptEdits.decide(edits, accepted, e.id, false);
+        });
+
         return {
-            original: originalPrompt,
-            optimized: optimized,
+            analysis,
+            result: accepted.size < edits.length ? this.withEdits(result, accepted, analysis, model, options) : result
+        };
+    },
+
+    /**
+     * Conversation optimization
+     * Role and standing constraints move into the system message, a prefill
+     * cue becomes a trailing assistant message. The system message gets the
+     * full treatment for the level; user turns only get cleanup
+     */
+    optimizeConversation(messages, analysis, model, level = 'standard', options = {}) {
+        const turns = PromptConversations.normalize(messages);
+
+        this.originalPrompt = PromptConversations.flatten(turns);
+        this.analysis = analysis;
+        this.model = model;
+        this.level = level;
+        this.options = options;
+        this.conversation = turns;
+        this.techniques = [];
+        this.compression = null;
+        this.lengthSkipped = [];
+
+        const restructured = this.restructureConversation(turns);
+        // User turns change per request; only the system message is laid out for caching
+        const cleanup = this.stagesFor('quick').filter(rule => rule.id !== 'optimize/cache-layout');
+
+        const optimizedMessages = restructured.map(message => {
+            if (message.role === 'system') {
+                return { ...message, content: this.runStages(message.content, this.stagesFor(level)).trim() };
+            }
+            if (message.role === 'user') {
+                return { ...message, content: this.runStages(message.content, cleanup) };
+            }
+            return message;
+        }).filter(message => message.content.trim().length > 0);
+
+        this.reportPlaceholders(this.originalPrompt);
+        this.reportRegions(this.originalPrompt);
+        this.reportLengthLimit();
+
+        const newAnalysis = PromptAnalyzer.analyzeConversation(optimizedMessages, model, {
+            sampleValues: options.sampleValues, styleGuide: options.styleGuide, scoringProfile: options.scoringProfile,
+            showThinking: options.showThinking
+        });
+
+        return {
+            original: PromptConversations.format(turns),
+            optimized: PromptConversations.format(optimizedMessages),
+            originalMessages: turns,
+            messages: optimizedMessages,
             techniques: this.techniques,
-            improvements: this.calculateImprovements(analysis, newAnalysis),
+            compression: this.compression,
+            improvements: this.calculateImprovements(analysis, newAnalysis, model, options.costs),
             newAnalysis: newAnalysis
         };
     },
 
+    restructureConversation(turns) {
+        const systemParts = turns.filter(m => m.role === 'system').map(m => m.content.trim());
+        const rest = turns.filter(m => m.role !== 'system');
+        const roleParts = [];
+        const constraintParts = [];
+        let prefill = PromptConversations.prefillOf(turns);
+
+        if (prefill !== null) {
+            rest.pop();
+        }
+
+        const lastUser = rest.map(m => m.role).lastIndexOf('user');
+        const cleaned = rest.map((message, i) => {
+            if (message.role !== 'user') return message;
+
+            const extracted = this.extractStandingInstructions(message.content, i === lastUser && prefill === null);
+            const changed = extracted.role.length + extracted.constraints.length > 0 || extracted.prefill !== null;
+
+            // Never empty a turn completely
+            if (!changed || extracted.kept.length === 0) return message;
+
+            roleParts.push(...extracted.role);
+            constraintParts.push(...extracted.constraints);
+            if (extracted.prefill !== null) {
+                prefill = extracted.prefill;
+            }
+
+            return { ...message, content: extracted.kept };
+        });
+
+        const system = [...roleParts, ...systemParts, ...constraintParts].join('\n\n');
+        const result = [
+            ...(system.length > 0 || this.level !== 'quick' ? [{ role: 'system', content: system }] : []),
+            ...cleaned,
+            ...(prefill !== null ? [{ role: 'assistant', content: prefill }] : [])
+        ];
+
+        // Only keep the new layout if no placeholder was split apart
+        const preserved = PromptTemplates.verifyPreserved(
+            PromptConversations.flatten(turns),
+            PromptConversations.flatten(result)
+        ).preserved;
+        if (!preserved) {
+            return turns;
+        }
+
+        const moved = [];
+        if (roleParts.length > 0) moved.push('role');
+        if (constraintParts.length > 0) moved.push(`${constraintParts.length} constraint(s)`);
+        if (moved.length > 0) {
+            this.techniques.push({
+                name: 'System Message',
+                description: `Moved ${moved.join(' and ')} from user turns into the system message`,
+                impact: 'Standing instructions apply to every turn'
+            });
+        }
+        if (prefill !== null && PromptConversations.prefillOf(turns) === null) {
+            this.techniques.push({
+                name: 'Response Prefill',
+                description: 'Moved the prefill cue into a trailing assistant message',
+                impact: 'The model continues from your opening words'
+            });
+        }
+
+        return result;
+    },
+
+    /**
+     * Split a user turn into standing instructions and the actual request
+     * [ROLE]/[CONSTRAINTS] sections move as a block; otherwise sentence by
+     * sentence. "Begin with:" / "[OUTPUT]:" lines become the prefill when
+     * `takePrefill` is set (last user turn only)
+     */
+    extractStandingInstructions(content, takePrefill = false) {
+        // Code, quotes and data never move, and never split a line
+        const regions = PromptRegions.protect(content);
+        const extracted = this.extractFromProse(regions.text, takePrefill);
+        return {
+            kept: regions.restore(extracted.kept),
+            role: extracted.role.map(regions.restore),
+            constraints: extracted.constraints.map(regions.restore),
+            prefill: extracted.prefill === null ? null : regions.restore(extracted.prefill)
+        };
+    },
+
+    extractFromProse(content, takePrefill) {
+        const kept = [];
+        const role = [];
+        const constraints = [];
+        let prefill = null;
+
+        const lines = content.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const section = line.match(/^\s*\[(ROLE|CONSTRAINTS|REQUIREMENTS|NEVER)\]/i);
+            const cue = takePrefill && line.match(/^\s*(?:Begin with:|\[OUTPUT\]:)\s*(.*)$/);
+
+            if (section) {
+                const block = [line];
+                while (i + 1 < lines.length && lines[i + 1].trim().length > 0) {
+                    block.push(lines[++i]);
+                }
+                (section[1].toUpperCase() === 'ROLE' ? role : constraints).push(block.join('\n'));
+            } else if (cue) {
+                prefill = cue[1].trim().replace(/^["'](.*)["']$/, '$1');
+            } else {
+                const sentences = line.split(/(?<=[.!?])\s+/);
+                const rest = sentences.filter(sentence => {
+                    if (PromptAnalyzer.hasRole(sentence)) {
+                        role.push(sentence.trim());
+                        return false;
+                    }
+                    if (PromptAnalyzer.hasConstraints(sentence)) {
+                        constraints.push(sentence.trim());
+                        return false;
+                    }
+                    return true;
+                });
+                if (rest.length > 0) {
+                    kept.push(rest.join(' '));
+                }
+            }
+        }
+
+        return {
+            kept: kept.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+            role,
+            constraints,
+            prefill
+        };
+    },
+
+    // The enabled transform rules for the level and model, in order (see
+    // PromptRules). The cache layout runs first, on the user's own sections
+    // before headers are added around them, and again last, after rule packs too
+    stagesFor(level) {
+        const stages = PromptRules.select('transform', { model: this.model, level });
+        const layout = stages.filter(rule => rule.id === 'optimize/cache-layout');
+        return [...layout, ...stages.filter(rule => !layout.includes(rule)), ...layout];
+    },
+
+    /**
+     * Protected regions (code, quotes, data, URLs, keep markers) and
+     * template placeholders are swapped for sentinels so no stage can
+     * rewrite them; they are restored byte-for-byte at the end
+     * With `tracking` (PromptEdits.track), each stage's changes are
+     * recorded as edits on the text with its placeholders
+     * If the result is still over the style guide's length limit (its own
+     * sections are always added), the stages that lengthened the prompt are
+     * dropped, last first, until it fits
+     */
+    runStages(text, stages, tracking = null) {
+        const placeholders = PromptRegions.protect(text);
+        const context = this.ruleContext(placeholders);
+        const start = {
+            techniques: this.techniques.length,
+            skipped: this.lengthSkipped.length,
+            compression: this.compression,
+            pieces: tracking && tracking.pieces,
+            edits: tracking && tracking.edits.length
+        };
+
+        const run = dropped => {
+            this.techniques.length = start.techniques;
+            this.lengthSkipped.length = start.skipped;
+            this.compression = start.compression;
+            if (tracking) {
+                tracking.pieces = start.pieces;
+                tracking.edits.length = start.edits;
+            }
+
+            let optimized = placeholders.text;
+            const lengthened = [];
+            stages.filter(stage => !dropped.includes(stage)).forEach(stage => {
+                const before = optimized;
+                optimized = this.applyStage(stage, optimized, placeholders, tracking);
+                if (optimized.length > before.length && !['optimize/style-guide', 'optimize/cache-layout'].includes(stage.id)) {
+                    lengthened.push(stage);
+                }
+            });
+            return { optimized, lengthened };
+        };
+
+        const dropped = [];
+        let result = run(dropped);
+        while (result.lengthened.length > 0 && this.overLength(placeholders.text, result.optimized, context)) {
+            dropped.push(result.lengthened[result.lengthened.length - 1]);
+            result = run(dropped);
+        }
+        this.lengthSkipped.push(...dropped.map(stage => stage.meta.title));
+
+        return placeholders.restore(result.optimized);
+    },
+
+    reportPlaceholders(original) {
+        const count = PromptTemplates.findPlaceholders(original).length;
+        if (count > 0) {
+            this.techniques.push({
+                name: 'Placeholder Protection',
+                description: `Kept ${count} template placeholder(s) unchanged`,
+                impact: 'Template stays compatible with your app'
+            });
+        }
+    },
+
+    reportRegions(original) {
+        const regions = PromptRegions.find(original);
+        if (regions.length > 0) {
+            this.techniques.push({
+                name: 'Protected Regions',
+                description: `Left ${PromptRegions.describe(regions)} untouched`,
+                impact: 'Examples, code and data reach the model exactly as written'
+            });
+        }
+    },
+
+    reportLengthLimit() {
+        if (this.lengthSkipped.length > 0) {
+            const guide = PromptStyleGuides.resolve(this.options.styleGuide);
+            this.techniques.push({
+                name: 'Style Guide Length',
+                description: `Skipped ${[...new Set(this.lengthSkipped)].join(', ')} to stay within the length limit`,
+                impact: `Keeps to ${guide.name}`
+            });
+        }
+    },
+
+    /**
+     * Run one optimization stage (a transform rule)
+     * A stage that drops or duplicates a protected region or template
+     * placeholder is rolled back, along with any techniques it reported,
+     * and so is one that lengthens the prompt past the style guide's
+     * maxTokens or maxWords (the guide's own sections are still added).
+     * Edits are credited to the techniques the stage reported
+     */
+    applyStage(rule, text, placeholders, tracking = null) {
+        const techniqueCount = this.techniques.length;
+        const context = this.ruleContext(placeholders);
+        const result = rule.detect(text, context) ? rule.fix(text, context) : text;
+
+        if (!placeholders.isIntact(result)) {
+            this.techniques.length = techniqueCount;
+            return text;
+        }
+
+        if (rule.id !== 'optimize/style-guide' && this.overLength(text, result, context)) {
+            this.techniques.length = techniqueCount;
+            this.lengthSkipped.push(rule.meta.title);
+            return text;
+        }
+
+        if (tracking) {
+            const reported = this.techniques.slice(techniqueCount).map(t => t.name);
+            PromptEdits.record(
+                tracking, placeholders.restore(text), placeholders.restore(result),
+                reported.join(' / ') || rule.meta.title, rule.id === 'optimize/cache-layout'
+            );
+        }
+
+        return result;
+    },
+
+    // Whether `after` is longer than `before` and over the style guide's
+    // maxTokens or maxWords; in a conversation the other turns count too
+    overLength(before, after, context) {
+        const limits = context.styleGuide ? context.styleGuide.length : {};
+        if (after === before || (limits.maxTokens === undefined && limits.maxWords === undefined)) return false;
+
+        const others = (context.conversation || []).filter(m => m.role !== 'system').map(m => m.content);
+        const measure = text => {
+            const full = [context.restore(text), ...others].join('\n\n');
+            return { tokens: PromptAnalyzer.countTokens(full, this.model), words: (full.match(/\S+/g) || []).length };
+        };
+        const was = measure(before);
+        const now = measure(after);
+        return (limits.maxTokens !== undefined && now.tokens > limits.maxTokens && now.tokens > was.tokens)
+            || (limits.maxWords !== undefined && now.words > limits.maxWords && now.words > was.words);
+    },
+
+    // What a transform rule gets besides the text; report() adds a technique,
+    // restore() puts the protected regions back into a stage's text
+    ruleContext(placeholders = null) {
+        return {
+            model: this.model,
+            level: this.level,
+            options: this.options,
+            analysis: this.analysis,
+            original: this.originalPrompt,
+            conversation: this.conversation,
+            styleGuide: PromptStyleGuides.resolve(this.options.styleGuide),
+            restore: text => (placeholders ? placeholders.restore(text) : text),
+            report: (name, description, impact = '') => {
+                this.techniques.push({ name, description, impact });
+            }
+        };
+    },
+
+    /**
+     * Team Style Guide
+     * Missing required sections and phrases are added and forbidden phrases
+     * replaced; what the prompt (or the rest of the conversation) already
+     * has is judged on the real text, protected regions included
+     */
+    applyStyleGuide(text, context) {
+        const reference = [context.restore(text), ...(context.conversation || []).map(m => m.content)].join('\n\n');
+        const completed = PromptStyleGuides.complete(text, context.styleGuide, reference);
+        const added = [...completed.sections.map(name => `${name} section`), ...completed.phrases.map(p => `"${p}"`)];
+        const changes = [
+            ...(added.length > 0 ? [`Added ${added.join(', ')}`] : []),
+            ...(completed.replaced.length > 0 ? [`Replaced ${completed.replaced.map(p => `"${p}"`).join(', ')}`] : [])
+        ];
+
+        if (changes.length > 0) {
+            context.report('Team Style Guide', changes.join('; '), `Meets ${context.styleGuide.name}`);
+        }
+        return completed.text;
+    },
+
+    /**
+     * Compression (compress level)
+     * Cuts the prompt to options.targetTokens (see PromptBudget.target) and
+     * keeps what it dropped in `this.compression`. In a conversation the
+     * system message is cut to what the other turns leave of the target
+     */
+    compress(text, context) {
+        const others = (context.conversation || [])
+            .filter(m => m.role !== 'system')
+            .reduce((sum, m) => sum + PromptAnalyzer.countTokens(m.content, this.model), 0);
+        const target = PromptBudget.target(context.analysis.tokenCount, context.original, this.model, context.options);
+        const count = candidate => PromptAnalyzer.countTokens(context.restore(candidate), this.model) + others;
+
+        const result = PromptBudget.compress(text, target, count);
+        this.compression = {
+            target,
+            before: result.before,
+            after: result.after,
+            reached: result.reached,
+            dropped: result.dropped.map(d => ({ kind: d.kind, text: context.restore(d.text) }))
+        };
+
+        const labels = { duplicate: 'near-duplicate sentence(s)', example: 'example detail(s)', background: 'background sentence(s)' };
+        const counts = Object.keys(labels)
+            .map(kind => [kind, result.dropped.filter(d => d.kind === kind).length])
+            .filter(([, n]) => n > 0)
+            .map(([kind, n]) => `${n} ${labels[kind]}`);
+        context.report(
+            'Compression',
+            `${result.before} → ${result.after} tokens (target ${target})${counts.length ? `: dropped ${counts.join(', ')}` : ''}`,
+            result.reached ? 'Fits the token target' : 'Target not reached: the rest is instructions or protected regions'
+        );
+
+        return result.text;
+    },
+
+    /**
+     * Cache Layout (options.cacheLayout)
+     * The first and last stage (see stagesFor): first so the user's own
+     * static paragraphs aren't folded into the section a header is added
+     * to, last so sections the others added (a role up front, constraints
+     * at the end) land in the static prefix too. Only the first pass that
+     * moves anything reports; each move is one edit (see applyStage)
+     */
+    applyCacheLayout(text, context) {
+        const result = PromptCaching.reorder(text, context.restore);
+        if (result.moved.length > 0 && !this.techniques.some(t => t.name === 'Cache Layout')) {
+            context.report(
+                'Cache Layout',
+                `Moved ${result.moved.length} dynamic section(s) after the static ones: ${result.moved.map(title => `"${title}"`).join(', ')}`,
+                'A longer stable prefix for prompt caching'
+            );
+        }
+        return result.text;
+    },
+
     /**
      * Remove Redundancy (Context Engineering)
      */
     removeRedundancy(text) {
-        let result = text;
         let removed = 0;
 
-        // Remove repeated phrases
-        const sentences = text.split(/[.!?]+/).map(s => s.trim()).filter(s => s);
+        // Remove repeated sentences; the first one and the layout stay
+        // A sentence ends at . ! or ? before whitespace, so "3.5" doesn't split
         const seen = new Set();
-        const unique = sentences.filter(sentence => {
-            const lower = sentence.toLowerCase();
-            if (seen.has(lower)) {
+        let result = '';
+        (text.match(/[\s\S]+?(?:[.!?]+(?=\s|$)|$)\s*/g) || []).forEach(sentence => {
+            const lower = sentence.trim().replace(/[.!?]+$/, '').toLowerCase();
+            if (lower.length > 0 && seen.has(lower)) {
                 removed++;
-                return false;
+                // Keep the line breaks after it, so a paragraph break survives
+                const breaks = sentence.match(/\n\s*$/);
+                if (breaks) result = result.replace(/[ \t]+$/, '') + breaks[0];
+                return;
             }
             seen.add(lower);
-            return true;
+            result += sentence;
         });
 
         if (removed > 0) {
-            result = unique.join('. ') + '.';
             this.techniques.push({
                 name: 'Redundancy Removal',
                 description: `Removed ${removed} repeated sentence(s)`,
@@ -77,30 +606,39 @@ const PromptOptimizer = {
             });
         }
 
-        // Remove filler words
+        return result;
+    },
+
+    removeFillerWords(text) {
         const fillers = /\b(very|really|quite|basically|actually|literally|perhaps|maybe|possibly)\b\s*/gi;
-        const fillerMatches = result.match(fillers);
-        if (fillerMatches && fillerMatches.length > 0) {
-            result = result.replace(fillers, '');
-            this.techniques.push({
-                name: 'Filler Word Removal',
-                description: `Removed ${fillerMatches.length} filler word(s)`,
-                impact: 'Signal density increased'
-            });
+        const fillerMatches = text.match(fillers);
+        if (!fillerMatches) {
+            return text;
         }
 
-        return result;
+        this.techniques.push({
+            name: 'Filler Word Removal',
+            description: `Removed ${fillerMatches.length} filler word(s)`,
+            impact: 'Signal density increased'
+        });
+        return text.replace(fillers, '');
     },
 
     /**
      * Improve Clarity
      */
     improveClarity(text) {
-        let result = text;
-
         // Fix run-on sentences (very basic)
-        result = result.replace(/\s+and\s+/g, ' and ');
-        
+        const result = text.replace(/\s+and\s+/g, ' and ');
+
+        if (result !== text) {
+            this.techniques.push({
+                name: 'Clarity',
+                description: 'Joined clauses split across lines or spacing around "and"',
+                impact: 'Reads as one instruction'
+            });
+        }
+
         return result;
     },
 
@@ -112,21 +650,22 @@ const PromptOptimizer = {
         let result = text;
         let added = [];
 
-        // Add Role if missing
-        if (!components.role) {
-            const role = this.inferRole(text);
-            result = `[ROLE]: ${role}\n\n` + result;
-            added.push('Role');
-        }
-
-        // Add Task header if not clear
-        if (!components.task && !result.startsWith('[TASK]')) {
+        // Add Task header if not clear (conversations keep the task in the user turn)
+        if (components.task === false && !this.conversation && !result.startsWith('[TASK]')) {
             result = result.replace(/^/, '[TASK]: ');
             added.push('Task Header');
         }
 
+        // Add Role if missing (not when its component check is turned off),
+        // ahead of the task header
+        if (components.role === false) {
+            const role = this.inferRole(this.originalPrompt);
+            result = `[ROLE]: ${role}\n\n` + result;
+            added.push('Role');
+        }
+
         // Add Output Format if missing
-        if (!components.outputFormat) {
+        if (components.outputFormat === false) {
             const format = this.options.format || 'standard';
             const formatMap = {
                 'standard': 'Markdown format with clear structure',
@@ -140,7 +679,7 @@ const PromptOptimizer = {
         }
 
         // Add Constraints section if missing
-        if (!components.constraints) {
+        if (components.constraints === false) {
             result += `\n\n[CONSTRAINTS]:\n`;
             
             if (this.options.concise) {
@@ -244,17 +783,64 @@ const PromptOptimizer = {
     },
 
     /**
-     * Apply Model-Specific Rules
+     * Reasoning Scaffolds (Show Reasoning option)
+     * Each model gets the visible-reasoning layout it follows best, always
+     * with a delimited final answer. With the option off, no reasoning
+     * scaffolding is added at all
      */
-    applyModelSpecificRules(text) {
-        const modelRules = {
-            claude: this.applyClaudeRules,
-            gpt: this.applyGPTRules,
-            gemini: this.applyGeminiRules
-        };
+    reasoningScaffolds: {
+        claude: {
+            label: '<thinking>/<answer> tags',
+            text: 'Think through the problem step by step inside <thinking> tags. Then give your final answer inside <answer> tags, with nothing after </answer>.'
+        },
+        gpt: {
+            label: 'Separate reasoning section',
+            text: 'Structure your response in two sections:\n## Reasoning\nThink step by step through the problem.\n## Final Answer\nGive only the final answer, so it can be read on its own.'
+        },
+        gemini: {
+            label: 'Numbered step list',
+            text: 'Show your work as numbered steps:\n1. Restate what is being asked\n2. List the relevant facts and constraints\n3. Work through the problem\n4. Check the result\nThen write "Final answer:" on its own line, followed by the answer.'
+        }
+    },
+
+    // Other models get the layout that matches their preferred structure
+    structureScaffolds: { xml: 'claude', markdown: 'gpt', plain: 'gemini' },
+
+    scaffoldFor(model) {
+        const structure = ModelData[model] ? ModelData[model].structure : 'xml';
+        return this.reasoningScaffolds[model] || this.reasoningScaffolds[this.structureScaffolds[structure] || 'claude'];
+    },
+
+    addReasoningScaffold(text, applied) {
+        if (!this.options.showThinking || PromptAnalyzer.analyzeReasoning(text).answerDelimited) {
+            return text;
+        }
+
+        const scaffold = this.scaffoldFor(this.model);
+        applied.push(`Visible reasoning (${scaffold.label})`);
+        return `${text}\n\n${scaffold.text}`;
+    },
+
+    /**
+     * Model-Specific Rules
+     * One transform rule per model. Claude, GPT and Gemini have their own
+     * below; registry models run applyModelRules plus the optimizations
+     * their definition declares (see PromptModels)
+     */
+    applyModelRules(text) {
+        const model = ModelData[this.model];
+        const applied = [];
+        const result = this.addReasoningScaffold(text, applied);
+
+        if (applied.length > 0) {
+            this.techniques.push({
+                name: `${model.name} Optimization`,
+                description: applied.join(', '),
+                impact: `Optimized for ${model.name}`
+            });
+        }
 
-        const applier = modelRules[this.model] || modelRules.claude;
-        return applier.call(this, text);
+        return result;
     },
 
     applyClaudeRules(text) {
@@ -267,19 +853,16 @@ const PromptOptimizer = {
             applied.push('Explicit "go beyond" request');
         }
 
-        // Add thinking block for analytical tasks
-        if (PromptAnalyzer.isAnalyticalTask(text) && !/<thinking>/i.test(text)) {
-            result += `\n\nBefore providing your final answer, analyze the problem in a <thinking> block, considering different approaches and potential issues.`;
-            applied.push('Thinking block for analysis');
-        }
+        result = this.addReasoningScaffold(result, applied);
 
         // Add motivation context if missing
         if (text.length > 200 && !text.toLowerCase().includes('because') && !text.toLowerCase().includes('this is important')) {
-            // Find a good place to add context
-            const firstConstraint = result.indexOf('[CONSTRAINTS]');
-            if (firstConstraint > -1) {
+            // After the constraints header's colon, so the section still converts to XML
+            const firstConstraint = result.match(/\[CONSTRAINTS\]:?/);
+            if (firstConstraint) {
+                const at = firstConstraint.index + firstConstraint[0].length;
                 const insert = '\n\nNote: These constraints are important because they ensure the output meets specific quality and usability standards.\n';
-                result = result.slice(0, firstConstraint + 13) + insert + result.slice(firstConstraint + 13);
+                result = result.slice(0, at) + insert + result.slice(at);
                 applied.push('Motivation context');
             }
         }
@@ -299,11 +882,7 @@ const PromptOptimizer = {
         let result = text;
         const applied = [];
 
-        // Add step-by-step if not present
-        if (!PromptAnalyzer.hasChainOfThought(text)) {
-            result += `\n\nThink through this step-by-step before providing your final answer.`;
-            applied.push('Step-by-step reasoning');
-        }
+        result = this.addReasoningScaffold(result, applied);
 
         if (applied.length > 0) {
             this.techniques.push({
@@ -326,6 +905,8 @@ const PromptOptimizer = {
             applied.push('Grounding context');
         }
 
+        result = this.addReasoningScaffold(result, applied);
+
         if (applied.length > 0) {
             this.techniques.push({
                 name: 'Gemini 3 Optimization',
@@ -342,7 +923,7 @@ const PromptOptimizer = {
      */
     addExamples(text) {
         // Only add if missing and task is suitable
-        if (this.analysis.components.examples) {
+        if (this.analysis.components.examples !== false) {
             return text;
         }
 
@@ -367,7 +948,8 @@ const PromptOptimizer = {
      * Add Chain-of-Thought (Advanced)
      */
     addChainOfThought(text) {
-        if (PromptAnalyzer.hasChainOfThought(text)) {
+        // Reasoning scaffolding only when Show Reasoning is on
+        if (!this.options.showThinking || PromptAnalyzer.hasChainOfThought(text)) {
             return text;
         }
 
@@ -387,7 +969,9 @@ const PromptOptimizer = {
     },
 
     /**
-     * Enhance Structure with XML (Advanced)
+     * Enhance Structure (Advanced)
+     * [ROLE] / [TASK] style sections become the model's preferred structure:
+     * XML tags, Markdown headings, or (plain) stay as they are
      */
     enhanceStructure(text) {
         // If already has XML, don't add more
@@ -395,15 +979,27 @@ const PromptOptimizer = {
             return text;
         }
 
-        // Convert bracket sections to XML
-        let result = text.replace(/\[ROLE\]:/gi, '<role>\n');
-        result = result.replace(/\[TASK\]:/gi, '</role>\n\n<task>');
-        result = result.replace(/\[OUTPUT FORMAT\]:/gi, '</task>\n\n<output_format>');
-        result = result.replace(/\[CONSTRAINTS\]:/gi, '</output_format>\n\n<constraints>');
-        
-        // Close any opened tags
-        if (result.includes('<constraints>') && !result.includes('</constraints>')) {
-            result += '\n</constraints>';
+        const structure = ModelData[this.model] ? ModelData[this.model].structure : 'xml';
+        if (structure === 'markdown') {
+            return this.markdownStructure(text);
+        }
+        if (structure !== 'xml') {
+            return text;
+        }
+
+        // Convert bracket sections to XML; each one closes the section before it
+        const tags = { ROLE: 'role', TASK: 'task', 'OUTPUT FORMAT': 'output_format', CONSTRAINTS: 'constraints' };
+        let open = null;
+        let result = text.replace(/\[(ROLE|TASK|OUTPUT FORMAT|CONSTRAINTS)\]:/gi, (match, section) => {
+            const tag = tags[section.toUpperCase()];
+            const close = open ? `</${open}>\n\n` : '';
+            open = tag;
+            return `${close}<${tag}>${tag === 'role' ? '\n' : ''}`;
+        });
+
+        // Close the last one
+        if (open && !result.trimEnd().endsWith(`</${open}>`)) {
+            result += `\n</${open}>`;
         }
 
         if (result !== text) {
@@ -417,20 +1013,39 @@ const PromptOptimizer = {
         return result;
     },
 
+    markdownStructure(text) {
+        const headings = { ROLE: 'Role', TASK: 'Task', 'OUTPUT FORMAT': 'Output Format', CONSTRAINTS: 'Constraints', EXAMPLE: 'Example' };
+        const result = text.replace(/^\[(ROLE|TASK|OUTPUT FORMAT|CONSTRAINTS|EXAMPLE)\]:?[ \t]*\n?/gim,
+            (match, section) => `## ${headings[section.toUpperCase()]}\n`);
+
+        if (result !== text) {
+            this.techniques.push({
+                name: 'Markdown Structure',
+                description: 'Converted sections to Markdown headings',
+                impact: `Clearer structure for ${ModelData[this.model].name}`
+            });
+        }
+
+        return result;
+    },
+
     /**
      * Calculate Improvements
+     * Costs are for `model` at the volume and discounts in `costs` (see
+     * PromptCosts); both prompts get the output length the original asks for
      */
-    calculateImprovements(oldAnalysis, newAnalysis) {
+    calculateImprovements(oldAnalysis, newAnalysis, model, costs = {}) {
         const scoreChange = newAnalysis.overallScore.score - oldAnalysis.overallScore.score;
         const efficiencyChange = newAnalysis.contextEngineering.tokenEfficiency.efficiency - 
                                 oldAnalysis.contextEngineering.tokenEfficiency.efficiency;
         const tokenChange = newAnalysis.tokenCount - oldAnalysis.tokenCount;
 
-        // Calculate cost (approximation for Claude)
-        const costPerToken = 0.000003; // $3 per million tokens (input)
-        const originalCost = oldAnalysis.tokenCount * costPerToken;
-        const optimizedCost = newAnalysis.tokenCount * costPerToken;
-        const costChange = optimizedCost - originalCost;
+        const settings = PromptCosts.settings(costs);
+        const outputTokens = settings.outputTokens !== null ? settings.outputTokens
+            : oldAnalysis.budget ? oldAnalysis.budget.expectedOutput.tokens : PromptBudget.defaultOutput;
+        const originalCost = PromptCosts.estimate(model, oldAnalysis.tokenCount, outputTokens, settings);
+        const optimizedCost = PromptCosts.estimate(model, newAnalysis.tokenCount, outputTokens, settings);
+        const costChange = optimizedCost.perCall - originalCost.perCall;
 
         return {
             scoreChange: Math.round(scoreChange * 10) / 10,
@@ -442,11 +1057,145 @@ const PromptOptimizer = {
                 Math.round((tokenChange / oldAnalysis.tokenCount) * 100) : 0,
             costPerCall: Math.abs(costChange).toFixed(6),
             costPer1000: Math.abs(costChange * 1000).toFixed(2),
-            costPerYear: Math.abs(costChange * 1000 * 365).toFixed(2),
+            costPerMonth: Math.abs(optimizedCost.monthly - originalCost.monthly).toFixed(2),
+            costPerYear: Math.abs(optimizedCost.yearly - originalCost.yearly).toFixed(2),
+            cost: { callsPerMonth: settings.callsPerMonth, original: originalCost, optimized: optimizedCost },
             isBetter: scoreChange > 0
         };
+    },
+
+    /**
+     * Built-in Transforms
+     * The optimization stages as rules, registered with PromptRules below.
+     * Quick runs cleanup only, standard adds structure, advanced adds
+     * examples, reasoning and XML; compress runs cleanup, then cuts the
+     * prompt to a token target. With options.cacheLayout every level ends
+     * by moving dynamic sections after the static ones
+     */
+    coreRules() {
+        const cleanup = ['quick', 'standard', 'advanced', 'compress'];
+        const standard = ['standard', 'advanced'];
+        const advanced = ['advanced'];
+        const stage = method => text => PromptOptimizer[method](text);
+
+        return {
+            id: 'core-transforms',
+            name: 'Built-in transforms',
+            description: 'Cleanup, framework structure, altitude, model-specific rules, examples, reasoning, XML, compression and cache layout',
+            rules: [
+                {
+                    id: 'optimize/redundancy',
+                    category: 'transform',
+                    levels: cleanup,
+                    fix: stage('removeRedundancy'),
+                    meta: { title: 'Redundancy Removal', description: 'Removes repeated sentences, keeping the first and the layout.' }
+                },
+                {
+                    id: 'optimize/filler-words',
+                    category: 'transform',
+                    levels: cleanup,
+                    fix: stage('removeFillerWords'),
+                    meta: { title: 'Filler Word Removal', description: 'Removes "very", "really", "basically" and similar words.' }
+                },
+                {
+                    id: 'optimize/clarity',
+                    category: 'transform',
+                    levels: cleanup,
+                    fix: stage('improveClarity'),
+                    meta: { title: 'Clarity', description: 'Joins clauses split across lines or spacing around "and".' }
+                },
+                {
+                    id: 'optimize/framework',
+                    category: 'transform',
+                    levels: standard,
+                    fix: stage('addFrameworkStructure'),
+                    meta: { title: 'Framework Structure', description: 'Adds missing role, task header, output format and constraints sections.' }
+                },
+                {
+                    id: 'optimize/altitude',
+                    category: 'transform',
+                    levels: standard,
+                    detect: (text, context) => context.analysis.contextEngineering.altitude !== 'just-right',
+                    fix: stage('correctAltitude'),
+                    meta: { title: 'Altitude Correction', description: 'Makes vague instructions concrete and hard-coded steps principle-based.' }
+                },
+                {
+                    id: 'optimize/claude',
+                    category: 'transform',
+                    levels: standard,
+                    models: ['claude'],
+                    fix: stage('applyClaudeRules'),
+                    meta: { title: 'Claude 4.x Optimization', description: 'Adds a "go beyond" request for creative tasks, motivation for constraints and the reasoning scaffold.' }
+                },
+                {
+                    id: 'optimize/gpt',
+                    category: 'transform',
+                    levels: standard,
+                    models: ['gpt'],
+                    fix: stage('applyGPTRules'),
+                    meta: { title: 'GPT-5 Optimization', description: 'Adds the reasoning scaffold GPT follows best.' }
+                },
+                {
+                    id: 'optimize/gemini',
+                    category: 'transform',
+                    levels: standard,
+                    models: ['gemini'],
+                    fix: stage('applyGeminiRules'),
+                    meta: { title: 'Gemini 3 Optimization', description: 'Adds grounding context to short prompts and the reasoning scaffold.' }
+                },
+                {
+                    id: 'optimize/examples',
+                    category: 'transform',
+                    levels: advanced,
+                    fix: stage('addExamples'),
+                    meta: { title: 'Examples Added', description: 'Adds a structural example when the prompt asks for a format without one.' }
+                },
+                {
+                    id: 'optimize/chain-of-thought',
+                    category: 'transform',
+                    levels: advanced,
+                    fix: stage('addChainOfThought'),
+                    meta: { title: 'Chain-of-Thought Added', description: 'Adds a reasoning framework for analytical or long prompts (Show Reasoning only).' }
+                },
+                {
+                    id: 'optimize/xml-structure',
+                    category: 'transform',
+                    levels: advanced,
+                    fix: stage('enhanceStructure'),
+                    meta: { title: 'Structured Sections', description: 'Converts [ROLE] / [TASK] style sections into the model\'s preferred structure: XML tags or Markdown headings.' }
+                },
+                {
+                    id: 'optimize/style-guide',
+                    category: 'transform',
+                    levels: standard,
+                    detect: (text, context) => context.styleGuide !== null,
+                    fix: (text, context) => PromptOptimizer.applyStyleGuide(text, context),
+                    meta: { title: 'Team Style Guide', description: 'Inserts the sections and phrases the team style guide requires.' }
+                },
+                {
+                    id: 'optimize/compress',
+                    category: 'transform',
+                    levels: ['compress'],
+                    fix: (text, context) => PromptOptimizer.compress(text, context),
+                    meta: { title: 'Compression', description: 'Cuts the prompt to a target token count: near-duplicate sentences, example detail, then background.' }
+                },
+                {
+                    id: 'optimize/cache-layout',
+                    category: 'transform',
+                    levels: PromptRules.levels,
+                    detect: (text, context) => Boolean(context.options.cacheLayout),
+                    fix: (text, context) => PromptOptimizer.applyCacheLayout(text, context),
+                    meta: { title: 'Cache Layout', description: 'Moves sections with template variables or dynamic markers after the static ones, so the static prefix can be cached (Cache-Friendly Layout only).' }
+                }
+            ]
+        };
     }
 };
 
-// Make it available globally
-window.PromptOptimizer = PromptOptimizer;
+PromptRules.registerPack(PromptOptimizer.coreRules(), { builtIn: true });
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptOptimizer = PromptOptimizer;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptOptimizer;
+}
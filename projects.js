@@ -0,0 +1,193 @@
+/**
+ * PROMPT PROJECTS
+ * Per-project settings: which rules are turned off, which JSON rule
+ * packs are loaded, the team style guide and the scoring profile. The app
+ * keeps a list of projects and applies the active one; the CLI applies a
+ * project file exported from the app
+ *
+ * A project:
+ *   {
+ *     id, name, created,
+ *     rules: { disabled: [ruleId], packs: [pack] },
+ *     styleGuide,
+ *     scoring: { profile: profileId, profiles: [profile] }   the project's own and edited profiles
+ *   }
+ * Packs stored in the app are JSON packs; the CLI also adds JS packs
+ */
+
+const PromptProjects = {
+
+    // Exported project files
+    fileFormat: 'prompt-optimizer-project',
+    fileVersion: 1,
+
+    // Ids of the packs the applied project loaded
+    loaded: [],
+
+    create(name, id = Date.now()) {
+        return {
+            id,
+            name: name || 'Untitled project',
+            created: new Date().toISOString(),
+            rules: { disabled: [], packs: [] },
+            styleGuide: null,
+            scoring: { profile: PromptScoring.defaultProfile, profiles: [] }
+        };
+    },
+
+    defaultProject() {
+        return { ...this.create('Default project', 'default'), created: null };
+    },
+
+    // Fill in anything an older or hand-written project lacks
+    normalize(project) {
+        const rules = project.rules || {};
+        const scoring = project.scoring || {};
+        return {
+            ...project,
+            name: project.name || 'Untitled project',
+            styleGuide: project.styleGuide || null,
+            rules: {
+                disabled: Array.isArray(rules.disabled) ? rules.disabled : [],
+                packs: Array.isArray(rules.packs) ? rules.packs : []
+            },
+            scoring: {
+                profile: scoring.profile || PromptScoring.defaultProfile,
+                profiles: Array.isArray(scoring.profiles) ? scoring.profiles : []
+            }
+        };
+    },
+
+    /**
+     * Make `project` the one PromptRules runs with: unload the previous
+     * project's packs, load this one's, turn off its disabled rules, and
+     * make its style guide and scoring profile the active ones
+     * Packs registered outside a project (script tags) stay loaded
+     * Returns the packs (or style guide, scoring profile) that failed to
+     * load: [{ id, error }]
+     */
+    apply(project) {
+        const { rules, styleGuide, scoring } = this.normalize(project);
+        const failed = [];
+
+        this.loaded.forEach(id => PromptRules.unloadPack(id));
+        this.loaded = [];
+        rules.packs.forEach(pack => {
+            try {
+                PromptRules.registerPack(pack);
+                this.loaded.push(pack.id);
+            } catch (error) {
+                failed.push({ id: pack.id, error: error.message });
+            }
+        });
+        PromptRules.configure({ disabled: rules.disabled });
+
+        try {
+            PromptStyleGuides.use(styleGuide);
+        } catch (error) {
+            PromptStyleGuides.use(null);
+            failed.push({ id: 'style guide', error: error.message });
+        }
+
+        try {
+            PromptScoring.use(PromptScoring.find(scoring.profile, scoring.profiles));
+        } catch (error) {
+            PromptScoring.use(null);
+            failed.push({ id: 'scoring profile', error: error.message });
+        }
+
+        return failed;
+    },
+
+    setRuleEnabled(project, ruleId, enabled) {
+        const disabled = project.rules.disabled.filter(id => id !== ruleId);
+        project.rules.disabled = enabled ? disabled : [...disabled, ruleId];
+        return project;
+    },
+
+    /**
+     * Add a JSON rule pack, replacing one with the same id
+     * The pack is loaded first, so a bad file throws before it reaches the
+     * project. Call apply() after changing a project
+     */
+    addPack(project, pack) {
+        PromptRules.unloadPack(pack && pack.id);
+        PromptRules.registerPack(pack);
+        this.loaded = [...this.loaded.filter(id => id !== pack.id), pack.id];
+
+        project.rules.packs = [...project.rules.packs.filter(p => p.id !== pack.id), pack];
+        return project;
+    },
+
+    // A parsed guide (see PromptStyleGuides.parse), or null to remove it
+    setStyleGuide(project, guide) {
+        project.styleGuide = guide ? PromptStyleGuides.normalize(guide) : null;
+        return project;
+    },
+
+    /**
+     * Scoring Profiles
+     * Saving a profile with a built-in id keeps an edited copy for this
+     * project; removing it goes back to the built-in
+     */
+    setScoringProfile(project, profileId) {
+        project.scoring = { ...this.normalize(project).scoring, profile: profileId };
+        return project;
+    },
+
+    saveScoringProfile(project, profile) {
+        const saved = PromptScoring.normalize(profile);
+        const { profiles } = this.normalize(project).scoring;
+        project.scoring = {
+            profile: saved.id,
+            profiles: [...profiles.filter(p => p.id !== saved.id), saved]
+        };
+        return project;
+    },
+
+    removeScoringProfile(project, profileId) {
+        const { profile, profiles } = this.normalize(project).scoring;
+        const builtIn = Boolean(PromptScoring.builtIn[profileId]);
+        project.scoring = {
+            profile: profile === profileId && !builtIn ? PromptScoring.defaultProfile : profile,
+            profiles: profiles.filter(p => p.id !== profileId)
+        };
+        return project;
+    },
+
+    removePack(project, packId) {
+        const pack = project.rules.packs.find(p => p.id === packId);
+        project.rules.packs = project.rules.packs.filter(p => p.id !== packId);
+        if (pack) {
+            const ruleIds = (pack.rules || []).map(r => r.id);
+            project.rules.disabled = project.rules.disabled.filter(id => !ruleIds.includes(id));
+        }
+        return project;
+    },
+
+    /**
+     * Project Files
+     */
+    toFile(project) {
+        const { id, created, ...settings } = this.normalize(project);
+        return { format: this.fileFormat, version: this.fileVersion, ...settings };
+    },
+
+    fromFile(data) {
+        if (!data || data.format !== this.fileFormat) {
+            throw new Error(`Not a project file (expected "format": "${this.fileFormat}")`);
+        }
+        if (data.version > this.fileVersion) {
+            throw new Error(`Project file version ${data.version} is newer than this app supports (${this.fileVersion})`);
+        }
+
+        const { format, version, ...settings } = data;
+        return this.normalize({ ...this.create(settings.name), ...settings });
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptProjects = PromptProjects;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptProjects;
+}
@@ -0,0 +1,58 @@
+/**
+ * PROMPT OPTIMIZER V2 - Node Entry (CommonJS)
+ * Loads the browser engine files in dependency order and exports them
+ */
+
+// Same order as the <script> tags in index.html
+const { ModelData, TooltipContent } = require('./models.js');
+const Tokenizers = require('./tokenizer.js');
+const PromptTemplates = require('./templates.js');
+const PromptRegions = require('./regions.js');
+const PromptRules = require('./rules.js');
+const PromptProjects = require('./projects.js');
+const PromptStyleGuides = require('./styleguides.js');
+const PromptScoring = require('./scoring.js');
+const PromptConversations = require('./conversation.js');
+const PromptBudget = require('./budget.js');
+const PromptCosts = require('./costs.js');
+const PromptCaching = require('./caching.js');
+const PromptAnalyzer = require('./analyzer.js');
+const PromptEdits = require('./edits.js');
+const PromptOptimizer = require('./optimizer.js');
+const PromptModels = require('./model-registry.js');
+const PromptExporter = require('./exporter.js');
+const PromptEvaluator = require('./evaluator.js');
+const PromptTestSuites = require('./suites.js');
+const PromptLibrary = require('./library.js');
+const PromptSearch = require('./search.js');
+const PromptBatch = require('./batch.js');
+const PromptComparison = require('./compare.js');
+const PromptLinter = require('./linter.js');
+
+module.exports = {
+    ModelData,
+    TooltipContent,
+    Tokenizers,
+    PromptTemplates,
+    PromptRegions,
+    PromptRules,
+    PromptModels,
+    PromptProjects,
+    PromptStyleGuides,
+    PromptScoring,
+    PromptConversations,
+    PromptBudget,
+    PromptCosts,
+    PromptCaching,
+    PromptAnalyzer,
+    PromptEdits,
+    PromptOptimizer,
+    PromptExporter,
+    PromptEvaluator,
+    PromptTestSuites,
+    PromptLibrary,
+    PromptSearch,
+    PromptBatch,
+    PromptComparison,
+    PromptLinter
+};
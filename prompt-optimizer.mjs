@@ -0,0 +1,36 @@
+/**
+ * PROMPT OPTIMIZER V2 - Node Entry (ES Module)
+ * Re-exports the CommonJS entry so both module systems share one engine
+ */
+
+import engine from './prompt-optimizer.js';
+
+export const {
+    ModelData,
+    TooltipContent,
+    Tokenizers,
+    PromptTemplates,
+    PromptRegions,
+    PromptRules,
+    PromptModels,
+    PromptProjects,
+    PromptStyleGuides,
+    PromptScoring,
+    PromptConversations,
+    PromptBudget,
+    PromptCosts,
+    PromptCaching,
+    PromptAnalyzer,
+    PromptEdits,
+    PromptOptimizer,
+    PromptExporter,
+    PromptEvaluator,
+    PromptTestSuites,
+    PromptLibrary,
+    PromptSearch,
+    PromptBatch,
+    PromptComparison,
+    PromptLinter
+} = engine;
+
+export default engine;
@@ -0,0 +1,111 @@
+/**
+ * PROTECTED REGION CORPUS
+ * Prompts whose code, quotes, data and URLs must come back unchanged from
+ * every model and level, used by PromptRegions.checkCorpus, also with any
+ * one of the optimizer's edits rejected
+ * `regions` must be detected as protected; `intact` is prose that must
+ * survive as-is (decimals, abbreviations). An entry with `levels` and
+ * `options` is only optimized at those levels, with those options
+ */
+
+const ProtectedRegionCorpus = [
+    {
+        id: 'fenced-python',
+        category: 'code',
+        text: 'Please really review this function. Please really review this function.\n\n```python\ndef total(items):\n    # Really basically just sums.  Really basically just sums.\n    return sum(i.price  and  i.qty for i in items)\n```\n\nExplain what it does.',
+        regions: ['```python\ndef total(items):\n    # Really basically just sums.  Really basically just sums.\n    return sum(i.price  and  i.qty for i in items)\n```']
+    },
+    {
+        id: 'fenced-steps',
+        category: 'code',
+        text: 'Step 1: read the script. Step 2: fix it.\n\n~~~bash\n# Step 1: install\nnpm install\n# Step 2: build. Step 2: build.\nnpm run build\n~~~',
+        regions: ['~~~bash\n# Step 1: install\nnpm install\n# Step 2: build. Step 2: build.\nnpm run build\n~~~']
+    },
+    {
+        id: 'unclosed-fence',
+        category: 'code',
+        text: 'Fix the bug below.\n\n```js\nconst a = 1.5;\nconst b = a  and  2; // maybe very wrong. maybe very wrong.',
+        regions: ['```js\nconst a = 1.5;\nconst b = a  and  2; // maybe very wrong. maybe very wrong.']
+    },
+    {
+        id: 'inline-code',
+        category: 'code',
+        text: 'Use `Array.prototype.flat()` instead of `[].concat.apply([], really_nested)`. Use `Array.prototype.flat()` instead of `[].concat.apply([], really_nested)`.',
+        regions: ['`Array.prototype.flat()`', '`[].concat.apply([], really_nested)`']
+    },
+    {
+        id: 'json-example',
+        category: 'data',
+        text: 'Return the result as JSON like this:\n{\n  "summary": "Very short. Very short.",\n  "score": 4.5,\n  "tags": ["really", "quite"]\n}\nDo not add other keys.',
+        regions: ['{\n  "summary": "Very short. Very short.",\n  "score": 4.5,\n  "tags": ["really", "quite"]\n}']
+    },
+    {
+        id: 'xml-data',
+        category: 'data',
+        text: 'Summarize the email in two sentences.\n\n<email from="ops">\nHi team. The deploy is basically done. The deploy is basically done.\nThanks  and  regards.\n</email>',
+        regions: ['<email from="ops">\nHi team. The deploy is basically done. The deploy is basically done.\nThanks  and  regards.\n</email>']
+    },
+    {
+        id: 'quoted-user-data',
+        category: 'quote',
+        text: 'Classify the sentiment of "I really, really love it. I really, really love it." and of \'maybe later\'. Answer with one word each.',
+        regions: ['"I really, really love it. I really, really love it."', '\'maybe later\'']
+    },
+    {
+        id: 'curly-quotes',
+        category: 'quote',
+        text: 'Translate “Quite simply, it works. Quite simply, it works.” into French.',
+        regions: ['“Quite simply, it works. Quite simply, it works.”']
+    },
+    {
+        id: 'urls',
+        category: 'url',
+        text: 'Read https://example.com/docs/v2.5/really-quick-start?ref=very.basic and www.example.org/maybe/index.html. Then summarize it.',
+        regions: ['https://example.com/docs/v2.5/really-quick-start?ref=very.basic', 'www.example.org/maybe/index.html']
+    },
+    {
+        id: 'keep-marker',
+        category: 'keep',
+        text: 'Write a product update.\n\n<!-- keep -->\nLegal: Results may vary. Results may vary. Offer valid in the U.S. only.\n<!-- /keep -->\n\nKeep it very short.',
+        regions: ['<!-- keep -->\nLegal: Results may vary. Results may vary. Offer valid in the U.S. only.\n<!-- /keep -->']
+    },
+    {
+        id: 'decimals',
+        category: 'prose',
+        text: 'Compare version 2.5 and version 3.0 of the API. Prices rose 1.5% to $4.99, e.g. for the basic plan.',
+        regions: [],
+        intact: ['2.5', '3.0', '1.5%', '$4.99', 'e.g.']
+    },
+    {
+        id: 'template-in-code',
+        category: 'mixed',
+        text: 'Greet {{customer_name}} using this exact snippet:\n\n```\nHello {{customer_name}}, really glad you are here!\n```',
+        regions: ['```\nHello {{customer_name}}, really glad you are here!\n```'],
+        intact: ['{{customer_name}}']
+    },
+    {
+        // A "Background:" label covers its own line, not the instructions after it
+        id: 'labelled-background',
+        category: 'compression',
+        text: 'You are a senior data analyst at a retail company.\nBackground: Our company was founded in 1998 and has grown to 400 stores across the country. We sell clothing, shoes and accessories. The company has gone through many changes over the years. Our headquarters is in Denver. The analytics team has eight people.\nYour task is to analyze the attached weekly sales data and identify the top three trends (e.g. regional shifts or category growth).\nFor example, a trend might be shoe sales rising in the Northeast week over week, driven mainly by running shoes.\nReturn the result as a bulleted list with one sentence per trend.',
+        regions: [],
+        intact: ['Your task is to analyze the attached weekly sales data and identify the top three trends', 'Return the result as a bulleted list with one sentence per trend.'],
+        levels: ['compress'],
+        options: { targetTokens: 60 }
+    },
+    {
+        // The cache layout moves the user's own paragraph; rejecting the move keeps it
+        id: 'cache-layout-move',
+        category: 'mixed',
+        text: 'You are a helpful assistant. Write a summary of {{doc}} for {user_name}. Maybe be very concise.',
+        regions: [],
+        intact: ['{{doc}}', '{user_name}'],
+        options: { cacheLayout: true }
+    }
+];
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.ProtectedRegionCorpus = ProtectedRegionCorpus;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProtectedRegionCorpus;
+}
@@ -0,0 +1,224 @@
+/**
+ * PROMPT REGIONS
+ * Splits a prompt into prose and protected regions: fenced and inline code,
+ * quoted strings, JSON examples, XML-tagged data blocks, URLs,
+ * <!-- keep --> ... <!-- /keep --> regions and <!-- dynamic --> ...
+ * <!-- /dynamic --> regions (per-request content, see caching.js).
+ * Optimizer stages only ever see the prose; protected regions come back
+ * byte-for-byte
+ */
+
+const PromptRegions = {
+
+    /**
+     * Region kinds, matched in this order (earlier kinds win overlaps)
+     * An unclosed keep marker or code fence runs to the end of the prompt
+     */
+    kinds: [
+        { id: 'keep', label: 'kept region', pattern: /<!--\s*keep\s*-->[\s\S]*?(?:<!--\s*\/\s*keep\s*-->|$(?![\s\S]))/gi },
+        { id: 'dynamic', label: 'dynamic section', pattern: /<!--\s*dynamic\s*-->[\s\S]*?(?:<!--\s*\/\s*dynamic\s*-->|$(?![\s\S]))/gi },
+        { id: 'code-block', label: 'code block', pattern: /^[ \t]*(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^[ \t]*\1[ \t]*$|$(?![\s\S]))/gm },
+        { id: 'data-block', label: 'data block', pattern: null },
+        { id: 'json', label: 'JSON example', pattern: null },
+        { id: 'inline-code', label: 'inline code span', pattern: /`[^`\n]+`/g },
+        { id: 'url', label: 'URL', pattern: /\b(?:https?:\/\/|ftp:\/\/|www\.)[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/gi },
+        { id: 'quote', label: 'quoted string', pattern: /"[^"\n]+"|“[^”\n]+”|(?<![\w'])'[^'\n]+'(?![\w'])/g }
+    ],
+
+    // XML tags whose content is data the model reads, not instructions
+    dataTags: [
+        'data', 'document', 'documents', 'example', 'examples', 'input', 'context',
+        'text', 'article', 'email', 'transcript', 'quote', 'sample', 'source',
+        'file', 'code', 'json', 'csv', 'table', 'log', 'user_input', 'user_data'
+    ],
+
+    /**
+     * Find every protected region
+     * Returns [{ kind, label, start, end, raw }] sorted by position
+     */
+    find(text) {
+        const found = [];
+
+        this.kinds.forEach(kind => {
+            this.matchesFor(kind, text).forEach(({ start, end }) => {
+                if (end <= start || this.overlaps(found, start, end)) return;
+                found.push({ kind: kind.id, label: kind.label, start, end, raw: text.slice(start, end) });
+            });
+        });
+
+        return found.sort((a, b) => a.start - b.start);
+    },
+
+    matchesFor(kind, text) {
+        if (kind.id === 'data-block') return this.findDataBlocks(text);
+        if (kind.id === 'json') return this.findJson(text);
+        return [...text.matchAll(kind.pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+    },
+
+    // <data>...</data> and friends, attributes allowed, tag names case-insensitive
+    findDataBlocks(text) {
+        const pattern = new RegExp(`<(${this.dataTags.join('|')})(?:\\s[^<>]*)?>[\\s\\S]*?</\\1\\s*>`, 'gi');
+        return [...text.matchAll(pattern)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+    },
+
+    /**
+     * JSON examples outside code fences: an object or array starting a
+     * line, up to its matching bracket, that parses as JSON
+     * ({name}-style template placeholders don't parse, so they stay prose)
+     */
+    findJson(text) {
+        const found = [];
+        const starts = /^[ \t]*([{[])/gm;
+        let match;
+
+        while ((match = starts.exec(text)) !== null) {
+            const start = match.index + match[0].length - 1;
+            const end = this.matchingBracket(text, start);
+            if (end === -1) continue;
+
+            try {
+                JSON.parse(text.slice(start, end));
+            } catch (e) {
+                continue;
+            }
+            found.push({ start, end });
+            starts.lastIndex = end;
+        }
+
+        return found;
+    },
+
+    // Index just past the bracket closing text[start], skipping strings; -1 if unbalanced
+    matchingBracket(text, start) {
+        let depth = 0;
+        let inString = false;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) return i + 1;
+            }
+        }
+
+        return -1;
+    },
+
+    overlaps(regions, start, end) {
+        return regions.some(r => start < r.end && end > r.start);
+    },
+
+    /**
+     * The prompt as consecutive segments
+     * Returns [{ kind: 'prose' | region kind, text, start }]
+     */
+    segment(text) {
+        const segments = [];
+        let cursor = 0;
+
+        this.find(text).forEach(region => {
+            if (region.start > cursor) {
+                segments.push({ kind: 'prose', text: text.slice(cursor, region.start), start: cursor });
+            }
+            segments.push({ kind: region.kind, text: region.raw, start: region.start });
+            cursor = region.end;
+        });
+        if (cursor < text.length) {
+            segments.push({ kind: 'prose', text: text.slice(cursor), start: cursor });
+        }
+
+        return segments;
+    },
+
+    /**
+     * Region Protection
+     * Protected regions and, in the prose between them, template
+     * placeholders become sentinels (see PromptTemplates.protectSpans)
+     */
+    protect(text) {
+        const regions = this.find(text);
+        const placeholders = PromptTemplates.findPlaceholders(text)
+            .filter(p => !this.overlaps(regions, p.index, p.index + p.length));
+
+        return PromptTemplates.protectSpans(text, [
+            ...regions.map(r => ({ index: r.start, length: r.end - r.start, raw: r.raw })),
+            ...placeholders
+        ].sort((a, b) => a.index - b.index));
+    },
+
+    /**
+     * Counts by label, e.g. "2 code blocks, 1 URL"
+     */
+    describe(regions) {
+        const counts = {};
+        regions.forEach(r => {
+            counts[r.label] = (counts[r.label] || 0) + 1;
+        });
+        return Object.entries(counts)
+            .map(([label, count]) => `${count} ${label}${count === 1 ? '' : 's'}`)
+            .join(', ');
+    },
+
+    /**
+     * Round-Trip Check
+     * Optimizes each corpus prompt for every model and level and reports
+     * protected regions that didn't come back unchanged, with all edits
+     * accepted or with any one of them rejected (`rejected` lists those ids)
+     * Corpus entries: { id, category, text, regions: [raw, ...], intact: [text, ...],
+     * levels, options } where levels and options override the defaults
+     * (see ProtectedRegionCorpus)
+     */
+    checkCorpus(corpus, { models = ['claude', 'gpt', 'gemini'], levels = ['quick', 'standard', 'advanced'] } = {}) {
+        const rows = [];
+
+        corpus.forEach(entry => {
+            const found = this.find(entry.text).map(r => r.raw);
+            const undetected = entry.regions.filter(raw => !found.includes(raw));
+
+            models.forEach(model => {
+                const analysis = PromptAnalyzer.analyze(entry.text, model);
+                (entry.levels || levels).forEach(level => {
+                    const { optimized, edits, pieces } = PromptOptimizer.optimize(entry.text, analysis, model, level, { ...entry.options, level });
+                    const expected = [...entry.regions, ...(entry.intact || [])];
+                    const damaged = expected.filter(raw => !optimized.includes(raw));
+                    const all = new Set(edits.map(e => e.id));
+                    const rejected = edits
+                        .filter(edit => {
+                            const text = PromptEdits.apply(pieces, PromptEdits.decide(edits, all, edit.id, false));
+                            return expected.some(raw => !text.includes(raw));
+                        })
+                        .map(edit => edit.id);
+                    rows.push({
+                        id: entry.id,
+                        category: entry.category,
+                        model,
+                        level,
+                        passed: undetected.length === 0 && damaged.length === 0 && rejected.length === 0,
+                        undetected,
+                        damaged,
+                        rejected
+                    });
+                });
+            });
+        });
+
+        return {
+            rows,
+            passed: rows.filter(r => r.passed).length,
+            total: rows.length
+        };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptRegions = PromptRegions;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptRegions;
+}
@@ -0,0 +1,232 @@
+/**
+ * PROMPT RULES
+ * Registry of analyzer checks and optimizer transforms. The built-in rules
+ * are registered by analyzer.js and optimizer.js; teams add their own as
+ * rule packs (a JS module, or a JSON file of pattern-based rules) and turn
+ * any rule off per project
+ *
+ * A rule:
+ *   {
+ *     id: 'component/role',       unique, "group/name"
+ *     category,                   see `categories`
+ *     levels: ['standard', ...],  transforms: levels it runs at (default: quick,
+ *                                 standard and advanced; compress runs only
+ *                                 the rules that list it)
+ *     models: ['claude', ...],    models it applies to (default: all)
+ *     detect(text, context),      the check (see `categories` for results)
+ *     fix(text, context),         transforms: the rewritten text
+ *     meta: { title, description, example, details }   tooltip content
+ *   }
+ */
+
+const PromptRules = {
+
+    levels: ['quick', 'standard', 'advanced', 'compress'],
+    defaultLevels: ['quick', 'standard', 'advanced'],
+
+    /**
+     * What detect() returns per category
+     */
+    categories: {
+        component: { label: 'Framework Components', result: 'true when the component is present; the rule also names its `key`' },
+        'model-fit': { label: 'Model Fit', result: '{ issue } or { strength } (or null); an issue may name the `finding` rule that marks its cause in the text' },
+        finding: { label: 'Inline Findings', result: 'findings located in the text (see PromptAnalyzer.finding)' },
+        transform: { label: 'Optimizer Transforms', result: 'whether fix() should run (default: always)' }
+    },
+
+    // Models no rule is written for get this model's rules
+    fallbackModel: 'claude',
+
+    registry: [],
+    packs: [],
+    disabled: new Set(),
+
+    /**
+     * Packs
+     * { id, name, description, rules: [rule] }; JSON rules are compiled
+     * (see compile). Rule ids must be unique across all packs
+     */
+    registerPack(pack, { builtIn = false } = {}) {
+        if (!pack || typeof pack.id !== 'string' || !Array.isArray(pack.rules)) {
+            throw new Error('A rule pack needs an "id" and a "rules" array');
+        }
+        if (this.packs.some(p => p.id === pack.id)) {
+            throw new Error(`Rule pack already loaded: ${pack.id}`);
+        }
+
+        const rules = pack.rules.map(rule => this.define(rule, pack.id));
+        rules.forEach(rule => {
+            if (this.get(rule.id) || rules.filter(r => r.id === rule.id).length > 1) {
+                throw new Error(`Duplicate rule id in pack ${pack.id}: ${rule.id}`);
+            }
+        });
+
+        const entry = {
+            id: pack.id,
+            name: pack.name || pack.id,
+            description: pack.description || '',
+            builtIn,
+            ruleIds: rules.map(r => r.id)
+        };
+        this.registry.push(...rules);
+        this.packs.push(entry);
+        return entry;
+    },
+
+    unloadPack(id) {
+        const pack = this.packs.find(p => p.id === id);
+        if (!pack || pack.builtIn) return false;
+
+        this.registry = this.registry.filter(rule => rule.pack !== id);
+        this.packs = this.packs.filter(p => p.id !== id);
+        return true;
+    },
+
+    // Everything a rule needs, with defaults; throws on a malformed rule
+    define(rule, packId) {
+        const where = `rule ${rule && rule.id ? rule.id : '(no id)'} in pack ${packId}`;
+        if (!rule || typeof rule.id !== 'string' || rule.id.length === 0) {
+            throw new Error(`Missing id: ${where}`);
+        }
+        if (!this.categories[rule.category]) {
+            throw new Error(`Unknown category "${rule.category}" for ${where} (expected ${Object.keys(this.categories).join(', ')})`);
+        }
+
+        const compiled = typeof rule.detect === 'function' || typeof rule.fix === 'function' ? rule : this.compile(rule, where);
+        if (rule.category === 'transform' ? typeof compiled.fix !== 'function' : typeof compiled.detect !== 'function') {
+            throw new Error(`${rule.category === 'transform' ? 'Transforms need a fix' : 'Checks need a detect'} function: ${where}`);
+        }
+        if (rule.category === 'component' && !rule.key) {
+            throw new Error(`Component rules need a "key": ${where}`);
+        }
+        (rule.levels || []).forEach(level => {
+            if (!this.levels.includes(level)) {
+                throw new Error(`Unknown level "${level}" for ${where} (expected ${this.levels.join(', ')})`);
+            }
+        });
+
+        const meta = rule.meta || {};
+        return {
+            ...rule,
+            ...compiled,
+            levels: rule.levels || this.defaultLevels,
+            models: rule.models || null,
+            detect: compiled.detect || (() => true),
+            meta: { title: meta.title || rule.id, description: meta.description || '', ...meta },
+            pack: packId
+        };
+    },
+
+    /**
+     * JSON Rules
+     * Pattern-based rules for packs that can't ship functions:
+     *   component  { key, pattern }                         present when it matches
+     *   model-fit  { pattern, when: 'missing' | 'present', issue | strength }
+     *   finding    { pattern, severity, message, replacement, fixLabel }
+     *   transform  { pattern, replacement } or { append, unless }, plus meta.impact
+     * `flags` are regex flags (default "i"; "g" is added where needed)
+     */
+    compile(rule, where) {
+        const regex = (source, flags) => {
+            try {
+                return new RegExp(source, flags);
+            } catch (error) {
+                throw new Error(`Invalid pattern for ${where}: ${error.message}`);
+            }
+        };
+        const flags = (rule.flags || 'i').replace('g', '');
+        const pattern = rule.pattern ? regex(rule.pattern, flags) : null;
+        const title = (rule.meta && rule.meta.title) || rule.id;
+
+        if (rule.category === 'transform') {
+            if (rule.append !== undefined) {
+                const unless = rule.unless ? regex(rule.unless, flags) : null;
+                return {
+                    detect: text => !unless || !unless.test(text),
+                    fix: (text, context) => {
+                        context.report(title, (rule.meta && rule.meta.description) || 'Appended', (rule.meta && rule.meta.impact) || '');
+                        return `${text}\n\n${rule.append}`;
+                    }
+                };
+            }
+            if (!pattern || rule.replacement === undefined) {
+                throw new Error(`JSON transforms need "pattern" and "replacement", or "append": ${where}`);
+            }
+            return {
+                detect: text => pattern.test(text),
+                fix: (text, context) => {
+                    const count = (text.match(regex(rule.pattern, `${flags}g`)) || []).length;
+                    context.report(title, `${(rule.meta && rule.meta.description) || 'Rewrote'} (${count})`, (rule.meta && rule.meta.impact) || '');
+                    return text.replace(regex(rule.pattern, `${flags}g`), rule.replacement);
+                }
+            };
+        }
+
+        if (!pattern) {
+            throw new Error(`JSON rules need a "pattern": ${where}`);
+        }
+
+        if (rule.category === 'component') {
+            return { detect: text => pattern.test(text) };
+        }
+        if (rule.category === 'model-fit') {
+            const wanted = rule.when === 'present';
+            return {
+                detect: text => (pattern.test(text) === wanted
+                    ? (rule.strength ? { strength: rule.strength } : { issue: rule.issue || rule.message || title })
+                    : null)
+            };
+        }
+        return {
+            detect: text => [...text.matchAll(regex(rule.pattern, `${flags}g`))]
+                .filter(match => match[0].length > 0)
+                .map(match => PromptAnalyzer.finding(rule.id, match.index, match[0], rule.severity || 'warning', rule.message || title,
+                    rule.replacement !== undefined ? [{ label: rule.fixLabel || 'Apply fix', replacement: rule.replacement }] : []))
+        };
+    },
+
+    /**
+     * Lookup
+     */
+    get(id) {
+        return this.registry.find(rule => rule.id === id) || null;
+    },
+
+    list(category = null) {
+        return category ? this.registry.filter(rule => rule.category === category) : this.registry;
+    },
+
+    knowsModel(model) {
+        return this.registry.some(rule => rule.models && rule.models.includes(model));
+    },
+
+    isEnabled(id) {
+        return !this.disabled.has(id);
+    },
+
+    /**
+     * Project settings: { disabled: [ruleId] }
+     */
+    configure({ disabled = [] } = {}) {
+        this.disabled = new Set(disabled);
+    },
+
+    /**
+     * Enabled rules of a category for a model (and level), in registration
+     * order. A model no rule is written for gets the fallback model's rules
+     */
+    select(category, { model = null, level = null } = {}) {
+        const target = model && !this.knowsModel(model) ? this.fallbackModel : model;
+
+        return this.list(category).filter(rule =>
+            this.isEnabled(rule.id) &&
+            (!target || !rule.models || rule.models.includes(target)) &&
+            (!level || rule.levels.includes(level)));
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptRules = PromptRules;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptRules;
+}
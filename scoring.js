@@ -0,0 +1,211 @@
+/**
+ * PROMPT SCORING
+ * Scoring profiles: how much each dimension counts toward the overall
+ * score, what each altitude scores, and the rating thresholds. Agent system
+ * prompts and one-shot content requests need different weightings, so a
+ * project picks a profile (built-in or its own) and can edit it
+ *
+ * A profile:
+ *   {
+ *     id: 'agent',
+ *     name: 'Agent system prompt',
+ *     weights: { components, efficiency, altitude, modelFit },    scaled to add up to 1
+ *     altitude: { 'just-right': 10, 'too-high': 5, 'too-low': 3 },  0-10
+ *     thresholds: [{ min: 9, label: 'Excellent', color }, ...]     highest first
+ *   }
+ */
+
+const PromptScoring = {
+
+    dimensions: [
+        { id: 'components', label: 'Components' },
+        { id: 'efficiency', label: 'Token Efficiency' },
+        { id: 'altitude', label: 'Altitude' },
+        { id: 'modelFit', label: 'Model Fit' }
+    ],
+
+    altitudes: ['just-right', 'too-high', 'too-low'],
+
+    defaultThresholds: [
+        { min: 9, label: 'Excellent', color: '#10b981' },
+        { min: 7.5, label: 'Very Good', color: '#3b82f6' },
+        { min: 6, label: 'Good', color: '#8b5cf6' },
+        { min: 4, label: 'Fair', color: '#f59e0b' },
+        { min: 0, label: 'Needs Work', color: '#ef4444' }
+    ],
+
+    builtIn: {
+        balanced: {
+            id: 'balanced',
+            name: 'Balanced',
+            description: 'General-purpose prompts',
+            weights: { components: 0.30, efficiency: 0.25, altitude: 0.25, modelFit: 0.20 },
+            altitude: { 'just-right': 10, 'too-high': 5, 'too-low': 3 }
+        },
+        agent: {
+            id: 'agent',
+            name: 'Agent system prompt',
+            description: 'Long-lived system prompts: structure and model fit matter more than brevity',
+            weights: { components: 0.40, efficiency: 0.10, altitude: 0.20, modelFit: 0.30 },
+            altitude: { 'just-right': 10, 'too-high': 4, 'too-low': 5 }
+        },
+        content: {
+            id: 'content',
+            name: 'One-shot content request',
+            description: 'Single requests: a clear, concrete ask beats a full framework',
+            weights: { components: 0.20, efficiency: 0.35, altitude: 0.35, modelFit: 0.10 },
+            altitude: { 'just-right': 10, 'too-high': 3, 'too-low': 6 }
+        }
+    },
+
+    defaultProfile: 'balanced',
+
+    // The profile analyze() uses when options.scoringProfile isn't given
+    active: null,
+
+    use(profile) {
+        this.active = profile ? this.normalize(profile) : null;
+    },
+
+    /**
+     * The profile to score with: a profile object, a built-in id, or
+     * undefined for the active profile (Balanced when none is active)
+     */
+    resolve(profile) {
+        if (profile === undefined || profile === null) {
+            return this.active || this.normalize(this.builtIn[this.defaultProfile]);
+        }
+        if (typeof profile === 'string') {
+            if (!this.builtIn[profile]) {
+                throw new Error(`Unknown scoring profile "${profile}" (expected ${Object.keys(this.builtIn).join(', ')}, or a profile file)`);
+            }
+            return this.normalize(this.builtIn[profile]);
+        }
+        return this.normalize(profile);
+    },
+
+    /**
+     * Built-in profiles with a project's own profiles on top; a project
+     * profile with a built-in id is that profile, edited
+     */
+    list(custom = []) {
+        const edited = new Map(custom.map(p => [p.id, p]));
+        return [
+            ...Object.values(this.builtIn).map(p => this.normalize(edited.get(p.id) || p)),
+            ...custom.filter(p => !this.builtIn[p.id]).map(p => this.normalize(p))
+        ];
+    },
+
+    find(id, custom = []) {
+        const profiles = this.list(custom);
+        return profiles.find(p => p.id === id) || profiles.find(p => p.id === this.defaultProfile);
+    },
+
+    isEdited(id, custom = []) {
+        return Boolean(this.builtIn[id]) && custom.some(p => p.id === id);
+    },
+
+    /**
+     * Validate a profile and fill in what it leaves out from Balanced
+     * Weights are scaled to add up to 1, thresholds sorted highest first
+     * Idempotent; throws on a malformed profile
+     */
+    normalize(profile) {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('A scoring profile must be an object');
+        }
+        const name = String(profile.name || profile.id || '').trim();
+        if (!name) {
+            throw new Error('A scoring profile needs a "name"');
+        }
+
+        const base = this.builtIn[this.defaultProfile];
+        const number = (value, fallback, what, max = Infinity) => {
+            const result = value === undefined ? fallback : value;
+            if (typeof result !== 'number' || !isFinite(result) || result < 0 || result > max) {
+                throw new Error(`Scoring profile ${name}: ${what} must be a number from 0${max === Infinity ? '' : ` to ${max}`}`);
+            }
+            return result;
+        };
+
+        const given = profile.weights || {};
+        const weights = Object.fromEntries(this.dimensions.map(d => [d.id, number(given[d.id], base.weights[d.id], `weights.${d.id}`)]));
+        const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+        if (total === 0) {
+            throw new Error(`Scoring profile ${name}: at least one weight must be above 0`);
+        }
+        this.dimensions.forEach(d => {
+            weights[d.id] = weights[d.id] / total;
+        });
+
+        const altitude = Object.fromEntries(this.altitudes.map(a =>
+            [a, number((profile.altitude || {})[a], base.altitude[a], `altitude.${a}`, 10)]));
+
+        // Thresholds without a color get one by rank, green (highest) to red
+        const palette = this.defaultThresholds.map(t => t.color);
+        const thresholds = (profile.thresholds || this.defaultThresholds).map((t, i) => {
+            if (!t || !String(t.label || '').trim()) {
+                throw new Error(`Scoring profile ${name}: threshold ${i + 1} needs a "label"`);
+            }
+            return { min: number(t.min, 0, `the ${t.label} threshold`, 10), label: String(t.label).trim(), color: t.color || null };
+        }).sort((a, b) => b.min - a.min);
+        if (thresholds.length === 0) {
+            throw new Error(`Scoring profile ${name}: needs at least one threshold`);
+        }
+        thresholds.forEach((t, i) => {
+            const rank = thresholds.length > 1 ? i / (thresholds.length - 1) : 0;
+            t.color = t.color || palette[Math.round(rank * (palette.length - 1))];
+        });
+
+        return {
+            id: String(profile.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-')),
+            name,
+            description: profile.description || '',
+            weights,
+            altitude,
+            thresholds
+        };
+    },
+
+    /**
+     * Overall score from 0-10 dimension scores (`altitude` is the altitude
+     * itself). With a style guide, Team Compliance takes the guide's weight
+     * and the profile's dimensions share the rest in their usual proportions
+     * Returns { score, contributions: [{ id, label, score, weight, points }] }
+     * where the points add up to the score
+     */
+    combine(scores, profile, styleGuide = null) {
+        const share = styleGuide ? 1 - styleGuide.weight : 1;
+        const contributions = this.dimensions.map(d => {
+            const score = d.id === 'altitude' ? this.altitudeScore(scores.altitude, profile) : scores[d.id];
+            return { id: d.id, label: d.label, score, weight: profile.weights[d.id] * share };
+        });
+        if (styleGuide) {
+            contributions.push({ id: 'compliance', label: 'Team Compliance', score: scores.compliance, weight: styleGuide.weight });
+        }
+
+        contributions.forEach(c => {
+            c.points = c.score * c.weight;
+        });
+        return {
+            score: contributions.reduce((sum, c) => sum + c.points, 0),
+            contributions
+        };
+    },
+
+    // Anything but just-right and too-high (e.g. no text yet) scores as too-low
+    altitudeScore(altitude, profile) {
+        return profile.altitude[altitude] !== undefined ? profile.altitude[altitude] : profile.altitude['too-low'];
+    },
+
+    rating(score, profile) {
+        const match = profile.thresholds.find(t => score >= t.min) || profile.thresholds[profile.thresholds.length - 1];
+        return { label: match.label, color: match.color };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptScoring = PromptScoring;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptScoring;
+}
@@ -0,0 +1,247 @@
+/**
+ * PROMPT SEARCH
+ * Ranked full-text search over library documents: an inverted index of
+ * every field (name, tags, use case, folder, notes, prompt text), filters
+ * by model, score, date, folder, tag and favorites, sorting and pagination
+ *
+ * The index is kept up to date document by document (add / remove), so a
+ * query never rescans the prompt text. Every query word must match a word
+ * in the document, exactly or as its start ("summ" finds "summarize");
+ * matches are ranked by field weight, how often the word occurs and how
+ * rare it is across the library
+ */
+
+const PromptSearch = {
+
+    // Relevance of a match in each field
+    weights: {
+        name: 6,
+        tags: 5,
+        useCase: 4,
+        folder: 3,
+        notes: 2,
+        optimized: 1,
+        original: 1
+    },
+
+    // Prefix matches count this much of an exact match
+    prefixWeight: 0.6,
+
+    pageSize: 20,
+
+    sorts: {
+        relevance: 'Relevance',
+        newest: 'Newest first',
+        oldest: 'Oldest first',
+        score: 'Highest score',
+        name: 'Name (A-Z)'
+    },
+
+    words(text) {
+        return (String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [])
+            .filter(word => word.length > 1 || /\d/.test(word));
+    },
+
+    // A document's searchable text by field
+    fields(doc) {
+        const text = (plain, messages) => (messages ? PromptConversations.flatten(messages) : plain || '');
+        return {
+            name: doc.name,
+            tags: (doc.tags || []).join(' '),
+            useCase: doc.useCase,
+            folder: (doc.folder || '').replace(/\//g, ' '),
+            notes: doc.notes,
+            optimized: text(doc.optimized, doc.messages),
+            original: text(doc.original, doc.originalMessages)
+        };
+    },
+
+    /**
+     * Index
+     * { postings: Map(word -> Map(id -> weight)), docs: Map(id -> { doc, words }), sorted }
+     * where sorted is the word list for prefix lookups, rebuilt on demand
+     */
+    createIndex(docs = []) {
+        const index = { postings: new Map(), docs: new Map(), sorted: null };
+        docs.forEach(doc => this.add(index, doc));
+        return index;
+    },
+
+    add(index, doc) {
+        this.remove(index, doc.id);
+
+        const weights = new Map();
+        Object.entries(this.fields(doc)).forEach(([field, text]) => {
+            const counts = new Map();
+            this.words(text).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+            counts.forEach((count, word) => {
+                weights.set(word, (weights.get(word) || 0) + this.weights[field] * (1 + Math.log(count)));
+            });
+        });
+
+        weights.forEach((weight, word) => {
+            if (!index.postings.has(word)) {
+                index.postings.set(word, new Map());
+                index.sorted = null;
+            }
+            index.postings.get(word).set(doc.id, weight);
+        });
+        index.docs.set(doc.id, { doc, words: [...weights.keys()] });
+    },
+
+    remove(index, id) {
+        const entry = index.docs.get(id);
+        if (!entry) return;
+
+        entry.words.forEach(word => {
+            const posting = index.postings.get(word);
+            posting.delete(id);
+            if (posting.size === 0) {
+                index.postings.delete(word);
+                index.sorted = null;
+            }
+        });
+        index.docs.delete(id);
+    },
+
+    // Documents matching `word` exactly or as a prefix: Map(id -> weight)
+    lookup(index, word) {
+        if (!index.sorted) {
+            index.sorted = [...index.postings.keys()].sort();
+        }
+
+        const found = new Map(index.postings.get(word) || []);
+        let low = 0;
+        let high = index.sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (index.sorted[mid] < word) low = mid + 1; else high = mid;
+        }
+        for (let i = low; i < index.sorted.length && index.sorted[i].startsWith(word); i++) {
+            if (index.sorted[i] === word) continue;
+            index.postings.get(index.sorted[i]).forEach((weight, id) => {
+                found.set(id, Math.max(found.get(id) || 0, weight * this.prefixWeight));
+            });
+        }
+        return found;
+    },
+
+    /**
+     * Relevance of every document matching all words of `text`
+     * Returns Map(id -> score), or null when the text has no words
+     */
+    match(index, text) {
+        const words = [...new Set(this.words(text))];
+        if (words.length === 0) return null;
+
+        let scores = null;
+        const total = index.docs.size;
+        for (const word of words) {
+            const found = this.lookup(index, word);
+            const rarity = Math.log(1 + total / (found.size || 1));
+            const next = new Map();
+            found.forEach((weight, id) => {
+                if (scores && !scores.has(id)) return;
+                next.set(id, (scores ? scores.get(id) : 0) + weight * rarity);
+            });
+            scores = next;
+            if (scores.size === 0) break;
+        }
+
+        // The whole phrase in the name ranks first
+        const phrase = text.trim().toLowerCase();
+        scores.forEach((score, id) => {
+            if (index.docs.get(id).doc.name.toLowerCase().includes(phrase)) {
+                scores.set(id, score + this.weights.name * 2);
+            }
+        });
+        return scores;
+    },
+
+    /**
+     * Filters
+     * { model, folder (includes subfolders), tag, favorite, minScore,
+     *   maxScore, from, to (dates, inclusive; against the latest save) }
+     * Empty values don't filter
+     */
+    filter(doc, filters = {}) {
+        const set = value => value !== undefined && value !== null && value !== '';
+        const day = (doc.date || '').slice(0, 10);
+
+        if (set(filters.model) && doc.model !== filters.model) return false;
+        if (set(filters.folder) && doc.folder !== filters.folder && !(doc.folder || '').startsWith(`${filters.folder}/`)) return false;
+        if (set(filters.tag) && !(doc.tags || []).some(tag => tag.toLowerCase() === filters.tag.toLowerCase())) return false;
+        if (filters.favorite && !doc.favorite) return false;
+        if (set(filters.minScore) && doc.score < Number(filters.minScore)) return false;
+        if (set(filters.maxScore) && doc.score > Number(filters.maxScore)) return false;
+        if (set(filters.from) && day < filters.from) return false;
+        if (set(filters.to) && day > filters.to) return false;
+        return true;
+    },
+
+    /**
+     * Search
+     * query: { text, filters, sort, page (from 1), pageSize }
+     * Sort defaults to relevance with search text, newest first without
+     * Returns { results: [{ doc, score }], total, page, pages }
+     */
+    query(index, { text = '', filters = {}, sort = null, page = 1, pageSize = this.pageSize } = {}) {
+        const scores = this.match(index, text);
+        const results = [];
+        const candidates = scores ? [...scores.keys()].map(id => index.docs.get(id).doc) : [...index.docs.values()].map(entry => entry.doc);
+        candidates.forEach(doc => {
+            if (this.filter(doc, filters)) {
+                results.push({ doc, score: scores ? scores.get(doc.id) : 0 });
+            }
+        });
+
+        const order = sort && this.sorts[sort] ? sort : (scores ? 'relevance' : 'newest');
+        const newest = (a, b) => (b.doc.date || '').localeCompare(a.doc.date || '');
+        const compare = {
+            relevance: (a, b) => b.score - a.score || newest(a, b),
+            newest,
+            oldest: (a, b) => newest(b, a),
+            score: (a, b) => b.doc.score - a.doc.score || newest(a, b),
+            name: (a, b) => a.doc.name.localeCompare(b.doc.name, undefined, { sensitivity: 'base' }) || newest(a, b)
+        };
+        results.sort(compare[order]);
+
+        const pages = Math.max(1, Math.ceil(results.length / pageSize));
+        const current = Math.min(Math.max(1, page), pages);
+        return {
+            results: results.slice((current - 1) * pageSize, current * pageSize),
+            total: results.length,
+            page: current,
+            pages
+        };
+    },
+
+    /**
+     * The models, folders (with their parents) and tags in use, for filter
+     * menus: { models, folders, tags } of [{ value, count }]
+     */
+    facets(docs) {
+        const count = (map, value) => map.set(value, (map.get(value) || 0) + 1);
+        const models = new Map();
+        const folders = new Map();
+        const tags = new Map();
+
+        docs.forEach(doc => {
+            count(models, doc.model);
+            const parts = (doc.folder || '').split('/').filter(Boolean);
+            parts.forEach((part, i) => count(folders, parts.slice(0, i + 1).join('/')));
+            (doc.tags || []).forEach(tag => count(tags, tag.toLowerCase()));
+        });
+
+        const list = map => [...map.entries()]
+            .map(([value, n]) => ({ value, count: n }))
+            .sort((a, b) => a.value.localeCompare(b.value));
+        return { models: list(models), folders: list(folders), tags: list(tags) };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptSearch = PromptSearch;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptSearch;
+}
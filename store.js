@@ -0,0 +1,145 @@
+/**
+ * PROMPT STORE
+ * Library persistence in IndexedDB: one record per document (keyed by id),
+ * written one document at a time. The first load moves a library saved
+ * under the old localStorage key into IndexedDB and removes the key
+ *
+ * Where IndexedDB is unavailable (some private windows, Node) the store
+ * falls back to that localStorage key, with the same methods. Every
+ * method returns a promise
+ */
+
+const PromptStore = {
+
+    dbName: 'promptOptimizer',
+    dbVersion: 1,
+    storeName: 'prompts',
+    legacyKey: 'promptOptimizer_saved',
+
+    backend: null,
+    opening: null,
+
+    /**
+     * All documents, newest save first
+     */
+    async load() {
+        const backend = await this.open();
+        let docs = await backend.all();
+
+        if (backend.kind === 'indexeddb' && typeof localStorage !== 'undefined') {
+            const legacy = localStorage.getItem(this.legacyKey);
+            if (legacy) {
+                const known = new Set(docs.map(doc => doc.id));
+                const moved = PromptLibrary.migrate(JSON.parse(legacy)).filter(doc => !known.has(doc.id));
+                await backend.putAll(moved);
+                localStorage.removeItem(this.legacyKey);
+                docs = docs.concat(moved);
+                console.log(`📦 Moved ${moved.length} saved prompts from localStorage to IndexedDB`);
+            }
+        }
+
+        return PromptLibrary.migrate(docs).sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    },
+
+    async put(doc) {
+        return (await this.open()).putAll([doc]);
+    },
+
+    async putAll(docs) {
+        return (await this.open()).putAll(docs);
+    },
+
+    async remove(id) {
+        return (await this.open()).remove(id);
+    },
+
+    // Make `docs` the whole library
+    async replaceAll(docs) {
+        const backend = await this.open();
+        await backend.clear();
+        return backend.putAll(docs);
+    },
+
+    async clear() {
+        return (await this.open()).clear();
+    },
+
+    async open() {
+        if (!this.opening) {
+            this.opening = this.openIndexedDb()
+                .catch(error => {
+                    console.warn('⚠️ IndexedDB unavailable, saving the library to localStorage:', error.message);
+                    return this.localBackend();
+                })
+                .then(backend => (this.backend = backend));
+        }
+        return this.opening;
+    },
+
+    /**
+     * IndexedDB
+     */
+    openIndexedDb() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(this.indexedDbBackend(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('The library database is open in an older tab'));
+        });
+    },
+
+    indexedDbBackend(db) {
+        const name = this.storeName;
+        const run = (mode, work) => new Promise((resolve, reject) => {
+            const transaction = db.transaction(name, mode);
+            const result = work(transaction.objectStore(name));
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Library write aborted'));
+        });
+
+        return {
+            kind: 'indexeddb',
+            all: () => run('readonly', store => store.getAll()),
+            putAll: docs => run('readwrite', store => docs.forEach(doc => store.put(doc))),
+            remove: id => run('readwrite', store => store.delete(id)),
+            clear: () => run('readwrite', store => store.clear())
+        };
+    },
+
+    /**
+     * localStorage fallback: the whole library under the old key
+     */
+    localBackend() {
+        const key = this.legacyKey;
+        const read = () => JSON.parse(localStorage.getItem(key) || '[]');
+        const write = docs => localStorage.setItem(key, JSON.stringify(docs));
+
+        return {
+            kind: 'localStorage',
+            all: async () => read(),
+            putAll: async docs => {
+                const byId = new Map(read().map(doc => [doc.id, doc]));
+                docs.forEach(doc => byId.set(doc.id, doc));
+                write([...byId.values()]);
+            },
+            remove: async id => write(read().filter(doc => doc.id !== id)),
+            clear: async () => localStorage.removeItem(key)
+        };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptStore = PromptStore;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptStore;
+}
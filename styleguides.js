@@ -0,0 +1,443 @@
+/**
+ * PROMPT STYLE GUIDES
+ * Team prompt standards the analyzer scores as "Team Compliance": required
+ * sections, required XML tags, forbidden and required phrases, and length
+ * limits. Guides are JSON or YAML files; the active project carries one
+ * (see PromptProjects), and analyze() / optimize() take options.styleGuide
+ *
+ * A guide:
+ *   {
+ *     name: 'Acme prompt standard',
+ *     weight: 0.2,                     share of the overall score (0-1)
+ *     sections: [{ name: 'Context', tag: 'context', content, position: 'start' | 'end' }],
+ *     tags: ['instructions'],          XML tags that must be present
+ *     forbiddenPhrases: ['as an AI', { phrase: 'ASAP', replacement: 'by Friday', message }],
+ *     requiredPhrases: ['This is not legal advice.'],
+ *     length: { minTokens, maxTokens, maxWords }
+ *   }
+ * A section is found as its XML tag, a "# Name" heading, "[NAME]" or "Name:"
+ */
+
+const PromptStyleGuides = {
+
+    defaultWeight: 0.2,
+    lengthLimits: ['minTokens', 'maxTokens', 'maxWords'],
+
+    // The guide analyze() and optimize() use when options.styleGuide isn't given
+    active: null,
+
+    use(guide) {
+        this.active = guide ? this.normalize(guide) : null;
+    },
+
+    // options.styleGuide: a guide, null for none, undefined for the active one
+    resolve(guide) {
+        if (guide === undefined) return this.active;
+        return guide ? this.normalize(guide) : null;
+    },
+
+    /**
+     * Guide Files
+     * JSON when the file name ends in .json or the text starts with "{",
+     * YAML otherwise (see parseYaml for the supported subset)
+     */
+    parse(text, filename = '') {
+        const json = /\.json$/i.test(filename) || text.trim().startsWith('{');
+        return this.normalize(json ? JSON.parse(text) : this.parseYaml(text));
+    },
+
+    // Defaults and validation; throws on a malformed guide
+    normalize(guide) {
+        if (!guide || typeof guide !== 'object' || Array.isArray(guide)) {
+            throw new Error('A style guide must be an object');
+        }
+
+        const list = (key, item) => {
+            const value = guide[key] === undefined || guide[key] === null ? [] : guide[key];
+            if (!Array.isArray(value)) {
+                throw new Error(`Style guide "${key}" must be a list`);
+            }
+            return value.map(entry => item(entry, key));
+        };
+        const text = (value, key) => {
+            if (typeof value !== 'string' || value.trim().length === 0) {
+                throw new Error(`Style guide "${key}" entries must be non-empty strings`);
+            }
+            return value.trim();
+        };
+
+        const sections = list('sections', (section, key) => {
+            const entry = typeof section === 'string' ? { name: section, tag: section.toLowerCase() } : section;
+            if (!entry || typeof entry.name !== 'string' || entry.name.trim().length === 0) {
+                throw new Error(`Style guide "${key}" entries need a "name"`);
+            }
+            if (entry.tag !== undefined && !/^[a-z_][\w.-]*$/i.test(entry.tag)) {
+                throw new Error(`Invalid tag "${entry.tag}" for section ${entry.name}`);
+            }
+            return {
+                name: entry.name.trim(),
+                tag: entry.tag || null,
+                content: typeof entry.content === 'string' ? entry.content.trim() : null,
+                position: entry.position === 'start' ? 'start' : 'end'
+            };
+        });
+
+        const forbiddenPhrases = list('forbiddenPhrases', (entry, key) => {
+            const phrase = typeof entry === 'string' ? entry : entry && entry.phrase;
+            return {
+                phrase: text(phrase, key),
+                replacement: entry.replacement === undefined || entry.replacement === null ? null : String(entry.replacement),
+                message: entry.message || null
+            };
+        });
+
+        const length = guide.length || {};
+        this.lengthLimits.forEach(limit => {
+            if (length[limit] !== undefined && !(Number.isFinite(length[limit]) && length[limit] >= 0)) {
+                throw new Error(`Style guide length.${limit} must be a number`);
+            }
+        });
+
+        const weight = guide.weight === undefined ? this.defaultWeight : guide.weight;
+        if (!(Number.isFinite(weight) && weight >= 0 && weight <= 1)) {
+            throw new Error('Style guide "weight" must be between 0 and 1');
+        }
+
+        return {
+            name: typeof guide.name === 'string' && guide.name.trim() ? guide.name.trim() : 'Team style guide',
+            weight,
+            sections,
+            tags: list('tags', text).map(tag => tag.replace(/^<|>$/g, '')),
+            forbiddenPhrases,
+            requiredPhrases: list('requiredPhrases', text),
+            length: Object.fromEntries(this.lengthLimits.filter(l => length[l] !== undefined).map(l => [l, length[l]]))
+        };
+    },
+
+    /**
+     * Compliance
+     * Returns { guide, score: 0-100, passed, checks, failed }; a check is
+     * { type: 'section' | 'tag' | 'required-phrase' | 'forbidden-phrase' | 'length', label, passed, message }
+     */
+    check(text, guide, { tokenCount = 0 } = {}) {
+        const forbidden = this.findForbidden(text, guide);
+        const words = (text.match(/\S+/g) || []).length;
+        const limits = {
+            minTokens: [tokenCount >= guide.length.minTokens, `${tokenCount} tokens is under the ${guide.length.minTokens}-token minimum`],
+            maxTokens: [tokenCount <= guide.length.maxTokens, `${tokenCount} tokens is over the ${guide.length.maxTokens}-token budget`],
+            maxWords: [words <= guide.length.maxWords, `${words} words is over the ${guide.length.maxWords}-word limit`]
+        };
+
+        const checks = [
+            ...guide.sections.map(section => ({
+                type: 'section',
+                label: `${section.name} section`,
+                passed: this.findSection(text, section) !== null,
+                message: `Add the required ${section.name} section${section.tag ? ` (<${section.tag}>)` : ''}`
+            })),
+            ...guide.tags.map(tag => ({
+                type: 'tag',
+                label: `<${tag}> tag`,
+                passed: this.hasTag(text, tag),
+                message: `Wrap the matching part of the prompt in <${tag}></${tag}> tags`
+            })),
+            ...guide.requiredPhrases.map(phrase => ({
+                type: 'required-phrase',
+                label: `"${phrase}"`,
+                passed: this.hasPhrase(text, phrase),
+                message: `Include the required phrase "${phrase}"`
+            })),
+            ...guide.forbiddenPhrases.map(entry => {
+                const count = forbidden.filter(f => f.phrase === entry.phrase).length;
+                return {
+                    type: 'forbidden-phrase',
+                    label: `No "${entry.phrase}"`,
+                    passed: count === 0,
+                    message: `${entry.message || `Remove the forbidden phrase "${entry.phrase}"`} (${count}×)`
+                };
+            }),
+            ...Object.keys(guide.length).map(limit => ({
+                type: 'length',
+                label: limit.replace(/^(min|max)(\w)/, (m, bound, first) => `${bound} ${first.toLowerCase()}`) + `: ${guide.length[limit]}`,
+                passed: limits[limit][0],
+                message: limits[limit][1]
+            }))
+        ];
+
+        const failed = checks.filter(c => !c.passed);
+        return {
+            guide: guide.name,
+            score: checks.length === 0 ? 100 : Math.round(((checks.length - failed.length) / checks.length) * 100),
+            passed: failed.length === 0,
+            checks,
+            failed
+        };
+    },
+
+    // Start index of a section, or null
+    findSection(text, section) {
+        const name = this.escape(section.name);
+        const patterns = [
+            section.tag ? new RegExp(`<${this.escape(section.tag)}(?:\\s[^<>]*)?>`, 'i') : null,
+            new RegExp(`^[ \\t]*(?:#{1,6}[ \\t]*${name}\\b|\\[${name}\\]|${name}[ \\t]*:)`, 'im')
+        ].filter(Boolean);
+
+        const found = patterns.map(p => text.match(p)).filter(Boolean).map(m => m.index);
+        return found.length > 0 ? Math.min(...found) : null;
+    },
+
+    hasTag(text, tag) {
+        const name = this.escape(tag);
+        return new RegExp(`<${name}(?:\\s[^<>]*)?>`, 'i').test(text) && new RegExp(`</${name}\\s*>`, 'i').test(text);
+    },
+
+    hasPhrase(text, phrase) {
+        return text.toLowerCase().includes(phrase.toLowerCase());
+    },
+
+    /**
+     * Forbidden phrases as written, outside protected regions (quoted
+     * examples and code aren't the prompt's own wording)
+     * Returns [{ index, text, phrase, replacement, message }]
+     */
+    findForbidden(text, guide) {
+        const regions = PromptRegions.find(text);
+
+        return guide.forbiddenPhrases.flatMap(entry => {
+            const start = /^\w/.test(entry.phrase) ? '\\b' : '';
+            const end = /\w$/.test(entry.phrase) ? '\\b' : '';
+            const pattern = new RegExp(`${start}${this.escape(entry.phrase)}${end}`, 'gi');
+
+            return [...text.matchAll(pattern)]
+                .filter(m => !PromptRegions.overlaps(regions, m.index, m.index + m[0].length))
+                .map(m => ({
+                    index: m.index,
+                    text: m[0],
+                    phrase: entry.phrase,
+                    replacement: entry.replacement,
+                    message: entry.message || `The team style guide forbids "${entry.phrase}"`
+                }));
+        }).sort((a, b) => a.index - b.index);
+    },
+
+    /**
+     * Add the required sections and phrases `reference` lacks to `text`
+     * (reference defaults to text; the optimizer passes the prompt with
+     * its protected regions restored). Sections go in guide order, at the
+     * start or the end as they ask; phrases go at the end. A section without
+     * `content` is left for the author to write (the check still asks for
+     * it), and forbidden phrases with a `replacement` are replaced
+     * Returns { text, sections: [name], phrases: [phrase], replaced: [phrase] }
+     */
+    complete(text, guide, reference = text) {
+        const sections = guide.sections.filter(s => s.content !== null && this.findSection(reference, s) === null);
+        const phrases = guide.requiredPhrases.filter(p => !this.hasPhrase(reference, p));
+        const start = sections.filter(s => s.position === 'start').map(s => this.renderSection(s));
+        const end = [...sections.filter(s => s.position === 'end').map(s => this.renderSection(s)), ...phrases];
+
+        // Matches are sorted; one inside another's text is skipped
+        let result = '';
+        let last = 0;
+        const replaced = [];
+        this.findForbidden(text, guide).filter(match => match.replacement !== null).forEach(match => {
+            if (match.index < last) return;
+            result += text.slice(last, match.index) + match.replacement;
+            last = match.index + match.text.length;
+            replaced.push(match.phrase);
+        });
+        result += text.slice(last);
+
+        if (start.length > 0) {
+            result = `${start.join('\n\n')}\n\n${result}`;
+        }
+        if (end.length > 0) {
+            result = `${result.replace(/\s+$/, '')}\n\n${end.join('\n\n')}`;
+        }
+
+        return { text: result, sections: sections.map(s => s.name), phrases, replaced: [...new Set(replaced)] };
+    },
+
+    renderSection(section) {
+        return section.tag
+            ? `<${section.tag}>\n${section.content}\n</${section.tag}>`
+            : `## ${section.name}\n${section.content}`;
+    },
+
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * YAML Subset
+     * Enough for guide files: nested mappings, "- " lists (of scalars or
+     * mappings), [a, b] flow lists, quoted and plain scalars, numbers,
+     * booleans, | and > block scalars, # comments
+     */
+    parseYaml(source) {
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        let i = 0;
+        let row = 0;
+
+        const fail = message => {
+            throw new Error(`YAML line ${row + 1}: ${message}`);
+        };
+        const indentOf = line => line.match(/^ */)[0].length;
+        const isBlank = line => /^\s*(#.*)?$/.test(line) || /^(---|\.\.\.)\s*$/.test(line);
+        const skipBlank = () => {
+            while (i < lines.length && isBlank(lines[i])) i++;
+        };
+
+        const stripComment = line => {
+            let quote = null;
+            for (let k = 0; k < line.length; k++) {
+                const char = line[k];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === '\'') {
+                    quote = char;
+                } else if (char === '#' && (k === 0 || /\s/.test(line[k - 1]))) {
+                    return line.slice(0, k).trimEnd();
+                }
+            }
+            return line.trimEnd();
+        };
+
+        const splitFlow = inner => {
+            const items = [];
+            let quote = null;
+            let current = '';
+            for (const char of inner) {
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === '\'') {
+                    quote = char;
+                } else if (char === ',') {
+                    items.push(current);
+                    current = '';
+                    continue;
+                }
+                current += char;
+            }
+            return [...items, current];
+        };
+
+        const scalar = raw => {
+            const value = raw.trim();
+            if (value === '' || value === '~' || value === 'null') return null;
+            if (value === 'true' || value === 'false') return value === 'true';
+            if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+            if (value.startsWith('"')) {
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    fail(`Invalid quoted string ${value}`);
+                }
+            }
+            if (value.startsWith('\'')) {
+                if (value.length < 2 || !value.endsWith('\'')) fail(`Unclosed quote ${value}`);
+                return value.slice(1, -1).replace(/''/g, '\'');
+            }
+            if (value.startsWith('[')) {
+                if (!value.endsWith(']')) fail(`Unclosed list ${value}`);
+                const inner = value.slice(1, -1).trim();
+                return inner ? splitFlow(inner).map(scalar) : [];
+            }
+            if (value.startsWith('{')) fail('Flow mappings ({ ... }) are not supported');
+            return value;
+        };
+
+        const blockScalar = (style, parentIndent) => {
+            const out = [];
+            let blockIndent = null;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (line.trim() === '') {
+                    out.push('');
+                    i++;
+                    continue;
+                }
+                if (indentOf(line) <= parentIndent) break;
+                if (blockIndent === null) blockIndent = indentOf(line);
+                out.push(line.slice(blockIndent));
+                i++;
+            }
+            while (out.length > 0 && out[out.length - 1] === '') out.pop();
+
+            const text = out.join('\n');
+            return style === '>' ? text.replace(/([^\n])\n(?=[^\n])/g, '$1 ') : text;
+        };
+
+        // The value after "key:" or "- ": inline, a block scalar, or a nested block
+        const value = (rest, indent, inMap) => {
+            if (/^[|>][-+]?$/.test(rest)) return blockScalar(rest[0], indent);
+            if (rest !== '') return scalar(rest);
+
+            skipBlank();
+            if (i >= lines.length) return null;
+            const next = indentOf(lines[i]);
+            if (next > indent) return block(next);
+            if (inMap && next === indent && /^-( |$)/.test(lines[i].trim())) return list(indent);
+            return null;
+        };
+
+        const map = indent => {
+            const result = {};
+            for (skipBlank(); i < lines.length; skipBlank()) {
+                row = i;
+                const current = indentOf(lines[i]);
+                if (current < indent) break;
+                if (current > indent) fail('Unexpected indentation');
+
+                const text = stripComment(lines[i].trim());
+                if (/^-( |$)/.test(text)) break;
+                const match = text.match(/^("[^"]*"|'[^']*'|[^'"\s][^:]*?)[ \t]*:(?:[ \t]+(.*))?$/);
+                if (!match) fail(`Expected "key: value", got "${text}"`);
+
+                i++;
+                result[scalar(match[1])] = value(match[2] || '', indent, true);
+            }
+            return result;
+        };
+
+        const list = indent => {
+            const result = [];
+            for (skipBlank(); i < lines.length; skipBlank()) {
+                row = i;
+                const current = indentOf(lines[i]);
+                if (current < indent) break;
+                if (current > indent) fail('Unexpected indentation');
+
+                const text = stripComment(lines[i].trim());
+                if (!/^-( |$)/.test(text)) break;
+                const rest = text.slice(1).trim();
+
+                // "- key: value" starts a mapping whose other keys line up with the first
+                if (/^("[^"]*"|'[^']*'|[^'"\s[{][^:]*?)[ \t]*:( |$)/.test(rest)) {
+                    const column = indent + 1 + lines[i].slice(indent + 1).match(/^ */)[0].length;
+                    lines[i] = ' '.repeat(column) + lines[i].slice(column);
+                    result.push(map(column));
+                } else {
+                    i++;
+                    result.push(value(rest, indent, false));
+                }
+            }
+            return result;
+        };
+
+        const block = indent => (/^-( |$)/.test(lines[i].trim()) ? list(indent) : map(indent));
+
+        skipBlank();
+        if (i >= lines.length) return {};
+        const result = block(indentOf(lines[i]));
+        skipBlank();
+        row = i;
+        if (i < lines.length) fail('Unexpected content');
+        return result;
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptStyleGuides = PromptStyleGuides;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptStyleGuides;
+}
@@ -0,0 +1,159 @@
+/**
+ * PROMPT TEST SUITES
+ * Regression tests owned by a saved prompt: named input cases plus
+ * expected-output assertions, run on any PromptEvaluator adapter, with a
+ * pass rate history
+ *
+ * A library entry carries its suite as entry.suite:
+ *   { cases: [{ name, input, values, assertions }], assertions, runs }
+ * plus optional adapter / endpoint / model defaults for the runner and
+ * mock: { responses: [{ match, output }] } scripting the mock adapter
+ */
+
+const PromptTestSuites = {
+
+    // Runs kept per suite
+    historyLimit: 50,
+
+    create() {
+        return { cases: [], assertions: [], runs: [] };
+    },
+
+    /**
+     * Fill in defaults and check assertions
+     * Every assertion is kept, empty values included (`exact ""`, an empty
+     * schema); an unknown type or a missing value throws, so bad suite
+     * files fail early. Empty editor rows are dropped by the app, not here
+     */
+    normalize(suite = {}) {
+        const checkAssertions = (assertions, where) => (assertions || []).map(assertion => {
+            if (!PromptEvaluator.assertionTypes[assertion.type]) {
+                throw new Error(`Unknown assertion type in ${where}: ${assertion.type} (expected ${Object.keys(PromptEvaluator.assertionTypes).join(', ')})`);
+            }
+            if (assertion.value === undefined || assertion.value === null) {
+                throw new Error(`Assertion without a value in ${where}: ${assertion.type}`);
+            }
+            return { type: assertion.type, value: assertion.value };
+        });
+
+        return {
+            cases: (suite.cases || []).map((testCase, i) => ({
+                name: testCase.name || `Case ${i + 1}`,
+                input: testCase.input || '',
+                values: testCase.values || {},
+                assertions: checkAssertions(testCase.assertions, testCase.name || `case ${i + 1}`)
+            })),
+            assertions: checkAssertions(suite.assertions, 'suite'),
+            mock: suite.mock || null,
+            runs: suite.runs || []
+        };
+    },
+
+    // The optimized prompt is what a saved entry ships
+    promptOf(entry) {
+        return entry.messages || entry.optimized;
+    },
+
+    /**
+     * Run every case of entry.suite once
+     * settings are PromptEvaluator settings ({ adapter, endpoint, model, ... })
+     */
+    async run(entry, settings = {}, { onProgress } = {}) {
+        const suite = this.normalize(entry.suite);
+        if (suite.cases.length === 0) {
+            throw new Error('Test suite has no cases');
+        }
+
+        const config = { ...PromptEvaluator.defaults, ...settings };
+        if (!config.responses && suite.mock) {
+            config.responses = suite.mock.responses;
+        }
+        PromptEvaluator.adapterFor(config);
+        const prompt = this.promptOf(entry);
+        const cases = [];
+
+        for (const [i, testCase] of suite.cases.entries()) {
+            if (onProgress) onProgress({ index: i, total: suite.cases.length, name: testCase.name });
+
+            const messages = PromptEvaluator.messagesFor(prompt, testCase);
+            const result = await PromptEvaluator.runSide(
+                messages,
+                [...suite.assertions, ...testCase.assertions],
+                config,
+                entry.options || {}
+            );
+            cases.push({ name: testCase.name, input: testCase.input, ...result });
+        }
+
+        const passed = cases.filter(c => c.passed).length;
+        return {
+            date: new Date().toISOString(),
+            adapter: config.adapter,
+            model: config.adapter === 'mock' ? 'mock' : config.model,
+            passed,
+            total: cases.length,
+            passRate: Math.round((passed / cases.length) * 100),
+            cases
+        };
+    },
+
+    /**
+     * Add a run to the suite's history (summary only, outputs are not kept)
+     */
+    record(suite, run) {
+        suite.runs = suite.runs || [];
+        suite.runs.push({
+            date: run.date,
+            adapter: run.adapter,
+            model: run.model,
+            passed: run.passed,
+            total: run.total,
+            passRate: run.passRate,
+            failed: run.cases.filter(c => !c.passed).map(c => c.name)
+        });
+
+        if (suite.runs.length > this.historyLimit) {
+            suite.runs.splice(0, suite.runs.length - this.historyLimit);
+        }
+        return suite;
+    },
+
+    /**
+     * Pass rate over time
+     * Returns { latest, previous, change, rates } (null without runs)
+     */
+    trend(suite) {
+        const runs = (suite && suite.runs) || [];
+        if (runs.length === 0) return null;
+
+        const latest = runs[runs.length - 1];
+        const previous = runs.length > 1 ? runs[runs.length - 2] : null;
+        return {
+            latest,
+            previous,
+            change: previous ? latest.passRate - previous.passRate : 0,
+            rates: runs.map(r => r.passRate)
+        };
+    },
+
+    /**
+     * Suite File
+     * What the Node runner reads: the prompt plus its suite
+     */
+    toFile(entry) {
+        const file = {
+            name: entry.name || `Saved prompt ${entry.id}`,
+            model: entry.model,
+            optimized: entry.optimized
+        };
+        if (entry.messages) file.messages = entry.messages;
+        file.suite = entry.suite || this.create();
+        return file;
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptTestSuites = PromptTestSuites;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTestSuites;
+}
@@ -0,0 +1,202 @@
+/**
+ * PROMPT TEMPLATES
+ * Detects template placeholders (Mustache, Jinja, f-string, JS template
+ * literals), fills them with sample values for scoring and shields them
+ * from optimizer rewrites
+ */
+
+const PromptTemplates = {
+
+    /**
+     * Placeholder syntaxes, matched in this order
+     * `kind` is 'variable' for substitutions and 'block' for control tags
+     */
+    syntaxes: [
+        { id: 'jinja', kind: 'block', pattern: /\{%-?[\s\S]*?-?%\}/g },
+        { id: 'jinja', kind: 'block', pattern: /\{#[\s\S]*?#\}/g },
+        { id: 'mustache', kind: 'block', pattern: /\{\{\s*[#^/!>][\s\S]*?\}\}/g },
+        { id: 'mustache', kind: 'variable', pattern: /\{\{\{\s*([A-Za-z_][\w.]*)\s*\}\}\}/g },
+        { id: 'mustache', kind: 'variable', pattern: /\{\{\s*&?\s*([A-Za-z_][\w.]*)\s*\}\}/g },
+        { id: 'jinja', kind: 'variable', pattern: /\{\{\s*([A-Za-z_][\w.]*)[^{}]*?\}\}/g },
+        { id: 'js', kind: 'variable', pattern: /\$\{\s*([A-Za-z_$][\w$.]*)[^{}]*\}/g },
+        { id: 'fstring', kind: 'variable', pattern: /(?<![{$])\{([A-Za-z_]\w*(?:\.\w+|\[\w+\])*)(?:![rsa])?(?::[^{}]*)?\}(?!\})/g }
+    ],
+
+    // Private-use characters: no optimizer pattern can match or split them
+    sentinelOpen: '\uE000',
+    sentinelClose: '\uE001',
+
+    /**
+     * Find every placeholder occurrence
+     * Returns [{ raw, name, syntax, kind, index, length }] sorted by position
+     */
+    findPlaceholders(text) {
+        const found = [];
+        const taken = [];
+        const overlaps = (start, end) => taken.some(([s, e]) => start < e && end > s);
+
+        this.syntaxes.forEach(syntax => {
+            for (const match of text.matchAll(syntax.pattern)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (overlaps(start, end)) continue;
+
+                taken.push([start, end]);
+                found.push({
+                    raw: match[0],
+                    name: syntax.kind === 'variable' ? match[1] : null,
+                    syntax: syntax.id,
+                    kind: syntax.kind,
+                    index: start,
+                    length: match[0].length
+                });
+            }
+        });
+
+        // "{{ name }}" is Jinja when the prompt also uses Jinja tags
+        const usesJinja = found.some(p => p.syntax === 'jinja' && p.kind === 'block');
+        found.forEach(p => {
+            if (usesJinja && p.syntax === 'mustache' && p.kind === 'variable') {
+                p.syntax = 'jinja';
+            }
+        });
+
+        return found.sort((a, b) => a.index - b.index);
+    },
+
+    /**
+     * Template Analysis
+     * Lists variables and the text used for scoring (placeholders filled
+     * with sample values, control blocks removed)
+     */
+    analyze(text, sampleValues = {}) {
+        const placeholders = this.findPlaceholders(text);
+        const variables = [];
+
+        placeholders.filter(p => p.kind === 'variable').forEach(p => {
+            const existing = variables.find(v => v.name === p.name);
+            if (existing) {
+                existing.count++;
+                if (!existing.syntaxes.includes(p.syntax)) existing.syntaxes.push(p.syntax);
+            } else {
+                variables.push({ name: p.name, syntaxes: [p.syntax], count: 1 });
+            }
+        });
+
+        const values = {};
+        variables.forEach(v => {
+            values[v.name] = sampleValues[v.name] !== undefined && sampleValues[v.name] !== ''
+                ? sampleValues[v.name]
+                : this.sampleValue(v.name);
+        });
+
+        return {
+            isTemplate: placeholders.length > 0,
+            variables,
+            placeholders,
+            sampleValues: values,
+            filled: placeholders.length > 0 ? this.fill(text, values, placeholders) : text
+        };
+    },
+
+    fill(text, values, placeholders = this.findPlaceholders(text)) {
+        let result = '';
+        let cursor = 0;
+
+        placeholders.forEach(p => {
+            result += text.slice(cursor, p.index);
+            if (p.kind === 'variable') {
+                result += values[p.name] !== undefined ? values[p.name] : p.raw;
+            }
+            cursor = p.index + p.length;
+        });
+
+        return result + text.slice(cursor);
+    },
+
+    /**
+     * Sample Fill Values
+     * Plausible stand-ins so scoring sees realistic text, not braces
+     */
+    sampleValue(name) {
+        const key = name.toLowerCase().split('.').pop();
+        const samples = [
+            [/email/, 'alex.morgan@example.com'],
+            [/^((first|last|full|user|customer|recipient)_?)?name$|^(customer|recipient)$/, 'Alex Morgan'],
+            [/company|org|business/, 'Acme Corp'],
+            [/product|item/, 'the Pro subscription plan'],
+            [/date|day|deadline/, 'March 14, 2026'],
+            [/url|link/, 'https://example.com/page'],
+            [/(^|_)(id|number|count|amount|qty|price|total)$/, '42'],
+            [/language|lang/, 'English'],
+            [/question|query|input|request|message/, 'How do I reset my password?'],
+            [/context|document|text|content|data|history/, 'The customer has been a subscriber for two years and contacted support twice this month.']
+        ];
+
+        const match = samples.find(([pattern]) => pattern.test(key));
+        return match ? match[1] : key.replace(/[_\-.]+/g, ' ').trim();
+    },
+
+    /**
+     * Placeholder Protection
+     * Swaps each occurrence for a unique sentinel so optimizer stages can't
+     * rewrite, split or deduplicate it; restore() puts the originals back
+     */
+    protect(text) {
+        return this.protectSpans(text, this.findPlaceholders(text));
+    },
+
+    /**
+     * Sentinel swap for any sorted, non-overlapping spans ({ index, length, raw });
+     * PromptRegions uses it for code, quotes and other protected regions
+     */
+    protectSpans(text, spans) {
+        const sentinels = [];
+        let protectedText = '';
+        let cursor = 0;
+
+        spans.forEach((p, i) => {
+            const sentinel = `${this.sentinelOpen}${i}${this.sentinelClose}`;
+            sentinels.push({ sentinel, raw: p.raw });
+            protectedText += text.slice(cursor, p.index) + sentinel;
+            cursor = p.index + p.length;
+        });
+        protectedText += text.slice(cursor);
+
+        return {
+            text: protectedText,
+            count: sentinels.length,
+
+            // Every sentinel still present exactly once
+            isIntact: candidate => sentinels.every(({ sentinel }) => candidate.split(sentinel).length === 2),
+
+            restore: candidate => sentinels.reduce(
+                (result, { sentinel, raw }) => result.split(sentinel).join(raw),
+                candidate
+            )
+        };
+    },
+
+    /**
+     * Byte-for-byte check: every placeholder in `original` still occurs in
+     * `result` at least as often
+     */
+    verifyPreserved(original, result) {
+        const counts = {};
+        this.findPlaceholders(original).forEach(p => {
+            counts[p.raw] = (counts[p.raw] || 0) + 1;
+        });
+
+        const missing = Object.entries(counts)
+            .filter(([raw, count]) => result.split(raw).length - 1 < count)
+            .map(([raw]) => raw);
+
+        return { preserved: missing.length === 0, missing };
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.PromptTemplates = PromptTemplates;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplates;
+}
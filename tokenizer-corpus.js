@@ -0,0 +1,216 @@
+/**
+ * TOKENIZER CORPUS
+ * Reference prompts with known token counts, used by Tokenizers.checkAccuracy
+ * cl100k/o200k counts come from tiktoken, sentencepiece from the Gemma tokenizer.
+ * The estimators were fitted on the entries without `heldOut`
+ */
+
+const TokenizerCorpus = [
+    {
+        id: 'en-short',
+        category: 'prose',
+        text: 'Write me a professional email to my boss asking for a raise',
+        counts: { cl100k: 12, o200k: 12, sentencepiece: 12 }
+    },
+    {
+        id: 'en-prose',
+        category: 'prose',
+        text: 'You are an expert writer skilled at crafting clear, engaging content. Write a 500-word article about the benefits of remote work for small companies. Focus on productivity, hiring reach and employee wellbeing, and keep the tone conversational but informed.',
+        counts: { cl100k: 48, o200k: 47, sentencepiece: 50 }
+    },
+    {
+        id: 'en-framework',
+        category: 'structured',
+        text: '[ROLE]: You are a professional business communication expert.\n\n[TASK]: Write a formal email requesting a salary review and increase.\n\n[CONSTRAINTS]:\n- Length: 200-300 words\n- Tone: Assertive but respectful\n- Format: Standard business email\n\n[OUTPUT FORMAT]: Business email with subject line and sign-off.',
+        counts: { cl100k: 67, o200k: 67, sentencepiece: 75 }
+    },
+    {
+        id: 'xml-prompt',
+        category: 'structured',
+        text: '<role>\nYou are a senior data analyst.\n</role>\n\n<task>\nAnalyze the quarterly sales figures below and identify the three largest risks.\n</task>\n\n<data>\nQ1: 1,204,330 USD\nQ2: 987,412 USD\nQ3: 1,530,008 USD\n</data>\n\n<output_format>\nReturn a numbered list.\n</output_format>',
+        counts: { cl100k: 82, o200k: 81, sentencepiece: 106 }
+    },
+    {
+        id: 'code-python',
+        category: 'code',
+        text: 'def fibonacci(n: int) -> list[int]:\n    """Return the first n Fibonacci numbers."""\n    seq = [0, 1]\n    while len(seq) < n:\n        seq.append(seq[-1] + seq[-2])\n    return seq[:n]\n\nif __name__ == "__main__":\n    print(fibonacci(10))',
+        counts: { cl100k: 70, o200k: 69, sentencepiece: 82 }
+    },
+    {
+        id: 'code-js',
+        category: 'code',
+        text: 'const debounce = (fn, wait = 300) => {\n    let timeoutId;\n    return (...args) => {\n        clearTimeout(timeoutId);\n        timeoutId = setTimeout(() => fn.apply(this, args), wait);\n    };\n};\n\ndocument.getElementById(\'initial-prompt\').addEventListener(\'input\', debounce(analyzePrompt));',
+        counts: { cl100k: 64, o200k: 71, sentencepiece: 79 }
+    },
+    {
+        id: 'json',
+        category: 'data',
+        text: '{\n  "customer_id": "C-88213",\n  "orders": [\n    {"sku": "A-1001", "qty": 2, "price": 19.99},\n    {"sku": "B-2040", "qty": 1, "price": 249.0}\n  ],\n  "shipping": {"method": "express", "country": "DE"},\n  "notes": null\n}',
+        counts: { cl100k: 90, o200k: 90, sentencepiece: 109 }
+    },
+    {
+        id: 'de-prose',
+        category: 'non-english',
+        text: 'Du bist ein erfahrener Steuerberater. Erkläre einem Kleinunternehmer in einfachen Worten, welche Ausgaben er im Jahr 2025 von der Steuer absetzen kann, und gib drei konkrete Beispiele.',
+        counts: { cl100k: 53, o200k: 42, sentencepiece: 42 }
+    },
+    {
+        id: 'es-prose',
+        category: 'non-english',
+        text: 'Eres un asistente de atención al cliente. Responde siempre de manera amable y breve, y nunca prometas reembolsos sin confirmar primero el número de pedido.',
+        counts: { cl100k: 38, o200k: 35, sentencepiece: 31 }
+    },
+    {
+        id: 'zh-prose',
+        category: 'non-english',
+        text: '你是一名资深的产品经理。请用简洁的语言总结以下用户反馈，并按照优先级列出三个需要改进的功能。',
+        counts: { cl100k: 44, o200k: 33, sentencepiece: 29 }
+    },
+    {
+        id: 'ja-prose',
+        category: 'non-english',
+        text: 'あなたは経験豊富な翻訳者です。次の英文を自然な日本語に翻訳してください。専門用語はそのまま残してください。',
+        counts: { cl100k: 59, o200k: 34, sentencepiece: 24 }
+    },
+    {
+        id: 'ko-prose',
+        category: 'non-english',
+        text: '당신은 숙련된 데이터 분석가입니다. 다음 주간 판매 데이터를 검토하고 가장 중요한 세 가지 추세를 짧은 문장으로 요약해 주세요.',
+        counts: { cl100k: 57, o200k: 37, sentencepiece: 42 }
+    },
+    {
+        id: 'ru-prose',
+        category: 'non-english',
+        text: 'Ты опытный редактор. Исправь грамматические ошибки в тексте ниже и объясни каждое исправление одним предложением.',
+        counts: { cl100k: 47, o200k: 28, sentencepiece: 27 }
+    },
+    {
+        id: 'emoji',
+        category: 'mixed',
+        text: 'Write 5 tweet ideas 🚀 for our launch 🎉 — keep each under 280 chars, add 1-2 emojis (✨, 💡, 🔥) and a call to action!',
+        counts: { cl100k: 44, o200k: 41, sentencepiece: 40 }
+    },
+    {
+        id: 'markdown',
+        category: 'structured',
+        text: '## Instructions\n\n1. Read the **entire** document first.\n2. Extract every `TODO:` item.\n3. Output a Markdown table with columns | File | Line | Note |.\n\n> Do not invent items that are not in the source.\n\n- Use `snake_case` for keys\n- Never exceed 50 rows',
+        counts: { cl100k: 66, o200k: 66, sentencepiece: 71 }
+    },
+    {
+        id: 'numbers',
+        category: 'data',
+        text: 'Invoice 2026-0419: 3 x 12.50 = 37.50; tax 19% = 7.125; total 44.625 EUR. Due 2026-11-30, ref #A7F3-99B2-0041, phone +49 30 1234567.',
+        counts: { cl100k: 71, o200k: 71, sentencepiece: 98 }
+    },
+    {
+        id: 'url-heavy',
+        category: 'mixed',
+        text: 'Summarize https://docs.anthropic.com/en/docs/build-with-claude/prompt-engineering/overview and compare it with https://platform.openai.com/docs/guides/prompt-engineering?lang=python#tactic-1.',
+        counts: { cl100k: 51, o200k: 51, sentencepiece: 57 }
+    },
+    {
+        id: 'template',
+        category: 'mixed',
+        text: 'Hello {{customer_name}}, your order {order_id} shipped on ${ship_date}. Reply to {% if vip %}priority@example.com{% else %}support@example.com{% endif %}.',
+        counts: { cl100k: 38, o200k: 38, sentencepiece: 43 }
+    },
+    {
+        id: 'long-instructions',
+        category: 'prose',
+        text: 'Before providing your final answer, analyze the problem in a <thinking> block, considering different approaches and potential issues. Think through this systematically: understand the core requirements, consider different approaches, evaluate trade-offs and provide your recommended solution. Go beyond the basics. Include as many relevant details and nuances as possible to create a comprehensive, fully-featured response.',
+        counts: { cl100k: 70, o200k: 70, sentencepiece: 71 }
+    },
+
+    // Held out: not used when fitting the estimators, so their error is the
+    // one to quote
+    {
+        id: 'held-support',
+        category: 'prose',
+        heldOut: true,
+        text: 'You are a patient customer support agent for a software company. A user reports that the export button does nothing after the latest update. Ask for their browser version, explain how to clear the cache, and offer to escalate the ticket if the problem persists.',
+        counts: { cl100k: 50, o200k: 50, sentencepiece: 50 }
+    },
+    {
+        id: 'held-markdown',
+        category: 'structured',
+        heldOut: true,
+        text: '## Role\nSenior product manager\n\n## Task\nDraft release notes for version 4.2 covering the new dashboard, faster search and three bug fixes.\n\n## Format\n- A one-line summary\n- Bullet points per feature\n- A short "Known issues" section',
+        counts: { cl100k: 54, o200k: 54, sentencepiece: 56 }
+    },
+    {
+        id: 'held-sql',
+        category: 'code',
+        heldOut: true,
+        text: 'Explain what this query returns and suggest an index:\n\nSELECT c.name, COUNT(o.id) AS orders\nFROM customers c\nLEFT JOIN orders o ON o.customer_id = c.id\nWHERE o.created_at >= \'2024-01-01\'\nGROUP BY c.name\nHAVING COUNT(o.id) > 5\nORDER BY orders DESC;',
+        counts: { cl100k: 71, o200k: 70, sentencepiece: 87 }
+    },
+    {
+        id: 'held-ts',
+        category: 'code',
+        heldOut: true,
+        text: 'Refactor this TypeScript so it handles errors:\n\nasync function fetchUser(id: string): Promise<User> {\n  const res = await fetch(`/api/users/${id}`);\n  return (await res.json()) as User;\n}',
+        counts: { cl100k: 44, o200k: 45, sentencepiece: 52 }
+    },
+    {
+        id: 'held-yaml',
+        category: 'data',
+        heldOut: true,
+        text: 'Validate this config and list any problems:\n\nserver:\n  port: 8080\n  host: 0.0.0.0\ndatabase:\n  url: postgres://app:secret@db:5432/app\n  pool: 20\nfeatures: [search, export, beta_dashboard]',
+        counts: { cl100k: 62, o200k: 62, sentencepiece: 72 }
+    },
+    {
+        id: 'held-fr-prose',
+        category: 'non-english',
+        heldOut: true,
+        text: 'Tu es un rédacteur expérimenté. Écris un court article sur les avantages du télétravail pour les petites entreprises, avec un ton chaleureux et des exemples concrets.',
+        counts: { cl100k: 45, o200k: 35, sentencepiece: 35 }
+    },
+    {
+        id: 'held-pt-prose',
+        category: 'non-english',
+        heldOut: true,
+        text: 'Você é um assistente de viagens. Sugira um roteiro de três dias em Lisboa para uma família com duas crianças, incluindo museus, parques e restaurantes acessíveis.',
+        counts: { cl100k: 44, o200k: 34, sentencepiece: 34 }
+    },
+    {
+        id: 'held-ko-prose',
+        category: 'non-english',
+        heldOut: true,
+        text: '당신은 친절한 요리 선생님입니다. 초보자를 위해 김치찌개 만드는 방법을 단계별로 설명해 주세요.',
+        counts: { cl100k: 50, o200k: 31, sentencepiece: 36 }
+    },
+    {
+        id: 'held-table',
+        category: 'data',
+        heldOut: true,
+        text: '| Region | Q1 | Q2 | Q3 |\n|--------|----|----|----|\n| North  | 120 | 135 | 150 |\n| South  | 98 | 101 | 97 |\n| West   | 143 | 160 | 171 |\n\nWhich region grew fastest, and by how many percent?',
+        counts: { cl100k: 71, o200k: 71, sentencepiece: 89 }
+    },
+    {
+        id: 'held-emoji-chat',
+        category: 'mixed',
+        heldOut: true,
+        text: 'Write three upbeat Slack messages 🎉 announcing the team offsite 🏕️ on June 14th, one for engineering 💻, one for sales 📈 and one for everyone 🙌.',
+        counts: { cl100k: 43, o200k: 40, sentencepiece: 38 }
+    },
+    {
+        id: 'held-constraints',
+        category: 'prose',
+        heldOut: true,
+        text: 'Rewrite the paragraph below for a general audience. Never use jargon, keep every sentence under 20 words, and do not change any numbers. Always end with a one-sentence takeaway.',
+        counts: { cl100k: 39, o200k: 37, sentencepiece: 38 }
+    },
+    {
+        id: 'held-camel',
+        category: 'code',
+        heldOut: true,
+        text: 'Rename getUserAccountBalanceHistory, parseHTTPResponseHeaders and maxRetryCountPerRequest to snake_case and explain which names read better.',
+        counts: { cl100k: 26, o200k: 27, sentencepiece: 26 }
+    }
+];
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.TokenizerCorpus = TokenizerCorpus;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenizerCorpus;
+}
@@ -0,0 +1,219 @@
+/**
+ * TOKENIZERS
+ * Per-model token counting: calibrated per-encoding estimates, and the old
+ * chars/words heuristic for models without an encoding. Counts are
+ * estimates; see TokenizerCorpus for how close they get
+ */
+
+const Tokenizers = {
+
+    /**
+     * Encoding definitions
+     * `estimator` holds the per-piece costs fitted against real tokenizer
+     * output (see TokenizerCorpus)
+     */
+    encodings: {
+        cl100k: {
+            label: 'cl100k BPE',
+            estimator: {
+                word: 9.8, longWord: 1.15, accent: 2.64,
+                cjk: 1.0, hangul: 1.05, otherScript: 0.49,
+                digits: 3, punct: 6, emoji: 2.46,
+                newline: 0.84, indent: 0.42
+            }
+        },
+        o200k: {
+            label: 'o200k BPE',
+            estimator: {
+                word: 10, longWord: 1.5, accent: 1.3,
+                cjk: 0.65, hangul: 0.66, otherScript: 0.24,
+                digits: 3, punct: 4, emoji: 1.86,
+                newline: 1.13, indent: 0.45
+            }
+        },
+        sentencepiece: {
+            label: 'SentencePiece',
+            estimator: {
+                word: 7.49, longWord: 3.72, accent: 0.86,
+                cjk: 0.5, hangul: 0.76, otherScript: 0.24,
+                digits: 1, punct: 2.78, emoji: 1.15,
+                newline: 0.27, indent: 1.49
+            }
+        }
+    },
+
+    // Most an encoding's held-out error may reach, in percent (see checkAccuracy)
+    accuracyBound: { meanError: 10, maxError: 20 },
+
+    // Shared piece splitter for the estimators
+    piecePattern: /'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}+| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu,
+
+    // Recent results; analysis counts the same text several times per keystroke
+    cache: new Map(),
+
+    /**
+     * Resolve the encoding for a ModelData key
+     */
+    forModel(model) {
+        const entry = typeof ModelData !== 'undefined' && (ModelData[model] || ModelData.claude);
+        const id = entry && entry.tokenizer;
+        return this.encodings[id] ? id : null;
+    },
+
+    /**
+     * Count tokens for a model
+     * Returns { count, encoding, label, method } where method is
+     * 'estimate' or 'heuristic'
+     */
+    countForModel(text, model) {
+        return this.count(text, this.forModel(model));
+    },
+
+    count(text, encodingId) {
+        const key = `${encodingId}\u0000${text}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const encoding = this.encodings[encodingId];
+        let result;
+
+        if (!text) {
+            result = { count: 0, encoding: encodingId, label: encoding ? encoding.label : 'Heuristic', method: encoding ? 'estimate' : 'heuristic' };
+        } else if (encoding) {
+            result = {
+                count: this.estimate(text, encoding.estimator),
+                encoding: encodingId,
+                label: `${encoding.label} (estimated)`,
+                method: 'estimate'
+            };
+        } else {
+            result = {
+                count: this.heuristic(text),
+                encoding: null,
+                label: 'Heuristic (chars/words average)',
+                method: 'heuristic'
+            };
+        }
+
+        if (this.cache.size >= 200) {
+            this.cache.clear();
+        }
+        this.cache.set(key, result);
+        return result;
+    },
+
+    /**
+     * Calibrated Estimate
+     * Splits like a BPE pre-tokenizer, then prices each piece by script,
+     * length and character class
+     */
+    estimate(text, params) {
+        let total = 0;
+
+        for (const piece of text.match(this.piecePattern) || []) {
+            const letters = piece.match(/\p{L}+/u);
+
+            if (letters) {
+                const word = letters[0];
+
+                // Leading punctuation glued to the word usually costs its own token
+                if (piece.length > word.length && piece[0] !== ' ') total += 1;
+
+                if (/[\uac00-\ud7af]/u.test(word)) {
+                    total += Math.max(1, word.length * params.hangul);
+                } else if (/[\u3040-\u30ff\u3400-\u9fff]/u.test(word)) {
+                    total += Math.max(1, word.length * params.cjk);
+                } else if (/[\u0370-\u1fff]/u.test(word)) {
+                    total += Math.max(1, word.length * params.otherScript);
+                } else {
+                    // camelCase identifiers split at case changes
+                    word.split(/(?<=[a-z])(?=[A-Z])/).forEach(part => {
+                        total += part.length <= params.word ? 1 : 1 + (part.length - params.word) / params.longWord;
+                        total += (part.match(/[^\x00-\x7f]/g) || []).length * params.accent;
+                    });
+                }
+            } else if (/^\p{N}+$/u.test(piece)) {
+                total += Math.ceil(piece.length / params.digits);
+            } else if (/^\s+$/.test(piece)) {
+                total += /[\r\n]/.test(piece) ? params.newline : params.indent;
+            } else {
+                const emoji = (piece.match(/\p{Extended_Pictographic}/gu) || []).length;
+                const rest = piece.replace(/\p{Extended_Pictographic}\uFE0F?/gu, '').trim();
+                total += emoji * params.emoji + Math.ceil(rest.length / params.punct);
+            }
+        }
+
+        return Math.round(total);
+    },
+
+    /**
+     * Heuristic Fallback
+     * Approximation: 1 token ≈ 3.5 characters for English
+     */
+    heuristic(text) {
+        const words = text.trim().split(/\s+/).length;
+        const chars = text.length;
+
+        // Average token count using multiple heuristics
+        const byChars = Math.ceil(chars / 3.5);
+        const byWords = Math.ceil(words / 0.75); // ~0.75 words per token
+
+        return Math.round((byChars + byWords) / 2);
+    },
+
+    /**
+     * Accuracy Check
+     * Compares counts against a corpus with known token counts per encoding.
+     * The estimators were fitted on part of the corpus, so `heldOut` has the
+     * errors on the entries marked heldOut (null when an encoding has none)
+     * and `passed` is whether they are within accuracyBound
+     */
+    checkAccuracy(corpus) {
+        const report = {};
+
+        Object.keys(this.encodings).forEach(id => {
+            const rows = corpus
+                .filter(entry => entry.counts[id] !== undefined)
+                .map(entry => {
+                    const result = this.count(entry.text, id);
+                    const heuristic = this.heuristic(entry.text);
+                    return {
+                        id: entry.id,
+                        category: entry.category,
+                        heldOut: Boolean(entry.heldOut),
+                        expected: entry.counts[id],
+                        actual: result.count,
+                        method: result.method,
+                        error: Math.abs(result.count - entry.counts[id]) / entry.counts[id],
+                        heuristicError: Math.abs(heuristic - entry.counts[id]) / entry.counts[id]
+                    };
+                });
+
+            const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+            const summary = list => ({
+                meanError: Math.round(mean(list.map(r => r.error)) * 1000) / 10,
+                maxError: Math.round(Math.max(0, ...list.map(r => r.error)) * 1000) / 10,
+                heuristicMeanError: Math.round(mean(list.map(r => r.heuristicError)) * 1000) / 10
+            });
+            const heldOut = rows.filter(r => r.heldOut).length > 0 ? summary(rows.filter(r => r.heldOut)) : null;
+
+            report[id] = {
+                rows,
+                ...summary(rows.filter(r => !r.heldOut)),
+                heldOut,
+                passed: heldOut !== null
+                    && heldOut.meanError <= this.accuracyBound.meanError
+                    && heldOut.maxError <= this.accuracyBound.maxError
+            };
+        });
+
+        return report;
+    }
+};
+
+// Make it available globally (browser) and as a CommonJS module (Node)
+globalThis.Tokenizers = Tokenizers;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tokenizers;
+}